@@ -209,6 +209,18 @@ export const AUDIO_CONFIG = {
   },
 };
 
+// Footstep variants on slow terrain, played through the move step sound (see TerrainBalance)
+export const MOVEMENT_SOUND_VARIANTS = {
+  mud: {
+    volume: 0.45,
+    playbackRate: 0.6,
+  },
+  sleet: {
+    volume: 0.25,
+    playbackRate: 1.3,
+  },
+};
+
 // Level-specific music mapping
 export const LEVEL_MUSIC_MAP = {
   1: MUSIC_TRACKS.LEVEL_1_FOREST,
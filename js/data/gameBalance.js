@@ -12,6 +12,8 @@ export const DifficultyScaling = {
     BASE_MAZE_SIZE: { width: 15, height: 15 },
     BASE_FRAGMENTS: 3,
     BASE_DIFFICULTY: 1,
+    BASE_LIGHT_RADIUS: 4, // grid units
+    BASE_MOVE_COOLDOWN: 150, // milliseconds
     
     // Scaling factors per level
     MAZE_SIZE_INCREASE: { width: 3, height: 3 },
@@ -26,9 +28,32 @@ export const DifficultyScaling = {
     // Minimum values to ensure playability
     MIN_MAZE_SIZE: { width: 10, height: 10 },
     MIN_FRAGMENTS: 2,
-    MIN_DIFFICULTY: 1
+    MIN_DIFFICULTY: 1,
+    
+    // Player-selectable presets (multipliers applied on top of each level's values)
+    DEFAULT_PRESET: 'normal',
+    PRESETS: {
+        easy: { label: 'Fácil', mazeSize: 0.8, fragments: 0.7, lightRadius: 1.5, moveCooldown: 0.8 },
+        normal: { label: 'Normal', mazeSize: 1, fragments: 1, lightRadius: 1, moveCooldown: 1 },
+        hard: { label: 'Difícil', mazeSize: 1.2, fragments: 1.4, lightRadius: 0.75, moveCooldown: 1.15 },
+        infernal: { label: 'Infernal', mazeSize: 1.4, fragments: 1.7, lightRadius: 0.5, moveCooldown: 1.3 }
+    }
 };
 
+/**
+ * Get a difficulty preset by name, falling back to the default preset
+ * @param {string} name - Preset name ('easy', 'normal', 'hard', 'infernal')
+ * @returns {Object} - { name, label, mazeSize, fragments, lightRadius, moveCooldown }
+ */
+export function getDifficultyPreset(name = DifficultyScaling.DEFAULT_PRESET) {
+    if (!DifficultyScaling.PRESETS[name]) {
+        console.warn(`Unknown difficulty preset: ${name}, using ${DifficultyScaling.DEFAULT_PRESET}`);
+        name = DifficultyScaling.DEFAULT_PRESET;
+    }
+
+    return { name, ...DifficultyScaling.PRESETS[name] };
+}
+
 /**
  * Player movement and interaction settings
  */
@@ -47,7 +72,138 @@ export const PlayerSettings = {
     
     // Visual feedback
     HIGHLIGHT_DURATION: 300,
-    INTERACTION_RADIUS: 1.5 // grid units
+    INTERACTION_RADIUS: 1.5, // grid units
+    
+    // Health
+    MAX_HEALTH: 3,
+    DAMAGE_INVULNERABILITY: 1000 // milliseconds without further damage after a hit
+};
+
+/**
+ * Hazard placement and damage
+ */
+export const HazardBalance = {
+    // Hazards never sit this close to the start (in walking steps)
+    MIN_DISTANCE_FROM_START: 3,
+    
+    // Damage dealt per hazard kind
+    KINDS: {
+        fire_pit: { damage: 1, label: 'Pozo de fuego' },
+        lost_soul: { damage: 2, label: 'Alma perdida' }
+    }
+};
+
+/**
+ * Wandering damned-soul enemies
+ */
+export const EnemyBalance = {
+    // Spawning
+    MIN_DISTANCE_FROM_START: 8, // walking steps
+    MIN_SPACING: 4, // grid units between enemies
+    
+    // Behaviour
+    SIGHT_RANGE: 6, // cells along an unobstructed row or column
+    CHASE_SPEED_MULTIPLIER: 1.25,
+    DAMAGE: 1
+};
+
+/**
+ * Wind currents (circle of the lustful)
+ */
+export const WindBalance = {
+    // Gusts push anyone standing on a wind tile on a fixed rhythm
+    GUST_INTERVAL: 1500, // milliseconds between gusts
+    DEFAULT_STRENGTH: 1, // cells pushed per gust
+    
+    // Generated currents follow straight corridors
+    MIN_DISTANCE_FROM_START: 3, // walking steps
+    MIN_LENGTH: 2 // cells
+};
+
+/**
+ * Ice floors (frozen Cocytus)
+ */
+export const IceBalance = {
+    MIN_DISTANCE_FROM_START: 2, // walking steps
+    ATTEMPTS_PER_PATCH: 4 // seed cells tried per requested patch before giving up
+};
+
+/**
+ * Slow terrain (mud and sleet of the gluttons)
+ */
+export const TerrainBalance = {
+    // Cost of stepping onto each tile type; it multiplies the step's animation time and the input cooldown
+    COSTS: {
+        mud: 2,
+        sleet: 1.5
+    },
+    DEFAULT_PATCH_SIZE: 4, // cells
+    MIN_DISTANCE_FROM_START: 2 // walking steps
+};
+
+/**
+ * Locked doors, keys and pressure switches
+ */
+export const DoorBalance = {
+    // Key and door colors, in the order they are handed out (hues in GAME_COLORS.KEYS)
+    COLORS: ['red', 'blue', 'green', 'yellow'],
+    
+    // Doors and gates sit on chokepoints at least this far from the start (in walking steps)
+    MIN_DISTANCE_FROM_START: 4,
+    GATE_LENGTH: 2, // wall cells raised and lowered by one switch
+    ATTEMPTS_PER_LOCK: 40 // chokepoint cells tried per requested door or gate before giving up
+};
+
+/**
+ * Pushable boulders (circle of the greedy)
+ */
+export const BoulderBalance = {
+    // Generated boulders sit in straight corridors, preferably on the way to the exit or an objective
+    MIN_DISTANCE_FROM_START: 3, // walking steps
+    ATTEMPTS_PER_BOULDER: 20, // corridor cells tried per requested boulder before giving up
+    MAX_SEARCH_STATES: 1000 // boulder layouts explored by the solvability check before calling a puzzle unsolvable
+};
+
+/**
+ * Burning tombs (City of Dis, circle of the heretics)
+ */
+export const TombBalance = {
+    // Every tomb burns for BURN_TIME out of each PERIOD, in step with the fixed timestep
+    DEFAULT_PERIOD: 3000, // milliseconds
+    DEFAULT_BURN_TIME: 1200, // milliseconds
+    PHASES: 4, // tombs start a quarter, half or three quarters into the rhythm so they do not all flare at once
+    WARNING_TIME: 800, // a cold tomb flickers for this long before it ignites
+    DAMAGE: 1,
+    
+    // Crossing a tomb is one step onto it and one step off, each taking PlayerSettings.MOVEMENT_DURATION
+    CROSSING_STEPS: 2,
+    MIN_DISTANCE_FROM_START: 3 // walking steps
+};
+
+/**
+ * Multi-floor circles (the ditches of Malebolge)
+ */
+export const FloorBalance = {
+    BRIDGE_MIN_DISTANCE_FROM_START: 4 // walking steps from the start of either floor
+};
+
+/**
+ * Teleport portals (circle of the violent)
+ */
+export const PortalBalance = {
+    MIN_DISTANCE_FROM_START: 3, // walking steps
+    MIN_PAIR_DISTANCE: 12, // walking steps between the two ends of a pair, so every jump skips a real detour
+    MAX_PAIRS: 10 // pairs are numbered 0-9 in ASCII layouts
+};
+
+/**
+ * Countdown timers and hourglass pickups
+ * Limits default to ProgressionSettings.TIME_BONUS_THRESHOLD and never exceed TIME_PENALTY_THRESHOLD
+ */
+export const TimerBalance = {
+    HOURGLASS_BONUS: 20000, // milliseconds added by each hourglass
+    MIN_DISTANCE_FROM_START: 5, // hourglasses sit at least this far from the start (in walking steps)
+    WARNING_TIME: 30000 // the panel timer turns red below this many milliseconds
 };
 
 /**
@@ -73,7 +229,9 @@ export const ObjectiveBalance = {
     VIRGILIO_ENCOUNTER_SCORE: 500,
     LEVEL_COMPLETION_SCORE: 1000,
     SPEED_BONUS_THRESHOLD: 300000, // 5 minutes in milliseconds
-    SPEED_BONUS_MULTIPLIER: 1.5
+    SPEED_BONUS_MULTIPLIER: 1.5,
+    DEATH_PENALTY: 250, // taken off the level score per death
+    EXPLORATION_BONUS: 500 // awarded in full for exploring the whole maze
 };
 
 /**
@@ -103,6 +261,24 @@ export const MazeBalance = {
     PATH_CLARITY: 0.9 // how clear paths should be visually
 };
 
+/**
+ * Get maze post-processing parameters scaled for a difficulty level
+ * Higher difficulty keeps more walls, braids fewer dead ends and opens fewer loops
+ * @param {number} difficulty - Difficulty level (1-10)
+ * @returns {Object} - { wallDensity, deadEndReduction, loopCreation } each in the range 0-1
+ */
+export function getMazeBalance(difficulty = DifficultyScaling.BASE_DIFFICULTY) {
+    const clamped = Math.max(DifficultyScaling.MIN_DIFFICULTY, Math.min(DifficultyScaling.MAX_DIFFICULTY, difficulty));
+    const steps = clamped - DifficultyScaling.MIN_DIFFICULTY;
+    const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+    return {
+        wallDensity: clamp01(MazeBalance.WALL_DENSITY + MazeBalance.DIFFICULTY_WALL_DENSITY_INCREASE * steps),
+        deadEndReduction: clamp01(MazeBalance.DEAD_END_REDUCTION - MazeBalance.DIFFICULTY_DEAD_END_INCREASE * steps),
+        loopCreation: clamp01(MazeBalance.LOOP_CREATION - MazeBalance.DIFFICULTY_LOOP_DECREASE * steps)
+    };
+}
+
 /**
  * Audio and visual feedback balance
  */
@@ -250,8 +426,9 @@ export class DynamicDifficulty {
         const {
             completionTime,
             deathCount,
-            hintsUsed,
-            retryCount,
+            retryCount = 0,
+            blockedMoves = 0,
+            movesMade = 0,
             explorationEfficiency
         } = performanceData;
 
@@ -278,10 +455,38 @@ export class DynamicDifficulty {
             skillAdjustment -= 0.05; // Inefficient exploration
         }
 
+        // Analyze retries (another go after a death or a timeout)
+        if (retryCount > 3) {
+            skillAdjustment -= 0.05; // Keeps failing
+        }
+
+        // Analyze blocked moves (walking into walls)
+        if (movesMade > 0 && blockedMoves / movesMade > 0.25) {
+            skillAdjustment -= 0.05; // Disoriented
+        }
+
         // Update skill level
         this.playerSkillLevel = Math.max(0.5, Math.min(2.0, this.playerSkillLevel + skillAdjustment));
 
-        return this.getDifficultyAdjustments();
+        const adjustments = this.getDifficultyAdjustments();
+        this.lastAdjustment = Date.now();
+        this.adjustmentHistory.push({
+            level: performanceData.level ?? null,
+            performance: {
+                completionTime,
+                deathCount,
+                retryCount,
+                blockedMoves,
+                movesMade,
+                explorationEfficiency
+            },
+            skillAdjustment,
+            skillLevel: this.playerSkillLevel,
+            adjustments,
+            timestamp: this.lastAdjustment
+        });
+
+        return adjustments;
     }
 
     /**
@@ -316,6 +521,36 @@ export class DynamicDifficulty {
     getSkillLevel() {
         return this.playerSkillLevel;
     }
+
+    /**
+     * Get every adjustment made so far
+     * @returns {Array} - Adjustment history entries
+     */
+    getAdjustmentHistory() {
+        return [...this.adjustmentHistory];
+    }
+
+    /**
+     * Get serializable state for saving
+     * @returns {Object} - Skill level and adjustment history
+     */
+    getSerializableState() {
+        return {
+            playerSkillLevel: this.playerSkillLevel,
+            adjustmentHistory: this.adjustmentHistory,
+            lastAdjustment: this.lastAdjustment
+        };
+    }
+
+    /**
+     * Load state from serialized data
+     * @param {Object} state - Serialized dynamic difficulty state
+     */
+    loadState(state) {
+        this.playerSkillLevel = state?.playerSkillLevel ?? 1.0;
+        this.adjustmentHistory = state?.adjustmentHistory ? [...state.adjustmentHistory] : [];
+        this.lastAdjustment = state?.lastAdjustment ?? Date.now();
+    }
 }
 
 /**
@@ -1,6 +1,25 @@
 /**
  * Level Data
  * Configuration data for each circle of hell
+ * `algorithm` selects the generator from MazeGenerators (js/game/mazeGenerators.js)
+ * Optional `start` ('random' or {x, y}) and `exitPercentile` (0-1) shape start and exit placement
+ * Set-piece levels replace `mazeSize` with a hand-authored `layout` (format in js/game/mazeLayout.js)
+ * Optional `hazards` gives the number of each hazard kind (see HazardBalance.KINDS) to place
+ * Optional `enemies` ({ count, speed } with speed in cells per second) spawns wandering damned souls
+ * Optional `wind` ({ currents, length, strength }) lays wind currents that push Dante on every gust (see WindBalance)
+ * Optional `ice` ({ patches, size }) freezes patches of floor that Dante slides across (see IceBalance)
+ * Optional `terrain` ({ mud, sleet, size }) spreads that many patches of mud and sleet that slow Dante down (see TerrainBalance)
+ * Optional `doors` ({ keys, switches }) locks objectives behind colored doors and switch gates (see DoorBalance)
+ * Optional `boulders` ({ count }) rolls pushable boulders into corridors, keeping the level solvable (see BoulderBalance)
+ * Optional `tombs` ({ count, period, burnTime } with times in milliseconds) raises tombs that burn for `burnTime`
+ * out of every `period`; the cold part must leave time to cross at PlayerSettings.MOVEMENT_DURATION (see TombBalance)
+ * Optional `floors` ({ count, bridges }) stacks `count` mazes that share out the area of `mazeSize`, joined by stairs from each floor's exit
+ * to the next floor's start plus `bridges` extra crossings; fragments are shared out between the floors, Virgilio
+ * waits on the bottom one and the other options apply to every floor (see MazeFloors)
+ * Optional `portals` ({ pairs, fragmentsBehindPortals }) opens pairs of teleport portals between distant cells;
+ * fragments are only placed where Dante can walk to unless `fragmentsBehindPortals` is set (see PortalBalance)
+ * Optional `timer` ({ limit, pickups, bonus } in milliseconds) runs a countdown that loses the level at zero,
+ * with hourglass pickups that add `bonus` each (see TimerBalance)
  * Requirements: 4.1, 4.2, 4.3 - Progressive difficulty and level themes
  */
 
@@ -11,6 +30,7 @@ export const LevelData = {
         circle: "Antesala del Infierno",
         mazeSize: { width: 15, height: 15 },
         difficulty: 1,
+        algorithm: "backtracker",
         requiredFragments: 3,
         hasVirgilio: true,
         theme: {
@@ -35,8 +55,12 @@ export const LevelData = {
         circle: "Primer Círculo",
         mazeSize: { width: 18, height: 18 },
         difficulty: 2,
+        algorithm: "prim",
+        start: "random",
         requiredFragments: 4,
         hasVirgilio: false,
+        hazards: { fire_pit: 1, lost_soul: 0 },
+        enemies: { count: 1, speed: 1.5 },
         theme: {
             backgroundColor: "#404040",
             wallColor: "#606060",
@@ -58,8 +82,13 @@ export const LevelData = {
         circle: "Segundo Círculo",
         mazeSize: { width: 21, height: 21 },
         difficulty: 3,
+        algorithm: "growingTree",
+        start: "random",
         requiredFragments: 5,
         hasVirgilio: false,
+        hazards: { fire_pit: 2, lost_soul: 1 },
+        enemies: { count: 1, speed: 1.75 },
+        wind: { currents: 6, length: 4, strength: 1 },
         theme: {
             backgroundColor: "#4B0000",
             wallColor: "#8B0000",
@@ -81,8 +110,13 @@ export const LevelData = {
         circle: "Tercer Círculo",
         mazeSize: { width: 24, height: 24 },
         difficulty: 4,
+        algorithm: "kruskal",
+        start: "random",
         requiredFragments: 6,
         hasVirgilio: false,
+        hazards: { fire_pit: 3, lost_soul: 1 },
+        enemies: { count: 2, speed: 2 },
+        terrain: { mud: 4, sleet: 3, size: 4 },
         theme: {
             backgroundColor: "#2F4F2F",
             wallColor: "#556B2F",
@@ -104,8 +138,14 @@ export const LevelData = {
         circle: "Cuarto Círculo",
         mazeSize: { width: 27, height: 27 },
         difficulty: 5,
+        algorithm: "eller",
+        start: "random",
         requiredFragments: 7,
         hasVirgilio: false,
+        hazards: { fire_pit: 4, lost_soul: 2 },
+        enemies: { count: 2, speed: 2.25 },
+        timer: { limit: 300000, pickups: 3, bonus: 20000 },
+        boulders: { count: 4 },
         theme: {
             backgroundColor: "#B8860B",
             wallColor: "#DAA520",
@@ -127,8 +167,14 @@ export const LevelData = {
         circle: "Quinto y Sexto Círculo",
         mazeSize: { width: 30, height: 30 },
         difficulty: 6,
+        algorithm: "growingTree",
+        start: "random",
         requiredFragments: 8,
         hasVirgilio: false,
+        hazards: { fire_pit: 5, lost_soul: 2 },
+        enemies: { count: 3, speed: 2.5 },
+        doors: { keys: 2, switches: 1 },
+        tombs: { count: 6, period: 3000, burnTime: 1200 },
         theme: {
             backgroundColor: "#8B0000",
             wallColor: "#A0522D",
@@ -150,8 +196,13 @@ export const LevelData = {
         circle: "Séptimo Círculo",
         mazeSize: { width: 33, height: 33 },
         difficulty: 7,
+        algorithm: "backtracker",
+        start: "random",
         requiredFragments: 9,
         hasVirgilio: false,
+        hazards: { fire_pit: 6, lost_soul: 3 },
+        enemies: { count: 3, speed: 2.75 },
+        portals: { pairs: 3 },
         theme: {
             backgroundColor: "#800000",
             wallColor: "#A52A2A",
@@ -173,8 +224,13 @@ export const LevelData = {
         circle: "Octavo Círculo",
         mazeSize: { width: 36, height: 36 },
         difficulty: 8,
+        algorithm: "kruskal",
+        start: "random",
         requiredFragments: 10,
         hasVirgilio: false,
+        hazards: { fire_pit: 7, lost_soul: 3 },
+        enemies: { count: 4, speed: 3 },
+        floors: { count: 3, bridges: 1 },
         theme: {
             backgroundColor: "#2F2F2F",
             wallColor: "#696969",
@@ -196,8 +252,13 @@ export const LevelData = {
         circle: "Noveno Círculo",
         mazeSize: { width: 39, height: 39 },
         difficulty: 9,
+        algorithm: "wilson",
+        start: "random",
         requiredFragments: 12,
         hasVirgilio: false,
+        hazards: { fire_pit: 8, lost_soul: 4 },
+        enemies: { count: 5, speed: 3.25 },
+        ice: { patches: 10, size: 6 },
         theme: {
             backgroundColor: "#191970",
             wallColor: "#4169E1",
@@ -8,6 +8,7 @@ export class SaveManager {
     this.saveKey = "danteInfernoGameSave";
     this.settingsKey = "danteInfernoSettings";
     this.backupKey = "danteInfernoGameSave_backup";
+    this.bestScoresKey = "danteInfernoBestScores"; // Kept across new games
     this.saveVersion = "1.0.0";
     this.maxSaveSize = 1024 * 1024; // 1MB limit for safety
   }
@@ -129,6 +130,7 @@ export class SaveManager {
       localStorage.removeItem(this.saveKey);
       localStorage.removeItem(this.backupKey);
       localStorage.removeItem(this.settingsKey);
+      localStorage.removeItem(this.bestScoresKey);
 
       console.log("Save data cleared successfully");
       return true;
@@ -138,6 +140,42 @@ export class SaveManager {
     }
   }
 
+  /**
+   * Get the best score reached on each circle
+   * @returns {Object} - Best score by level number, e.g. { 1: 2150 }
+   */
+  getBestScores() {
+    try {
+      const scoresString = localStorage.getItem(this.bestScoresKey);
+      return scoresString ? JSON.parse(scoresString) : {};
+    } catch (error) {
+      console.error("Failed to load best scores:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Record a circle's score if it beats the best one so far
+   * @param {number} level - Level number
+   * @param {number} score - Score reached on the circle
+   * @returns {boolean} - True if it is a new best
+   */
+  saveBestScore(level, score) {
+    const bestScores = this.getBestScores();
+    if (bestScores[level] !== undefined && bestScores[level] >= score) {
+      return false;
+    }
+
+    try {
+      bestScores[level] = score;
+      localStorage.setItem(this.bestScoresKey, JSON.stringify(bestScores));
+      return true;
+    } catch (error) {
+      console.error("Failed to save best score:", error);
+      return false;
+    }
+  }
+
   /**
    * Auto-save game state with throttling and validation
    * @param {Object} gameState - Game state to save
@@ -265,6 +303,15 @@ export class SaveManager {
       gameSettings: { ...gameState.gameSettings },
       gameStats: { ...gameState.gameStats },
       levelProgress: [...gameState.levelProgress],
+      // Level manager state carries the maze seed so the same layout is rebuilt
+      levelManagerState: gameState.levelManagerState || null,
+      // Floor Dante is on in a multi-floor circle; the level manager state rebuilds every floor
+      ...(gameState.currentLayer && { currentLayer: gameState.currentLayer }),
+      // Objective state carries collected keys and open doors and gates
+      ...(gameState.objectiveManagerState && { objectiveManagerState: gameState.objectiveManagerState }),
+      // Time left on a timed circle, so a loaded game continues the countdown
+      ...(gameState.countdownState && { countdownState: gameState.countdownState }),
+      ...(gameState.scoreState && { scoreState: gameState.scoreState }),
       // Note: currentMaze is not saved as it will be regenerated
       // Add any additional serializable state here
     };
@@ -296,7 +343,12 @@ export class SaveManager {
         dialoguesSeen: [],
       },
       levelProgress: serializedState.levelProgress || [],
-      currentMaze: null, // Will be regenerated
+      levelManagerState: serializedState.levelManagerState || null,
+      ...(serializedState.currentLayer && { currentLayer: serializedState.currentLayer }),
+      ...(serializedState.objectiveManagerState && { objectiveManagerState: serializedState.objectiveManagerState }),
+      ...(serializedState.countdownState && { countdownState: serializedState.countdownState }),
+      ...(serializedState.scoreState && { scoreState: serializedState.scoreState }),
+      currentMaze: null, // Will be regenerated from levelManagerState
     };
   }
 
@@ -4,7 +4,7 @@
  * Handles sound effects, music, and audio feedback for game events
  */
 
-import { SOUND_EFFECTS, MUSIC_TRACKS, AUDIO_PATHS, getSoundConfig, getMusicConfig, getLevelMusic } from '../data/audioData.js';
+import { SOUND_EFFECTS, MUSIC_TRACKS, AUDIO_PATHS, MOVEMENT_SOUND_VARIANTS, getSoundConfig, getMusicConfig, getLevelMusic } from '../data/audioData.js';
 
 export class AudioService {
     constructor(audioManager = null) {
@@ -221,10 +221,11 @@ export class AudioService {
     /**
      * Play movement sound
      * @param {boolean} successful - Whether movement was successful
+     * @param {string|null} terrain - Slow tile stepped onto ('mud', 'sleet') for a footstep variant
      */
-    playMovementSound(successful = true) {
+    playMovementSound(successful = true, terrain = null) {
         if (successful) {
-            this.playSoundEffect(SOUND_EFFECTS.MOVE_STEP);
+            this.playSoundEffect(SOUND_EFFECTS.MOVE_STEP, MOVEMENT_SOUND_VARIANTS[terrain]);
         } else {
             this.playSoundEffect(SOUND_EFFECTS.MOVE_BLOCKED);
         }
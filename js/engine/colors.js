@@ -11,6 +11,29 @@ export const GAME_COLORS = {
     FRAGMENT: '#0000FF',         // 🟦 Blue for fragments
     START: '#00FF00',            // 🟩 Green for start position
     EXIT: '#FFA500',             // 🟧 Orange for exit
+    FIRE_PIT: '#FF4500',         // Orange red for fire pits
+    LOST_SOUL: '#B0C4DE',        // Pale blue for lost souls
+    DAMNED_SOUL: '#8FBC8F',      // Grey green for wandering damned souls
+    WIND: '#FFB6C1',             // Pale pink for the winds of the lustful
+    ICE: '#E0FFFF',              // Light cyan for the ice of Cocytus
+    MUD: '#5C4033',              // Dark brown for the mud of the gluttons
+    SLEET: '#B0BEC5',            // Grey blue for the sleet of the gluttons
+    MAP_VISITED: '#F5DEB3',      // Wheat for cells Dante has walked on the map
+    GATE: '#708090',             // Slate grey for switch-operated gates
+    SWITCH: '#A9A9A9',           // Dark grey for pressure switches
+    HOURGLASS: '#F4A460',        // Sandy brown for hourglass time pickups
+    BOULDER: '#696969',          // Dim grey for the boulders of the greedy
+    TOMB: '#4B4B4B',             // Charcoal for the open tombs of the heretics
+    TOMB_FIRE: '#FF8C00',        // Dark orange for the flames rising from a burning tomb
+    STAIRS: '#BDB76B',           // Dark khaki for the stairs between the ditches of Malebolge
+    BRIDGE: '#8B7355',           // Light wood brown for the rock bridges over the ditches
+    PORTAL: '#9370DB',           // Medium purple for the teleport portals
+    KEYS: {                      // Keys and the doors they open
+        red: '#DC143C',
+        blue: '#1E90FF',
+        green: '#32CD32',
+        yellow: '#FFD700'
+    },
     
     // Maze elements
     WALL: '#8B4513',             // Brown walls
@@ -9,7 +9,9 @@ export const GAME_STATES = {
     PLAYING: 'playing',
     PAUSED: 'paused',
     LOADING: 'loading',
-    GAME_OVER: 'game_over'
+    GAME_OVER: 'game_over',
+    LEVEL_COMPLETE: 'level_complete', // Score breakdown between circles
+    EDITOR: 'editor'
 };
 
 export class GameEngine {
@@ -20,6 +22,7 @@ export class GameEngine {
         // Game loop state
         this.isRunning = false;
         this.isPaused = false;
+        this.isMapOpen = false; // Full-map overlay shown, movement on hold
         this.lastTime = 0;
         this.deltaTime = 0;
         this.targetFPS = 60;
@@ -40,7 +43,8 @@ export class GameEngine {
             },
             gameSettings: {
                 volume: 0.7,
-                difficulty: 'normal'
+                difficulty: 'normal',
+                fogOfWar: true
             },
             gameStats: {
                 playTime: 0,
@@ -48,6 +52,8 @@ export class GameEngine {
                 dialoguesSeen: []
             },
             currentMaze: null,
+            currentLayer: 0, // Floor Dante is on in a multi-floor circle
+            levelManagerState: null,
             levelProgress: []
         };
         
@@ -61,7 +67,25 @@ export class GameEngine {
         this.objectiveManager = null;
         this.progressPanel = null;
         this.menuSystem = null;
+        this.narrativeManager = null;
         this.saveManager = null;
+        this.levelEditor = null;
+        this.enemyManager = null;
+        this.windCurrents = null;
+        this.burningTombs = null;
+        this.countdown = null;
+        this.scoreKeeper = null;
+        
+        // Breakdown shown between circles ({ completionTime, performance, score })
+        this.levelSummary = null;
+        
+        // Per-level performance tracking for dynamic difficulty
+        this.levelPerformance = null;
+        
+        // Respawn point and why the game over screen is showing ('death', 'timeout' or 'complete')
+        this.checkpoint = null;
+        this.gameOverReason = null;
+        this.lastDeath = null;
         
         // Performance monitoring
         this.frameCount = 0;
@@ -161,6 +185,11 @@ export class GameEngine {
             // Set up callbacks for real-time progress updates
             this.setupProgressCallbacks();
             
+            // Import and initialize NarrativeManager for story dialogues
+            const { NarrativeManager } = await import('../game/narrativeManager.js');
+            this.narrativeManager = new NarrativeManager();
+            this.narrativeManager.init();
+            
             console.log('UI systems initialized');
             
         } catch (error) {
@@ -205,8 +234,8 @@ export class GameEngine {
     setupMenuCallbacks() {
         if (this.menuSystem) {
             this.menuSystem.setCallbacks({
-                onNewGame: () => {
-                    this.startNewGame();
+                onNewGame: (seed) => {
+                    this.startNewGame(seed);
                 },
                 onContinueGame: () => {
                     this.loadSavedGame();
@@ -216,6 +245,9 @@ export class GameEngine {
                 },
                 onSettingsChange: (setting) => {
                     this.handleSettingsChange(setting);
+                },
+                onOpenEditor: () => {
+                    this.openLevelEditor();
                 }
             });
         }
@@ -278,6 +310,13 @@ export class GameEngine {
                 // Update game settings
                 this.gameState.gameSettings.volume = setting.value;
                 break;
+            case 'difficulty':
+                // Takes effect when the next game starts; saves keep their own preset
+                this.gameState.gameSettings.difficulty = setting.value;
+                break;
+            case 'fogOfWar':
+                this.applyFogOfWar(setting.value);
+                break;
             default:
                 console.warn('Unknown setting type:', setting.type);
         }
@@ -290,10 +329,12 @@ export class GameEngine {
         if (this.objectiveManager && this.progressPanel) {
             this.objectiveManager.setCallbacks({
                 onVirgiliofound: () => {
+                    this.scoreObjective('virgilio');
                     this.progressPanel.updateVirgilio(true);
                     this.progressPanel.showCompletionFeedback('virgilio');
                 },
                 onFragmentCollected: (collected, total) => {
+                    this.scoreObjective('fragment');
                     this.progressPanel.updateFragments(collected, total);
                     this.progressPanel.showCompletionFeedback('fragment');
                 },
@@ -303,6 +344,11 @@ export class GameEngine {
                 },
                 onObjectiveUpdate: (status) => {
                     this.updateProgressPanel(status);
+                },
+                onTimeBonus: (bonus) => {
+                    if (this.countdown) {
+                        this.countdown.addTime(bonus);
+                    }
                 }
             });
         }
@@ -436,7 +482,10 @@ export class GameEngine {
                 this.updateMenu(deltaTime);
                 break;
             case GAME_STATES.PLAYING:
-                this.updateGameplay(deltaTime);
+                // The world holds still while the full map is open
+                if (!this.isMapOpen) {
+                    this.updateGameplay(deltaTime);
+                }
                 break;
             case GAME_STATES.PAUSED:
                 this.updatePaused(deltaTime);
@@ -472,6 +521,22 @@ export class GameEngine {
                 this.startNewGame();
             }
         } else if (this.currentState === GAME_STATES.PLAYING) {
+            // The map key (or Escape) closes the full map; nothing else moves Dante meanwhile
+            if (this.isMapOpen) {
+                if (inputEvent.action === 'map' || inputEvent.keyCode === 'Escape') {
+                    this.setMapOpen(false);
+                }
+                return;
+            }
+            if (inputEvent.action === 'map') {
+                this.setMapOpen(true);
+                return;
+            }
+            if (inputEvent.action === 'undo') {
+                this.undoBoulderPush();
+                return;
+            }
+            
             // Handle player movement
             if (this.player && this.gameState.currentMaze) {
                 console.log('Processing key:', inputEvent.keyCode); // Debug log
@@ -505,6 +570,22 @@ export class GameEngine {
             if (inputEvent.keyCode === 'Escape') {
                 this.resume();
             }
+        } else if (this.currentState === GAME_STATES.LEVEL_COMPLETE) {
+            if (inputEvent.keyCode === 'Space' || inputEvent.keyCode === 'Enter') {
+                this.continueToNextLevel().catch(error => {
+                    console.error('Failed to load the next level:', error);
+                });
+            }
+        } else if (this.currentState === GAME_STATES.GAME_OVER) {
+            if (inputEvent.keyCode === 'Space' || inputEvent.keyCode === 'Enter') {
+                if (this.gameOverReason === 'death') {
+                    this.respawnPlayer();
+                } else if (this.gameOverReason === 'timeout') {
+                    this.restartLevel();
+                }
+            }
+        } else if (this.currentState === GAME_STATES.EDITOR && this.levelEditor) {
+            this.levelEditor.handleKey(inputEvent.keyCode);
         }
     }
 
@@ -533,29 +614,51 @@ export class GameEngine {
         // Check if player just finished moving and verify objectives
         const isPlayerMoving = this.player && this.player.getIsMoving ? this.player.getIsMoving() : false;
         if (wasPlayerMoving && !isPlayerMoving && this.objectiveManager && this.player) {
-            // Player just completed movement, check for objectives at new position
-            const playerPos = this.player.getGridPosition();
-            console.log('Checking objectives at position:', playerPos);
-            const objectiveResult = this.objectiveManager.checkObjectives(playerPos);
-            
-            if (objectiveResult.collected.length > 0) {
-                console.log('Collected items:', objectiveResult.collected);
-                
-                // Update progress panel with new objective status
-                const objectiveStatus = this.objectiveManager.getObjectiveStatus();
-                this.updateProgressPanel(objectiveStatus);
-                
-                // Play collection sounds
-                objectiveResult.collected.forEach(item => {
-                    if (item.type === 'fragment' && this.audioService) {
-                        this.audioService.playSFX('fragment_collected');
-                    } else if (item.type === 'virgilio' && this.audioService) {
-                        this.audioService.playSFX('virgilio_found');
-                    }
-                });
+            // Player just completed movement, check the cell he stepped onto
+            this.resolveArrival(this.player.getGridPosition());
+        }
+        
+        // Lift the fog around Dante; saves pick up the explored map from the level state
+        if (this.levelManager && this.levelManager.revealAround && this.player &&
+            this.levelManager.revealAround(this.player.getGridPosition())) {
+            this.gameState.levelManagerState = this.levelManager.getSerializableState();
+        }
+        
+        // Gusts push Dante once he has landed, so every pushed step is checked like a walked one
+        if (this.windCurrents && this.player && this.gameState.currentMaze) {
+            this.windCurrents.update(deltaTime, this.player, this.gameState.currentMaze);
+            if (this.renderer && this.renderer.setWindState) {
+                this.renderer.setWindState(this.windCurrents.getGustProgress(), this.windCurrents.getPushDirection());
+            }
+        }
+        
+        // Tombs keep their rhythm on the fixed timestep and burn Dante if one flares up under him
+        if (this.burningTombs && this.player && this.gameState.currentMaze) {
+            const tomb = this.burningTombs.update(deltaTime, this.player, this.gameState.currentMaze);
+            if (tomb) {
+                this.burnPlayer(tomb);
+            }
+            if (this.renderer && this.renderer.setTombState) {
+                this.renderer.setTombState(this.burningTombs.getTombStates(this.gameState.currentMaze), this.burningTombs.clock);
+            }
+        }
+        
+        // Run the circle's countdown; the level is lost when it reaches zero
+        if (this.countdown && this.countdown.enabled) {
+            const expired = this.countdown.update(deltaTime);
+            this.gameState.countdownState = this.countdown.getSerializableState();
+            if (expired) {
+                this.handleTimeUp();
+                return;
             }
         }
         
+        // Move enemies on the fixed timestep and check if one caught Dante
+        if (this.enemyManager && this.player && this.gameState.currentMaze) {
+            this.enemyManager.update(deltaTime, this.gameState.currentMaze, this.player.getGridPosition());
+            this.checkEnemyContact();
+        }
+        
         // Update player position in game state
         if (this.player && this.gameState) {
             const playerPos = this.player.getPosition ? this.player.getPosition() : this.player.position;
@@ -582,22 +685,14 @@ export class GameEngine {
     }
 
     /**
-     * Check if level completion conditions are met
+     * Complete the level once every objective is met and Dante stands on the unlocked exit
      */
     checkLevelCompletion() {
-        if (!this.gameState || !this.objectiveManager) return;
-        
-        const objectives = this.objectiveManager.getObjectives ? this.objectiveManager.getObjectives() : null;
-        if (!objectives) return;
-        
-        // Check if all objectives are completed
-        const allObjectivesComplete = objectives.virgilioFound && 
-                                    objectives.fragmentsCollected >= 3 && 
-                                    objectives.exitUnlocked;
-        
-        if (allObjectivesComplete) {
-            console.log('Level completed!');
-            // Handle level completion
+        if (this.currentState !== GAME_STATES.PLAYING || !this.objectiveManager || !this.player) return;
+        if (this.player.getIsMoving && this.player.getIsMoving()) return;
+
+        const playerPos = this.player.getGridPosition();
+        if (this.objectiveManager.areAllObjectivesCompleted() && this.objectiveManager.canExitLevel(playerPos)) {
             this.handleLevelCompletion();
         }
     }
@@ -606,26 +701,76 @@ export class GameEngine {
      * Handle level completion
      */
     handleLevelCompletion() {
-        // Track level completion time
-        const levelCompletionTime = Date.now() - this.gameState.gameStats.sessionStartTime;
+        // Track the time spent on this level, as scoreLevel does
+        const tracking = this.levelPerformance || { startPlayTime: 0 };
+        const levelCompletionTime = (this.gameState.gameStats?.playTime || 0) - tracking.startPlayTime;
         this.trackLevelCompletion(this.gameState.currentLevel, levelCompletionTime);
 
+        // Score the circle and hold on the breakdown until the player moves on
+        this.levelSummary = {
+            completionTime: levelCompletionTime,
+            performance: this.collectLevelPerformance(levelCompletionTime),
+            score: this.scoreLevel()
+        };
+        if (this.audioService) {
+            this.audioService.playObjectiveSound('level_complete');
+        }
+        this.setState(GAME_STATES.LEVEL_COMPLETE);
+    }
+
+    /**
+     * Score the finished circle and record it if it beats the best score on that circle
+     * @returns {Object|null} - ScoreKeeper breakdown plus { best, isNewBest }, or null without a score keeper
+     */
+    scoreLevel() {
+        if (!this.scoreKeeper) return null;
+
+        const tracking = this.levelPerformance || { startDeathCount: 0, startPlayTime: 0 };
+        const exploration = this.levelManager ? this.levelManager.getExploration() : null;
+        const breakdown = this.scoreKeeper.completeLevel({
+            completionTime: (this.gameState.gameStats?.playTime || 0) - tracking.startPlayTime,
+            deaths: (this.gameState.gameStats?.deathCount || 0) - tracking.startDeathCount,
+            explorationRatio: exploration ? exploration.ratio : 0
+        });
+
+        const isNewBest = this.saveManager ? this.saveManager.saveBestScore(breakdown.level, breakdown.total) : false;
+        const bestScores = this.saveManager ? this.saveManager.getBestScores() : {};
+        return {
+            ...breakdown,
+            best: bestScores[breakdown.level] ?? breakdown.total,
+            isNewBest
+        };
+    }
+
+    /**
+     * Leave the level breakdown and load the next circle (or end the game after the last one)
+     */
+    async continueToNextLevel() {
+        // A second key press while the next circle loads finds the summary already taken
+        if (!this.levelSummary) return;
+
+        const { completionTime, performance, score } = this.levelSummary;
+        this.levelSummary = null;
+
         // Increment level
         this.gameState.currentLevel++;
         this.gameState.levelProgress.push({
             level: this.gameState.currentLevel - 1,
-            completionTime: levelCompletionTime,
+            completionTime,
+            exploration: this.levelManager ? this.levelManager.getExploration() : null,
+            ...(this.countdown && this.countdown.enabled && {
+                timeRemaining: this.countdown.getRemaining(),
+                speedRunRank: this.countdown.getSpeedRunRank()
+            }),
+            ...(score && { score: score.total }),
             timestamp: Date.now()
         });
 
-        // Reset objectives for next level
-        if (this.objectiveManager) {
-            this.objectiveManager.reset(3); // Default 3 fragments for each level
-        }
-
-        // Load next level
-        if (this.levelManager && this.levelManager.loadLevel(this.gameState.currentLevel)) {
+        // Load next level, letting dynamic difficulty adapt it to this level's performance
+        if (this.levelManager && this.levelManager.progressToNext(performance)) {
             this.gameState.currentMaze = this.levelManager.getCurrentMaze();
+            this.gameState.currentLayer = this.levelManager.getCurrentFloorIndex();
+            this.gameState.levelManagerState = this.levelManager.getSerializableState();
             
             // Reset player position to maze start
             const maze = this.gameState.currentMaze;
@@ -634,6 +779,17 @@ export class GameEngine {
                 this.gameState.playerPosition = { ...maze.startPosition };
             }
 
+            // Reset objectives; the fragment count may have been adjusted for this maze
+            if (this.objectiveManager) {
+                this.objectiveManager.reset(this.levelManager.getRequiredFragments());
+                this.objectiveManager.setMaze(maze, this.levelManager.getCurrentFloors());
+            }
+            this.beginLevelTracking();
+            await this.spawnEnemies();
+            await this.setupWindCurrents();
+            await this.setupBurningTombs();
+            await this.setupCountdown();
+
             // Update renderer theme for new level
             if (this.renderer && this.renderer.setTheme) {
                 this.renderer.setTheme(this.gameState.currentLevel);
@@ -649,11 +805,479 @@ export class GameEngine {
             this.triggerAutoSave('levelComplete');
 
             console.log(`Level ${this.gameState.currentLevel} loaded successfully`);
+            this.setState(GAME_STATES.PLAYING);
         } else {
             // Handle game completion if no more levels
             console.log('Game completed!');
+            this.gameOverReason = 'complete';
             this.setState(GAME_STATES.GAME_OVER);
+
+            if (this.narrativeManager) {
+                this.narrativeManager.showGameCompletion(null, this.levelManager?.getDifficultyPreset().label);
+            }
+        }
+    }
+
+    /**
+     * Apply a difficulty preset to maze generation, lighting and movement
+     * @param {string} difficulty - Preset name (defaults to the one in game settings)
+     * @returns {Object|null} - The applied preset
+     */
+    applyDifficultyPreset(difficulty = this.gameState.gameSettings?.difficulty || 'normal') {
+        if (!this.levelManager) return null;
+
+        const preset = this.levelManager.setDifficultyPreset(difficulty);
+        this.gameState.gameSettings = { ...this.gameState.gameSettings, difficulty: preset.name };
+
+        if (this.renderer && this.renderer.setLightRadius) {
+            this.renderer.setLightRadius(this.levelManager.getLightRadius());
+        }
+
+        if (this.player && this.player.setMoveCooldown) {
+            this.player.setMoveCooldown(this.levelManager.getMoveCooldown());
+        }
+
+        if (this.menuSystem && this.menuSystem.setDifficulty) {
+            this.menuSystem.setDifficulty(preset.name);
+        }
+
+        return preset;
+    }
+
+    /**
+     * Turn the fog of war on or off; the explored map is tracked either way
+     * @param {boolean} enabled - True to hide unexplored cells (defaults to the game settings)
+     */
+    applyFogOfWar(enabled = this.gameState.gameSettings?.fogOfWar !== false) {
+        this.gameState.gameSettings = { ...this.gameState.gameSettings, fogOfWar: enabled };
+
+        if (this.renderer && this.renderer.setFogOfWar) {
+            this.renderer.setFogOfWar(enabled && this.levelManager ? this.levelManager.getFogOfWar() : null);
+        }
+
+        if (this.menuSystem && this.menuSystem.setFogOfWar) {
+            this.menuSystem.setFogOfWar(enabled);
+        }
+    }
+
+    /**
+     * Start tracking per-level performance for dynamic difficulty
+     * @param {number} retryCount - Times the player has already had another go at this circle
+     */
+    beginLevelTracking(retryCount = 0) {
+        this.levelPerformance = {
+            startDeathCount: this.gameState.gameStats?.deathCount || 0,
+            startPlayTime: this.gameState.gameStats?.playTime || 0,
+            retryCount
+        };
+
+        if (this.scoreKeeper) {
+            this.scoreKeeper.startLevel(this.gameState.currentLevel);
+            this.gameState.scoreState = this.scoreKeeper.getSerializableState();
+        }
+
+        if (this.player && this.player.resetMovementStats) {
+            this.player.resetMovementStats();
+        }
+
+        // Fresh health, and deaths send Dante back here until an objective is collected
+        if (this.player) {
+            if (this.player.restoreHealth) {
+                this.player.restoreHealth();
+            }
+            this.checkpoint = this.player.getGridPosition ? this.player.getGridPosition() : null;
+        }
+
+        if (this.objectiveManager && this.objectiveManager.getSerializableState) {
+            this.gameState.objectiveManagerState = this.objectiveManager.getSerializableState();
+        }
+    }
+
+    /**
+     * Resolve the cell Dante has just arrived on: objectives, hazards, then stairs or portals
+     * After a slide this is the cell he stopped on; the ice he crossed holds nothing (see Maze.placeIce)
+     * @param {Object} playerPos - Player grid position {x, y}
+     * @param {boolean} allowPortal - False when arriving through a portal, so he is not sent straight back
+     */
+    resolveArrival(playerPos, allowPortal = true) {
+        console.log('Checking objectives at position:', playerPos);
+        const objectiveResult = this.objectiveManager.checkObjectives(playerPos);
+        
+        // Saves carry the keys picked up, the doors and gates opened and the boulders pushed so far
+        if (objectiveResult.statusChanged || this.player.pushedBoulder) {
+            this.gameState.objectiveManagerState = this.objectiveManager.getSerializableState();
+        }
+        
+        if (objectiveResult.collected.length > 0) {
+            console.log('Collected items:', objectiveResult.collected);
+            
+            // Update progress panel with new objective status
+            const objectiveStatus = this.objectiveManager.getObjectiveStatus();
+            this.updateProgressPanel(objectiveStatus);
+            
+            // Play collection sounds
+            objectiveResult.collected.forEach(item => {
+                if (item.type === 'fragment' && this.audioService) {
+                    this.audioService.playSFX('fragment_collected');
+                } else if (item.type === 'virgilio' && this.audioService) {
+                    this.audioService.playSFX('virgilio_found');
+                }
+            });
+            
+            // Each collected objective becomes the new respawn point
+            this.checkpoint = { ...playerPos };
+        }
+        
+        this.checkHazards(playerPos);
+        if (this.currentState === GAME_STATES.PLAYING && !this.takeFloorLink(playerPos) && allowPortal) {
+            this.takePortal(playerPos);
+        }
+    }
+
+    /**
+     * Apply hazard damage when Dante steps onto a fire pit or lost soul
+     * @param {Object} playerPos - Player grid position {x, y}
+     * @returns {boolean} - True if the player took damage
+     */
+    checkHazards(playerPos) {
+        const maze = this.gameState.currentMaze;
+        if (!maze || !maze.getHazardAt || !this.player || !this.player.takeDamage) return false;
+
+        const hazard = maze.getHazardAt(playerPos.x, playerPos.y);
+        if (!hazard || !this.player.takeDamage(hazard.damage)) return false;
+
+        if (this.audioService) {
+            this.audioService.playUISound('error');
+        }
+
+        if (this.player.isDead()) {
+            this.handlePlayerDeath(hazard);
+        }
+        return true;
+    }
+
+    /**
+     * Burn Dante when a tomb flares up under him
+     * @param {Object} tomb - Burning tomb from BurningTombs.update ({ kind, x, y, damage })
+     * @returns {boolean} - True if the player took damage
+     */
+    burnPlayer(tomb) {
+        if (!this.player.takeDamage || !this.player.takeDamage(tomb.damage)) return false;
+
+        if (this.audioService) {
+            this.audioService.playUISound('error');
+        }
+
+        if (this.player.isDead()) {
+            this.handlePlayerDeath(tomb);
+        }
+        return true;
+    }
+
+    /**
+     * Take the stairs or bridge Dante has stepped onto to the floor it leads to
+     * Only the new floor is played and rendered from then on; its souls are spawned afresh
+     * @param {Object} playerPos - Player grid position {x, y}
+     * @returns {boolean} - True if Dante changed floor
+     */
+    takeFloorLink(playerPos) {
+        const link = this.levelManager && this.levelManager.getFloorLinkAt ? this.levelManager.getFloorLinkAt(playerPos) : null;
+        if (!link || !this.levelManager.changeFloor(link.to.layer)) return false;
+
+        const maze = this.levelManager.getCurrentMaze();
+        const arrival = { x: link.to.x, y: link.to.y };
+        this.gameState.currentMaze = maze;
+        this.gameState.currentLayer = link.to.layer;
+        this.gameState.levelManagerState = this.levelManager.getSerializableState();
+        this.player.reset(arrival);
+        this.gameState.playerPosition = { ...arrival };
+
+        // Falling on this floor brings Dante back to where he came in
+        this.checkpoint = { ...arrival };
+
+        if (this.objectiveManager) {
+            this.objectiveManager.setMaze(maze, this.levelManager.getCurrentFloors());
+            this.gameState.objectiveManagerState = this.objectiveManager.getSerializableState();
+        }
+        this.spawnEnemies().catch(error => {
+            console.error('Failed to spawn the souls of this floor:', error);
+        });
+
+        if (this.renderer && this.renderer.triggerTransition) {
+            this.renderer.triggerTransition(playerPos.x, playerPos.y, arrival.x, arrival.y);
+        }
+        if (this.audioService) {
+            this.audioService.playUISound('select');
+        }
+        return true;
+    }
+
+    /**
+     * Carry Dante through the portal he has stepped onto to the other end of its pair
+     * Arriving does not jump him back; he has to step off and onto the portal again
+     * @param {Object} playerPos - Player grid position {x, y}
+     * @returns {boolean} - True if Dante was teleported
+     */
+    takePortal(playerPos) {
+        const maze = this.gameState.currentMaze;
+        const exit = maze && maze.getPortalExit ? maze.getPortalExit(playerPos.x, playerPos.y) : null;
+        if (!exit || !maze.isWalkable(exit.x, exit.y)) return false;
+
+        this.player.reset(exit);
+        this.gameState.playerPosition = { ...exit };
+
+        if (this.renderer && this.renderer.triggerPortalJump) {
+            this.renderer.triggerPortalJump(playerPos.x, playerPos.y, exit.x, exit.y);
+        }
+        if (this.audioService) {
+            this.audioService.playUISound('select');
+        }
+
+        // The arrival cell may hold an objective, a hazard or stairs of its own
+        this.resolveArrival(exit, false);
+        return true;
+    }
+
+    /**
+     * Spawn the current circle's wandering souls from its LevelData enemy config
+     */
+    async spawnEnemies() {
+        if (!this.enemyManager) {
+            const { EnemyManager } = await import('../game/enemies.js');
+            this.enemyManager = new EnemyManager();
+        }
+
+        const levelConfig = this.levelManager ? this.levelManager.getCurrentLevel() : null;
+        const maze = this.gameState.currentMaze;
+        if (maze && levelConfig && levelConfig.enemies) {
+            this.enemyManager.spawn(maze, levelConfig.enemies);
+        } else {
+            this.enemyManager.clear();
+        }
+    }
+
+    /**
+     * Restart the wind rhythm for the current circle; mazes without wind tiles are left alone
+     */
+    async setupWindCurrents() {
+        if (!this.windCurrents) {
+            const { WindCurrents } = await import('../game/windCurrents.js');
+            this.windCurrents = new WindCurrents();
+        }
+
+        this.windCurrents.reset();
+    }
+
+    /**
+     * Set the tomb rhythm from the current circle's LevelData and restart it; mazes without tombs are left alone
+     */
+    async setupBurningTombs() {
+        if (!this.burningTombs) {
+            const { BurningTombs } = await import('../game/burningTombs.js');
+            this.burningTombs = new BurningTombs();
+        }
+
+        const levelConfig = this.levelManager ? this.levelManager.getCurrentLevel() : null;
+        this.burningTombs.configure(levelConfig ? levelConfig.tombs : null);
+    }
+
+    /**
+     * Start the current circle's countdown from its LevelData timer; untimed circles switch it off
+     */
+    async setupCountdown() {
+        if (!this.countdown) {
+            const { Countdown } = await import('../game/countdown.js');
+            this.countdown = new Countdown();
         }
+
+        const levelConfig = this.levelManager ? this.levelManager.getCurrentLevel() : null;
+        this.countdown.configure(levelConfig ? levelConfig.timer : null);
+        this.gameState.countdownState = this.countdown.getSerializableState();
+    }
+
+    /**
+     * Create the score keeper for a new or loaded game, starting from zero
+     */
+    async setupScoreKeeper() {
+        if (!this.scoreKeeper) {
+            const { ScoreKeeper } = await import('../game/scoring.js');
+            this.scoreKeeper = new ScoreKeeper();
+        }
+
+        this.scoreKeeper.reset();
+        this.gameState.scoreState = this.scoreKeeper.getSerializableState();
+    }
+
+    /**
+     * Score a met objective and keep the saved score in step
+     * @param {string} type - 'fragment' or 'virgilio'
+     */
+    scoreObjective(type) {
+        if (!this.scoreKeeper) return;
+
+        this.scoreKeeper.addObjective(type);
+        this.gameState.scoreState = this.scoreKeeper.getSerializableState();
+    }
+
+    /**
+     * Damage Dante when a wandering soul reaches him
+     * @returns {boolean} - True if the player took damage
+     */
+    checkEnemyContact() {
+        if (!this.player.takeDamage) return false;
+
+        const enemy = this.enemyManager.checkContact(this.player.getPosition());
+        if (!enemy || !this.player.takeDamage(enemy.damage)) return false;
+
+        if (this.audioService) {
+            this.audioService.playUISound('error');
+        }
+
+        if (this.player.isDead()) {
+            this.handlePlayerDeath({ kind: 'damned_soul', x: enemy.x, y: enemy.y });
+        }
+        return true;
+    }
+
+    /**
+     * Record Dante's death and show the game over screen
+     * @param {Object} source - Hazard or enemy that dealt the final blow ({ kind, x, y })
+     */
+    handlePlayerDeath(source) {
+        this.trackPlayerDeath();
+        this.lastDeath = {
+            kind: source.kind,
+            level: this.gameState.currentLevel,
+            position: { x: source.x, y: source.y }
+        };
+        this.gameOverReason = 'death';
+        this.setState(GAME_STATES.GAME_OVER);
+    }
+
+    /**
+     * Bring Dante back at the last checkpoint (or the level start) with full health
+     */
+    respawnPlayer() {
+        const maze = this.gameState.currentMaze;
+        const position = this.checkpoint || (maze ? maze.startPosition : { x: 1, y: 1 });
+
+        this.player.reset(position);
+        this.player.restoreHealth();
+        this.gameState.playerPosition = { ...position };
+        this.gameOverReason = null;
+
+        // Every go after a death counts as a retry for dynamic difficulty
+        if (this.levelPerformance) {
+            this.levelPerformance.retryCount++;
+        }
+
+        // Souls return to their posts so Dante is not caught again on arrival
+        if (this.enemyManager) {
+            this.enemyManager.reset();
+        }
+        if (this.windCurrents) {
+            this.windCurrents.reset();
+        }
+        if (this.burningTombs) {
+            this.burningTombs.reset();
+        }
+
+        this.setState(GAME_STATES.PLAYING);
+    }
+
+    /**
+     * Take back the last boulder push and put Dante back where he pushed from
+     * Lets the player out of a wedged boulder without restarting the circle
+     * @returns {boolean} - True if a push was undone
+     */
+    undoBoulderPush() {
+        const maze = this.gameState.currentMaze;
+        if (!maze || !this.player || this.player.getIsMoving() || typeof maze.undoBoulderPush !== 'function') {
+            return false;
+        }
+
+        const push = maze.undoBoulderPush();
+        if (!push) {
+            return false;
+        }
+
+        this.player.reset(push.pusher);
+        this.gameState.playerPosition = { ...push.pusher };
+        if (this.objectiveManager) {
+            this.gameState.objectiveManagerState = this.objectiveManager.getSerializableState();
+        }
+        if (this.audioService) {
+            this.audioService.playUISound('back');
+        }
+        return true;
+    }
+
+    /**
+     * Lose the level when the countdown runs out
+     */
+    handleTimeUp() {
+        if (this.audioService) {
+            this.audioService.playUISound('error');
+        }
+        this.gameOverReason = 'timeout';
+        this.setState(GAME_STATES.GAME_OVER);
+    }
+
+    /**
+     * Play the current circle again from the start, on the same maze
+     */
+    async restartLevel() {
+        const retryCount = (this.levelPerformance?.retryCount || 0) + 1;
+        if (!this.levelManager.restartLevel()) {
+            console.error(`Failed to restart level ${this.gameState.currentLevel}`);
+            return;
+        }
+
+        const maze = this.levelManager.getCurrentMaze();
+        this.gameState.currentMaze = maze;
+        this.gameState.currentLayer = 0;
+        this.gameState.levelManagerState = this.levelManager.getSerializableState();
+        this.player.reset(maze.startPosition);
+        this.gameState.playerPosition = { ...maze.startPosition };
+        this.gameOverReason = null;
+
+        if (this.objectiveManager) {
+            this.objectiveManager.reset();
+            this.objectiveManager.setMaze(maze, this.levelManager.getCurrentFloors());
+        }
+        this.beginLevelTracking(retryCount);
+        await this.spawnEnemies();
+        await this.setupWindCurrents();
+        await this.setupBurningTombs();
+        await this.setupCountdown();
+
+        if (this.progressPanel) {
+            this.progressPanel.reset();
+            this.updateProgressPanel();
+        }
+
+        this.setState(GAME_STATES.PLAYING);
+    }
+
+    /**
+     * Gather how the player did on the level that just ended
+     * @param {number} completionTime - Level completion time in milliseconds
+     * @returns {Object} - Performance data for LevelManager.progressToNext
+     */
+    collectLevelPerformance(completionTime) {
+        const tracking = this.levelPerformance || { startDeathCount: 0, retryCount: 0 };
+        const movement = this.player && this.player.getMovementStats
+            ? this.player.getMovementStats()
+            : { movesMade: 0, blockedMoves: 0, explorationEfficiency: 1 };
+
+        return {
+            completionTime,
+            deathCount: (this.gameState.gameStats?.deathCount || 0) - tracking.startDeathCount,
+            retryCount: tracking.retryCount,
+            blockedMoves: movement.blockedMoves,
+            movesMade: movement.movesMade,
+            explorationEfficiency: movement.explorationEfficiency
+        };
     }
 
     /**
@@ -672,7 +1296,10 @@ export class GameEngine {
                 totalFragments: status.totalFragments,
                 exitUnlocked: status.exitUnlocked,
                 currentLevel: this.gameState.currentLevel,
-                levelName: this.getCurrentLevelName()
+                levelName: this.getCurrentLevelName(),
+                seed: this.levelManager ? this.levelManager.getCurrentSeed() : null,
+                score: this.scoreKeeper ? this.scoreKeeper.getScore() : 0,
+                ...this.getTimerProgress()
             });
         } else {
             // Fallback to game state data
@@ -682,11 +1309,25 @@ export class GameEngine {
                 totalFragments: 3, // Default value
                 exitUnlocked: this.gameState.objectivesCompleted.exitUnlocked,
                 currentLevel: this.gameState.currentLevel,
-                levelName: this.getCurrentLevelName()
+                levelName: this.getCurrentLevelName(),
+                seed: this.levelManager ? this.levelManager.getCurrentSeed() : null,
+                score: this.scoreKeeper ? this.scoreKeeper.getScore() : 0,
+                ...this.getTimerProgress()
             });
         }
     }
 
+    /**
+     * Get the countdown fields for the progress panel
+     * @returns {Object} - { timeRemaining, timeRunningOut }, with timeRemaining null on untimed circles
+     */
+    getTimerProgress() {
+        return {
+            timeRemaining: this.countdown ? this.countdown.getRemaining() : null,
+            timeRunningOut: this.countdown ? this.countdown.isRunningOut() : false
+        };
+    }
+
     /**
      * Get current level name based on level number
      */
@@ -704,7 +1345,11 @@ export class GameEngine {
             10: 'Traición'
         };
         
-        return levelNames[this.gameState.currentLevel] || `Círculo ${this.gameState.currentLevel}`;
+        const name = levelNames[this.gameState.currentLevel] || `Círculo ${this.gameState.currentLevel}`;
+        
+        // Multi-floor circles show the ditch Dante is in
+        const floors = this.levelManager && this.levelManager.getCurrentFloors ? this.levelManager.getCurrentFloors() : null;
+        return floors ? `${name} - Fosa ${floors.getActiveLayerIndex() + 1}/${floors.getLayerCount()}` : name;
     }
 
     /**
@@ -748,6 +1393,12 @@ export class GameEngine {
             case GAME_STATES.GAME_OVER:
                 this.renderGameOver();
                 break;
+            case GAME_STATES.LEVEL_COMPLETE:
+                this.renderLevelComplete();
+                break;
+            case GAME_STATES.EDITOR:
+                this.renderEditor();
+                break;
         }
 
         // Render performance overlay if enabled
@@ -813,7 +1464,8 @@ export class GameEngine {
                 this.player,
                 currentMaze,
                 objectives,
-                this.deltaTime
+                this.deltaTime,
+                this.enemyManager ? this.enemyManager.getEnemies() : []
             );
         } else {
             // Fallback rendering if renderGameScene is not available
@@ -855,10 +1507,106 @@ export class GameEngine {
         this.ctx.fillStyle = '#8B0000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
+        if (this.gameOverReason === 'death') {
+            const causes = {
+                lost_soul: 'Un alma perdida te ha arrastrado',
+                damned_soul: 'Un condenado te ha alcanzado',
+                burning_tomb: 'Un sepulcro ardiente te ha consumido'
+            };
+            const cause = (this.lastDeath && causes[this.lastDeath.kind]) || 'Las llamas te han consumido';
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.textAlign = 'center';
+            this.ctx.font = '32px monospace';
+            this.ctx.fillText('Has caído', this.canvas.width / 2, this.canvas.height / 2 - 40);
+            this.ctx.font = '16px monospace';
+            this.ctx.fillText(cause, this.canvas.width / 2, this.canvas.height / 2);
+            this.ctx.fillText(`Muertes: ${this.gameState.gameStats?.deathCount || 0}`,
+                this.canvas.width / 2, this.canvas.height / 2 + 28);
+            this.ctx.fillText('Presiona ESPACIO para volver al último punto de control',
+                this.canvas.width / 2, this.canvas.height / 2 + 64);
+            return;
+        }
+        
+        if (this.gameOverReason === 'timeout') {
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.textAlign = 'center';
+            this.ctx.font = '32px monospace';
+            this.ctx.fillText('Se acabó el tiempo', this.canvas.width / 2, this.canvas.height / 2 - 40);
+            this.ctx.font = '16px monospace';
+            this.ctx.fillText('La arena del reloj se ha agotado', this.canvas.width / 2, this.canvas.height / 2);
+            this.ctx.fillText('Presiona ESPACIO para volver a empezar el círculo',
+                this.canvas.width / 2, this.canvas.height / 2 + 64);
+            return;
+        }
+        
         this.ctx.fillStyle = '#FFD700';
         this.ctx.font = '32px monospace';
         this.ctx.textAlign = 'center';
         this.ctx.fillText('Fin del Juego', this.canvas.width / 2, this.canvas.height / 2);
+        
+        if (this.gameOverReason === 'complete' && this.levelManager) {
+            this.ctx.font = '16px monospace';
+            this.ctx.fillText(`Dificultad: ${this.levelManager.getDifficultyPreset().label}`,
+                this.canvas.width / 2, this.canvas.height / 2 + 36);
+        }
+    }
+
+    /**
+     * Render the score breakdown of the circle just finished
+     */
+    renderLevelComplete() {
+        this.ctx.fillStyle = '#2d1810';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const centerX = this.canvas.width / 2;
+        let y = this.canvas.height / 2 - 150;
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.textAlign = 'center';
+        this.ctx.font = '32px monospace';
+        this.ctx.fillText('Círculo superado', centerX, y);
+        this.ctx.font = '16px monospace';
+        this.ctx.fillText(this.getCurrentLevelName(), centerX, y + 28);
+
+        const score = this.levelSummary ? this.levelSummary.score : null;
+        if (score) {
+            const time = this.saveManager ? this.saveManager.formatTime(score.completionTime) : `${Math.round(score.completionTime / 1000)}s`;
+            const lines = [
+                ['Objetivos', `+${score.objectives}`],
+                ['Círculo completado', `+${score.completion}`],
+                [`Bonificación de tiempo (${time})`, `+${score.timeBonus}`],
+                [`Muertes (${score.deaths})`, `-${score.deathPenalty}`],
+                [`Exploración (${Math.round(score.explorationRatio * 100)}%)`, `+${score.explorationBonus}`]
+            ];
+
+            y += 76;
+            lines.forEach(([label, points]) => {
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(label, centerX - 200, y);
+                this.ctx.textAlign = 'right';
+                this.ctx.fillText(points, centerX + 200, y);
+                y += 26;
+            });
+
+            this.ctx.textAlign = 'center';
+            this.ctx.font = '20px monospace';
+            this.ctx.fillText(`Total del círculo: ${score.total}`, centerX, y + 16);
+            this.ctx.font = '16px monospace';
+            this.ctx.fillText(`Puntuación: ${this.scoreKeeper.getScore()}`, centerX, y + 44);
+            this.ctx.fillText(score.isNewBest ? '¡Nueva mejor marca!' : `Mejor marca: ${score.best}`, centerX, y + 70);
+            y += 70;
+        }
+
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Presiona ESPACIO para continuar', centerX, y + 50);
+    }
+
+    /**
+     * Render level editor
+     */
+    renderEditor() {
+        if (this.renderer && this.levelEditor) {
+            this.levelEditor.render(this.renderer);
+        }
     }
 
     /**
@@ -878,21 +1626,80 @@ export class GameEngine {
      */
     pause() {
         if (this.currentState === GAME_STATES.PLAYING) {
+            if (this.countdown) {
+                this.countdown.pause();
+            }
             this.setState(GAME_STATES.PAUSED);
             console.log('Game paused');
         }
     }
 
+    /**
+     * Open or close the full-map overlay
+     * @param {boolean} open - True to show the full map and hold movement
+     */
+    setMapOpen(open) {
+        this.isMapOpen = open;
+        if (this.renderer && this.renderer.setMapOverlay) {
+            this.renderer.setMapOverlay(open);
+        }
+    }
+
     /**
      * Resume the game
      */
     resume() {
         if (this.currentState === GAME_STATES.PAUSED) {
+            if (this.countdown) {
+                this.countdown.resume();
+            }
             this.setState(GAME_STATES.PLAYING);
             console.log('Game resumed');
         }
     }
 
+    /**
+     * Open the level editor, starting from a blank layout
+     */
+    async openLevelEditor() {
+        try {
+            if (!this.levelEditor) {
+                const { LevelEditor } = await import('../ui/levelEditor.js');
+                this.levelEditor = new LevelEditor();
+                this.levelEditor.onClose = () => this.closeLevelEditor();
+
+                this.editorPointerHandler = (event) => {
+                    if (this.currentState !== GAME_STATES.EDITOR || !this.renderer) return;
+                    const rect = this.canvas.getBoundingClientRect();
+                    const scaleX = this.canvas.width / rect.width;
+                    const scaleY = this.canvas.height / rect.height;
+                    this.levelEditor.applyToolAtScreen(
+                        this.renderer,
+                        (event.clientX - rect.left) * scaleX,
+                        (event.clientY - rect.top) * scaleY
+                    );
+                };
+                this.canvas.addEventListener('mousedown', this.editorPointerHandler);
+            }
+
+            if (this.renderer) {
+                this.renderer.setTheme(1);
+            }
+            this.setState(GAME_STATES.EDITOR);
+        } catch (error) {
+            console.error('Failed to open level editor:', error);
+        }
+    }
+
+    /**
+     * Leave the level editor and return to the menu
+     */
+    closeLevelEditor() {
+        if (this.currentState === GAME_STATES.EDITOR) {
+            this.setState(GAME_STATES.MENU);
+        }
+    }
+
     /**
      * Set game state with validation
      */
@@ -912,6 +1719,16 @@ export class GameEngine {
     onStateChange(previousState, currentState) {
         console.log(`State changed: ${previousState} -> ${currentState}`);
         
+        // Scoped key bindings (e.g. editor tools) only apply in their own state
+        if (this.inputManager) {
+            this.inputManager.setActiveState(currentState);
+        }
+        
+        // The full map only belongs to gameplay
+        if (currentState !== GAME_STATES.PLAYING && this.isMapOpen) {
+            this.setMapOpen(false);
+        }
+        
         // State-specific initialization
         switch (currentState) {
             case GAME_STATES.PLAYING:
@@ -929,6 +1746,12 @@ export class GameEngine {
                     this.menuSystem.showMenu();
                 }
                 break;
+            case GAME_STATES.EDITOR:
+                this.isPaused = true;
+                if (this.menuSystem) {
+                    this.menuSystem.hideMenu();
+                }
+                break;
         }
     }
 
@@ -966,9 +1789,29 @@ export class GameEngine {
                 // Track session start for loaded game
                 this.saveManager.updateStatistics(this.gameState, 'sessionStart');
                 
+                await this.setupScoreKeeper();
+                
+                // Rebuild the saved maze from its seed
+                if (savedState.levelManagerState) {
+                    await this.restoreLevelFromState(savedState.levelManagerState, savedState.playerPosition);
+                }
+                
                 // Restore objective manager state if available
                 if (this.objectiveManager && savedState.objectiveManagerState) {
                     this.objectiveManager.loadState(savedState.objectiveManagerState);
+                    this.gameState.objectiveManagerState = this.objectiveManager.getSerializableState();
+                }
+                
+                // Saves made before scoring existed start the score over on their circle
+                if (savedState.scoreState) {
+                    this.scoreKeeper.loadState(savedState.scoreState);
+                    this.gameState.scoreState = this.scoreKeeper.getSerializableState();
+                }
+                
+                // Pick the countdown up where the save left it
+                if (this.countdown && savedState.countdownState) {
+                    this.countdown.loadState(savedState.countdownState);
+                    this.gameState.countdownState = this.countdown.getSerializableState();
                 }
                 
                 // Update progress panel with loaded state
@@ -988,6 +1831,62 @@ export class GameEngine {
         }
     }
 
+    /**
+     * Restore level manager, maze and player from a saved level manager state
+     * @param {Object} levelManagerState - State from LevelManager.getSerializableState()
+     * @param {Object} playerPosition - Saved player position {x, y}
+     */
+    async restoreLevelFromState(levelManagerState, playerPosition) {
+        if (!this.levelManager) {
+            const { LevelManager } = await import('../game/levelManager.js');
+            this.levelManager = new LevelManager();
+        }
+
+        // Saves made before presets existed fall back to the preset in their game settings
+        this.levelManager.setDifficultyPreset(this.gameState.gameSettings?.difficulty || 'normal');
+        if (!this.levelManager.loadState(levelManagerState)) {
+            console.warn('Could not restore saved level, keeping current maze');
+            return;
+        }
+
+        this.gameState.currentMaze = this.levelManager.getCurrentMaze();
+        this.gameState.currentLayer = this.levelManager.getCurrentFloorIndex();
+        this.gameState.levelManagerState = this.levelManager.getSerializableState();
+
+        if (!this.player) {
+            const { Player } = await import('../game/player.js');
+            this.player = new Player(1, 1, this.audioService);
+        }
+
+        this.applyDifficultyPreset(this.levelManager.getDifficultyPreset().name);
+        this.applyFogOfWar();
+
+        const maze = this.gameState.currentMaze;
+        const position = playerPosition && maze.isWalkable(Math.round(playerPosition.x), Math.round(playerPosition.y))
+            ? { x: Math.round(playerPosition.x), y: Math.round(playerPosition.y) }
+            : maze.startPosition;
+        this.player.reset(position);
+        this.gameState.playerPosition = { ...position };
+
+        if (this.objectiveManager && this.objectiveManager.setMaze) {
+            this.objectiveManager.setMaze(maze, this.levelManager.getCurrentFloors());
+        }
+
+        if (this.renderer && this.renderer.setTheme) {
+            this.renderer.setTheme(this.gameState.currentLevel);
+        }
+
+        if (this.renderer && this.renderer.setGameState) {
+            this.renderer.setGameState(this.gameState);
+        }
+
+        this.beginLevelTracking();
+        await this.spawnEnemies();
+        await this.setupWindCurrents();
+        await this.setupBurningTombs();
+        await this.setupCountdown();
+    }
+
     /**
      * Validate game state structure
      */
@@ -1001,11 +1900,16 @@ export class GameEngine {
 
     /**
      * Start new game
+     * @param {number|string|null} seed - Optional seed to play a specific maze layout
      */
-    async startNewGame() {
+    async startNewGame(seed = null) {
         try {
             console.log('Starting new game');
             
+            // Keep the difficulty preset and fog of war chosen in the settings menu
+            const difficulty = this.gameState.gameSettings?.difficulty || 'normal';
+            const fogOfWar = this.gameState.gameSettings?.fogOfWar !== false;
+            
             // Reset game state to defaults with enhanced statistics
             this.gameState = {
                 currentLevel: 1,
@@ -1018,7 +1922,8 @@ export class GameEngine {
                 },
                 gameSettings: {
                     volume: 0.7,
-                    difficulty: 'normal'
+                    difficulty,
+                    fogOfWar
                 },
                 gameStats: {
                     playTime: 0,
@@ -1035,6 +1940,8 @@ export class GameEngine {
                     achievements: []
                 },
                 currentMaze: null,
+                currentLayer: 0,
+                levelManagerState: null,
                 levelProgress: [],
                 dialogueMetadata: {}
             };
@@ -1057,10 +1964,15 @@ export class GameEngine {
                 this.player = new Player(1, 1, this.audioService);
             }
 
+            this.applyDifficultyPreset();
+            this.applyFogOfWar();
+
             // Load the first level
             console.log('Loading level 1...');
-            if (this.levelManager.loadLevel(1)) {
+            if (this.levelManager.resetToLevel(1, seed)) {
                 this.gameState.currentMaze = this.levelManager.getCurrentMaze();
+                this.gameState.currentLayer = this.levelManager.getCurrentFloorIndex();
+                this.gameState.levelManagerState = this.levelManager.getSerializableState();
                 console.log('Level 1 loaded, maze:', this.gameState.currentMaze);
                 
                 // Set player position to maze start position
@@ -1100,11 +2012,19 @@ export class GameEngine {
                 this.objectiveManager = new ObjectiveManager();
             }
 
-            // Reset objective manager
+            // Reset objective manager and point it at level 1
             if (this.objectiveManager) {
-                this.objectiveManager.reset(3); // Default 3 fragments for level 1
+                this.objectiveManager.reset(this.levelManager.getRequiredFragments());
+                this.objectiveManager.setMaze(this.gameState.currentMaze, this.levelManager.getCurrentFloors());
                 console.log('Objective manager reset');
             }
+
+            await this.setupScoreKeeper();
+            this.beginLevelTracking();
+            await this.spawnEnemies();
+            await this.setupWindCurrents();
+            await this.setupBurningTombs();
+            await this.setupCountdown();
             
             // Reset progress panel to initial state
             if (this.progressPanel) {
@@ -1311,6 +2231,8 @@ export class GameEngine {
             this.saveManager.updateStatistics(this.gameState, 'death');
             this.triggerAutoSave('playerDeath');
             console.log('Player death tracked');
+        } else if (this.gameState.gameStats) {
+            this.gameState.gameStats.deathCount = (this.gameState.gameStats.deathCount || 0) + 1;
         }
     }
 
@@ -22,8 +22,42 @@ export class InputManager {
             // Other keys
             'Escape': 'menu',
             'Enter': 'confirm',
-            'Space': 'action'
+            'Space': 'action',
+            'KeyM': 'map',
+            'KeyZ': 'undo'
         };
+        
+        // Bindings that only apply while their game state is active
+        this.stateBindings = {
+            editor: {
+                'Digit1': 'tool1',
+                'Digit2': 'tool2',
+                'Digit3': 'tool3',
+                'Digit4': 'tool4',
+                'Digit5': 'tool5',
+                'Digit6': 'tool6',
+                'KeyE': 'export',
+                'KeyI': 'import'
+            }
+        };
+        this.activeState = null;
+    }
+
+    /**
+     * Set the game state whose scoped bindings are active
+     * @param {string|null} state - Game state (e.g. 'editor')
+     */
+    setActiveState(state) {
+        this.activeState = state;
+    }
+
+    /**
+     * Get the global bindings merged with those of the active game state
+     * @returns {Object} - Key code to action map
+     */
+    getActiveBindings() {
+        const scoped = this.stateBindings[this.activeState];
+        return scoped ? { ...this.keyBindings, ...scoped } : this.keyBindings;
     }
 
     /**
@@ -50,7 +84,7 @@ export class InputManager {
 
         // Prevent default behavior for game keys
         document.addEventListener('keydown', (event) => {
-            if (this.keyBindings[event.code]) {
+            if (this.getActiveBindings()[event.code]) {
                 event.preventDefault();
             }
         });
@@ -63,7 +97,7 @@ export class InputManager {
         const inputState = {};
         
         // Map pressed keys to actions
-        for (const [keyCode, action] of Object.entries(this.keyBindings)) {
+        for (const [keyCode, action] of Object.entries(this.getActiveBindings())) {
             if (this.keys[keyCode]) {
                 inputState[action] = true;
             }
@@ -77,7 +111,7 @@ export class InputManager {
      */
     isKeyPressed(key) {
         // Check by action name (e.g., 'up', 'left')
-        for (const [keyCode, action] of Object.entries(this.keyBindings)) {
+        for (const [keyCode, action] of Object.entries(this.getActiveBindings())) {
             if (action === key && this.keys[keyCode]) {
                 return true;
             }
@@ -105,7 +139,7 @@ export class InputManager {
         this.addToBuffer({
             type: 'keydown',
             keyCode: keyCode,
-            action: this.keyBindings[keyCode],
+            action: this.getActiveBindings()[keyCode],
             timestamp: Date.now()
         });
     }
@@ -128,7 +162,7 @@ export class InputManager {
         this.addToBuffer({
             type: 'keyup',
             keyCode: keyCode,
-            action: this.keyBindings[keyCode],
+            action: this.getActiveBindings()[keyCode],
             timestamp: Date.now()
         });
     }
@@ -137,7 +171,7 @@ export class InputManager {
      * Validate if key is a valid game key
      */
     isValidGameKey(keyCode) {
-        return this.keyBindings.hasOwnProperty(keyCode);
+        return this.getActiveBindings().hasOwnProperty(keyCode);
     }
 
     /**
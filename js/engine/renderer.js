@@ -5,6 +5,14 @@
 
 import { GAME_COLORS, ColorUtils } from './colors.js';
 import { SpriteRenderer } from './sprites.js';
+import { computeVisibilityPolygon } from '../game/lineOfSight.js';
+
+// Grid step for each wind direction
+const WIND_VECTORS = { up: [0, -1], right: [1, 0], down: [0, 1], left: [-1, 0] };
+
+// Largest side of the corner minimap, and its margin from the canvas edge, in pixels
+const MINIMAP_SIZE = 160;
+const MINIMAP_MARGIN = 10;
 
 export class Renderer {
     constructor(canvas, context) {
@@ -44,6 +52,15 @@ export class Renderer {
         
         // Game state reference for dynamic lighting
         this.gameState = null;
+        this.lightRadius = 4; // Grid units lit around the player
+        this.windGustProgress = 0; // 0-1 until the next wind gust
+        this.windPushDirection = null; // Direction a gust is carrying Dante
+        this.tombStates = new Map(); // "x,y" -> { burning, warning } for each burning tomb
+        this.tombClock = 0; // Tomb rhythm time in milliseconds, advanced on the fixed timestep
+        this.fogOfWar = null; // FogOfWar hiding unexplored cells, or null to show the whole maze
+        this.visibilityPolygon = null; // Area lit by Dante's light this frame, in grid units
+        this.mapOverlayVisible = false; // Full-map overlay instead of the corner minimap
+        this.mapCache = null; // { maze, key, cellSize } of the map currently drawn on the offscreen canvas
         
         // Visual effects system
         this.activeEffects = [];
@@ -322,9 +339,230 @@ export class Renderer {
      */
     setTheme(levelNumber) {
         this.currentTheme = ColorUtils.getThemeColors(levelNumber);
+        this.mapCache = null;
         console.log(`Theme set for level ${levelNumber}`);
     }
 
+    /**
+     * Set how far the player's light reaches
+     * @param {number} radius - Light radius in grid units
+     */
+    setLightRadius(radius) {
+        this.lightRadius = Math.max(1, radius);
+    }
+
+    /**
+     * Set the wind rhythm used to animate currents
+     * @param {number} gustProgress - 0 right after a gust, 1 when the next one is due
+     * @param {string|null} pushDirection - Direction Dante is being blown, or null
+     */
+    setWindState(gustProgress, pushDirection = null) {
+        this.windGustProgress = gustProgress;
+        this.windPushDirection = pushDirection;
+    }
+
+    /**
+     * Set the tomb rhythm used to draw the tombs and telegraph their flare-ups
+     * @param {Map} tombStates - "x,y" -> { burning, warning } from BurningTombs.getTombStates
+     * @param {number} clock - Tomb rhythm time in milliseconds, so the flicker follows the game loop
+     */
+    setTombState(tombStates, clock) {
+        this.tombStates = tombStates;
+        this.tombClock = clock;
+    }
+
+    /**
+     * Hide cells Dante has not seen yet
+     * @param {FogOfWar|null} fogOfWar - Explored and visible cells, or null to turn the fog off
+     */
+    setFogOfWar(fogOfWar) {
+        this.fogOfWar = fogOfWar;
+    }
+
+    /**
+     * Cover unexplored cells in darkness and dim remembered cells that are out of sight
+     * @param {Maze} maze - Current maze
+     */
+    drawFogOfWar(maze) {
+        const region = this.calculateVisibleRegion(maze);
+        const remembered = ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.6);
+
+        for (let y = region.minY; y <= region.maxY; y++) {
+            for (let x = region.minX; x <= region.maxX; x++) {
+                if (!this.fogOfWar.isExplored(x, y)) {
+                    this.drawGridCell(x, y, GAME_COLORS.SHADOW);
+                } else if (!this.fogOfWar.isVisible(x, y)) {
+                    this.drawGridCell(x, y, remembered);
+                }
+            }
+        }
+    }
+
+    /**
+     * Show the full-map overlay or go back to the corner minimap
+     * @param {boolean} visible - True to show the full map
+     */
+    setMapOverlay(visible) {
+        this.mapOverlayVisible = visible;
+    }
+
+    /**
+     * Draw the map of the current maze onto the offscreen canvas, one block per cell
+     * Only redrawn when Dante visits or sees new cells or an objective is collected
+     * @param {Maze} maze - Current maze
+     * @param {Player} player - Player, for the cells already walked
+     * @returns {number|null} - Pixels per cell on the offscreen canvas, or null without one
+     */
+    updateMapCache(maze, player) {
+        if (!this.offscreenCtx || !maze) return null;
+        
+        const visited = player && player.getVisitedCells ? player.getVisitedCells() : new Set();
+        const fog = this.fogOfWar;
+        const collected = maze.entities ? maze.entities.filter(entity => entity.collected).length : 0;
+        const doors = maze.getDoorState ? maze.getDoorState().map(door => (door.open ? 1 : 0)).join('') : '';
+        const key = [visited.size, fog ? fog.explored.size : 'all', collected, doors].join('|');
+        if (this.mapCache && this.mapCache.maze === maze && this.mapCache.key === key) {
+            return this.mapCache.cellSize;
+        }
+        
+        const ctx = this.offscreenCtx;
+        const cellSize = Math.max(1, Math.floor(Math.min(
+            this.offscreenCanvas.width / maze.width,
+            this.offscreenCanvas.height / maze.height
+        )));
+        const isKnown = (x, y) => !fog || fog.isExplored(x, y) || visited.has(`${x},${y}`);
+        
+        ctx.clearRect(0, 0, maze.width * cellSize, maze.height * cellSize);
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (!isKnown(x, y)) continue;
+                
+                if (maze.cells[y][x] === 0) {
+                    ctx.fillStyle = this.currentTheme.wall;
+                } else if (visited.has(`${x},${y}`)) {
+                    ctx.fillStyle = GAME_COLORS.MAP_VISITED;
+                } else {
+                    ctx.fillStyle = ColorUtils.withAlpha(this.currentTheme.path, 0.5);
+                }
+                ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+            }
+        }
+        
+        // Exit and objectives once known; collected ones stay as a dim marker
+        const exit = maze.getExitPosition ? maze.getExitPosition() : null;
+        if (exit && isKnown(exit.x, exit.y)) {
+            ctx.fillStyle = GAME_COLORS.EXIT;
+            ctx.fillRect(exit.x * cellSize, exit.y * cellSize, cellSize, cellSize);
+        }
+        const entityColors = {
+            virgilio: () => GAME_COLORS.VIRGILIO,
+            fragment: () => GAME_COLORS.FRAGMENT,
+            key: entity => GAME_COLORS.KEYS[entity.color],
+            hourglass: () => GAME_COLORS.HOURGLASS
+        };
+        for (const entity of maze.entities || []) {
+            if (!entityColors[entity.type] || !isKnown(entity.x, entity.y)) {
+                continue;
+            }
+            const color = entityColors[entity.type](entity);
+            ctx.fillStyle = entity.collected ? ColorUtils.withAlpha(color, 0.35) : color;
+            ctx.fillRect(entity.x * cellSize, entity.y * cellSize, cellSize, cellSize);
+        }
+        
+        // Closed doors and gates, so the locked parts of the maze stand out
+        if (maze.getDoorsByType) {
+            [...maze.getDoorsByType('door'), ...maze.getDoorsByType('gate')]
+                .filter(door => !door.open && isKnown(door.x, door.y))
+                .forEach(door => {
+                    ctx.fillStyle = door.type === 'door' ? GAME_COLORS.KEYS[door.color] : GAME_COLORS.GATE;
+                    ctx.fillRect(door.x * cellSize, door.y * cellSize, cellSize, cellSize);
+                });
+        }
+        
+        this.mapCache = { maze, key, cellSize };
+        return cellSize;
+    }
+
+    /**
+     * Copy the cached map onto the canvas and mark Dante on it
+     * @param {Maze} maze - Current maze
+     * @param {Player} player - Player
+     * @param {number} cellSize - Pixels per cell on the offscreen canvas
+     * @param {Object} bounds - Destination {x, y, scale} where scale is screen pixels per cell
+     */
+    blitMap(maze, player, cellSize, bounds) {
+        const width = maze.width * bounds.scale;
+        const height = maze.height * bounds.scale;
+        
+        this.ctx.fillStyle = ColorUtils.withAlpha(GAME_COLORS.UI_BACKGROUND, 0.85);
+        this.ctx.fillRect(bounds.x - 2, bounds.y - 2, width + 4, height + 4);
+        this.ctx.drawImage(
+            this.offscreenCanvas,
+            0, 0, maze.width * cellSize, maze.height * cellSize,
+            bounds.x, bounds.y, width, height
+        );
+        this.ctx.strokeStyle = GAME_COLORS.UI_TEXT;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(bounds.x - 1.5, bounds.y - 1.5, width + 3, height + 3);
+        
+        const position = player && player.getPosition ? player.getPosition() : null;
+        if (position) {
+            const size = Math.max(3, bounds.scale);
+            this.ctx.fillStyle = GAME_COLORS.PLAYER;
+            this.ctx.fillRect(
+                Math.round(bounds.x + (position.x + 0.5) * bounds.scale - size / 2),
+                Math.round(bounds.y + (position.y + 0.5) * bounds.scale - size / 2),
+                size,
+                size
+            );
+        }
+        
+        this.drawCalls++;
+    }
+
+    /**
+     * Draw the minimap in the top-right corner of the canvas
+     * @param {Maze} maze - Current maze
+     * @param {Player} player - Player
+     */
+    drawMinimap(maze, player) {
+        const cellSize = this.updateMapCache(maze, player);
+        if (cellSize === null) return;
+        
+        const scale = MINIMAP_SIZE / Math.max(maze.width, maze.height);
+        this.blitMap(maze, player, cellSize, {
+            x: this.canvas.width - maze.width * scale - MINIMAP_MARGIN,
+            y: MINIMAP_MARGIN,
+            scale
+        });
+    }
+
+    /**
+     * Draw the full map over a darkened scene
+     * @param {Maze} maze - Current maze
+     * @param {Player} player - Player
+     */
+    drawMapOverlay(maze, player) {
+        const cellSize = this.updateMapCache(maze, player);
+        if (cellSize === null) return;
+        
+        this.ctx.fillStyle = ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.8);
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const scale = Math.min(
+            (this.canvas.width * 0.9) / maze.width,
+            (this.canvas.height * 0.8) / maze.height
+        );
+        this.blitMap(maze, player, cellSize, {
+            x: (this.canvas.width - maze.width * scale) / 2,
+            y: (this.canvas.height - maze.height * scale) / 2,
+            scale
+        });
+        
+        this.drawUIText('MAPA', this.canvas.width / 2, this.canvas.height * 0.05, GAME_COLORS.UI_TEXT, 20, 'monospace', 'center');
+        this.drawUIText('Pulsa M para volver', this.canvas.width / 2, this.canvas.height * 0.95, GAME_COLORS.UI_TEXT, 14, 'monospace', 'center');
+    }
+
     /**
      * Set game state reference for dynamic lighting
      */
@@ -353,6 +591,20 @@ export class Renderer {
         this.addTransitionEffect(fromX, fromY, toX, toY, duration, effectType);
     }
 
+    /**
+     * Animate a jump through a portal: a trail between the two ends and sparks bursting at both
+     * @param {number} fromX - Grid X of the portal stepped onto
+     * @param {number} fromY - Grid Y of the portal stepped onto
+     * @param {number} toX - Grid X of the other end
+     * @param {number} toY - Grid Y of the other end
+     * @param {number} duration - Effect duration in milliseconds
+     */
+    triggerPortalJump(fromX, fromY, toX, toY, duration = 600) {
+        this.addTransitionEffect(fromX, fromY, toX, toY, duration, 'trail');
+        this.addTransitionEffect(fromX, fromY, fromX, fromY, duration / 2, 'spark');
+        this.addTransitionEffect(toX, toY, toX, toY, duration, 'spark');
+    }
+
     /**
      * Clear all visual effects
      */
@@ -1011,10 +1263,8 @@ export class Renderer {
         // Draw path background first
         this.drawGridCell(Math.floor(position.x), Math.floor(position.y), this.currentTheme.path);
         
-        // Apply shadow effects from surrounding walls
-        if (maze) {
-            this.applyShadowEffects(maze, position);
-        }
+        // Work out what Dante can see and shade what the walls hide
+        this.applyShadowEffects(maze, position);
         
         // Apply dynamic lighting around player
         const lightingIntensity = this.calculateLightingIntensity(player);
@@ -1233,7 +1483,8 @@ export class Renderer {
             
             // Add highlight if near player
             if (this.isNearPlayer(entity.x, entity.y)) {
-                const highlightType = entity.type === 'virgilio' ? 'objective' : 'interactive';
+                const highlightType = entity.type === 'virgilio' ? 'objective'
+                    : (entity.type === 'hazard' ? 'danger' : 'interactive');
                 this.addHighlightEffect(elementId, entity.x, entity.y, highlightType);
             }
             
@@ -1250,6 +1501,18 @@ export class Renderer {
                     this.spriteRenderer.drawSprite('fragment', entity.x, entity.y);
                     this.drawEnhancedObjectiveGlow(entity.x, entity.y, GAME_COLORS.FRAGMENT, 'fragment');
                     break;
+                case 'hazard':
+                    this.drawHazard(entity);
+                    break;
+                case 'key':
+                    this.drawKey(entity);
+                    break;
+                case 'switch':
+                    this.drawSwitch(entity, maze);
+                    break;
+                case 'hourglass':
+                    this.drawHourglass(entity);
+                    break;
                 default:
                     // Fallback: draw colored square
                     this.drawGridCell(entity.x, entity.y, entity.color);
@@ -1360,6 +1623,18 @@ export class Renderer {
                     this.spriteRenderer.drawSprite('fragment', entity.x, entity.y);
                     this.drawObjectiveGlow(entity.x, entity.y, GAME_COLORS.FRAGMENT);
                     break;
+                case 'hazard':
+                    this.drawHazard(entity);
+                    break;
+                case 'key':
+                    this.drawKey(entity);
+                    break;
+                case 'switch':
+                    this.drawSwitch(entity, maze);
+                    break;
+                case 'hourglass':
+                    this.drawHourglass(entity);
+                    break;
                 default:
                     // Fallback: draw colored square
                     this.drawGridCell(entity.x, entity.y, entity.color);
@@ -1368,6 +1643,284 @@ export class Renderer {
         });
     }
 
+    /**
+     * Draw a key: a ring and a toothed shaft in the color of the doors it opens
+     * @param {Object} entity - Key render data { x, y, keyColor }
+     */
+    drawKey(entity) {
+        const color = GAME_COLORS.KEYS[entity.keyColor] || entity.color;
+        this.drawCircle(entity.x - 0.2, entity.y, 0.15, color, false);
+        this.drawRect(entity.x + 0.4, entity.y + 0.45, 0.4, 0.1, color);
+        this.drawRect(entity.x + 0.65, entity.y + 0.55, 0.08, 0.15, color);
+        this.drawRect(entity.x + 0.5, entity.y + 0.55, 0.08, 0.1, color);
+        this.drawObjectiveGlow(entity.x, entity.y, color);
+    }
+
+    /**
+     * Draw an hourglass time pickup: two sand bulbs between wooden caps, the sand trickling down
+     * @param {Object} entity - Hourglass render data { x, y }
+     */
+    drawHourglass(entity) {
+        const sand = (Math.sin(this.animationTime * 0.003) + 1) / 2;
+        this.drawRect(entity.x + 0.25, entity.y + 0.15, 0.5, 0.08, GAME_COLORS.WALL_BORDER);
+        this.drawRect(entity.x + 0.25, entity.y + 0.77, 0.5, 0.08, GAME_COLORS.WALL_BORDER);
+        this.drawLine(entity.x + 0.32, entity.y + 0.23, entity.x + 0.68, entity.y + 0.77, GAME_COLORS.HOURGLASS, 2);
+        this.drawLine(entity.x + 0.68, entity.y + 0.23, entity.x + 0.32, entity.y + 0.77, GAME_COLORS.HOURGLASS, 2);
+        this.drawRect(entity.x + 0.4, entity.y + 0.25, 0.2, 0.15 * (1 - sand), GAME_COLORS.HOURGLASS);
+        this.drawRect(entity.x + 0.4, entity.y + 0.75 - 0.15 * sand, 0.2, 0.15 * sand, GAME_COLORS.HOURGLASS);
+        this.drawObjectiveGlow(entity.x, entity.y, GAME_COLORS.HOURGLASS);
+    }
+
+    /**
+     * Draw a pressure switch; the plate sinks and lights up while its gates are open
+     * @param {Object} entity - Switch render data { x, y, id }
+     * @param {Maze} maze - Maze holding the switch's gates
+     */
+    drawSwitch(entity, maze) {
+        const active = maze.getDoorsByType
+            ? maze.getDoorsByType('gate').some(gate => gate.switchId === entity.id && gate.open)
+            : false;
+        const inset = active ? 0.25 : 0.15;
+        this.drawRect(entity.x + inset, entity.y + inset, 1 - inset * 2, 1 - inset * 2,
+            active ? GAME_COLORS.STATUS_COMPLETE : GAME_COLORS.SWITCH);
+        this.drawRect(entity.x + inset, entity.y + inset, 1 - inset * 2, 1 - inset * 2, GAME_COLORS.WALL_BORDER, false);
+    }
+
+    /**
+     * Draw doors and gates: closed ones block the cell, open ones leave only their frame
+     * @param {Maze} maze - Maze with doors
+     */
+    drawDoors(maze) {
+        maze.getDoorsByType('door').forEach(door => {
+            const color = GAME_COLORS.KEYS[door.color];
+            if (door.open) {
+                this.drawRect(door.x + 0.05, door.y + 0.05, 0.9, 0.9, ColorUtils.withAlpha(color, 0.4), false);
+                return;
+            }
+            this.drawGridCell(door.x, door.y, color, GAME_COLORS.WALL_BORDER);
+            // Keyhole
+            this.drawCircle(door.x, door.y - 0.08, 0.1, GAME_COLORS.SHADOW);
+            this.drawRect(door.x + 0.45, door.y + 0.42, 0.1, 0.22, GAME_COLORS.SHADOW);
+        });
+
+        maze.getDoorsByType('gate').forEach(gate => {
+            if (gate.open) {
+                this.drawRect(gate.x + 0.1, gate.y + 0.45, 0.8, 0.1, ColorUtils.withAlpha(GAME_COLORS.GATE, 0.5));
+                return;
+            }
+            // Iron bars across the corridor
+            for (let i = 1; i <= 3; i++) {
+                this.drawRect(gate.x + i * 0.25 - 0.05, gate.y + 0.05, 0.1, 0.9, GAME_COLORS.GATE);
+            }
+            this.drawRect(gate.x + 0.05, gate.y + 0.45, 0.9, 0.1, GAME_COLORS.GATE);
+        });
+    }
+
+    /**
+     * Draw boulders as round stones with a lit top edge
+     * @param {Maze} maze - Maze with boulders
+     */
+    drawBoulders(maze) {
+        maze.getBoulders().forEach(boulder => {
+            this.drawCircle(boulder.x, boulder.y, 0.42, GAME_COLORS.BOULDER);
+            this.drawCircle(boulder.x, boulder.y, 0.42, GAME_COLORS.WALL_BORDER, false);
+            this.drawCircle(boulder.x - 0.12, boulder.y - 0.14, 0.12, ColorUtils.withAlpha('#FFFFFF', 0.25));
+        });
+    }
+
+    /**
+     * Draw a hazard (fire pit or lost soul) with a warning glow
+     */
+    drawHazard(entity) {
+        const spriteName = this.spriteRenderer.hasSprite(entity.kind) ? entity.kind : null;
+        if (!spriteName) {
+            this.drawGridCell(entity.x, entity.y, entity.color);
+            return;
+        }
+
+        this.spriteRenderer.drawSprite(spriteName, entity.x, entity.y);
+        const glowColor = entity.kind === 'lost_soul' ? GAME_COLORS.LOST_SOUL : GAME_COLORS.FIRE_PIT;
+        this.drawObjectiveGlow(entity.x, entity.y, glowColor);
+    }
+
+    /**
+     * Draw ice tiles with a glint that sweeps across the frozen floor
+     * @param {Maze} maze - Maze with ice tiles
+     */
+    drawIce(maze) {
+        const time = this.animationTime * 0.001;
+
+        maze.getTilesByType('ice').forEach(tile => {
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.ICE, 0.45));
+
+            // Diagonal glint, offset per tile so the floor does not flash all at once
+            const alpha = 0.2 + 0.3 * Math.max(0, Math.sin(time * 2 + tile.x * 0.7 + tile.y * 0.3));
+            this.drawLine(tile.x + 0.2, tile.y + 0.8, tile.x + 0.6, tile.y + 0.4, ColorUtils.withAlpha('#FFFFFF', alpha), 2);
+        });
+    }
+
+    /**
+     * Draw slow terrain: mud with dark puddles, sleet with slanted streaks falling across the cell
+     * @param {Maze} maze - Maze with mud and sleet tiles
+     */
+    drawSlowTerrain(maze) {
+        maze.getTilesByType('mud').forEach(tile => {
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.MUD, 0.6));
+            this.drawCircle(tile.x - 0.2, tile.y - 0.15, 0.12, ColorUtils.withAlpha(GAME_COLORS.MUD, 0.9));
+            this.drawCircle(tile.x + 0.15, tile.y + 0.2, 0.1, ColorUtils.withAlpha(GAME_COLORS.MUD, 0.9));
+        });
+
+        const fall = (this.animationTime * 0.0015) % 1;
+        maze.getTilesByType('sleet').forEach(tile => {
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.SLEET, 0.35));
+
+            // Two streaks per tile, half a cell apart, sliding down and wrapping at the bottom edge
+            for (let i = 0; i < 2; i++) {
+                const y = tile.y + 0.1 + ((fall + i * 0.5) % 1) * 0.6;
+                const x = tile.x + 0.25 + i * 0.4;
+                this.drawLine(x, y, x - 0.1, y + 0.25, ColorUtils.withAlpha('#FFFFFF', 0.6), 1);
+            }
+        });
+    }
+
+    /**
+     * Draw burning tombs as stone slabs; a tomb about to ignite flickers, a burning one blazes
+     * @param {Maze} maze - Maze with tomb tiles
+     */
+    drawTombs(maze) {
+        const fireTheme = { primary: GAME_COLORS.TOMB_FIRE };
+
+        maze.getTilesByType('tomb').forEach(tile => {
+            const state = this.tombStates.get(`${tile.x},${tile.y}`) || { burning: false, warning: 0 };
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.TOMB, 0.8));
+            this.drawLine(tile.x + 0.2, tile.y + 0.5, tile.x + 0.8, tile.y + 0.5, GAME_COLORS.WALL_BORDER, 2);
+
+            const screenPos = this.worldToScreen(tile.x + 0.5, tile.y + 0.5);
+            if (state.burning) {
+                this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.TOMB_FIRE, 0.6));
+                this.renderFlickeringLight(screenPos, this.gridSize, 1, fireTheme, this.tombClock);
+            } else if (state.warning > 0) {
+                this.renderFlickeringLight(screenPos, this.gridSize * 0.6, state.warning, fireTheme, this.tombClock);
+            }
+        });
+    }
+
+    /**
+     * Draw teleport portals as swirling rings, numbered by pair so the two ends can be matched up
+     * @param {Maze} maze - Maze with portal tiles
+     */
+    drawPortals(maze) {
+        const time = this.animationTime * 0.001;
+
+        maze.getTilesByType('portal').forEach(tile => {
+            const pulse = (Math.sin(time * 3 + tile.pair) + 1) / 2;
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.PORTAL, 0.25 + 0.2 * pulse));
+            this.drawCircle(tile.x, tile.y, 0.3 + 0.05 * pulse, GAME_COLORS.PORTAL, false);
+            this.drawCircle(tile.x, tile.y, 0.15, ColorUtils.withAlpha(GAME_COLORS.PORTAL, 0.6 + 0.4 * pulse));
+
+            // A spark circling the rim
+            const angle = time * 4 + tile.pair;
+            this.drawCircle(tile.x + Math.cos(angle) * 0.3, tile.y + Math.sin(angle) * 0.3, 0.06, GAME_COLORS.LIGHT_GOLD);
+            this.drawText(String(tile.pair), tile.x + 0.4, tile.y + 0.65, GAME_COLORS.UI_TEXT, 10);
+        });
+    }
+
+    /**
+     * Draw the stairs and bridges to other floors; steps narrow the way they lead
+     * @param {Maze} maze - Floor with stairs and bridge tiles
+     */
+    drawFloorLinks(maze) {
+        maze.getTilesByType('stairs').forEach(tile => {
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.STAIRS, 0.7));
+            for (let i = 0; i < 3; i++) {
+                const inset = 0.1 + (tile.direction === 'down' ? i : 2 - i) * 0.1;
+                const y = tile.y + 0.25 + i * 0.25;
+                this.drawLine(tile.x + inset, y, tile.x + 1 - inset, y, GAME_COLORS.WALL_BORDER, 2);
+            }
+        });
+
+        maze.getTilesByType('bridge').forEach(tile => {
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.BRIDGE, 0.7));
+            this.drawLine(tile.x + 0.1, tile.y + 0.2, tile.x + 0.1, tile.y + 0.8, GAME_COLORS.WALL_BORDER, 2);
+            this.drawLine(tile.x + 0.9, tile.y + 0.2, tile.x + 0.9, tile.y + 0.8, GAME_COLORS.WALL_BORDER, 2);
+            const arrowY = tile.direction === 'down' ? tile.y + 0.7 : tile.y + 0.3;
+            this.drawLine(tile.x + 0.5, tile.y + 0.5, tile.x + 0.5, arrowY, GAME_COLORS.UI_TEXT, 2);
+        });
+    }
+
+    /**
+     * Draw wind currents as streaks drifting with the wind; they thicken as the next gust builds
+     * @param {Maze} maze - Maze with wind tiles
+     */
+    drawWindCurrents(maze) {
+        const drift = (this.animationTime * 0.001) % 1;
+        const alpha = 0.2 + 0.5 * this.windGustProgress;
+
+        maze.getTilesByType('wind').forEach(tile => {
+            const [dx, dy] = WIND_VECTORS[tile.direction];
+            this.drawGridCell(tile.x, tile.y, ColorUtils.withAlpha(GAME_COLORS.WIND, 0.15));
+
+            // Three streaks per tile, staggered across the cell and scrolling toward the far edge
+            for (let i = 0; i < 3; i++) {
+                const along = ((drift + i / 3) % 1) - 0.5;
+                const across = (i - 1) * 0.25;
+                const x = tile.x + 0.5 + dx * along + dy * across;
+                const y = tile.y + 0.5 + dy * along + dx * across;
+                this.drawLine(x - dx * 0.2, y - dy * 0.2, x + dx * 0.2, y + dy * 0.2,
+                    ColorUtils.withAlpha(GAME_COLORS.WIND, alpha), 2);
+            }
+        });
+    }
+
+    /**
+     * Draw streaks trailing Dante while a gust carries him
+     * @param {Object} position - Player position {x, y}
+     */
+    drawWindDrift(position) {
+        const [dx, dy] = WIND_VECTORS[this.windPushDirection];
+
+        for (let i = -1; i <= 1; i++) {
+            const x = position.x + 0.5 - dx * 0.6 + dy * i * 0.3;
+            const y = position.y + 0.5 - dy * 0.6 + dx * i * 0.3;
+            this.drawLine(x, y, x - dx * 0.5, y - dy * 0.5, ColorUtils.withAlpha(GAME_COLORS.WIND, 0.6), 2);
+        }
+    }
+
+    /**
+     * Draw wandering enemies at their interpolated positions; chasing souls glow red
+     * @param {Array} enemies - Enemy instances
+     */
+    drawEnemies(enemies) {
+        enemies.forEach(enemy => {
+            const pos = enemy.getRenderPosition();
+            if (enemy.isChasing()) {
+                this.drawObjectiveGlow(pos.x, pos.y, GAME_COLORS.STATUS_BLOCKED);
+            }
+            this.spriteRenderer.drawSprite('damned_soul', pos.x, pos.y);
+        });
+    }
+
+    /**
+     * Draw the player's health as pixel hearts in the top-left corner
+     * @param {number} health - Current health
+     * @param {number} maxHealth - Maximum health
+     */
+    drawHealth(health, maxHealth) {
+        const size = 12;
+        const spacing = 4;
+
+        for (let i = 0; i < maxHealth; i++) {
+            const x = 10 + i * (size + spacing);
+            const y = 10;
+            this.ctx.fillStyle = i < health ? GAME_COLORS.STATUS_BLOCKED : ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.8);
+            // Two lobes and a point make a pixel heart
+            this.ctx.fillRect(x, y + 2, size / 2, size / 2);
+            this.ctx.fillRect(x + size / 2, y + 2, size / 2, size / 2);
+            this.ctx.fillRect(x + 2, y + size / 2 + 2, size - 4, size / 3);
+            this.ctx.fillRect(x + size / 2 - 2, y + size - 1, 4, 2);
+        }
+    }
+
     /**
      * Draw glow effect around objectives
      */
@@ -1399,11 +1952,14 @@ export class Renderer {
         if (!position) return;
         
         const screenPos = this.worldToScreen(position.x + 0.5, position.y + 0.5);
-        const baseRadius = this.gridSize * 4;
+        const baseRadius = this.gridSize * this.lightRadius;
         
         // Get theme-specific lighting colors
         const theme = lightingTheme || this.getLightingTheme();
         
+        // Keep the light from shining through walls
+        const clipped = this.clipToVisibility();
+        
         // Create atmospheric lighting with multiple layers
         this.renderAtmosphericLighting(screenPos, baseRadius, intensity, theme);
         
@@ -1412,6 +1968,41 @@ export class Renderer {
         
         // Add subtle pulsing effect
         this.renderPulsingLight(screenPos, baseRadius * 0.5, intensity, theme);
+        
+        if (clipped) {
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Trace the visibility polygon as the current canvas path
+     */
+    traceVisibilityPolygon() {
+        this.ctx.beginPath();
+        this.visibilityPolygon.forEach((point, index) => {
+            const screenPoint = this.worldToScreen(point.x, point.y);
+            if (index === 0) {
+                this.ctx.moveTo(screenPoint.x, screenPoint.y);
+            } else {
+                this.ctx.lineTo(screenPoint.x, screenPoint.y);
+            }
+        });
+        this.ctx.closePath();
+    }
+
+    /**
+     * Restrict drawing to the area Dante can see; the caller restores the context
+     * @returns {boolean} - True if a clip was applied (and ctx.restore() is needed)
+     */
+    clipToVisibility() {
+        if (!this.visibilityPolygon || this.visibilityPolygon.length < 3 || !this.ctx.clip) {
+            return false;
+        }
+        
+        this.ctx.save();
+        this.traceVisibilityPolygon();
+        this.ctx.clip();
+        return true;
     }
 
     /**
@@ -1479,7 +2070,7 @@ export class Renderer {
     }
 
     /**
-     * Render atmospheric lighting layers
+     * Render atmospheric lighting layers (applyLighting clips them to the visibility polygon)
      */
     renderAtmosphericLighting(screenPos, baseRadius, intensity, theme) {
         const layers = [
@@ -1532,10 +2123,15 @@ export class Renderer {
 
     /**
      * Render flickering light effect
+     * @param {Object} screenPos - Light center in screen pixels {x, y}
+     * @param {number} radius - Light radius in pixels
+     * @param {number} intensity - Light strength (0-1)
+     * @param {Object} theme - Lighting theme; only `primary` is used
+     * @param {number} clock - Time in milliseconds driving the flicker (game clocks pass their own)
      */
-    renderFlickeringLight(screenPos, radius, intensity, theme) {
+    renderFlickeringLight(screenPos, radius, intensity, theme, clock = Date.now()) {
         // Create subtle flickering using time-based variation
-        const time = Date.now() * 0.01;
+        const time = clock * 0.01;
         const flicker = 0.8 + 0.2 * Math.sin(time * 2.3) * Math.sin(time * 1.7);
         const flickerIntensity = intensity * flicker;
         
@@ -1601,6 +2197,7 @@ export class Renderer {
         const offset = directionOffsets[direction] || { x: 0, y: 0 };
         const lightX = screenPos.x + offset.x * this.gridSize;
         const lightY = screenPos.y + offset.y * this.gridSize;
+        const clipped = this.clipToVisibility();
         
         // Create directional gradient
         const gradient = this.ctx.createRadialGradient(
@@ -1618,80 +2215,50 @@ export class Renderer {
             this.gridSize * 4 * intensity,
             this.gridSize * 4 * intensity
         );
+        
+        if (clipped) {
+            this.ctx.restore();
+        }
     }
 
     /**
-     * Apply shadow effects around walls and obstacles
+     * Compute the area Dante's light reaches and shade everything the walls hide
+     * @param {Maze|null} maze - Current maze
+     * @param {Object} playerPosition - Player position in grid units {x, y}
      */
     applyShadowEffects(maze, playerPosition) {
-        if (!maze || !playerPosition) return;
+        this.visibilityPolygon = null;
+        if (!maze || !maze.isWalkable || !playerPosition) return;
         
-        const shadowColor = ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.4);
-        const lightRadius = 4; // Grid units
+        // Light comes from the centre of Dante's (possibly moving) sprite and lands on wall faces
+        const origin = { x: playerPosition.x + 0.5, y: playerPosition.y + 0.5 };
+        this.visibilityPolygon = computeVisibilityPolygon(maze, origin, this.lightRadius, true);
         
-        // Check surrounding area for walls to cast shadows
-        for (let dy = -lightRadius; dy <= lightRadius; dy++) {
-            for (let dx = -lightRadius; dx <= lightRadius; dx++) {
-                const checkX = Math.floor(playerPosition.x) + dx;
-                const checkY = Math.floor(playerPosition.y) + dy;
-                
-                // Skip if out of bounds
-                if (checkX < 0 || checkY < 0 || checkX >= maze.width || checkY >= maze.height) {
-                    continue;
-                }
-                
-                // Check if this position is a wall
-                if (maze.cells && maze.cells[checkY] && maze.cells[checkY][checkX] === 0) {
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    // Only cast shadows for walls within light radius
-                    if (distance <= lightRadius) {
-                        this.renderWallShadow(checkX, checkY, playerPosition, distance, lightRadius);
-                    }
-                }
-            }
-        }
+        this.renderWallShadow(origin, this.lightRadius);
     }
 
     /**
-     * Render shadow cast by a wall
+     * Darken everything outside the visibility polygon: behind walls and beyond the light
+     * Shadows deepen with distance from Dante, so the edge of his light fades instead of cutting off
+     * @param {Object} origin - Light position in grid units {x, y}
+     * @param {number} maxDistance - Light radius in grid units
      */
-    renderWallShadow(wallX, wallY, playerPos, distance, maxDistance) {
-        const screenPos = this.worldToScreen(wallX, wallY);
-        const playerScreenPos = this.worldToScreen(playerPos.x + 0.5, playerPos.y + 0.5);
-        
-        // Calculate shadow direction (away from player)
-        const dx = screenPos.x - playerScreenPos.x;
-        const dy = screenPos.y - playerScreenPos.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
+    renderWallShadow(origin, maxDistance) {
+        if (!this.visibilityPolygon || this.visibilityPolygon.length < 3) return;
         
-        if (length === 0) return;
-        
-        const normalizedDx = dx / length;
-        const normalizedDy = dy / length;
-        
-        // Shadow intensity based on distance
-        const intensity = Math.max(0, 1 - distance / maxDistance);
-        const shadowLength = this.gridSize * 2 * intensity;
-        
-        // Create shadow gradient
-        const gradient = this.ctx.createLinearGradient(
-            screenPos.x, screenPos.y,
-            screenPos.x + normalizedDx * shadowLength,
-            screenPos.y + normalizedDy * shadowLength
+        const screenPos = this.worldToScreen(origin.x, origin.y);
+        const gradient = this.ctx.createRadialGradient(
+            screenPos.x, screenPos.y, 0,
+            screenPos.x, screenPos.y, this.gridSize * maxDistance
         );
-        gradient.addColorStop(0, ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.3 * intensity));
-        gradient.addColorStop(1, ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0));
+        gradient.addColorStop(0, ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.5));
+        gradient.addColorStop(1, ColorUtils.withAlpha(GAME_COLORS.SHADOW, 0.75));
         
+        // The viewport with the visibility polygon cut out of it
+        this.traceVisibilityPolygon();
+        this.ctx.rect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.fillStyle = gradient;
-        
-        // Draw shadow rectangle
-        this.ctx.fillRect(
-            screenPos.x,
-            screenPos.y,
-            normalizedDx * shadowLength,
-            normalizedDy * shadowLength
-        );
+        this.ctx.fill('evenodd');
     }
 
     /**
@@ -1743,7 +2310,7 @@ export class Renderer {
     /**
      * Render complete game scene with dynamic lighting and visual effects
      */
-    renderGameScene(gameState, player, maze, objectives, deltaTime = 16.67) {
+    renderGameScene(gameState, player, maze, objectives, deltaTime = 16.67, enemies = []) {
         // Begin frame rendering
         this.beginFrame();
         
@@ -1764,6 +2331,26 @@ export class Renderer {
             this.drawMaze(maze);
         }
         
+        // Render floor tiles: ice, slow terrain, tombs, portals and the ways to other floors, then wind currents over them
+        if (maze && maze.getTilesByType) {
+            this.drawIce(maze);
+            this.drawSlowTerrain(maze);
+            this.drawTombs(maze);
+            this.drawPortals(maze);
+            this.drawFloorLinks(maze);
+            this.drawWindCurrents(maze);
+        }
+        
+        // Render doors and gates
+        if (maze && maze.getDoorsByType) {
+            this.drawDoors(maze);
+        }
+        
+        // Render boulders
+        if (maze && maze.getBoulders) {
+            this.drawBoulders(maze);
+        }
+        
         // Render objectives and entities with highlights
         if (objectives) {
             this.drawObjectivesWithHighlights(objectives);
@@ -1774,6 +2361,23 @@ export class Renderer {
             this.drawMazeEntitiesWithHighlights(maze);
         }
         
+        // Hide what Dante has not seen; remembered cells stay dimmed
+        if (maze && this.fogOfWar) {
+            this.drawFogOfWar(maze);
+        }
+        
+        // Render wandering enemies (only those in sight when the fog is on)
+        if (enemies && enemies.length > 0) {
+            this.drawEnemies(this.fogOfWar
+                ? enemies.filter(enemy => this.fogOfWar.isVisible(enemy.x, enemy.y))
+                : enemies);
+        }
+        
+        // Render the drift behind Dante while the wind carries him
+        if (player && player.getPosition && this.windPushDirection) {
+            this.drawWindDrift(player.getPosition());
+        }
+        
         // Render player with dynamic lighting (this should be last for proper lighting layering)
         if (player) {
             this.drawPlayer(player, maze);
@@ -1782,6 +2386,21 @@ export class Renderer {
         // Render all visual effects on top
         this.renderEffects();
         
+        // Health overlay
+        if (player && player.getHealth) {
+            const { health, maxHealth } = player.getHealth();
+            this.drawHealth(health, maxHealth);
+        }
+        
+        // Map: the corner minimap, or the full map while the overlay is open
+        if (maze && maze.cells) {
+            if (this.mapOverlayVisible) {
+                this.drawMapOverlay(maze, player);
+            } else {
+                this.drawMinimap(maze, player);
+            }
+        }
+        
         // End frame rendering
         this.endFrame();
     }
@@ -2076,6 +2695,7 @@ export class Renderer {
 
         this.offscreenCanvas.width = this.canvas.width;
         this.offscreenCanvas.height = this.canvas.height;
+        this.mapCache = null; // Resizing wipes the cached map
         
         // Reconfigure pixel art rendering
         if (this.offscreenCtx) {
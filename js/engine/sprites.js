@@ -130,6 +130,72 @@ export class SpriteRenderer {
                     '#90EE90',               // 2: light green
                     '#228B22'                // 3: forest green (center)
                 ]
+            },
+
+            // Fire pit hazard - 8x8 pixel art
+            fire_pit: {
+                width: 8,
+                height: 8,
+                pixels: [
+                    [0, 0, 0, 3, 0, 0, 0, 0],
+                    [0, 0, 3, 2, 0, 3, 0, 0],
+                    [0, 3, 2, 2, 3, 2, 0, 0],
+                    [0, 2, 2, 1, 2, 2, 3, 0],
+                    [0, 2, 1, 1, 1, 2, 2, 0],
+                    [4, 1, 1, 1, 1, 1, 1, 4],
+                    [4, 4, 4, 4, 4, 4, 4, 4],
+                    [0, 4, 4, 4, 4, 4, 4, 0]
+                ],
+                colors: [
+                    null,                    // 0: transparent
+                    '#FFD700',               // 1: gold (flame core)
+                    GAME_COLORS.FIRE_PIT,    // 2: orange red (flames)
+                    '#8B0000',               // 3: dark red (flame tips)
+                    '#2F2F2F'                // 4: charcoal (pit rim)
+                ]
+            },
+
+            // Lost soul hazard - 8x8 pixel art
+            lost_soul: {
+                width: 8,
+                height: 8,
+                pixels: [
+                    [0, 0, 1, 1, 1, 1, 0, 0],
+                    [0, 1, 1, 1, 1, 1, 1, 0],
+                    [1, 1, 2, 1, 1, 2, 1, 1],
+                    [1, 1, 2, 1, 1, 2, 1, 1],
+                    [1, 1, 1, 2, 2, 1, 1, 1],
+                    [1, 1, 1, 1, 1, 1, 1, 1],
+                    [1, 0, 1, 1, 1, 1, 0, 1],
+                    [0, 0, 1, 0, 0, 1, 0, 0]
+                ],
+                colors: [
+                    null,                    // 0: transparent
+                    GAME_COLORS.LOST_SOUL,   // 1: pale blue (body)
+                    '#1C1C3C'                // 2: dark (eyes and mouth)
+                ]
+            },
+
+            // Wandering damned soul enemy - 8x8 pixel art
+            damned_soul: {
+                width: 8,
+                height: 8,
+                pixels: [
+                    [0, 0, 1, 1, 1, 0, 0, 0],
+                    [0, 1, 2, 1, 2, 1, 0, 0],
+                    [0, 1, 1, 3, 1, 1, 0, 0],
+                    [1, 1, 1, 1, 1, 1, 1, 0],
+                    [1, 0, 1, 1, 1, 1, 0, 1],
+                    [0, 0, 1, 1, 1, 1, 0, 0],
+                    [0, 1, 1, 0, 0, 1, 1, 0],
+                    [1, 1, 0, 0, 0, 0, 1, 1]
+                ],
+                colors: [
+                    null,                    // 0: transparent
+                    GAME_COLORS.DAMNED_SOUL, // 1: grey green (body)
+                    '#FF0000',               // 2: red (eyes)
+                    '#2F2F2F'                // 3: charcoal (mouth)
+                ]
             }
         };
     }
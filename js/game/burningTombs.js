@@ -0,0 +1,128 @@
+/**
+ * Burning Tombs
+ * The open tombs of the heretics: each one flares up for part of every period and burns anyone standing in it
+ */
+
+import { PlayerSettings, TombBalance } from '../data/gameBalance.js';
+
+/**
+ * Check that a tomb rhythm leaves enough time to cross a tomb between two flare-ups
+ * @param {Object} timing - Tomb rhythm { period, burnTime } in milliseconds
+ * @param {number} movementDuration - Milliseconds Dante needs for one step
+ * @returns {Object} - { isValid, errors }
+ */
+export function validateTombTiming({ period, burnTime }, movementDuration = PlayerSettings.MOVEMENT_DURATION) {
+    const errors = [];
+    if (!(period > 0)) {
+        errors.push(`Tomb period must be positive, got ${period}`);
+    } else if (!(burnTime > 0) || burnTime >= period) {
+        errors.push(`Tomb burn time must be between 0 and the period (${period} ms), got ${burnTime}`);
+    } else {
+        const crossingTime = movementDuration * TombBalance.CROSSING_STEPS;
+        if (period - burnTime < crossingTime) {
+            errors.push(`Tombs are only cold for ${period - burnTime} ms, crossing one takes ${crossingTime} ms`);
+        }
+    }
+
+    return { isValid: errors.length === 0, errors };
+}
+
+export class BurningTombs {
+    constructor() {
+        this.configure(null);
+    }
+
+    /**
+     * Set up the tomb rhythm for a circle
+     * A rhythm that leaves no time to cross is shortened to the longest burn that still does
+     * @param {Object|null} config - LevelData `tombs` ({ period, burnTime } in milliseconds), or null for the defaults
+     * @param {number} movementDuration - Milliseconds Dante needs for one step
+     */
+    configure(config, movementDuration = PlayerSettings.MOVEMENT_DURATION) {
+        this.period = config?.period ?? TombBalance.DEFAULT_PERIOD;
+        this.burnTime = config?.burnTime ?? TombBalance.DEFAULT_BURN_TIME;
+
+        const validation = validateTombTiming(this, movementDuration);
+        if (!validation.isValid) {
+            console.warn(`Invalid tomb timing: ${validation.errors.join('; ')}`);
+            if (!(this.period > 0)) {
+                this.period = TombBalance.DEFAULT_PERIOD;
+            }
+            this.burnTime = Math.max(0, Math.min(this.burnTime, this.period - movementDuration * TombBalance.CROSSING_STEPS));
+        }
+        this.reset();
+    }
+
+    /**
+     * Put every tomb back at the start of its rhythm
+     */
+    reset() {
+        this.clock = 0;
+    }
+
+    /**
+     * Advance the tombs by one fixed timestep and find the tomb burning Dante, if any
+     * Dante is only caught standing on a tomb; mid-step he is on his way in or out
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     * @param {Player} player - Player to check
+     * @param {Maze} maze - Current maze
+     * @returns {Object|null} - Burning tomb under Dante ({ type, phase, x, y, kind, damage }) or null
+     */
+    update(deltaTime, player, maze) {
+        this.clock = (this.clock + deltaTime) % this.period;
+
+        if (player.getIsMoving()) {
+            return null;
+        }
+        const pos = player.getGridPosition();
+        const tile = maze.getTile(pos.x, pos.y);
+        if (!tile || tile.type !== 'tomb' || !this.isBurning(tile)) {
+            return null;
+        }
+        return { ...tile, x: pos.x, y: pos.y, kind: 'burning_tomb', damage: TombBalance.DAMAGE };
+    }
+
+    /**
+     * Get how far a tomb is into its rhythm
+     * @param {Object} tile - Tomb tile { phase }
+     * @returns {number} - Milliseconds since the tomb last went cold
+     */
+    getCycleTime(tile) {
+        return (this.clock + (tile.phase || 0) * this.period) % this.period;
+    }
+
+    /**
+     * Check whether a tomb is burning right now
+     * @param {Object} tile - Tomb tile { phase }
+     * @returns {boolean} - True while the tomb is deadly
+     */
+    isBurning(tile) {
+        return this.getCycleTime(tile) >= this.period - this.burnTime;
+    }
+
+    /**
+     * How close a cold tomb is to igniting, for telegraphing it in the renderer
+     * @param {Object} tile - Tomb tile { phase }
+     * @returns {number} - 0 until the last TombBalance.WARNING_TIME before it ignites, then up to 1; 0 while burning
+     */
+    getWarning(tile) {
+        if (this.isBurning(tile)) {
+            return 0;
+        }
+        const untilIgnition = this.period - this.burnTime - this.getCycleTime(tile);
+        return Math.max(0, 1 - untilIgnition / TombBalance.WARNING_TIME);
+    }
+
+    /**
+     * Get the state of every tomb in the maze for the renderer
+     * @param {Maze} maze - Current maze
+     * @returns {Map} - Map of "x,y" keys to { burning, warning }
+     */
+    getTombStates(maze) {
+        const states = new Map();
+        maze.getTilesByType('tomb').forEach(tile => {
+            states.set(`${tile.x},${tile.y}`, { burning: this.isBurning(tile), warning: this.getWarning(tile) });
+        });
+        return states;
+    }
+}
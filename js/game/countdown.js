@@ -0,0 +1,136 @@
+/**
+ * Countdown
+ * Optional time limit for a circle: the level is lost when it runs out, hourglasses buy more time
+ */
+
+import { ProgressionSettings, TimerBalance } from '../data/gameBalance.js';
+
+export class Countdown {
+    constructor() {
+        this.configure(null);
+    }
+
+    /**
+     * Set up the countdown for a circle
+     * @param {Object|null} config - LevelData `timer` ({ limit } in milliseconds), or null for no time limit
+     */
+    configure(config) {
+        this.enabled = Boolean(config);
+        this.limit = this.enabled
+            ? Math.min(config.limit || ProgressionSettings.TIME_BONUS_THRESHOLD, ProgressionSettings.TIME_PENALTY_THRESHOLD)
+            : 0;
+        this.reset();
+    }
+
+    /**
+     * Start the countdown over from the full limit
+     */
+    reset() {
+        this.remaining = this.limit;
+        this.elapsed = 0;
+        this.paused = false;
+    }
+
+    /**
+     * Run the clock down
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     * @returns {boolean} - True on the update the time runs out
+     */
+    update(deltaTime) {
+        if (!this.enabled || this.paused || this.remaining <= 0) {
+            return false;
+        }
+
+        this.elapsed += deltaTime;
+        this.remaining = Math.max(0, this.remaining - deltaTime);
+        return this.remaining === 0;
+    }
+
+    /**
+     * Stop the clock (game paused)
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Start the clock again after a pause
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Add time from an hourglass
+     * @param {number} milliseconds - Time to add
+     */
+    addTime(milliseconds) {
+        if (this.enabled && this.remaining > 0) {
+            this.remaining += milliseconds;
+        }
+    }
+
+    /**
+     * Get the time left
+     * @returns {number|null} - Milliseconds left, or null when the circle has no time limit
+     */
+    getRemaining() {
+        return this.enabled ? this.remaining : null;
+    }
+
+    /**
+     * Check if the time has run out
+     * @returns {boolean} - True if the countdown is on and reached zero
+     */
+    isExpired() {
+        return this.enabled && this.remaining <= 0;
+    }
+
+    /**
+     * Rank the time spent against ProgressionSettings.SPEED_RUN_THRESHOLDS
+     * @returns {number|null} - 0 for the fastest tier, or null if slower than every threshold or untimed
+     */
+    getSpeedRunRank() {
+        if (!this.enabled) {
+            return null;
+        }
+        const rank = ProgressionSettings.SPEED_RUN_THRESHOLDS.findIndex(threshold => this.elapsed <= threshold);
+        return rank === -1 ? null : rank;
+    }
+
+    /**
+     * Check if the time left is low enough to warn the player
+     * @returns {boolean} - True below TimerBalance.WARNING_TIME
+     */
+    isRunningOut() {
+        return this.enabled && this.remaining < TimerBalance.WARNING_TIME;
+    }
+
+    /**
+     * Get serializable state for saving
+     * @returns {Object|null} - Countdown state, or null when the circle has no time limit
+     */
+    getSerializableState() {
+        if (!this.enabled) {
+            return null;
+        }
+        return {
+            limit: this.limit,
+            remaining: this.remaining,
+            elapsed: this.elapsed
+        };
+    }
+
+    /**
+     * Continue a saved countdown; the circle's own config must be applied first
+     * @param {Object|null} state - State from getSerializableState()
+     */
+    loadState(state) {
+        if (!this.enabled || !state) {
+            return;
+        }
+        this.remaining = Math.max(0, state.remaining ?? this.limit);
+        this.elapsed = state.elapsed || 0;
+        this.paused = false;
+    }
+}
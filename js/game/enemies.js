@@ -0,0 +1,255 @@
+/**
+ * Enemies
+ * Wandering damned souls that patrol corridors and chase Dante once they see him
+ */
+
+import { SeededRandom } from '../utils/random.js';
+import { EnemyBalance } from '../data/gameBalance.js';
+
+export const ENEMY_STATES = {
+    PATROL: 'patrol',
+    CHASE: 'chase'
+};
+
+export class Enemy {
+    /**
+     * @param {number} x - Spawn X coordinate
+     * @param {number} y - Spawn Y coordinate
+     * @param {number} speed - Movement speed in cells per second
+     * @param {SeededRandom} random - Random source for patrol decisions
+     */
+    constructor(x, y, speed = 1.5, random = new SeededRandom()) {
+        this.spawn = { x, y };
+        this.speed = speed;
+        this.damage = EnemyBalance.DAMAGE;
+        this.random = random;
+        this.reset();
+    }
+
+    /**
+     * Return to the spawn cell and resume patrolling
+     */
+    reset() {
+        this.x = this.spawn.x;
+        this.y = this.spawn.y;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.direction = { x: 0, y: 0 };
+        this.state = ENEMY_STATES.PATROL;
+        this.path = [];
+        this.stepTimer = 0;
+        this.terrainCost = 1; // Step cost of the cell last moved onto, as for Dante (see Maze.getMoveCost)
+    }
+
+    /**
+     * Advance the enemy on the fixed timestep
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     * @param {Maze} maze - Current maze
+     * @param {Object} playerPos - Player grid position {x, y}
+     */
+    update(deltaTime, maze, playerPos) {
+        this.stepTimer += deltaTime;
+
+        let interval = this.getStepInterval();
+        while (this.stepTimer >= interval) {
+            this.stepTimer -= interval;
+            this.step(maze, playerPos);
+            interval = this.getStepInterval();
+        }
+    }
+
+    /**
+     * Milliseconds between steps; chasing souls move faster, and mud and sleet slow them down
+     * as much as they slow Dante, so the cheapest route findPath picks is also the quickest
+     * @returns {number} - Step interval
+     */
+    getStepInterval() {
+        const multiplier = this.state === ENEMY_STATES.CHASE ? EnemyBalance.CHASE_SPEED_MULTIPLIER : 1;
+        return this.terrainCost * 1000 / (this.speed * multiplier);
+    }
+
+    /**
+     * Move one cell: toward Dante while chasing, along the corridor while patrolling
+     * @param {Maze} maze - Current maze
+     * @param {Object} playerPos - Player grid position {x, y}
+     */
+    step(maze, playerPos) {
+        if (playerPos && this.canSee(maze, playerPos)) {
+            this.state = ENEMY_STATES.CHASE;
+            this.path = maze.findPath({ x: this.x, y: this.y }, playerPos) || [];
+        } else if (this.state === ENEMY_STATES.CHASE && this.path.length === 0) {
+            // Reached the last place Dante was seen without finding him
+            this.state = ENEMY_STATES.PATROL;
+        }
+
+        const next = this.state === ENEMY_STATES.CHASE ? this.path.shift() : this.getPatrolStep(maze);
+        if (!next) {
+            return;
+        }
+        // The remembered way can close behind Dante (a pushed boulder, a lowered gate)
+        if (!maze.isWalkable(next.x, next.y)) {
+            this.path = [];
+            return;
+        }
+
+        // A jump through a portal has no cells in between to glide across, and keeps the soul heading the same way
+        const jumped = Math.abs(next.x - this.x) + Math.abs(next.y - this.y) > 1;
+        this.previousX = jumped ? next.x : this.x;
+        this.previousY = jumped ? next.y : this.y;
+        if (!jumped) {
+            this.direction = { x: next.x - this.x, y: next.y - this.y };
+        }
+        this.x = next.x;
+        this.y = next.y;
+        this.terrainCost = maze.getMoveCost(next.x, next.y);
+    }
+
+    /**
+     * Choose the next patrol cell: keep going down corridors, pick a random branch at junctions
+     * and only turn back at dead ends
+     * @param {Maze} maze - Current maze
+     * @returns {Object|null} - Next position {x, y}
+     */
+    getPatrolStep(maze) {
+        const neighbors = maze.getWalkableNeighbors(this.x, this.y);
+        if (neighbors.length === 0) {
+            return null;
+        }
+
+        const behind = { x: this.x - this.direction.x, y: this.y - this.direction.y };
+        const forward = neighbors.filter(cell => cell.x !== behind.x || cell.y !== behind.y);
+        return this.random.pick(forward.length > 0 ? forward : neighbors);
+    }
+
+    /**
+     * Check whether Dante is visible along a straight, unobstructed row or column
+     * @param {Maze} maze - Current maze
+     * @param {Object} target - Player grid position {x, y}
+     * @returns {boolean} - True if the enemy can see the target
+     */
+    canSee(maze, target) {
+        if (target.x !== this.x && target.y !== this.y) {
+            return false;
+        }
+
+        const distance = Math.abs(target.x - this.x) + Math.abs(target.y - this.y);
+        if (distance > EnemyBalance.SIGHT_RANGE) {
+            return false;
+        }
+
+        const stepX = Math.sign(target.x - this.x);
+        const stepY = Math.sign(target.y - this.y);
+        for (let i = 1; i < distance; i++) {
+            if (!maze.isWalkable(this.x + stepX * i, this.y + stepY * i)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the interpolated position for smooth rendering between steps
+     * @returns {Object} - Position {x, y}
+     */
+    getRenderPosition() {
+        const progress = Math.min(1, this.stepTimer / this.getStepInterval());
+        return {
+            x: this.previousX + (this.x - this.previousX) * progress,
+            y: this.previousY + (this.y - this.previousY) * progress
+        };
+    }
+
+    /**
+     * Check if the enemy is chasing Dante
+     * @returns {boolean} - True while chasing
+     */
+    isChasing() {
+        return this.state === ENEMY_STATES.CHASE;
+    }
+}
+
+export class EnemyManager {
+    constructor() {
+        this.enemies = [];
+    }
+
+    /**
+     * Spawn enemies for a maze, far from the start and spread apart
+     * The same maze seed always spawns the same enemies
+     * @param {Maze} maze - Maze to populate
+     * @param {Object} config - LevelData enemy config { count, speed }
+     * @returns {Array} - Spawned enemies
+     */
+    spawn(maze, config = { count: 0, speed: 1.5 }) {
+        this.enemies = [];
+        const random = new SeededRandom(`${maze.getSeed()}:enemies`);
+
+        const distances = maze.getDistancesFrom(maze.getStartPosition());
+        const candidates = random.shuffle(maze.getWalkablePositions().filter(pos =>
+            distances.get(`${pos.x},${pos.y}`) >= EnemyBalance.MIN_DISTANCE_FROM_START &&
+            maze.getCellType(pos.x, pos.y) === maze.PATH
+        ));
+
+        for (const pos of candidates) {
+            if (this.enemies.length >= config.count) {
+                break;
+            }
+
+            const spaced = this.enemies.every(enemy =>
+                Math.abs(enemy.x - pos.x) + Math.abs(enemy.y - pos.y) >= EnemyBalance.MIN_SPACING);
+            if (spaced) {
+                this.enemies.push(new Enemy(pos.x, pos.y, config.speed, random));
+            }
+        }
+
+        if (this.enemies.length < config.count) {
+            console.warn(`Only ${this.enemies.length} of ${config.count} enemies fit in the maze`);
+        }
+
+        return this.enemies;
+    }
+
+    /**
+     * Update every enemy
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     * @param {Maze} maze - Current maze
+     * @param {Object} playerPos - Player grid position {x, y}
+     */
+    update(deltaTime, maze, playerPos) {
+        this.enemies.forEach(enemy => enemy.update(deltaTime, maze, playerPos));
+    }
+
+    /**
+     * Find an enemy touching the player (uses interpolated positions so swaps are caught)
+     * @param {Object} playerPos - Player position {x, y}, may be fractional while animating
+     * @returns {Enemy|null} - Enemy in contact or null
+     */
+    checkContact(playerPos) {
+        return this.enemies.find(enemy => {
+            const pos = enemy.getRenderPosition();
+            return Math.abs(pos.x - playerPos.x) + Math.abs(pos.y - playerPos.y) < 0.5;
+        }) || null;
+    }
+
+    /**
+     * Send every enemy back to its spawn cell
+     */
+    reset() {
+        this.enemies.forEach(enemy => enemy.reset());
+    }
+
+    /**
+     * Remove all enemies
+     */
+    clear() {
+        this.enemies = [];
+    }
+
+    /**
+     * Get all enemies
+     * @returns {Array} - Enemy instances
+     */
+    getEnemies() {
+        return this.enemies;
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Fog of War
+ * Tracks which cells Dante can see right now and which ones he has already explored
+ */
+
+import { FeedbackBalance, ProgressionSettings } from '../data/gameBalance.js';
+import { computeVisibleCells } from './lineOfSight.js';
+
+export class FogOfWar {
+    /**
+     * @param {number} radius - Sight radius in grid units
+     */
+    constructor(radius = FeedbackBalance.LIGHTING_RADIUS) {
+        this.radius = radius;
+        this.reset();
+    }
+
+    /**
+     * Forget everything, typically when a new maze is loaded
+     */
+    reset() {
+        this.explored = new Set();
+        this.visible = new Set();
+        this.lastPositionKey = null;
+    }
+
+    /**
+     * Set how far Dante can see
+     * @param {number} radius - Sight radius in grid units
+     */
+    setRadius(radius) {
+        this.radius = Math.max(1, radius);
+        this.lastPositionKey = null;
+    }
+
+    /**
+     * Reveal the cells Dante has a line of sight to, within the sight radius
+     * Only recomputed when Dante reaches a new cell
+     * @param {Object} position - Player grid position {x, y}
+     * @param {Maze} maze - Current maze
+     * @returns {boolean} - True if cells were seen for the first time
+     */
+    reveal(position, maze) {
+        const key = `${position.x},${position.y}`;
+        if (key === this.lastPositionKey) {
+            return false;
+        }
+        this.lastPositionKey = key;
+        const exploredBefore = this.explored.size;
+
+        this.visible = computeVisibleCells(maze, position, this.radius);
+        this.visible.forEach(cell => this.explored.add(cell));
+
+        return this.explored.size > exploredBefore;
+    }
+
+    /**
+     * Check if a cell is currently in sight
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True if the cell is lit
+     */
+    isVisible(x, y) {
+        return this.visible.has(`${x},${y}`);
+    }
+
+    /**
+     * Check if a cell has ever been seen
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True if the cell is remembered
+     */
+    isExplored(x, y) {
+        return this.explored.has(`${x},${y}`);
+    }
+
+    /**
+     * Share of the maze's walkable cells that have been seen
+     * @param {Maze} maze - Current maze
+     * @returns {number} - Ratio between 0 and 1
+     */
+    getExploredRatio(maze) {
+        const walkable = maze.getWalkablePositions();
+        if (walkable.length === 0) {
+            return 0;
+        }
+        return walkable.filter(pos => this.explored.has(`${pos.x},${pos.y}`)).length / walkable.length;
+    }
+
+    /**
+     * Count how many ProgressionSettings.EXPLORATION_THRESHOLDS the explored ratio reaches
+     * @param {Maze} maze - Current maze
+     * @returns {number} - 0 (none) up to the number of thresholds (fully explored)
+     */
+    getExplorationRank(maze) {
+        const ratio = this.getExploredRatio(maze);
+        return ProgressionSettings.EXPLORATION_THRESHOLDS.filter(threshold => ratio >= threshold).length;
+    }
+
+    /**
+     * Get serializable state for saving
+     * @returns {Object} - { explored: ["x,y", ...] }
+     */
+    getSerializableState() {
+        return { explored: [...this.explored] };
+    }
+
+    /**
+     * Restore the explored cells of a saved level
+     * @param {Object} state - State from getSerializableState()
+     */
+    loadState(state) {
+        this.reset();
+        (state?.explored || []).forEach(key => this.explored.add(key));
+    }
+}
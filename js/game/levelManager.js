@@ -6,14 +6,34 @@
 
 import { LevelData, getLevelConfig, getMaxLevel, levelExists } from '../data/levelData.js';
 import { Maze } from './maze.js';
+import { buildMazeFromLayout, validateMazeLayout } from './mazeLayout.js';
+import { analyzeMaze, summarizeMazeMetrics } from './mazeAnalyzer.js';
+import { FogOfWar } from './fogOfWar.js';
+import { MazeFloors } from './mazeFloors.js';
+import { DifficultyScaling, DynamicDifficulty, FeedbackBalance, getDifficultyPreset } from '../data/gameBalance.js';
 
 export class LevelManager {
     constructor() {
         this.currentLevel = 1;
         this.levelData = null;
         this.currentMaze = null;
+        this.currentFloors = null; // MazeFloors of a multi-floor level; currentMaze is then its active floor
+        this.floorFogStates = []; // Explored cells of each floor, kept while Dante is on another one
         this.maxLevel = getMaxLevel();
         this.levelHistory = [];
+        this.currentSeed = null;
+        this.currentMetrics = null;
+        this.layoutErrors = [];
+        
+        // Adapts the next maze to how the player performed
+        this.dynamicDifficulty = new DynamicDifficulty();
+        this.difficultyAdjustments = null;
+        
+        // Player-selected difficulty preset (see DifficultyScaling.PRESETS)
+        this.difficultyPreset = getDifficultyPreset(DifficultyScaling.DEFAULT_PRESET);
+        
+        // Cells Dante has seen in the current maze
+        this.fogOfWar = new FogOfWar(this.getSightRadius());
         
         // Event callbacks
         this.onLevelLoad = null;
@@ -26,19 +46,30 @@ export class LevelManager {
      * Load specific level (circle of hell)
      * Requirements: 4.1, 4.2
      * @param {number} levelNumber - Level number to load (1-9)
+     * @param {number|string|null} seed - Optional seed to rebuild a specific maze
      * @returns {boolean} - True if level was loaded successfully
      */
-    loadLevel(levelNumber) {
+    loadLevel(levelNumber, seed = null) {
         if (!levelExists(levelNumber)) {
             console.error(`Level ${levelNumber} does not exist`);
             return false;
         }
 
+        // Reject broken hand-authored layouts before touching current state
+        const config = getLevelConfig(levelNumber);
+        this.layoutErrors = config && config.layout ? validateMazeLayout(config.layout).errors : [];
+        if (this.layoutErrors.length > 0) {
+            console.error(`Invalid layout for level ${levelNumber}:\n- ${this.layoutErrors.join('\n- ')}`);
+            return false;
+        }
+
         // Store previous level in history
         if (this.levelData) {
             this.levelHistory.push({
                 level: this.currentLevel,
                 data: this.levelData,
+                seed: this.currentSeed,
+                exploration: this.getExploration(),
                 completedAt: new Date().toISOString()
             });
         }
@@ -52,7 +83,10 @@ export class LevelManager {
         }
 
         // Generate maze for this level
-        this.currentMaze = this.generateMaze(this.levelData.difficulty);
+        this.currentMaze = this.buildLevelMaze(seed);
+        this.currentSeed = this.currentMaze.getSeed();
+        this.currentMetrics = analyzeMaze(this.currentMaze);
+        this.fogOfWar.reset();
         
         // Trigger callback if set
         if (this.onLevelLoad) {
@@ -62,6 +96,82 @@ export class LevelManager {
         return true;
     }
 
+    /**
+     * Rebuild the current level's maze from its seed, leaving the level history alone
+     * Used when a level is lost and played again
+     * @returns {boolean} - True if the level was rebuilt
+     */
+    restartLevel() {
+        if (!this.levelData) {
+            return false;
+        }
+
+        this.currentMaze = this.buildLevelMaze(this.currentSeed);
+        this.currentMetrics = analyzeMaze(this.currentMaze);
+        this.fogOfWar.reset();
+        return true;
+    }
+
+    /**
+     * Build the current level's maze, or its floors when the level has `floors` in LevelData
+     * @param {number|string|null} seed - Optional seed
+     * @returns {Maze} - The maze to play: the top floor of a multi-floor level
+     */
+    buildLevelMaze(seed) {
+        this.currentFloors = this.levelData.floors && !this.levelData.layout
+            ? this.generateFloors(this.levelData.difficulty, seed)
+            : null;
+        this.floorFogStates = [];
+        return this.currentFloors ? this.currentFloors.getActiveLayer() : this.generateMaze(this.levelData.difficulty, seed);
+    }
+
+    /**
+     * Get the floors of a multi-floor level
+     * @returns {MazeFloors|null} - Floors, or null on single-floor levels
+     */
+    getCurrentFloors() {
+        return this.currentFloors;
+    }
+
+    /**
+     * Get the floor Dante is on
+     * @returns {number} - Floor index, 0 on single-floor levels
+     */
+    getCurrentFloorIndex() {
+        return this.currentFloors ? this.currentFloors.getActiveLayerIndex() : 0;
+    }
+
+    /**
+     * Get the stairs or bridge at a position on the current floor
+     * @param {Object} position - Grid position {x, y}
+     * @returns {Object|null} - Link { kind, from, to } or null
+     */
+    getFloorLinkAt(position) {
+        return this.currentFloors ? this.currentFloors.getLinkAt(position.x, position.y) : null;
+    }
+
+    /**
+     * Move to another floor; each floor keeps its own fog of war
+     * @param {number} index - Floor index
+     * @returns {boolean} - True if the floor changed
+     */
+    changeFloor(index) {
+        if (!this.currentFloors || index === this.currentFloors.getActiveLayerIndex()) {
+            return false;
+        }
+
+        const previous = this.currentFloors.getActiveLayerIndex();
+        const maze = this.currentFloors.setActiveLayer(index);
+        if (!maze) {
+            return false;
+        }
+
+        this.floorFogStates[previous] = this.fogOfWar.getSerializableState();
+        this.fogOfWar.loadState(this.floorFogStates[index]);
+        this.currentMaze = maze;
+        return true;
+    }
+
     /**
      * Get current level data
      * @returns {Object|null} - Current level configuration
@@ -89,10 +199,15 @@ export class LevelManager {
     /**
      * Progress to next level
      * Requirements: 4.1, 4.2
+     * @param {Object|null} performanceData - How the player did on the current level (see applyPerformance)
      * @returns {boolean} - True if progression was successful
      */
-    progressToNext() {
+    progressToNext(performanceData = null) {
         const nextLevel = this.currentLevel + 1;
+
+        if (performanceData) {
+            this.applyPerformance({ level: this.currentLevel, ...performanceData });
+        }
         
         // Check if we've completed the game
         if (nextLevel > this.maxLevel) {
@@ -116,32 +231,345 @@ export class LevelManager {
         return this.loadLevel(nextLevel);
     }
 
+    /**
+     * Feed player performance into DynamicDifficulty; the resulting multipliers apply to the next maze
+     * @param {Object} performanceData - { completionTime, deathCount, retryCount, blockedMoves, movesMade, explorationEfficiency }
+     * @returns {Object} - Difficulty adjustments (mazeComplexity, fragmentCount, ...)
+     */
+    applyPerformance(performanceData) {
+        this.difficultyAdjustments = this.dynamicDifficulty.analyzePerfomance(performanceData);
+        return this.difficultyAdjustments;
+    }
+
+    /**
+     * Select the difficulty preset used for the next maze
+     * @param {string} name - Preset name ('easy', 'normal', 'hard', 'infernal')
+     * @returns {Object} - The selected preset
+     */
+    setDifficultyPreset(name) {
+        this.difficultyPreset = getDifficultyPreset(name);
+        this.fogOfWar.setRadius(this.getSightRadius());
+        return this.difficultyPreset;
+    }
+
+    /**
+     * Get the active difficulty preset
+     * @returns {Object} - { name, label, mazeSize, fragments, lightRadius, moveCooldown }
+     */
+    getDifficultyPreset() {
+        return this.difficultyPreset;
+    }
+
+    /**
+     * Get the player's light radius for the active preset
+     * @returns {number} - Light radius in grid units
+     */
+    getLightRadius() {
+        return DifficultyScaling.BASE_LIGHT_RADIUS * this.difficultyPreset.lightRadius;
+    }
+
+    /**
+     * Get how far Dante sees through the fog of war for the active preset
+     * @returns {number} - Sight radius in grid units
+     */
+    getSightRadius() {
+        return FeedbackBalance.LIGHTING_RADIUS * this.difficultyPreset.lightRadius;
+    }
+
+    /**
+     * Reveal the fog of war around Dante
+     * @param {Object} position - Player grid position {x, y}
+     * @returns {boolean} - True if new cells were explored
+     */
+    revealAround(position) {
+        return this.currentMaze ? this.fogOfWar.reveal(position, this.currentMaze) : false;
+    }
+
+    /**
+     * Get the fog of war of the current maze
+     * @returns {FogOfWar} - Explored and visible cells
+     */
+    getFogOfWar() {
+        return this.fogOfWar;
+    }
+
+    /**
+     * Get how much of the current maze has been explored
+     * @returns {Object|null} - { ratio, rank } where rank counts the EXPLORATION_THRESHOLDS reached, or null without a maze
+     */
+    getExploration() {
+        if (!this.currentMaze) {
+            return null;
+        }
+        return {
+            ratio: this.fogOfWar.getExploredRatio(this.currentMaze),
+            rank: this.fogOfWar.getExplorationRank(this.currentMaze)
+        };
+    }
+
+    /**
+     * Get the player's movement cooldown for the active preset
+     * @returns {number} - Cooldown in milliseconds
+     */
+    getMoveCooldown() {
+        return Math.round(DifficultyScaling.BASE_MOVE_COOLDOWN * this.difficultyPreset.moveCooldown);
+    }
+
+    /**
+     * Get maze size for the current level after preset and dynamic difficulty adjustments
+     * @returns {Object|null} - { width, height } or null for layout levels
+     */
+    getAdjustedMazeSize() {
+        if (!this.levelData || !this.levelData.mazeSize) {
+            return null;
+        }
+
+        const { width, height } = this.levelData.mazeSize;
+        const multiplier = this.difficultyPreset.mazeSize *
+            (this.difficultyAdjustments ? this.difficultyAdjustments.mazeComplexity : 1);
+        if (multiplier === 1) {
+            return { width, height };
+        }
+
+        const { MIN_MAZE_SIZE, MAX_MAZE_SIZE } = DifficultyScaling;
+        return {
+            width: Math.max(MIN_MAZE_SIZE.width, Math.min(MAX_MAZE_SIZE.width, Math.round(width * multiplier))),
+            height: Math.max(MIN_MAZE_SIZE.height, Math.min(MAX_MAZE_SIZE.height, Math.round(height * multiplier)))
+        };
+    }
+
+    /**
+     * Get the size of each floor of a multi-floor level: the floors share out the area of the adjusted maze size,
+     * so the circle as a whole keeps growing with its `mazeSize`
+     * @returns {Object|null} - { width, height } or null for single-floor and layout levels
+     */
+    getFloorMazeSize() {
+        const size = this.getAdjustedMazeSize();
+        if (!size || !this.levelData.floors) {
+            return null;
+        }
+
+        const scale = Math.sqrt(this.levelData.floors.count);
+        const { MIN_MAZE_SIZE } = DifficultyScaling;
+        return {
+            width: Math.max(MIN_MAZE_SIZE.width, Math.round(size.width / scale)),
+            height: Math.max(MIN_MAZE_SIZE.height, Math.round(size.height / scale))
+        };
+    }
+
+    /**
+     * Get fragment count for the current level after preset and dynamic difficulty adjustments
+     * @returns {number} - Number of fragments to place
+     */
+    getRequiredFragments() {
+        if (!this.levelData) {
+            return 0;
+        }
+
+        const base = this.levelData.requiredFragments;
+        const multiplier = this.difficultyPreset.fragments *
+            (this.difficultyAdjustments ? this.difficultyAdjustments.fragmentCount : 1);
+        if (multiplier === 1) {
+            return base;
+        }
+
+        const { MIN_FRAGMENTS, MAX_FRAGMENTS } = DifficultyScaling;
+        return Math.max(MIN_FRAGMENTS, Math.min(MAX_FRAGMENTS, Math.round(base * multiplier)));
+    }
+
+    /**
+     * Get the dynamic difficulty adjustment history
+     * @returns {Array} - Adjustment history entries
+     */
+    getAdjustmentHistory() {
+        return this.dynamicDifficulty.getAdjustmentHistory();
+    }
+
     /**
      * Generate maze for current level with progressive difficulty
+     * Levels with a `layout` entry are built from the hand-authored grid instead of `mazeSize`
      * Requirements: 4.2, 4.3
      * @param {number} difficulty - Difficulty level (1-9)
+     * @param {number|string|null} seed - Optional seed; a random one is used when omitted
      * @returns {Maze} - Generated maze instance
      */
-    generateMaze(difficulty) {
+    generateMaze(difficulty, seed = null) {
         if (!this.levelData) {
             throw new Error('No level data available for maze generation');
         }
 
-        const { width, height } = this.levelData.mazeSize;
-        const maze = new Maze(width, height, difficulty);
-        
-        // Generate the maze structure
-        maze.generate();
+        if (this.levelData.layout) {
+            const authoredMaze = buildMazeFromLayout(this.levelData.layout, difficulty, seed);
+
+            // Layouts without entity markers still get procedurally placed objectives
+            if (authoredMaze.entities.length === 0) {
+                authoredMaze.placeEntities({
+                    hasVirgilio: this.levelData.hasVirgilio,
+                    fragmentCount: this.getRequiredFragments(),
+                    fragmentsBehindPortals: Boolean(this.levelData.portals?.fragmentsBehindPortals)
+                });
+            }
+
+            if (this.levelData.hazards) {
+                authoredMaze.placeHazards(this.levelData.hazards);
+            }
+
+            if (this.levelData.timer) {
+                authoredMaze.placeHourglasses(this.levelData.timer);
+            }
+
+            // Authored wind arrows, ice and slow terrain win over generated ones
+            if (this.levelData.wind && authoredMaze.getTilesByType('wind').length === 0) {
+                authoredMaze.placeWindCurrents(this.levelData.wind);
+            }
+            if (this.levelData.ice && authoredMaze.getTilesByType('ice').length === 0) {
+                authoredMaze.placeIce(this.levelData.ice);
+            }
+            if (this.levelData.terrain && authoredMaze.getTilesByType('mud').length === 0 &&
+                authoredMaze.getTilesByType('sleet').length === 0) {
+                authoredMaze.placeSlowTerrain(this.levelData.terrain);
+            }
+            if (this.levelData.doors && authoredMaze.doors.size === 0) {
+                authoredMaze.placeDoors(this.levelData.doors);
+            }
+            if (this.levelData.boulders && authoredMaze.boulders.size === 0) {
+                authoredMaze.placeBoulders(this.levelData.boulders);
+            }
+            if (this.levelData.tombs && authoredMaze.getTilesByType('tomb').length === 0) {
+                authoredMaze.placeTombs(this.levelData.tombs);
+            }
+            if (this.levelData.portals && authoredMaze.getTilesByType('portal').length === 0) {
+                authoredMaze.placePortals(this.levelData.portals);
+            }
+
+            return authoredMaze;
+        }
+
+        const maze = this.createGeneratedMaze(difficulty, seed);
         
         // Place entities based on level configuration
         maze.placeEntities({
             hasVirgilio: this.levelData.hasVirgilio,
-            fragmentCount: this.levelData.requiredFragments
+            fragmentCount: this.getRequiredFragments()
         });
 
+        this.placeLevelFeatures(maze);
+        return maze;
+    }
+
+    /**
+     * Generate a multi-floor level: one maze per floor in `floors.count`, joined by stairs and bridges
+     * Fragments are shared out between the floors and Virgilio waits on the bottom one;
+     * hazards, enemies and the other LevelData features apply to every floor
+     * @param {number} difficulty - Difficulty level (1-9)
+     * @param {number|string|null} seed - Optional seed for the top floor; lower floors take the seeds after it
+     * @returns {MazeFloors} - Connected floors, top floor active
+     */
+    generateFloors(difficulty, seed = null) {
+        const { count, bridges = 0 } = this.levelData.floors;
+        const fragments = this.getRequiredFragments();
+
+        const layers = [];
+        for (let i = 0; i < count; i++) {
+            const layerSeed = i === 0 ? seed : (layers[0].getSeed() + i) >>> 0;
+            const layer = this.createGeneratedMaze(difficulty, layerSeed, this.getFloorMazeSize());
+            layer.placeEntities({
+                hasVirgilio: this.levelData.hasVirgilio && i === count - 1,
+                fragmentCount: Math.floor(fragments / count) + (i < fragments % count ? 1 : 0)
+            });
+            this.placeLevelFeatures(layer);
+
+            // Fragment and hourglass ids run on from the floors above, so each one in the level has its own
+            for (const type of ['fragment', 'hourglass']) {
+                const offset = layers.reduce((total, floor) => total + floor.getEntitiesByType(type).length, 0);
+                layer.getEntitiesByType(type).forEach(entity => { entity.id += offset; });
+            }
+            layers.push(layer);
+        }
+
+        const floors = new MazeFloors(layers);
+        floors.connect(bridges);
+        return floors;
+    }
+
+    /**
+     * Create and carve a maze of the current level's size, algorithm, start and exit settings
+     * @param {number} difficulty - Difficulty level (1-9)
+     * @param {number|string|null} seed - Optional seed
+     * @param {Object|null} size - Size override { width, height } (floors of a multi-floor level)
+     * @returns {Maze} - Generated maze without entities
+     */
+    createGeneratedMaze(difficulty, seed, size = null) {
+        if (!this.levelData.mazeSize) {
+            throw new Error('Level data needs either a mazeSize or a layout');
+        }
+
+        const { width, height } = size || this.getAdjustedMazeSize();
+        const maze = new Maze(width, height, difficulty, seed, {
+            algorithm: this.levelData.algorithm,
+            start: this.levelData.start,
+            exitPercentile: this.levelData.exitPercentile
+        });
+        
+        // Generate the maze structure
+        maze.generate();
         return maze;
     }
 
+    /**
+     * Place the current level's hazards, hourglasses, floor tiles, doors, boulders, tombs and portals on a generated maze
+     * @param {Maze} maze - Maze with its objectives already placed
+     */
+    placeLevelFeatures(maze) {
+        if (this.levelData.hazards) {
+            maze.placeHazards(this.levelData.hazards);
+        }
+
+        if (this.levelData.timer) {
+            maze.placeHourglasses(this.levelData.timer);
+        }
+
+        if (this.levelData.wind) {
+            maze.placeWindCurrents(this.levelData.wind);
+        }
+
+        if (this.levelData.ice) {
+            maze.placeIce(this.levelData.ice);
+        }
+
+        if (this.levelData.terrain) {
+            maze.placeSlowTerrain(this.levelData.terrain);
+        }
+
+        // Doors go last: they lock away what everything above has placed
+        if (this.levelData.doors) {
+            maze.placeDoors(this.levelData.doors);
+        }
+
+        // Boulders come after the doors, so the push search sees the maze as Dante will
+        if (this.levelData.boulders) {
+            maze.placeBoulders(this.levelData.boulders);
+        }
+
+        // Tombs keep clear of everything placed before them
+        if (this.levelData.tombs) {
+            maze.placeTombs(this.levelData.tombs);
+        }
+
+        // Portals open last, on floor no other feature uses
+        if (this.levelData.portals) {
+            maze.placePortals(this.levelData.portals);
+        }
+    }
+
+    /**
+     * Get the seed of the current maze
+     * @returns {number|null} - Current maze seed or null if no level is loaded
+     */
+    getCurrentSeed() {
+        return this.currentSeed;
+    }
+
     /**
      * Check if current level is complete
      * @param {Object} objectiveManager - ObjectiveManager instance
@@ -166,10 +594,32 @@ export class LevelManager {
             completedLevels: this.levelHistory.length,
             progressPercentage: (this.levelHistory.length / this.maxLevel) * 100,
             isGameComplete: isGameComplete,
-            levelsRemaining: Math.max(0, this.maxLevel - this.levelHistory.length)
+            levelsRemaining: Math.max(0, this.maxLevel - this.levelHistory.length),
+            mazeMetrics: this.currentMetrics,
+            exploration: this.getExploration()
         };
     }
 
+    /**
+     * Analyze a level headlessly by generating it with several seeds
+     * Lets designers check that later circles really are harder than earlier ones
+     * @param {number} levelNumber - Level to analyze (1-9)
+     * @param {Array} seeds - Seeds to generate the level with
+     * @returns {Object|null} - Averaged metrics (see summarizeMazeMetrics) or null if the level fails to load
+     */
+    static analyzeLevel(levelNumber, seeds = [1, 2, 3, 4, 5]) {
+        const reports = [];
+        for (const seed of seeds) {
+            const levelManager = new LevelManager();
+            if (!levelManager.loadLevel(levelNumber, seed)) {
+                return null;
+            }
+            reports.push(levelManager.currentMetrics);
+        }
+
+        return { level: levelNumber, ...summarizeMazeMetrics(reports) };
+    }
+
     /**
      * Get difficulty scaling information
      * Requirements: 4.2, 4.3
@@ -182,18 +632,28 @@ export class LevelManager {
 
         const baseLevel = getLevelConfig(1);
         const currentLevel = this.levelData;
+        // Multi-floor circles report the size their floors share out, not the size of one floor
+        const mazeSize = this.currentMaze && !this.currentFloors
+            ? { width: this.currentMaze.width, height: this.currentMaze.height }
+            : (this.getAdjustedMazeSize() || baseLevel.mazeSize);
+        const requiredFragments = this.getRequiredFragments();
         
         return {
             level: this.currentLevel,
             difficulty: currentLevel.difficulty,
-            mazeSize: currentLevel.mazeSize,
-            requiredFragments: currentLevel.requiredFragments,
+            mazeSize: mazeSize,
+            algorithm: currentLevel.algorithm,
+            requiredFragments: requiredFragments,
+            adjustments: this.difficultyAdjustments,
+            preset: this.difficultyPreset.name,
+            lightRadius: this.getLightRadius(),
+            moveCooldown: this.getMoveCooldown(),
             scaling: {
                 mazeSizeIncrease: {
-                    width: currentLevel.mazeSize.width - baseLevel.mazeSize.width,
-                    height: currentLevel.mazeSize.height - baseLevel.mazeSize.height
+                    width: mazeSize.width - baseLevel.mazeSize.width,
+                    height: mazeSize.height - baseLevel.mazeSize.height
                 },
-                fragmentIncrease: currentLevel.requiredFragments - baseLevel.requiredFragments,
+                fragmentIncrease: requiredFragments - baseLevel.requiredFragments,
                 difficultyMultiplier: currentLevel.difficulty / baseLevel.difficulty
             }
         };
@@ -219,13 +679,18 @@ export class LevelManager {
     /**
      * Reset to specific level
      * @param {number} levelNumber - Level to reset to (default: 1)
+     * @param {number|string|null} seed - Optional seed for the level's maze
      * @returns {boolean} - True if reset was successful
      */
-    resetToLevel(levelNumber = 1) {
+    resetToLevel(levelNumber = 1, seed = null) {
         this.levelHistory = [];
         this.currentMaze = null;
         this.levelData = null;
-        return this.loadLevel(levelNumber);
+        this.currentSeed = null;
+        this.currentMetrics = null;
+        this.difficultyAdjustments = null;
+        this.dynamicDifficulty.reset();
+        return this.loadLevel(levelNumber, seed);
     }
 
     /**
@@ -279,7 +744,14 @@ export class LevelManager {
         return {
             currentLevel: this.currentLevel,
             levelHistory: this.levelHistory,
-            levelData: this.levelData
+            levelData: this.levelData,
+            seed: this.currentSeed,
+            difficultyAdjustments: this.difficultyAdjustments,
+            dynamicDifficulty: this.dynamicDifficulty.getSerializableState(),
+            difficultyPreset: this.difficultyPreset.name,
+            fogOfWar: this.fogOfWar.getSerializableState(),
+            floor: this.getCurrentFloorIndex(),
+            floorFogStates: this.floorFogStates
         };
     }
 
@@ -292,9 +764,25 @@ export class LevelManager {
         try {
             this.currentLevel = state.currentLevel || 1;
             this.levelHistory = state.levelHistory || [];
+            this.levelData = null;
+            this.difficultyAdjustments = state.difficultyAdjustments || null;
+            this.dynamicDifficulty.loadState(state.dynamicDifficulty);
+            if (state.difficultyPreset) {
+                this.difficultyPreset = getDifficultyPreset(state.difficultyPreset);
+            }
             
-            // Reload current level
-            return this.loadLevel(this.currentLevel);
+            // Reload current level, rebuilding the saved maze when a seed is present
+            if (!this.loadLevel(this.currentLevel, state.seed ?? null)) {
+                return false;
+            }
+
+            // Multi-floor levels pick up on the floor Dante was on
+            if (this.currentFloors && state.floor) {
+                this.changeFloor(state.floor);
+            }
+            this.floorFogStates = state.floorFogStates || [];
+            this.fogOfWar.loadState(state.fogOfWar);
+            return true;
         } catch (error) {
             console.error('Failed to load level manager state:', error);
             return false;
@@ -0,0 +1,195 @@
+/**
+ * Line of Sight
+ * Works out what Dante can see from a point of the maze: light stops at walls
+ *
+ * computeVisibleCells shadowcasts over the grid (used by the fog of war and anything cell-based),
+ * computeVisibilityPolygon raycasts against wall edges (used by the renderer to clip light and cast shadows).
+ */
+
+// Octant transforms for shadowcasting: [xx, xy, yx, yy]
+const OCTANTS = [
+    [1, 0, 0, 1], [0, 1, 1, 0], [0, -1, 1, 0], [-1, 0, 0, 1],
+    [-1, 0, 0, -1], [0, -1, -1, 0], [0, 1, -1, 0], [1, 0, 0, -1]
+];
+
+// Evenly spaced rays cast besides the ones aimed at wall corners, so the light keeps a round edge
+const BASE_RAY_COUNT = 64;
+
+// Angular offset of the rays that graze each side of a wall corner
+const CORNER_EPSILON = 0.0001;
+
+/**
+ * Check if a cell stops light (walls and anything outside the maze)
+ * @param {Maze} maze - Maze instance
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} - True if the cell blocks sight
+ */
+export function blocksSight(maze, x, y) {
+    return !maze.isWalkable(x, y);
+}
+
+/**
+ * Scan one octant row by row, narrowing the lit slopes each time a wall is met
+ * @param {Maze} maze - Maze instance
+ * @param {Object} origin - Viewer grid position {x, y}
+ * @param {number} radius - Sight radius in grid units
+ * @param {number} row - Distance of the first row to scan
+ * @param {number} startSlope - Upper slope still lit
+ * @param {number} endSlope - Lower slope still lit
+ * @param {Array} octant - Octant transform
+ * @param {Set} visible - Set of "x,y" keys to add to
+ */
+function castLight(maze, origin, radius, row, startSlope, endSlope, octant, visible) {
+    if (startSlope < endSlope) {
+        return;
+    }
+
+    const [xx, xy, yx, yy] = octant;
+    let nextStart = startSlope;
+
+    for (let distance = row; distance <= Math.ceil(radius); distance++) {
+        let blocked = false;
+        const dy = -distance;
+
+        for (let dx = -distance; dx <= 0; dx++) {
+            const leftSlope = (dx - 0.5) / (dy + 0.5);
+            const rightSlope = (dx + 0.5) / (dy - 0.5);
+            if (startSlope < rightSlope) {
+                continue;
+            }
+            if (endSlope > leftSlope) {
+                break;
+            }
+
+            const x = origin.x + dx * xx + dy * xy;
+            const y = origin.y + dx * yx + dy * yy;
+            if (Math.hypot(dx, dy) <= radius && x >= 0 && y >= 0 && x < maze.width && y < maze.height) {
+                visible.add(`${x},${y}`);
+            }
+
+            const opaque = blocksSight(maze, x, y);
+            if (blocked) {
+                if (opaque) {
+                    nextStart = rightSlope;
+                } else {
+                    blocked = false;
+                    startSlope = nextStart;
+                }
+            } else if (opaque && distance < radius) {
+                blocked = true;
+                castLight(maze, origin, radius, distance + 1, startSlope, leftSlope, octant, visible);
+                nextStart = rightSlope;
+            }
+        }
+
+        if (blocked) {
+            break;
+        }
+    }
+}
+
+/**
+ * Compute the cells visible from a position by recursive shadowcasting
+ * Walls facing the viewer are visible themselves but hide everything behind them
+ * @param {Maze} maze - Maze instance
+ * @param {Object} origin - Viewer grid position {x, y}
+ * @param {number} radius - Sight radius in grid units
+ * @returns {Set} - Set of "x,y" keys of visible cells
+ */
+export function computeVisibleCells(maze, origin, radius) {
+    const visible = new Set([`${origin.x},${origin.y}`]);
+    for (const octant of OCTANTS) {
+        castLight(maze, origin, radius, 1, 1.0, 0.0, octant, visible);
+    }
+    return visible;
+}
+
+/**
+ * Cast a ray through the grid until it hits a wall or runs out of range
+ * @param {Maze} maze - Maze instance
+ * @param {Object} origin - Ray origin in grid units {x, y} (cell centres are at +0.5)
+ * @param {number} angle - Ray angle in radians
+ * @param {number} maxDistance - Ray length in grid units
+ * @param {boolean} throughFirstWall - Stop on the far side of the wall that was hit, so its face counts as lit
+ * @returns {number} - Distance travelled before the first wall edge (or out of the first wall)
+ */
+export function castRay(maze, origin, angle, maxDistance, throughFirstWall = false) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    let cellX = Math.floor(origin.x);
+    let cellY = Math.floor(origin.y);
+    const stepX = dirX > 0 ? 1 : -1;
+    const stepY = dirY > 0 ? 1 : -1;
+    const deltaX = dirX === 0 ? Infinity : Math.abs(1 / dirX);
+    const deltaY = dirY === 0 ? Infinity : Math.abs(1 / dirY);
+    let sideX = dirX === 0 ? Infinity : (dirX > 0 ? cellX + 1 - origin.x : origin.x - cellX) * deltaX;
+    let sideY = dirY === 0 ? Infinity : (dirY > 0 ? cellY + 1 - origin.y : origin.y - cellY) * deltaY;
+
+    while (true) {
+        let travelled;
+        if (sideX < sideY) {
+            travelled = sideX;
+            sideX += deltaX;
+            cellX += stepX;
+        } else {
+            travelled = sideY;
+            sideY += deltaY;
+            cellY += stepY;
+        }
+
+        if (travelled >= maxDistance) {
+            return maxDistance;
+        }
+        if (blocksSight(maze, cellX, cellY)) {
+            return throughFirstWall ? Math.min(sideX, sideY, maxDistance) : travelled;
+        }
+    }
+}
+
+/**
+ * Compute the polygon of everything lit from a point, clipped to a radius
+ * Rays are aimed just either side of every nearby wall corner so shadow edges stay sharp
+ * @param {Maze} maze - Maze instance
+ * @param {Object} origin - Light position in grid units {x, y} (cell centres are at +0.5)
+ * @param {number} radius - Light radius in grid units
+ * @param {boolean} includeWalls - Let the light cover the walls it falls on instead of stopping at their edge
+ * @returns {Array} - Polygon vertices in grid units [{x, y}, ...], ordered by angle
+ */
+export function computeVisibilityPolygon(maze, origin, radius, includeWalls = false) {
+    const angles = [];
+    for (let i = 0; i < BASE_RAY_COUNT; i++) {
+        angles.push((i / BASE_RAY_COUNT) * Math.PI * 2 - Math.PI);
+    }
+
+    const range = Math.ceil(radius) + 1;
+    const originX = Math.floor(origin.x);
+    const originY = Math.floor(origin.y);
+    const corners = new Set();
+    for (let y = originY - range; y <= originY + range; y++) {
+        for (let x = originX - range; x <= originX + range; x++) {
+            if (!blocksSight(maze, x, y)) {
+                continue;
+            }
+            for (const [cornerX, cornerY] of [[x, y], [x + 1, y], [x, y + 1], [x + 1, y + 1]]) {
+                const key = `${cornerX},${cornerY}`;
+                if (corners.has(key) || Math.hypot(cornerX - origin.x, cornerY - origin.y) > radius) {
+                    continue;
+                }
+                corners.add(key);
+                const angle = Math.atan2(cornerY - origin.y, cornerX - origin.x);
+                angles.push(angle - CORNER_EPSILON, angle, angle + CORNER_EPSILON);
+            }
+        }
+    }
+
+    return angles
+        .sort((a, b) => a - b)
+        .map(angle => {
+            const distance = castRay(maze, origin, angle, radius, includeWalls);
+            return {
+                x: origin.x + Math.cos(angle) * distance,
+                y: origin.y + Math.sin(angle) * distance
+            };
+        });
+}
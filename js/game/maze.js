@@ -3,13 +3,117 @@
  * Handles maze generation and collision detection
  */
 
+import { SeededRandom } from '../utils/random.js';
+import { DEFAULT_GENERATOR, getMazeGenerator } from './mazeGenerators.js';
+import { getMazeBalance, BoulderBalance, DoorBalance, HazardBalance, IceBalance, ObjectiveBalance, PortalBalance, TerrainBalance, TimerBalance, TombBalance, WindBalance } from '../data/gameBalance.js';
+
+// Grid step for each movement direction
+export const DIRECTION_VECTORS = {
+    up: { x: 0, y: -1 },
+    right: { x: 1, y: 0 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 }
+};
+
+// How Dante moves: step by step, or sliding across ice until something stops him
+export const MOVEMENT_MODELS = {
+    WALK: 'walk',
+    SLIDE: 'slide'
+};
+
+/**
+ * Binary min-heap of positions keyed by travel cost, for weighted searches over slow terrain
+ */
+class CostQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Add a position
+     * @param {Object} position - Position {x, y}
+     * @param {number} cost - Travel cost to reach it
+     */
+    push(position, cost) {
+        const items = this.items;
+        items.push({ position, cost });
+        for (let i = items.length - 1; i > 0;) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= items[i].cost) {
+                break;
+            }
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Remove the cheapest position
+     * @returns {Object} - { position, cost }
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            for (let i = 0; ;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].cost < items[smallest].cost) {
+                    smallest = left;
+                }
+                if (right < items.length && items[right].cost < items[smallest].cost) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
 export class Maze {
-    constructor(width = 15, height = 15, difficulty = 1) {
+    /**
+     * @param {number} width - Maze width in cells
+     * @param {number} height - Maze height in cells
+     * @param {number} difficulty - Difficulty level (1-9)
+     * @param {number|string|null} seed - Optional seed for reproducible generation
+     * @param {Object} options - Generation options
+     * @param {string} options.algorithm - Generator name from MazeGenerators (default: 'backtracker')
+     * @param {Object} options.balance - Overrides for getMazeBalance(difficulty) values
+     * @param {string|Object} options.start - 'random' or a fixed generation cell {x, y} (default: {x: 1, y: 1})
+     * @param {number} options.exitPercentile - Exit distance percentile among reachable cells (default: 1 = farthest)
+     */
+    constructor(width = 15, height = 15, difficulty = 1, seed = null, options = {}) {
         this.width = width;
         this.height = height;
         this.difficulty = difficulty;
+        
+        // Seeded PRNG: a new Maze with the same seed rebuilds the same layout and entities
+        this.random = new SeededRandom(seed ?? SeededRandom.generateSeed());
+        this.seed = this.random.seed;
+        this.algorithm = options.algorithm || DEFAULT_GENERATOR;
+        this.balance = { ...getMazeBalance(difficulty), ...options.balance };
+        this.startMode = options.start || null;
+        this.isAuthored = false;
+        this.exitPercentile = options.exitPercentile ?? 1;
         this.cells = [];
         this.entities = [];
+        this.tiles = new Map(); // "x,y" -> floor effect such as { type: 'wind', direction, strength }, { type: 'ice' } or { type: 'mud' }
+        this.doors = new Map(); // "x,y" -> { type: 'door', color, open } or { type: 'gate', switchId, open }
+        this.boulders = new Map(); // "x,y" -> { id }: movable layer, pushed around by Dante
+        this.boulderHistory = []; // Pushes made so far, most recent last, for undo
+        this.placementReport = { fallbacks: [] };
         this.startPosition = { x: 1, y: 1 };
         this.exitPosition = { x: width - 2, y: height - 2 };
         
@@ -21,23 +125,66 @@ export class Maze {
     }
 
     /**
-     * Generate maze layout using recursive backtracking algorithm
+     * Generate maze layout using the configured generation algorithm
      */
     generate() {
         // Initialize maze with all walls
         this.initializeMaze();
         
-        // Use recursive backtracking to generate paths
+        // Pick where Dante begins before carving
+        this.startPosition = this.chooseStartPosition();
+        
+        // Carve paths with the selected algorithm
         this.generatePaths();
         
-        // Set start and exit positions
-        this.setSpecialPositions();
+        // Braid dead ends and open loops according to MazeBalance
+        this.applyBalance();
         
-        // Ensure maze is solvable by verifying path from start to exit
-        if (!this.isSolvable()) {
-            // If not solvable, create a guaranteed path
-            this.createGuaranteedPath();
-        }
+        // Set start and exit positions; the exit is picked from reachable cells so the maze is always solvable
+        this.setSpecialPositions();
+    }
+
+    /**
+     * Load a hand-authored layout instead of generating one
+     * @param {Object} layout - Parsed layout (see mazeLayout.js)
+     * @param {Array} layout.cells - Rows of WALL/PATH cell codes
+     * @param {Object} layout.startPosition - Start position {x, y}
+     * @param {Object} layout.exitPosition - Exit position {x, y}
+     * @param {Array} layout.entities - Authored entities [{type, x, y}]
+     * @param {Array} layout.tiles - Authored floor tiles [{type, x, y, ...}]
+     * @param {Array} layout.doors - Authored doors and gates [{type, x, y, color | switchId, open}]
+     * @param {Array} layout.boulders - Authored boulders [{x, y}]
+     */
+    loadLayout({ cells, startPosition, exitPosition, entities = [], tiles = [], doors = [], boulders = [] }) {
+        this.isAuthored = true;
+        this.cells = cells.map(row => [...row]);
+        this.startPosition = { x: startPosition.x, y: startPosition.y };
+        this.exitPosition = { x: exitPosition.x, y: exitPosition.y };
+        this.cells[this.startPosition.y][this.startPosition.x] = this.START;
+        this.cells[this.exitPosition.y][this.exitPosition.x] = this.EXIT;
+
+        let fragmentId = 0;
+        this.entities = entities.map(entity => {
+            switch (entity.type) {
+                case 'fragment':
+                    return { type: 'fragment', x: entity.x, y: entity.y, collected: false, id: fragmentId++ };
+                case 'key':
+                    return { type: 'key', x: entity.x, y: entity.y, collected: false, color: entity.color };
+                case 'switch':
+                    return { type: 'switch', x: entity.x, y: entity.y, collected: false, id: entity.id ?? 0 };
+                default:
+                    return { type: entity.type, x: entity.x, y: entity.y, collected: false };
+            }
+        });
+
+        this.tiles = new Map();
+        tiles.forEach(({ x, y, ...tile }) => this.setTile(x, y, tile));
+
+        this.doors = new Map();
+        doors.forEach(({ x, y, ...door }) => this.setDoor(x, y, { open: false, ...door }));
+
+        this.boulders = new Map(boulders.map(({ x, y }, id) => [`${x},${y}`, { id }]));
+        this.boulderHistory = [];
     }
 
     /**
@@ -45,6 +192,10 @@ export class Maze {
      */
     initializeMaze() {
         this.cells = [];
+        this.tiles = new Map();
+        this.doors = new Map();
+        this.boulders = new Map();
+        this.boulderHistory = [];
         for (let y = 0; y < this.height; y++) {
             this.cells[y] = [];
             for (let x = 0; x < this.width; x++) {
@@ -54,41 +205,126 @@ export class Maze {
     }
 
     /**
-     * Generate paths using recursive backtracking algorithm
+     * Generate paths using the configured algorithm from the generator registry
      */
     generatePaths() {
-        const stack = [];
-        const visited = new Set();
-        
-        // Start from position (1,1) to ensure odd coordinates
-        const startX = 1;
-        const startY = 1;
-        
-        this.cells[startY][startX] = this.PATH;
-        stack.push({ x: startX, y: startY });
-        visited.add(`${startX},${startY}`);
-        
-        while (stack.length > 0) {
-            const current = stack[stack.length - 1];
-            const neighbors = this.getUnvisitedNeighbors(current.x, current.y, visited);
-            
-            if (neighbors.length > 0) {
-                // Choose random neighbor
-                const next = neighbors[Math.floor(Math.random() * neighbors.length)];
-                
-                // Remove wall between current and next
-                const wallX = current.x + (next.x - current.x) / 2;
-                const wallY = current.y + (next.y - current.y) / 2;
-                
-                this.cells[wallY][wallX] = this.PATH;
-                this.cells[next.y][next.x] = this.PATH;
-                
-                visited.add(`${next.x},${next.y}`);
-                stack.push(next);
-            } else {
-                stack.pop();
+        const generator = getMazeGenerator(this.algorithm);
+        generator(this, this.random);
+    }
+
+    /**
+     * Post-process a perfect maze: braid dead ends, then knock out walls to create loops
+     * wallDensity is the share of removable walls that must survive, so it caps both passes
+     */
+    applyBalance() {
+        const { wallDensity, deadEndReduction, loopCreation } = this.balance;
+        let removalBudget = Math.floor(this.getRemovableWalls().length * (1 - wallDensity));
+
+        removalBudget -= this.braidDeadEnds(deadEndReduction, removalBudget);
+        this.createLoops(loopCreation, removalBudget);
+    }
+
+    /**
+     * Get wall cells that separate two open generation cells
+     * @returns {Array} - Array of wall positions {x, y}
+     */
+    getRemovableWalls() {
+        const walls = [];
+        for (let y = 1; y < this.height - 1; y++) {
+            for (let x = 1; x < this.width - 1; x++) {
+                if (this.cells[y][x] !== this.WALL || (x % 2) === (y % 2)) {
+                    continue;
+                }
+
+                // Horizontal walls sit between vertical neighbors and vice versa
+                const [a, b] = x % 2 === 0
+                    ? [{ x: x - 1, y }, { x: x + 1, y }]
+                    : [{ x, y: y - 1 }, { x, y: y + 1 }];
+
+                if (this.isValidPosition(a.x, a.y) && this.isValidPosition(b.x, b.y) &&
+                    this.isWalkable(a.x, a.y) && this.isWalkable(b.x, b.y)) {
+                    walls.push({ x, y });
+                }
+            }
+        }
+        return walls;
+    }
+
+    /**
+     * Remove dead ends by opening one of their walls
+     * @param {number} probability - Chance of braiding each dead end (0-1)
+     * @param {number} budget - Maximum number of walls to remove
+     * @returns {number} - Number of walls removed
+     */
+    braidDeadEnds(probability, budget = Infinity) {
+        let removed = 0;
+        const deadEnds = this.random.shuffle(this.getDeadEnds());
+
+        for (const cell of deadEnds) {
+            if (removed >= budget) {
+                break;
+            }
+
+            // Earlier braids may already have opened this cell
+            if (this.getWalkableNeighbors(cell.x, cell.y).length !== 1 || this.random.next() >= probability) {
+                continue;
+            }
+
+            const options = [];
+            for (const dir of [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }]) {
+                const wall = { x: cell.x + dir.x, y: cell.y + dir.y };
+                const target = { x: cell.x + dir.x * 2, y: cell.y + dir.y * 2 };
+                if (!this.isWalkable(wall.x, wall.y) &&
+                    this.isValidPosition(target.x, target.y) && this.isWalkable(target.x, target.y)) {
+                    options.push({ wall, isDeadEnd: this.getWalkableNeighbors(target.x, target.y).length === 1 });
+                }
+            }
+
+            if (options.length === 0) {
+                continue;
+            }
+
+            // Joining two dead ends removes both with a single wall
+            const preferred = options.filter(option => option.isDeadEnd);
+            const choice = this.random.pick(preferred.length > 0 ? preferred : options);
+            this.cells[choice.wall.y][choice.wall.x] = this.PATH;
+            removed++;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Knock out random interior walls to create loops
+     * @param {number} probability - Chance of removing each removable wall (0-1)
+     * @param {number} budget - Maximum number of walls to remove
+     * @returns {number} - Number of walls removed
+     */
+    createLoops(probability, budget = Infinity) {
+        let removed = 0;
+        const walls = this.random.shuffle(this.getRemovableWalls());
+
+        for (const wall of walls) {
+            if (removed >= budget) {
+                break;
+            }
+            if (this.random.next() < probability) {
+                this.cells[wall.y][wall.x] = this.PATH;
+                removed++;
             }
         }
+
+        return removed;
+    }
+
+    /**
+     * Get all walkable cells with exactly one walkable neighbor
+     * @returns {Array} - Array of dead-end positions {x, y}
+     */
+    getDeadEnds() {
+        return this.getWalkablePositions().filter(pos =>
+            this.getWalkableNeighbors(pos.x, pos.y).length === 1
+        );
     }
 
     /**
@@ -122,46 +358,275 @@ export class Maze {
         return x >= 1 && x < this.width - 1 && y >= 1 && y < this.height - 1;
     }
 
+    /**
+     * Choose the start cell according to the start option
+     * @returns {Object} - Start position {x, y} on a generation cell
+     */
+    chooseStartPosition() {
+        if (this.startMode === 'random') {
+            const columns = Math.floor((this.width - 1) / 2);
+            const rows = Math.floor((this.height - 1) / 2);
+            return {
+                x: 1 + this.random.nextInt(columns) * 2,
+                y: 1 + this.random.nextInt(rows) * 2
+            };
+        }
+
+        if (this.startMode && this.isValidPosition(this.startMode.x, this.startMode.y)) {
+            return { x: this.startMode.x, y: this.startMode.y };
+        }
+
+        return { x: 1, y: 1 };
+    }
+
     /**
      * Set start and exit positions
      */
     setSpecialPositions() {
         this.cells[this.startPosition.y][this.startPosition.x] = this.START;
+        this.exitPosition = this.chooseExitPosition();
         this.cells[this.exitPosition.y][this.exitPosition.x] = this.EXIT;
     }
 
     /**
-     * Check if maze is solvable using breadth-first search
+     * Choose the exit from the maze topology: the reachable cell at exitPercentile of path length from start
+     * Never closer than EXIT_MIN_DISTANCE_FROM_START when the maze is large enough
+     * @returns {Object} - Exit position {x, y}
+     */
+    chooseExitPosition() {
+        const reachable = [];
+        for (const [key, distance] of this.getDistancesFrom(this.startPosition)) {
+            if (distance > 0) {
+                const [x, y] = key.split(',').map(Number);
+                reachable.push({ x, y, distance });
+            }
+        }
+
+        if (reachable.length === 0) {
+            console.warn('No reachable cells for exit placement, keeping current exit');
+            return this.exitPosition;
+        }
+
+        reachable.sort((a, b) => a.distance - b.distance);
+        const percentile = Math.max(0, Math.min(1, this.exitPercentile));
+        let targetDistance = reachable[Math.round(percentile * (reachable.length - 1))].distance;
+
+        const farthestDistance = reachable[reachable.length - 1].distance;
+        if (targetDistance < ObjectiveBalance.EXIT_MIN_DISTANCE_FROM_START) {
+            targetDistance = Math.min(farthestDistance, ObjectiveBalance.EXIT_MIN_DISTANCE_FROM_START);
+        }
+
+        // Several cells can share the target distance; pick one so exits vary between seeds
+        const exit = this.random.pick(reachable.filter(pos => pos.distance === targetDistance));
+        return { x: exit.x, y: exit.y };
+    }
+
+    /**
+     * Check if maze is solvable by searching for the cheapest walk to the exit (see getTravelCosts)
+     * Mazes with ice are checked under sliding physics (see isSolvableBySliding),
+     * mazes with boulders by pushing them out of the way (see isSolvableWithBoulders),
+     * mazes with doors or gates by collecting keys and pressing switches along the way (see isSolvableWithLocks)
+     * @param {string} movementModel - MOVEMENT_MODELS value (default: the model this maze's tiles call for)
+     * @returns {boolean} - True if the exit can be reached
+     */
+    isSolvable(movementModel = this.getMovementModel()) {
+        if (movementModel === MOVEMENT_MODELS.SLIDE) {
+            return this.isSolvableBySliding();
+        }
+        if (this.boulders.size > 0) {
+            return this.isSolvableWithBoulders();
+        }
+        if (this.doors.size > 0) {
+            return this.isSolvableWithLocks();
+        }
+
+        return this.getTravelCosts(this.startPosition, this.exitPosition).has(`${this.exitPosition.x},${this.exitPosition.y}`);
+    }
+
+    /**
+     * Check solvability when ice makes some moves one-way
+     * The exit and every objective must be reachable, and Dante must be able to get back to the start
+     * from every cell he can reach, so no slide can ever strand him
+     * @returns {boolean} - True if the maze can always be finished
      */
-    isSolvable() {
+    isSolvableBySliding() {
+        const startKey = `${this.startPosition.x},${this.startPosition.y}`;
+        const predecessors = new Map([[startKey, []]]);
         const queue = [this.startPosition];
-        const visited = new Set();
-        visited.add(`${this.startPosition.x},${this.startPosition.y}`);
-        
+
         while (queue.length > 0) {
             const current = queue.shift();
-            
-            if (current.x === this.exitPosition.x && current.y === this.exitPosition.y) {
-                return true;
+            for (const target of this.getMoveTargets(current.x, current.y, MOVEMENT_MODELS.SLIDE)) {
+                const key = `${target.x},${target.y}`;
+                if (!predecessors.has(key)) {
+                    predecessors.set(key, []);
+                    queue.push(target);
+                }
+                predecessors.get(key).push(current);
             }
-            
-            const neighbors = this.getWalkableNeighbors(current.x, current.y);
-            for (const neighbor of neighbors) {
-                const key = `${neighbor.x},${neighbor.y}`;
-                if (!visited.has(key)) {
-                    visited.add(key);
-                    queue.push(neighbor);
+        }
+
+        const targets = [this.exitPosition, ...this.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment')];
+        if (!targets.every(target => predecessors.has(`${target.x},${target.y}`))) {
+            return false;
+        }
+
+        const returned = new Set([startKey]);
+        const backward = [this.startPosition];
+        while (backward.length > 0) {
+            const current = backward.shift();
+            for (const previous of predecessors.get(`${current.x},${current.y}`)) {
+                const key = `${previous.x},${previous.y}`;
+                if (!returned.has(key)) {
+                    returned.add(key);
+                    backward.push(previous);
                 }
             }
         }
-        
-        return false;
+
+        return returned.size === predecessors.size;
+    }
+
+    /**
+     * Check solvability when doors and gates block the way
+     * The exit and every objective must be reachable once every key and switch Dante can get to has been used
+     * @returns {boolean} - True if the maze can be finished
+     */
+    isSolvableWithLocks() {
+        const reached = this.getReachableWithLocks();
+        const targets = [this.exitPosition, ...this.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment')];
+        return targets.every(target => reached.has(`${target.x},${target.y}`));
+    }
+
+    /**
+     * Flood the maze from the start, opening every door whose key and every gate whose switch is reached,
+     * until nothing new opens
+     * @returns {Set} - "x,y" keys of every cell Dante can get to
+     */
+    getReachableWithLocks() {
+        const unlocked = new Set();
+        const isPassable = (x, y) => {
+            if (x < 0 || x >= this.width || y < 0 || y >= this.height || this.cells[y][x] === this.WALL) {
+                return false;
+            }
+            const door = this.doors.get(`${x},${y}`);
+            return !door || door.open || unlocked.has(`${x},${y}`);
+        };
+
+        while (true) {
+            const startKey = `${this.startPosition.x},${this.startPosition.y}`;
+            const reached = new Set([startKey]);
+            const queue = [this.startPosition];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                const portalExit = this.getPortalExit(current.x, current.y);
+                const moves = Object.values(DIRECTION_VECTORS).map(step => ({ x: current.x + step.x, y: current.y + step.y }));
+                for (const next of portalExit ? [...moves, portalExit] : moves) {
+                    const key = `${next.x},${next.y}`;
+                    if (!reached.has(key) && isPassable(next.x, next.y)) {
+                        reached.add(key);
+                        queue.push(next);
+                    }
+                }
+            }
+
+            const sizeBefore = unlocked.size;
+            for (const opener of this.entities) {
+                if ((opener.type !== 'key' && opener.type !== 'switch') || !reached.has(`${opener.x},${opener.y}`)) {
+                    continue;
+                }
+                for (const [key, door] of this.doors) {
+                    if (this.opensDoor(opener, door)) {
+                        unlocked.add(key);
+                    }
+                }
+            }
+            if (unlocked.size === sizeBefore) {
+                return reached;
+            }
+        }
+    }
+
+    /**
+     * Check if a key or switch works a door or gate
+     * @param {Object} opener - Key or switch entity
+     * @param {Object} door - Door or gate data
+     * @returns {boolean} - True for a key of the door's color or the gate's own switch
+     */
+    opensDoor(opener, door) {
+        return (opener.type === 'key' && door.type === 'door' && door.color === opener.color) ||
+            (opener.type === 'switch' && door.type === 'gate' && door.switchId === opener.id);
+    }
+
+    /**
+     * Get the movement model this maze's tiles call for
+     * @returns {string} - MOVEMENT_MODELS.SLIDE if there is ice, otherwise MOVEMENT_MODELS.WALK
+     */
+    getMovementModel() {
+        for (const tile of this.tiles.values()) {
+            if (tile.type === 'ice') {
+                return MOVEMENT_MODELS.SLIDE;
+            }
+        }
+        return MOVEMENT_MODELS.WALK;
+    }
+
+    /**
+     * Get the cells Dante ends up on with a single move in each direction
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} movementModel - MOVEMENT_MODELS value (default: the model this maze's tiles call for)
+     * @returns {Array} - Landing positions {x, y}
+     */
+    getMoveTargets(x, y, movementModel = this.getMovementModel()) {
+        if (movementModel !== MOVEMENT_MODELS.SLIDE) {
+            return this.getWalkableNeighbors(x, y);
+        }
+
+        const targets = [];
+        for (const [direction, step] of Object.entries(DIRECTION_VECTORS)) {
+            if (this.isWalkable(x + step.x, y + step.y)) {
+                const slide = this.getSlidePath(x + step.x, y + step.y, direction);
+                targets.push(slide.length > 0 ? slide[slide.length - 1] : { x: x + step.x, y: y + step.y });
+            }
+        }
+        const portalExit = this.getPortalExit(x, y);
+        if (portalExit && this.isWalkable(portalExit.x, portalExit.y)) {
+            targets.push(portalExit);
+        }
+        return targets;
+    }
+
+    /**
+     * Follow the ice from a cell Dante has just stepped onto
+     * He keeps sliding until a wall blocks him or he reaches a cell without ice
+     * @param {number} x - X coordinate of the cell stepped onto
+     * @param {number} y - Y coordinate of the cell stepped onto
+     * @param {string} direction - Movement direction ('up', 'down', 'left', 'right')
+     * @returns {Array} - Cells slid through after (x, y), the last one is where he stops; empty if he stops at once
+     */
+    getSlidePath(x, y, direction) {
+        const step = DIRECTION_VECTORS[direction];
+        const path = [];
+        let current = { x, y };
+
+        while (this.getTile(current.x, current.y)?.type === 'ice' && this.isWalkable(current.x + step.x, current.y + step.y)) {
+            current = { x: current.x + step.x, y: current.y + step.y };
+            path.push(current);
+        }
+
+        return path;
     }
 
     /**
      * Get walkable neighbors for pathfinding
+     * A portal counts as an edge to the other end of its pair (see placePortals)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {boolean} throughPortals - Whether to include the other end of a portal Dante stands on
+     * @returns {Array} - Neighboring walkable positions {x, y}
      */
-    getWalkableNeighbors(x, y) {
+    getWalkableNeighbors(x, y, throughPortals = true) {
         const neighbors = [];
         const directions = [
             { x: 0, y: -1 }, // Up
@@ -178,47 +643,40 @@ export class Maze {
                 neighbors.push({ x: newX, y: newY });
             }
         }
+
+        const portalExit = throughPortals ? this.getPortalExit(x, y) : null;
+        if (portalExit && this.isWalkable(portalExit.x, portalExit.y) &&
+            !neighbors.some(cell => cell.x === portalExit.x && cell.y === portalExit.y)) {
+            neighbors.push(portalExit);
+        }
         
         return neighbors;
     }
 
     /**
-     * Create guaranteed path from start to exit if maze is not solvable
+     * Check if position is walkable
      */
-    createGuaranteedPath() {
-        let currentX = this.startPosition.x;
-        let currentY = this.startPosition.y;
-        
-        // Create path to exit
-        while (currentX !== this.exitPosition.x || currentY !== this.exitPosition.y) {
-            this.cells[currentY][currentX] = this.PATH;
-            
-            if (currentX < this.exitPosition.x) {
-                currentX++;
-            } else if (currentX > this.exitPosition.x) {
-                currentX--;
-            } else if (currentY < this.exitPosition.y) {
-                currentY++;
-            } else if (currentY > this.exitPosition.y) {
-                currentY--;
-            }
-        }
-        
-        // Ensure exit is accessible
-        this.cells[this.exitPosition.y][this.exitPosition.x] = this.EXIT;
+    isWalkable(x, y) {
+        return this.isOpenFloor(x, y) && (this.boulders.size === 0 || !this.boulders.has(`${x},${y}`));
     }
 
     /**
-     * Check if position is walkable
+     * Check if position would be walkable with no boulder on it
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True for floor that is not a wall nor a closed door or gate
      */
-    isWalkable(x, y) {
+    isOpenFloor(x, y) {
         // Check bounds
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
             return false;
         }
         
-        // Check if cell is not a wall
-        return this.cells[y][x] !== this.WALL;
+        // Check if cell is not a wall, nor a closed door or gate
+        if (this.cells[y][x] === this.WALL) {
+            return false;
+        }
+        return this.doors.size === 0 || this.doors.get(`${x},${y}`)?.open !== false;
     }
 
     /**
@@ -238,6 +696,14 @@ export class Maze {
         return this.startPosition;
     }
 
+    /**
+     * Get the seed used to generate this maze
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
     /**
      * Get maze exit position
      */
@@ -261,30 +727,139 @@ export class Maze {
     }
 
     /**
-     * Place entities in maze (Virgilio, fragments, exit)
+     * Get BFS walking distance from a position to every reachable cell
+     * @param {Object} position - Origin position {x, y}
+     * @param {boolean} throughPortals - Whether jumping through a portal counts as a step
+     * @returns {Map} - Map of "x,y" keys to distances in steps
+     */
+    getDistancesFrom(position, throughPortals = true) {
+        const distances = new Map();
+        const queue = [position];
+        distances.set(`${position.x},${position.y}`, 0);
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const currentDistance = distances.get(`${current.x},${current.y}`);
+
+            for (const neighbor of this.getWalkableNeighbors(current.x, current.y, throughPortals)) {
+                const key = `${neighbor.x},${neighbor.y}`;
+                if (!distances.has(key)) {
+                    distances.set(key, currentDistance + 1);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Get the cost of stepping onto a cell: 1 for plain floor, more on slow terrain (see TerrainBalance.COSTS)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} - Step cost
+     */
+    getMoveCost(x, y) {
+        return TerrainBalance.COSTS[this.getTile(x, y)?.type] ?? 1;
+    }
+
+    /**
+     * Get the cheapest walking cost from a position to every reachable cell, weighting steps by getMoveCost
+     * @param {Object} position - Origin position {x, y}
+     * @param {Object|null} target - Optional position {x, y} to stop at once its cost is known
+     * @returns {Map} - Map of "x,y" keys to travel costs
+     */
+    getTravelCosts(position, target = null) {
+        return this.searchCheapestRoutes(position, target).costs;
+    }
+
+    /**
+     * Dijkstra search over walkable neighbors, weighting steps by getMoveCost
+     * @param {Object} from - Origin position {x, y}
+     * @param {Object|null} to - Optional position {x, y} to stop at once it is settled
+     * @returns {Object} - { costs, parents }: "x,y" keys to travel costs, and to the position each was reached from
+     */
+    searchCheapestRoutes(from, to = null) {
+        const fromKey = `${from.x},${from.y}`;
+        const toKey = to ? `${to.x},${to.y}` : null;
+        const costs = new Map([[fromKey, 0]]);
+        const parents = new Map([[fromKey, null]]);
+        const settled = new Set();
+        const queue = new CostQueue();
+        queue.push(from, 0);
+
+        while (queue.size > 0) {
+            const { position: current, cost } = queue.pop();
+            const currentKey = `${current.x},${current.y}`;
+            if (settled.has(currentKey)) {
+                continue;
+            }
+            settled.add(currentKey);
+            if (currentKey === toKey) {
+                break;
+            }
+
+            for (const neighbor of this.getWalkableNeighbors(current.x, current.y)) {
+                const key = `${neighbor.x},${neighbor.y}`;
+                const neighborCost = cost + this.getMoveCost(neighbor.x, neighbor.y);
+                if (!settled.has(key) && neighborCost < (costs.get(key) ?? Infinity)) {
+                    costs.set(key, neighborCost);
+                    parents.set(key, current);
+                    queue.push(neighbor, neighborCost);
+                }
+            }
+        }
+
+        return { costs, parents };
+    }
+
+    /**
+     * Check if position lies in one of the four corner regions of the maze
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True if position is near a corner
+     */
+    isCornerPosition(x, y) {
+        const regionSize = Math.max(2, Math.floor(Math.min(this.width, this.height) / 4));
+        const nearVerticalEdge = x <= regionSize || x >= this.width - 1 - regionSize;
+        const nearHorizontalEdge = y <= regionSize || y >= this.height - 1 - regionSize;
+        return nearVerticalEdge && nearHorizontalEdge;
+    }
+
+    /**
+     * Place entities in maze (Virgilio, fragments, exit) following ObjectiveBalance rules
      * @param {Object} config - Entity configuration
      * @param {boolean} config.hasVirgilio - Whether to place Virgilio
      * @param {number} config.fragmentCount - Number of fragments to place
+     * @param {boolean} config.fragmentsBehindPortals - Allow fragments on cells only a portal leads to
+     * @returns {Object} - Placement report with any fallbacks taken (see getPlacementReport)
      */
     placeEntities(config = { hasVirgilio: true, fragmentCount: 3 }) {
         this.entities = [];
+        this.placementReport = { fallbacks: [] };
+
+        // Exit must be far enough from start before anything else is placed
+        let distances = this.getDistancesFrom(this.startPosition);
+        this.ensureExitDistance(distances);
+
         const walkablePositions = this.getWalkablePositions();
         
-        // Filter out start and exit positions for entity placement
+        // Filter out start, exit, portals and unreachable positions for entity placement
         const availablePositions = walkablePositions.filter(pos => 
             !(pos.x === this.startPosition.x && pos.y === this.startPosition.y) &&
-            !(pos.x === this.exitPosition.x && pos.y === this.exitPosition.y)
+            !(pos.x === this.exitPosition.x && pos.y === this.exitPosition.y) &&
+            !this.getPortalExit(pos.x, pos.y) &&
+            distances.has(`${pos.x},${pos.y}`)
         );
         
         if (availablePositions.length === 0) {
             console.warn('No available positions for entity placement');
-            return;
+            return this.placementReport;
         }
         
         // Place Virgilio if required
         if (config.hasVirgilio && availablePositions.length > 0) {
-            const virgilioIndex = Math.floor(Math.random() * availablePositions.length);
-            const virgilioPos = availablePositions[virgilioIndex];
+            const virgilioPos = this.chooseVirgilioPosition(availablePositions, distances);
             
             this.entities.push({
                 type: 'virgilio',
@@ -294,14 +869,21 @@ export class Maze {
             });
             
             // Remove used position
-            availablePositions.splice(virgilioIndex, 1);
+            availablePositions.splice(availablePositions.indexOf(virgilioPos), 1);
         }
         
-        // Place fragments
-        const fragmentsToPlace = Math.min(config.fragmentCount, availablePositions.length);
+        // Place fragments where Dante can walk to, unless the level means to hide some behind portals
+        const portalOnly = config.fragmentsBehindPortals ? new Set() : this.getPortalOnlyCells();
+        const fragmentPositions = availablePositions.filter(pos => !portalOnly.has(`${pos.x},${pos.y}`));
+        const fragmentsToPlace = Math.min(config.fragmentCount, fragmentPositions.length);
+        if (fragmentsToPlace < config.fragmentCount) {
+            this.reportPlacementFallback('fragment', 'notEnoughSpace',
+                `Only ${fragmentsToPlace} of ${config.fragmentCount} fragments fit in the maze`);
+        }
+
+        const deadEnds = new Set(this.getDeadEnds().map(pos => `${pos.x},${pos.y}`));
         for (let i = 0; i < fragmentsToPlace; i++) {
-            const fragmentIndex = Math.floor(Math.random() * availablePositions.length);
-            const fragmentPos = availablePositions[fragmentIndex];
+            const fragmentPos = this.chooseFragmentPosition(fragmentPositions, distances, deadEnds);
             
             this.entities.push({
                 type: 'fragment',
@@ -312,8 +894,1084 @@ export class Maze {
             });
             
             // Remove used position
-            availablePositions.splice(fragmentIndex, 1);
+            fragmentPositions.splice(fragmentPositions.indexOf(fragmentPos), 1);
         }
+
+        return this.placementReport;
+    }
+
+    /**
+     * Place hazards (fire pits, lost souls) off the shortest routes to the exit and objectives,
+     * so every level can still be finished without stepping on one
+     * @param {Object} config - Count per hazard kind, e.g. { fire_pit: 2, lost_soul: 1 }
+     * @returns {Array} - Placed hazard entities
+     */
+    placeHazards(config = {}) {
+        this.entities = this.entities.filter(entity => entity.type !== 'hazard');
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const objectives = this.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment');
+        const route = this.getRouteCells([this.exitPosition, ...objectives]);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+
+        const candidates = this.getWalkablePositions().filter(pos => {
+            const key = `${pos.x},${pos.y}`;
+            return distances.get(key) >= HazardBalance.MIN_DISTANCE_FROM_START &&
+                !route.has(key) && !occupied.has(key) &&
+                this.cells[pos.y][pos.x] === this.PATH;
+        });
+
+        const placed = [];
+        for (const [kind, count] of Object.entries(config)) {
+            if (!HazardBalance.KINDS[kind]) {
+                console.warn(`Unknown hazard kind: ${kind}`);
+                continue;
+            }
+
+            const toPlace = Math.min(count, candidates.length);
+            if (toPlace < count) {
+                this.reportPlacementFallback('hazard', 'notEnoughSpace',
+                    `Only ${toPlace} of ${count} ${kind} hazards fit off the main routes`);
+            }
+
+            for (let i = 0; i < toPlace; i++) {
+                const pos = this.random.pick(candidates);
+                candidates.splice(candidates.indexOf(pos), 1);
+
+                const hazard = {
+                    type: 'hazard',
+                    kind,
+                    x: pos.x,
+                    y: pos.y,
+                    damage: HazardBalance.KINDS[kind].damage,
+                    collected: false
+                };
+                this.entities.push(hazard);
+                placed.push(hazard);
+            }
+        }
+
+        return placed;
+    }
+
+    /**
+     * Scatter hourglasses that add time to the countdown of a timed circle
+     * @param {Object} config - LevelData `timer` ({ pickups, bonus } with bonus in milliseconds)
+     * @returns {Array} - Placed hourglass entities
+     */
+    placeHourglasses({ pickups = 0, bonus = TimerBalance.HOURGLASS_BONUS } = {}) {
+        this.entities = this.entities.filter(entity => entity.type !== 'hourglass');
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const candidates = this.getWalkablePositions().filter(pos => {
+            const key = `${pos.x},${pos.y}`;
+            return distances.get(key) >= TimerBalance.MIN_DISTANCE_FROM_START &&
+                !occupied.has(key) && this.cells[pos.y][pos.x] === this.PATH;
+        });
+
+        const toPlace = Math.min(pickups, candidates.length);
+        if (toPlace < pickups) {
+            this.reportPlacementFallback('hourglass', 'notEnoughSpace',
+                `Only ${toPlace} of ${pickups} hourglasses fit in the maze`);
+        }
+
+        const placed = [];
+        for (let i = 0; i < toPlace; i++) {
+            const pos = this.random.pick(candidates);
+            candidates.splice(candidates.indexOf(pos), 1);
+
+            const hourglass = { type: 'hourglass', x: pos.x, y: pos.y, bonus, collected: false, id: i };
+            this.entities.push(hourglass);
+            placed.push(hourglass);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Get the cells on the cheapest walking routes from the start to each target
+     * @param {Array} targets - Target positions {x, y}
+     * @returns {Set} - "x,y" keys of every cell on those routes, start included
+     */
+    getRouteCells(targets) {
+        const startKey = `${this.startPosition.x},${this.startPosition.y}`;
+        const { parents } = this.searchCheapestRoutes(this.startPosition);
+
+        const route = new Set([startKey]);
+        for (const target of targets) {
+            let key = `${target.x},${target.y}`;
+            while (key && parents.has(key) && !route.has(key)) {
+                route.add(key);
+                const parent = parents.get(key);
+                key = parent ? `${parent.x},${parent.y}` : null;
+            }
+        }
+
+        return route;
+    }
+
+    /**
+     * Find the cheapest walking path between two cells, going around slow terrain when that is quicker
+     * @param {Object} from - Start position {x, y}
+     * @param {Object} to - Target position {x, y}
+     * @returns {Array|null} - Positions after `from` up to and including `to`, or null if unreachable
+     */
+    findPath(from, to) {
+        const fromKey = `${from.x},${from.y}`;
+        const toKey = `${to.x},${to.y}`;
+        const { parents } = this.searchCheapestRoutes(from, to);
+
+        if (!parents.has(toKey)) {
+            return null;
+        }
+
+        const path = [];
+        for (let step = { x: to.x, y: to.y }; `${step.x},${step.y}` !== fromKey; step = parents.get(`${step.x},${step.y}`)) {
+            path.unshift({ x: step.x, y: step.y });
+        }
+        return path;
+    }
+
+    /**
+     * Lay wind currents along straight corridors, each blowing toward its far end
+     * Dante can always walk against a current between gusts, so currents never make a level unsolvable
+     * @param {Object} config - LevelData wind config { currents, length, strength }
+     * @returns {Array} - Placed currents [{ direction, cells }]
+     */
+    placeWindCurrents(config = {}) {
+        const { currents = 0, length = 4, strength = WindBalance.DEFAULT_STRENGTH } = config;
+        for (const [key, tile] of this.tiles) {
+            if (tile.type === 'wind') {
+                this.tiles.delete(key);
+            }
+        }
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const isFree = (x, y) => {
+            const key = `${x},${y}`;
+            return this.getCellType(x, y) === this.PATH && !occupied.has(key) && !this.tiles.has(key) &&
+                distances.get(key) >= WindBalance.MIN_DISTANCE_FROM_START;
+        };
+
+        const placed = [];
+        const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos => isFree(pos.x, pos.y)));
+        for (const pos of candidates) {
+            if (placed.length >= currents) {
+                break;
+            }
+
+            const direction = this.random.pick(Object.keys(DIRECTION_VECTORS));
+            const step = DIRECTION_VECTORS[direction];
+            const cells = [];
+            for (let x = pos.x, y = pos.y; cells.length < length && isFree(x, y); x += step.x, y += step.y) {
+                cells.push({ x, y });
+            }
+            if (cells.length < WindBalance.MIN_LENGTH) {
+                continue;
+            }
+
+            cells.forEach(cell => this.setTile(cell.x, cell.y, { type: 'wind', direction, strength }));
+            placed.push({ direction, cells });
+        }
+
+        if (placed.length < currents) {
+            this.reportPlacementFallback('wind', 'notEnoughSpace',
+                `Only ${placed.length} of ${currents} wind currents fit in the corridors`);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Freeze patches of floor into ice, keeping only patches that leave the maze solvable under sliding
+     * Ice never touches objectives, hazards or other tiles, nor the cells next to a hazard,
+     * so a slide cannot end in a fire pit; keys, switches, doors, tombs, portals and bridges placed
+     * afterwards all keep off tiles, so a slide only ever crosses bare ice and only the cell it stops on
+     * holds anything to pick up or step into
+     * @param {Object} config - LevelData ice config { patches, size }
+     * @returns {Array} - Placed patches, each an array of cells {x, y}
+     */
+    placeIce(config = {}) {
+        const { patches = 0, size = 4 } = config;
+        for (const [key, tile] of this.tiles) {
+            if (tile.type === 'ice') {
+                this.tiles.delete(key);
+            }
+        }
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const nearHazard = new Set();
+        this.getEntitiesByType('hazard').forEach(hazard => {
+            this.getWalkableNeighbors(hazard.x, hazard.y).forEach(cell => nearHazard.add(`${cell.x},${cell.y}`));
+        });
+        const isFree = (x, y) => {
+            const key = `${x},${y}`;
+            return this.getCellType(x, y) === this.PATH && !occupied.has(key) && !nearHazard.has(key) &&
+                !this.tiles.has(key) && distances.get(key) >= IceBalance.MIN_DISTANCE_FROM_START;
+        };
+
+        const placed = [];
+        const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos => isFree(pos.x, pos.y)));
+        for (const seedCell of candidates.slice(0, patches * IceBalance.ATTEMPTS_PER_PATCH)) {
+            if (placed.length >= patches) {
+                break;
+            }
+            if (!isFree(seedCell.x, seedCell.y)) {
+                continue;
+            }
+
+            // Grow the patch outward from the seed cell
+            const patch = [seedCell];
+            const frontier = [seedCell];
+            const seen = new Set([`${seedCell.x},${seedCell.y}`]);
+            while (frontier.length > 0 && patch.length < size) {
+                const current = frontier.splice(this.random.nextInt(frontier.length), 1)[0];
+                for (const neighbor of this.getWalkableNeighbors(current.x, current.y)) {
+                    const key = `${neighbor.x},${neighbor.y}`;
+                    if (patch.length < size && !seen.has(key) && isFree(neighbor.x, neighbor.y)) {
+                        seen.add(key);
+                        patch.push(neighbor);
+                        frontier.push(neighbor);
+                    }
+                }
+            }
+
+            patch.forEach(cell => this.setTile(cell.x, cell.y, { type: 'ice' }));
+            if (this.isSolvableBySliding()) {
+                placed.push(patch);
+            } else {
+                patch.forEach(cell => this.setTile(cell.x, cell.y, null));
+            }
+        }
+
+        if (placed.length < patches) {
+            this.reportPlacementFallback('ice', 'notEnoughSpace',
+                `Only ${placed.length} of ${patches} ice patches fit without stranding Dante`);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Spread patches of slow terrain (mud and sleet) over the floor
+     * Slow tiles never block the way, so they cannot make a level unsolvable; they only raise the cost
+     * of the routes through them (see getMoveCost)
+     * @param {Object} config - LevelData terrain config { mud, sleet, size }: patches of each type and cells per patch
+     * @returns {Array} - Placed patches [{ type, cells }]
+     */
+    placeSlowTerrain(config = {}) {
+        const { size = TerrainBalance.DEFAULT_PATCH_SIZE } = config;
+        for (const [key, tile] of this.tiles) {
+            if (TerrainBalance.COSTS[tile.type]) {
+                this.tiles.delete(key);
+            }
+        }
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const isFree = (x, y) => {
+            const key = `${x},${y}`;
+            return this.getCellType(x, y) === this.PATH && !occupied.has(key) && !this.tiles.has(key) &&
+                !this.doors.has(key) && distances.get(key) >= TerrainBalance.MIN_DISTANCE_FROM_START;
+        };
+
+        const placed = [];
+        for (const type of Object.keys(TerrainBalance.COSTS)) {
+            const patches = config[type] || 0;
+            const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos => isFree(pos.x, pos.y)));
+            let count = 0;
+            for (const seedCell of candidates) {
+                if (count >= patches) {
+                    break;
+                }
+                if (!isFree(seedCell.x, seedCell.y)) {
+                    continue;
+                }
+
+                // Spill the patch outward from the seed cell along the corridors
+                const cells = [seedCell];
+                this.setTile(seedCell.x, seedCell.y, { type });
+                for (let i = 0; i < cells.length && cells.length < size; i++) {
+                    for (const neighbor of this.random.shuffle(this.getWalkableNeighbors(cells[i].x, cells[i].y))) {
+                        if (cells.length < size && isFree(neighbor.x, neighbor.y)) {
+                            this.setTile(neighbor.x, neighbor.y, { type });
+                            cells.push(neighbor);
+                        }
+                    }
+                }
+
+                placed.push({ type, cells });
+                count++;
+            }
+
+            if (count < patches) {
+                this.reportPlacementFallback(type, 'notEnoughSpace',
+                    `Only ${count} of ${patches} ${type} patches fit on the free floor`);
+            }
+        }
+
+        return placed;
+    }
+
+    /**
+     * Raise burning tombs on the floor, preferably on the way to the exit or an objective
+     * Tombs only burn part of the time (see BurningTombs), so they never make a level unsolvable;
+     * no two tombs touch, so each one is crossed on its own in a single step on and off
+     * @param {Object} config - LevelData tombs config { count }
+     * @returns {Array} - Placed tombs [{ type: 'tomb', phase, x, y }]
+     */
+    placeTombs(config = {}) {
+        const { count = 0 } = config;
+        for (const [key, tile] of this.tiles) {
+            if (tile.type === 'tomb') {
+                this.tiles.delete(key);
+            }
+        }
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const objectives = this.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment');
+        const route = this.getRouteCells([this.exitPosition, ...objectives]);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const isFree = (x, y) => {
+            const key = `${x},${y}`;
+            return this.getCellType(x, y) === this.PATH && !occupied.has(key) && !this.tiles.has(key) &&
+                !this.doors.has(key) && !this.boulders.has(key) &&
+                distances.get(key) >= TombBalance.MIN_DISTANCE_FROM_START &&
+                this.getWalkableNeighbors(x, y).every(cell => this.getTile(cell.x, cell.y)?.type !== 'tomb');
+        };
+
+        const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos => isFree(pos.x, pos.y)));
+        // Tombs in the way must be timed; the rest only light up side passages
+        candidates.sort((a, b) => Number(route.has(`${b.x},${b.y}`)) - Number(route.has(`${a.x},${a.y}`)));
+
+        const placed = [];
+        for (const cell of candidates) {
+            if (placed.length >= count) {
+                break;
+            }
+            if (!isFree(cell.x, cell.y)) {
+                continue;
+            }
+
+            const tile = { type: 'tomb', phase: this.random.nextInt(TombBalance.PHASES) / TombBalance.PHASES };
+            this.setTile(cell.x, cell.y, tile);
+            placed.push({ ...tile, x: cell.x, y: cell.y });
+        }
+
+        if (placed.length < count) {
+            this.reportPlacementFallback('tomb', 'notEnoughSpace',
+                `Only ${placed.length} of ${count} tombs fit apart from each other on the free floor`);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Open pairs of teleport portals between distant cells; stepping onto either end carries Dante to the other
+     * Generated mazes are connected on foot, so portals only add shortcuts and never cut anything off
+     * @param {Object} config - LevelData portals config { pairs }
+     * @returns {Array} - Placed portals [{ type: 'portal', pair, target, x, y }], two per pair
+     */
+    placePortals(config = {}) {
+        const pairs = Math.min(config.pairs || 0, PortalBalance.MAX_PAIRS);
+        for (const [key, tile] of this.tiles) {
+            if (tile.type === 'portal') {
+                this.tiles.delete(key);
+            }
+        }
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const isFree = (x, y) => {
+            const key = `${x},${y}`;
+            return this.getCellType(x, y) === this.PATH && !occupied.has(key) && !this.tiles.has(key) &&
+                !this.doors.has(key) && !this.boulders.has(key) &&
+                distances.get(key) >= PortalBalance.MIN_DISTANCE_FROM_START;
+        };
+
+        const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos => isFree(pos.x, pos.y)));
+        const placed = [];
+        for (const from of candidates) {
+            if (placed.length >= pairs * 2) {
+                break;
+            }
+            if (!isFree(from.x, from.y)) {
+                continue;
+            }
+
+            // The other end must be a real detour away on foot
+            const walk = this.getDistancesFrom(from, false);
+            const to = candidates.find(cell => isFree(cell.x, cell.y) &&
+                (walk.get(`${cell.x},${cell.y}`) ?? Infinity) >= PortalBalance.MIN_PAIR_DISTANCE);
+            if (!to) {
+                continue;
+            }
+
+            const pair = placed.length / 2;
+            this.setTile(from.x, from.y, { type: 'portal', pair, target: { x: to.x, y: to.y } });
+            this.setTile(to.x, to.y, { type: 'portal', pair, target: { x: from.x, y: from.y } });
+            placed.push(...[from, to].map(cell => ({ ...this.getTile(cell.x, cell.y), x: cell.x, y: cell.y })));
+        }
+
+        if (placed.length < pairs * 2) {
+            this.reportPlacementFallback('portal', 'notEnoughSpace',
+                `Only ${placed.length / 2} of ${pairs} portal pairs fit ${PortalBalance.MIN_PAIR_DISTANCE} steps apart`);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Get where the portal at a position leads
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Other end of the pair {x, y}, or null if there is no portal here
+     */
+    getPortalExit(x, y) {
+        const tile = this.tiles.size > 0 ? this.getTile(x, y) : null;
+        return tile && tile.type === 'portal' && tile.target ? { x: tile.target.x, y: tile.target.y } : null;
+    }
+
+    /**
+     * Get the cells Dante can only get to through a portal
+     * @returns {Set} - "x,y" keys reachable from the start with portals but not on foot
+     */
+    getPortalOnlyCells() {
+        if (this.getTilesByType('portal').length === 0) {
+            return new Set();
+        }
+        const onFoot = this.getDistancesFrom(this.startPosition, false);
+        return new Set([...this.getDistancesFrom(this.startPosition).keys()].filter(key => !onFoot.has(key)));
+    }
+
+    /**
+     * Set or clear the floor tile at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object|null} tile - Tile data, e.g. { type: 'wind', direction: 'left', strength: 1 } or { type: 'ice' }, or null to clear
+     */
+    setTile(x, y, tile) {
+        if (tile) {
+            this.tiles.set(`${x},${y}`, { ...tile });
+        } else {
+            this.tiles.delete(`${x},${y}`);
+        }
+    }
+
+    /**
+     * Get the floor tile at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Tile data or null for plain floor
+     */
+    getTile(x, y) {
+        return this.tiles.get(`${x},${y}`) || null;
+    }
+
+    /**
+     * Get every floor tile of a type, with its position
+     * @param {string} type - Tile type ('wind', 'ice', 'mud', 'sleet', 'tomb', 'portal')
+     * @returns {Array} - Tiles [{ type, x, y, ... }]
+     */
+    getTilesByType(type) {
+        const result = [];
+        for (const [key, tile] of this.tiles) {
+            if (tile.type === type) {
+                const [x, y] = key.split(',').map(Number);
+                result.push({ ...tile, x, y });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Lock parts of the maze behind colored doors and switch-operated gates
+     * Each door or gate goes on a chokepoint that seals off the exit or an objective, and its key or switch
+     * is placed where Dante can reach it without passing through it, so every key comes before its door
+     * @param {Object} config - LevelData doors config { keys, switches }
+     * @returns {Array} - Placed locks [{ type: 'door' | 'gate', cells, opener }]
+     */
+    placeDoors(config = {}) {
+        const { keys = 0, switches = 0 } = config;
+        this.doors = new Map();
+        this.entities = this.entities.filter(entity => entity.type !== 'key' && entity.type !== 'switch');
+
+        const colors = DoorBalance.COLORS;
+        const requested = Math.min(keys, colors.length);
+        if (requested < keys) {
+            this.reportPlacementFallback('door', 'notEnoughColors',
+                `Only ${colors.length} key colors exist; placing ${requested} of ${keys} doors`);
+        }
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const placed = [];
+        for (let i = 0; i < requested; i++) {
+            const lock = this.placeLock({ type: 'door', color: colors[i] }, { type: 'key', color: colors[i] }, distances);
+            if (lock) {
+                placed.push(lock);
+            }
+        }
+        for (let i = 0; i < switches; i++) {
+            const lock = this.placeLock({ type: 'gate', switchId: i }, { type: 'switch', id: i }, distances);
+            if (lock) {
+                placed.push(lock);
+            }
+        }
+
+        if (placed.length < requested + switches) {
+            this.reportPlacementFallback('door', 'notEnoughSpace',
+                `Only ${placed.length} of ${requested + switches} doors and gates found a chokepoint`);
+        }
+
+        return placed;
+    }
+
+    /**
+     * Place one door or gate and its key or switch
+     * @param {Object} door - Door data without position, e.g. { type: 'door', color: 'red' }
+     * @param {Object} opener - Opener entity without position, e.g. { type: 'key', color: 'red' }
+     * @param {Map} distances - Walking distances from the start with every door open
+     * @returns {Object|null} - { type, cells, opener } or null if no chokepoint works
+     */
+    placeLock(door, opener, distances) {
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const isFree = (x, y) => {
+            const key = `${x},${y}`;
+            return this.getCellType(x, y) === this.PATH && !occupied.has(key) && !this.tiles.has(key) &&
+                !this.doors.has(key) && distances.get(key) >= DoorBalance.MIN_DISTANCE_FROM_START;
+        };
+        const targets = [this.exitPosition, ...this.entities.filter(entity => entity.type !== 'hazard')];
+
+        const reachable = this.getReachableWithLocks();
+        const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos =>
+            reachable.has(`${pos.x},${pos.y}`) && isFree(pos.x, pos.y)));
+
+        for (const cell of candidates.slice(0, DoorBalance.ATTEMPTS_PER_LOCK)) {
+            const cells = door.type === 'gate' ? this.getGateSegment(cell, isFree) : [cell];
+            cells.forEach(pos => this.setDoor(pos.x, pos.y, { ...door, open: false }));
+
+            // Worth locking only if something Dante needs is now out of reach
+            const sealed = this.getReachableWithLocks();
+            const sealsTarget = targets.some(target => !sealed.has(`${target.x},${target.y}`));
+            const openerCells = sealsTarget ? this.getWalkablePositions().filter(pos =>
+                sealed.has(`${pos.x},${pos.y}`) && isFree(pos.x, pos.y)) : [];
+
+            if (openerCells.length > 0) {
+                const spot = this.random.pick(openerCells);
+                const entity = { ...opener, x: spot.x, y: spot.y, collected: false };
+                this.entities.push(entity);
+                if (this.isSolvable()) {
+                    return { type: door.type, cells, opener: entity };
+                }
+                this.entities.pop();
+            }
+
+            cells.forEach(pos => this.setDoor(pos.x, pos.y, null));
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the run of corridor cells a gate closes, starting at a cell and following the corridor
+     * @param {Object} cell - First gate cell {x, y}
+     * @param {Function} isFree - (x, y) => true if a cell may become part of the gate
+     * @returns {Array} - Gate cells {x, y}, at most DoorBalance.GATE_LENGTH long
+     */
+    getGateSegment(cell, isFree) {
+        const cells = [cell];
+        const step = Object.values(DIRECTION_VECTORS).find(dir => isFree(cell.x + dir.x, cell.y + dir.y));
+        if (!step) {
+            return cells;
+        }
+
+        for (let x = cell.x + step.x, y = cell.y + step.y; cells.length < DoorBalance.GATE_LENGTH && isFree(x, y); x += step.x, y += step.y) {
+            cells.push({ x, y });
+        }
+        return cells;
+    }
+
+    /**
+     * Set or clear the door or gate at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object|null} door - Door data, e.g. { type: 'door', color: 'red', open: false } or { type: 'gate', switchId: 0, open: false }, or null to clear
+     */
+    setDoor(x, y, door) {
+        if (door) {
+            this.doors.set(`${x},${y}`, { ...door });
+        } else {
+            this.doors.delete(`${x},${y}`);
+        }
+    }
+
+    /**
+     * Get the door or gate at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Door data or null
+     */
+    getDoor(x, y) {
+        return this.doors.get(`${x},${y}`) || null;
+    }
+
+    /**
+     * Get every door or gate of a type, with its position
+     * @param {string} type - 'door' or 'gate'
+     * @returns {Array} - Doors [{ type, x, y, open, ... }]
+     */
+    getDoorsByType(type) {
+        const result = [];
+        for (const [key, door] of this.doors) {
+            if (door.type === type) {
+                const [x, y] = key.split(',').map(Number);
+                result.push({ ...door, x, y });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Open every door of a color
+     * @param {string} color - Key color
+     * @returns {number} - Number of doors opened
+     */
+    unlockDoors(color) {
+        let opened = 0;
+        for (const door of this.doors.values()) {
+            if (door.type === 'door' && door.color === color && !door.open) {
+                door.open = true;
+                opened++;
+            }
+        }
+        return opened;
+    }
+
+    /**
+     * Raise or lower every gate worked by a switch
+     * @param {number} switchId - Switch id
+     * @returns {boolean|null} - True if the gates are now open, null if the switch works no gate
+     */
+    toggleSwitch(switchId) {
+        let open = null;
+        for (const door of this.doors.values()) {
+            if (door.type === 'gate' && door.switchId === switchId) {
+                door.open = !door.open;
+                open = door.open;
+            }
+        }
+        return open;
+    }
+
+    /**
+     * Get the open or closed state of every door and gate
+     * @returns {Array} - [{ x, y, open }]
+     */
+    getDoorState() {
+        return [...this.doors].map(([key, door]) => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y, open: door.open };
+        });
+    }
+
+    /**
+     * Restore door and gate states saved with getDoorState()
+     * @param {Array} state - [{ x, y, open }]
+     */
+    loadDoorState(state = []) {
+        for (const { x, y, open } of state) {
+            const door = this.doors.get(`${x},${y}`);
+            if (door) {
+                door.open = Boolean(open);
+            }
+        }
+    }
+
+    /**
+     * Roll boulders into straight corridors, preferably ones on the way to the exit or an objective,
+     * keeping only boulders that leave the maze solvable (see isSolvableWithBoulders)
+     * @param {Object} config - LevelData boulders config { count }
+     * @returns {Array} - Placed boulders [{ id, x, y }]
+     */
+    placeBoulders(config = {}) {
+        const { count = 0 } = config;
+        this.boulders = new Map();
+        this.boulderHistory = [];
+
+        const distances = this.getDistancesFrom(this.startPosition);
+        const objectives = this.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment');
+        const route = this.getRouteCells([this.exitPosition, ...objectives]);
+        const occupied = new Set(this.entities.map(entity => `${entity.x},${entity.y}`));
+        const isCorridor = (x, y) => (this.isWalkable(x - 1, y) && this.isWalkable(x + 1, y) &&
+            !this.isWalkable(x, y - 1) && !this.isWalkable(x, y + 1)) ||
+            (this.isWalkable(x, y - 1) && this.isWalkable(x, y + 1) &&
+            !this.isWalkable(x - 1, y) && !this.isWalkable(x + 1, y));
+
+        const candidates = this.random.shuffle(this.getWalkablePositions().filter(pos => {
+            const key = `${pos.x},${pos.y}`;
+            return this.getCellType(pos.x, pos.y) === this.PATH && !occupied.has(key) && !this.tiles.has(key) &&
+                !this.doors.has(key) && distances.get(key) >= BoulderBalance.MIN_DISTANCE_FROM_START &&
+                isCorridor(pos.x, pos.y);
+        }));
+        // Boulders in the way make puzzles; the rest only make side passages awkward
+        candidates.sort((a, b) => Number(route.has(`${b.x},${b.y}`)) - Number(route.has(`${a.x},${a.y}`)));
+
+        for (const cell of candidates.slice(0, count * BoulderBalance.ATTEMPTS_PER_BOULDER)) {
+            if (this.boulders.size >= count) {
+                break;
+            }
+            // A boulder right next to another could wedge both against the walls
+            if (this.getWalkableNeighbors(cell.x, cell.y).length < 2) {
+                continue;
+            }
+
+            const key = `${cell.x},${cell.y}`;
+            this.boulders.set(key, { id: this.boulders.size });
+            if (!this.isSolvableWithBoulders()) {
+                this.boulders.delete(key);
+            }
+        }
+
+        if (this.boulders.size < count) {
+            this.reportPlacementFallback('boulder', 'notEnoughSpace',
+                `Only ${this.boulders.size} of ${count} boulders fit without blocking the way for good`);
+        }
+
+        return this.getBoulders();
+    }
+
+    /**
+     * Check solvability when boulders block the way
+     * Pushes are searched breadth-first over boulder layouts; since every push can be undone
+     * (see undoBoulderPush), the maze is solvable if each objective and the exit can be reached
+     * in some layout Dante can push his way to
+     * @returns {boolean} - True if the maze can be finished
+     */
+    isSolvableWithBoulders() {
+        const { width, height } = this;
+        const steps = Object.values(DIRECTION_VECTORS);
+        const toIndex = (position) => position.y * width + position.x;
+
+        // Cells are numbered y * width + x; precompute what walls, doors and entities allow
+        const open = new Uint8Array(width * height); // walkable with no boulder on it
+        const rollable = new Uint8Array(width * height); // a boulder may be pushed onto it
+        const noBoulders = new Set();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                open[y * width + x] = this.isOpenFloor(x, y) ? 1 : 0;
+                rollable[y * width + x] = this.canBoulderEnter(x, y, noBoulders) ? 1 : 0;
+            }
+        }
+        const neighbor = (cell, step) => {
+            const x = cell % width + step.x;
+            const y = Math.floor(cell / width) + step.y;
+            return x >= 0 && x < width && y >= 0 && y < height ? y * width + x : -1;
+        };
+        const portals = new Int32Array(width * height).fill(-1); // cell at the other end of a portal
+        this.getTilesByType('portal').forEach(tile => { portals[toIndex(tile)] = toIndex(tile.target); });
+
+        const targets = [this.exitPosition, ...this.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment')]
+            .map(toIndex);
+        const reached = new Uint8Array(width * height);
+        const flooded = new Int32Array(width * height);
+        const seen = new Set();
+        const queued = new Set();
+        const initial = this.getBoulders().map(toIndex).sort((a, b) => a - b);
+        const queue = [{ player: toIndex(this.startPosition), boulders: initial }];
+
+        for (let head = 0; head < queue.length && head < BoulderBalance.MAX_SEARCH_STATES; head++) {
+            const { player, boulders } = queue[head];
+            const blocked = new Set(boulders);
+
+            // Flood the area Dante can walk in without pushing anything
+            const generation = head + 1;
+            const region = [player];
+            flooded[player] = generation;
+            let anchor = player;
+            for (let i = 0; i < region.length; i++) {
+                for (let d = 0; d <= steps.length; d++) {
+                    const next = d < steps.length ? neighbor(region[i], steps[d]) : portals[region[i]];
+                    if (next !== -1 && flooded[next] !== generation && open[next] && !blocked.has(next)) {
+                        flooded[next] = generation;
+                        region.push(next);
+                        anchor = Math.min(anchor, next);
+                    }
+                }
+            }
+
+            // Dante's exact cell within the area does not matter, so one state covers the whole area
+            const stateKey = `${boulders.join(',')}|${anchor}`;
+            if (seen.has(stateKey)) {
+                continue;
+            }
+            seen.add(stateKey);
+            region.forEach(cell => { reached[cell] = 1; });
+            if (targets.every(target => reached[target])) {
+                return true;
+            }
+
+            for (const cell of region) {
+                for (const step of steps) {
+                    const boulder = neighbor(cell, step);
+                    const to = boulder === -1 ? -1 : neighbor(boulder, step);
+                    if (to !== -1 && blocked.has(boulder) && rollable[to] && !blocked.has(to)) {
+                        const next = boulders.map(other => (other === boulder ? to : other)).sort((a, b) => a - b);
+                        const key = `${next.join(',')}|${boulder}`;
+                        if (!queued.has(key)) {
+                            queued.add(key);
+                            queue.push({ player: boulder, boulders: next });
+                        }
+                    }
+                }
+            }
+        }
+
+        return targets.every(target => reached[target]);
+    }
+
+    /**
+     * Check if a boulder can be pushed onto a cell
+     * Boulders roll over plain floor and floor tiles, but never onto the start, the exit, a door, a portal or any entity
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Map|Set} boulders - Occupied boulder cells ("x,y" keys), default: the current ones
+     * @returns {boolean} - True if the cell is free for a boulder
+     */
+    canBoulderEnter(x, y, boulders = this.boulders) {
+        return this.isOpenFloor(x, y) && !boulders.has(`${x},${y}`) && !this.doors.has(`${x},${y}`) &&
+            this.getCellType(x, y) === this.PATH && this.getTile(x, y)?.type !== 'portal' &&
+            !this.entities.some(entity => entity.x === x && entity.y === y);
+    }
+
+    /**
+     * Get the boulder at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Boulder { id, x, y } or null
+     */
+    getBoulderAt(x, y) {
+        const boulder = this.boulders.get(`${x},${y}`);
+        return boulder ? { ...boulder, x, y } : null;
+    }
+
+    /**
+     * Get every boulder with its position
+     * @returns {Array} - Boulders [{ id, x, y }]
+     */
+    getBoulders() {
+        return [...this.boulders].map(([key, boulder]) => {
+            const [x, y] = key.split(',').map(Number);
+            return { ...boulder, x, y };
+        });
+    }
+
+    /**
+     * Push the boulder at a position one cell onward, if the cell behind it is free
+     * @param {number} x - X coordinate of the boulder
+     * @param {number} y - Y coordinate of the boulder
+     * @param {string} direction - Push direction ('up', 'down', 'left', 'right')
+     * @returns {boolean} - True if the boulder moved
+     */
+    pushBoulder(x, y, direction) {
+        const boulder = this.boulders.get(`${x},${y}`);
+        const step = DIRECTION_VECTORS[direction];
+        if (!boulder || !step || !this.canBoulderEnter(x + step.x, y + step.y)) {
+            return false;
+        }
+
+        this.boulders.delete(`${x},${y}`);
+        this.boulders.set(`${x + step.x},${y + step.y}`, boulder);
+        this.boulderHistory.push({
+            id: boulder.id,
+            from: { x, y },
+            to: { x: x + step.x, y: y + step.y },
+            pusher: { x: x - step.x, y: y - step.y }
+        });
+        return true;
+    }
+
+    /**
+     * Take back the last boulder push, for when Dante has wedged a boulder where it blocks the way
+     * @returns {Object|null} - The undone push { id, from, to, pusher }, where `pusher` is the cell Dante
+     *                          pushed from and goes back to, or null if nothing was pushed
+     */
+    undoBoulderPush() {
+        const push = this.boulderHistory.pop();
+        if (!push) {
+            return null;
+        }
+
+        const boulder = this.boulders.get(`${push.to.x},${push.to.y}`);
+        this.boulders.delete(`${push.to.x},${push.to.y}`);
+        this.boulders.set(`${push.from.x},${push.from.y}`, boulder);
+        return push;
+    }
+
+    /**
+     * Get boulder positions and push history for saving
+     * @returns {Object} - { positions: [{ id, x, y }], history: [{ id, from, to, pusher }] }
+     */
+    getBoulderState() {
+        return {
+            positions: this.getBoulders(),
+            history: this.boulderHistory.map(push => ({ ...push }))
+        };
+    }
+
+    /**
+     * Restore boulders saved with getBoulderState()
+     * @param {Object} state - { positions, history }
+     */
+    loadBoulderState(state) {
+        if (!state?.positions) {
+            return;
+        }
+        this.boulders = new Map(state.positions.map(({ id, x, y }) => [`${x},${y}`, { id }]));
+        this.boulderHistory = (state.history || []).map(push => ({ ...push }));
+    }
+
+    /**
+     * Get the hazard at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Hazard entity or null
+     */
+    getHazardAt(x, y) {
+        return this.entities.find(entity => entity.type === 'hazard' && entity.x === x && entity.y === y) || null;
+    }
+
+    /**
+     * Move the exit if it is closer to the start than EXIT_MIN_DISTANCE_FROM_START
+     * @param {Map} distances - BFS distances from start
+     */
+    ensureExitDistance(distances) {
+        // Designers place the exit on authored layouts
+        if (this.isAuthored) {
+            return;
+        }
+
+        const minDistance = ObjectiveBalance.EXIT_MIN_DISTANCE_FROM_START;
+        const exitDistance = distances.get(`${this.exitPosition.x},${this.exitPosition.y}`);
+        if (exitDistance !== undefined && exitDistance >= minDistance) {
+            return;
+        }
+
+        const reachable = [];
+        for (const [key, distance] of distances) {
+            const [x, y] = key.split(',').map(Number);
+            reachable.push({ x, y, distance });
+        }
+
+        const candidates = reachable.filter(pos => pos.distance >= minDistance);
+        let newExit;
+        if (candidates.length === 0) {
+            this.reportPlacementFallback('exit', 'distanceFromStart',
+                `No cell is ${minDistance} steps from the start; using the farthest reachable cell`);
+            newExit = reachable.reduce((best, pos) => pos.distance > best.distance ? pos : best);
+        } else {
+            const corners = candidates.filter(pos => this.isCornerPosition(pos.x, pos.y));
+            const preferCorner = corners.length > 0 && this.random.next() < ObjectiveBalance.EXIT_CORNER_PREFERENCE;
+            newExit = this.random.pick(preferCorner ? corners : candidates);
+        }
+
+        if (newExit.x === this.startPosition.x && newExit.y === this.startPosition.y) {
+            return;
+        }
+
+        if (this.cells[this.exitPosition.y][this.exitPosition.x] === this.EXIT) {
+            this.cells[this.exitPosition.y][this.exitPosition.x] = this.PATH;
+        }
+        this.exitPosition = { x: newExit.x, y: newExit.y };
+        this.cells[newExit.y][newExit.x] = this.EXIT;
+    }
+
+    /**
+     * Choose Virgilio's cell within the allowed BFS distance range from start
+     * @param {Array} positions - Available positions
+     * @param {Map} distances - BFS distances from start
+     * @returns {Object} - Chosen position {x, y}
+     */
+    chooseVirgilioPosition(positions, distances) {
+        const minDistance = ObjectiveBalance.VIRGILIO_MIN_DISTANCE_FROM_START;
+        const maxDistance = ObjectiveBalance.VIRGILIO_MAX_DISTANCE_FROM_START;
+        const distanceOf = pos => distances.get(`${pos.x},${pos.y}`);
+
+        const inRange = positions.filter(pos => distanceOf(pos) >= minDistance && distanceOf(pos) <= maxDistance);
+        if (inRange.length === 0) {
+            this.reportPlacementFallback('virgilio', 'distanceRange',
+                `No cell is ${minDistance}-${maxDistance} steps from the start; using the closest match`);
+            const outOfRange = pos => Math.max(minDistance - distanceOf(pos), distanceOf(pos) - maxDistance);
+            return positions.reduce((best, pos) => outOfRange(pos) < outOfRange(best) ? pos : best);
+        }
+
+        if (this.random.next() < ObjectiveBalance.VIRGILIO_CENTRAL_BIAS) {
+            // Prefer the half of the candidates nearest to the maze center
+            const centerX = (this.width - 1) / 2;
+            const centerY = (this.height - 1) / 2;
+            const centrality = pos => Math.abs(pos.x - centerX) + Math.abs(pos.y - centerY);
+            const central = [...inRange].sort((a, b) => centrality(a) - centrality(b));
+            return this.random.pick(central.slice(0, Math.ceil(central.length / 2)));
+        }
+
+        return this.random.pick(inRange);
+    }
+
+    /**
+     * Choose a fragment cell spaced from the start and from already placed entities
+     * Biased toward dead ends and maze corners
+     * @param {Array} positions - Available positions
+     * @param {Map} distances - BFS distances from start
+     * @param {Set} deadEnds - Keys of dead-end cells
+     * @returns {Object} - Chosen position {x, y}
+     */
+    chooseFragmentPosition(positions, distances, deadEnds) {
+        const minDistance = ObjectiveBalance.FRAGMENT_MIN_DISTANCE;
+        const spacing = pos => this.entities.reduce((closest, entity) =>
+            Math.min(closest, Math.abs(entity.x - pos.x) + Math.abs(entity.y - pos.y)), Infinity);
+
+        const spaced = positions.filter(pos =>
+            distances.get(`${pos.x},${pos.y}`) >= minDistance && spacing(pos) >= minDistance
+        );
+
+        if (spaced.length === 0) {
+            if (!this.placementReport.fallbacks.some(fallback => fallback.reason === 'fragmentSpacing')) {
+                this.reportPlacementFallback('fragment', 'fragmentSpacing',
+                    `Not enough room to keep fragments ${minDistance} cells apart; using the most isolated cells`);
+            }
+            return positions.reduce((best, pos) => spacing(pos) > spacing(best) ? pos : best);
+        }
+
+        const roll = this.random.next();
+        let pool = [];
+        if (roll < ObjectiveBalance.FRAGMENT_DEAD_END_BIAS) {
+            pool = spaced.filter(pos => deadEnds.has(`${pos.x},${pos.y}`));
+        } else if (roll < ObjectiveBalance.FRAGMENT_DEAD_END_BIAS + ObjectiveBalance.FRAGMENT_CORNER_BIAS) {
+            pool = spaced.filter(pos => this.isCornerPosition(pos.x, pos.y));
+        }
+
+        return this.random.pick(pool.length > 0 ? pool : spaced);
+    }
+
+    /**
+     * Record why placement could not follow the ObjectiveBalance rules
+     * @param {string} entity - Entity type ('virgilio', 'fragment', 'exit')
+     * @param {string} reason - Machine-readable reason
+     * @param {string} message - Human-readable explanation
+     */
+    reportPlacementFallback(entity, reason, message) {
+        this.placementReport.fallbacks.push({ entity, reason, message });
+        console.warn(`Entity placement fallback (${entity}): ${message}`);
+    }
+
+    /**
+     * Get report from the last placeEntities call
+     * @returns {Object} - { fallbacks: Array<{entity, reason, message}> }
+     */
+    getPlacementReport() {
+        return this.placementReport;
     }
 
     /**
@@ -345,7 +2003,7 @@ export class Maze {
 
     /**
      * Get all entities of a specific type
-     * @param {string} type - Entity type ('virgilio', 'fragment')
+     * @param {string} type - Entity type ('virgilio', 'fragment', 'hazard')
      * @returns {Array} - Array of entities
      */
     getEntitiesByType(type) {
@@ -412,7 +2070,10 @@ export class Maze {
             type: entity.type,
             x: entity.x,
             y: entity.y,
-            color: this.getEntityColor(entity.type)
+            color: this.getEntityColor(entity.type),
+            ...(entity.kind && { kind: entity.kind }),
+            ...(entity.type === 'key' && { keyColor: entity.color }),
+            ...(entity.type === 'switch' && { id: entity.id })
         }));
     }
 
@@ -427,6 +2088,14 @@ export class Maze {
                 return '#800080'; // Purple
             case 'fragment':
                 return '#0000FF'; // Blue
+            case 'hazard':
+                return '#FF4500'; // Orange red
+            case 'key':
+                return '#FFD700'; // Gold
+            case 'switch':
+                return '#A9A9A9'; // Dark grey
+            case 'hourglass':
+                return '#F4A460'; // Sandy brown
             default:
                 return '#FFFFFF'; // White fallback
         }
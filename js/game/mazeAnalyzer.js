@@ -0,0 +1,121 @@
+/**
+ * Maze Analyzer
+ * Objective difficulty metrics for a Maze: solution length and cost, dead ends, branching,
+ * tortuosity and how far the objectives are from the start
+ */
+
+/**
+ * Weights used to combine metrics into a single difficulty score
+ */
+export const DIFFICULTY_WEIGHTS = {
+    SOLUTION_LENGTH: 1,      // Per step of the cheapest start-to-exit path, slow terrain counting extra
+    OBJECTIVE_DISTANCE: 0.5, // Per step to each fragment and to Virgilio
+    DEAD_END: 2,             // Per dead end the player may wander into
+    JUNCTION: 1              // Per decision point
+};
+
+/**
+ * Compute difficulty metrics for a maze
+ * @param {Maze} maze - Maze with start, exit and entities placed
+ * @returns {Object} - Metrics report
+ */
+export function analyzeMaze(maze) {
+    const start = maze.getStartPosition();
+    const exit = maze.getExitPosition();
+    const distances = maze.getDistancesFrom(start);
+    const distanceTo = (pos) => distances.get(`${pos.x},${pos.y}`) ?? null;
+
+    // Topology of the area the player can actually reach
+    let deadEnds = 0;
+    let junctions = 0;
+    let junctionChoices = 0;
+    for (const key of distances.keys()) {
+        const [x, y] = key.split(',').map(Number);
+        const degree = maze.getWalkableNeighbors(x, y).length;
+        if (degree === 1) {
+            deadEnds++;
+        } else if (degree >= 3) {
+            junctions++;
+            junctionChoices += degree - 1;
+        }
+    }
+
+    const solutionLength = distanceTo(exit);
+    const solutionCost = maze.getTravelCosts(start, exit).get(`${exit.x},${exit.y}`) ?? null;
+    const straightDistance = Math.abs(exit.x - start.x) + Math.abs(exit.y - start.y);
+
+    const virgilio = maze.getEntitiesByType('virgilio')[0];
+    const fragmentDistances = maze.getEntitiesByType('fragment').map(distanceTo);
+    const objectiveDistances = [...fragmentDistances, ...(virgilio ? [distanceTo(virgilio)] : [])];
+    const reachableObjectives = objectiveDistances.filter(distance => distance !== null);
+
+    const metrics = {
+        width: maze.width,
+        height: maze.height,
+        walkableCells: maze.getWalkablePositions().length,
+        reachableCells: distances.size,
+        isSolvable: solutionLength !== null,
+        solutionLength,
+        // Walking cost of the cheapest route, weighting mud and sleet steps by TerrainBalance.COSTS
+        solutionCost,
+        deadEnds,
+        junctions,
+        // Average onward choices at a decision point (2 for a plain T-junction)
+        branchingFactor: junctions > 0 ? junctionChoices / junctions : 0,
+        // Path length relative to the straight-line (Manhattan) distance; 1 means no detours
+        tortuosity: solutionLength !== null && straightDistance > 0 ? solutionLength / straightDistance : null,
+        virgilioDistance: virgilio ? distanceTo(virgilio) : null,
+        fragmentDistances,
+        averageObjectiveDistance: reachableObjectives.length > 0
+            ? reachableObjectives.reduce((sum, distance) => sum + distance, 0) / reachableObjectives.length
+            : 0,
+        maxObjectiveDistance: reachableObjectives.length > 0 ? Math.max(...reachableObjectives) : 0,
+        unreachableObjectives: objectiveDistances.length - reachableObjectives.length
+    };
+
+    metrics.difficultyScore = calculateDifficultyScore(metrics, reachableObjectives);
+    return metrics;
+}
+
+/**
+ * Combine metrics into a single comparable score
+ * @param {Object} metrics - Metrics from analyzeMaze
+ * @param {Array} objectiveDistances - Distances to every reachable objective
+ * @returns {number} - Difficulty score (higher is harder)
+ */
+function calculateDifficultyScore(metrics, objectiveDistances) {
+    const totalObjectiveDistance = objectiveDistances.reduce((sum, distance) => sum + distance, 0);
+
+    return Math.round(
+        (metrics.solutionCost ?? 0) * DIFFICULTY_WEIGHTS.SOLUTION_LENGTH +
+        totalObjectiveDistance * DIFFICULTY_WEIGHTS.OBJECTIVE_DISTANCE +
+        metrics.deadEnds * DIFFICULTY_WEIGHTS.DEAD_END +
+        metrics.junctions * DIFFICULTY_WEIGHTS.JUNCTION
+    );
+}
+
+/**
+ * Average the numeric metrics of several analyses (e.g. one level across many seeds)
+ * @param {Array} reports - Metrics reports from analyzeMaze
+ * @returns {Object} - Averaged metrics plus sample count and solvable ratio
+ */
+export function summarizeMazeMetrics(reports) {
+    if (reports.length === 0) {
+        return { samples: 0 };
+    }
+
+    const keys = ['walkableCells', 'reachableCells', 'solutionLength', 'solutionCost', 'deadEnds', 'junctions',
+        'branchingFactor', 'tortuosity', 'virgilioDistance', 'averageObjectiveDistance',
+        'maxObjectiveDistance', 'difficultyScore'];
+    const summary = {
+        samples: reports.length,
+        solvableRatio: reports.filter(report => report.isSolvable).length / reports.length
+    };
+
+    for (const key of keys) {
+        const values = reports.map(report => report[key]).filter(value => value !== null);
+        summary[key] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    return summary;
+}
@@ -0,0 +1,149 @@
+/**
+ * Maze Floors
+ * Stacked Maze layers for multi-floor circles (the ditches of Malebolge), joined by stairs and bridges
+ * Every layer is a full Maze of its own; only the active one is played, rendered and fogged at a time
+ */
+
+import { FloorBalance } from '../data/gameBalance.js';
+
+export class MazeFloors {
+    /**
+     * @param {Array<Maze>} layers - Floors from the top (where Dante starts) to the bottom (where the exit is)
+     */
+    constructor(layers) {
+        this.layers = layers;
+        this.links = []; // { kind: 'stairs' | 'bridge', from: { layer, x, y }, to: { layer, x, y } }, one per direction
+        this.activeLayer = 0;
+    }
+
+    /**
+     * Join every floor to the next: stairs down from its exit to the start of the floor below,
+     * plus `bridges` extra crossings between the two on free floor cells
+     * Start and exit cells in between turn into plain floor under the stairs, so only the bottom floor has an exit
+     * Call once every layer is fully furnished, so the crossings keep clear of objectives, doors and tiles
+     * @param {number} bridges - Bridges between each pair of neighbouring floors
+     * @returns {Array} - Links created, one per direction
+     */
+    connect(bridges = 0) {
+        this.links = [];
+        for (let i = 0; i < this.layers.length - 1; i++) {
+            const upper = this.layers[i];
+            const lower = this.layers[i + 1];
+
+            const exit = upper.getExitPosition();
+            const start = lower.getStartPosition();
+            upper.cells[exit.y][exit.x] = upper.PATH;
+            lower.cells[start.y][start.x] = lower.PATH;
+            this.addLink('stairs', { layer: i, ...exit }, { layer: i + 1, ...start });
+
+            const upperCells = this.getBridgeCandidates(upper);
+            const lowerCells = this.getBridgeCandidates(lower);
+            const placed = Math.min(bridges, upperCells.length, lowerCells.length);
+            if (placed < bridges) {
+                upper.reportPlacementFallback('bridge', 'notEnoughSpace',
+                    `Only ${placed} of ${bridges} bridges fit between floors ${i + 1} and ${i + 2}`);
+            }
+            for (let b = 0; b < placed; b++) {
+                this.addLink('bridge', { layer: i, ...upperCells[b] }, { layer: i + 1, ...lowerCells[b] });
+            }
+        }
+
+        return this.links;
+    }
+
+    /**
+     * Record a crossing both ways and mark both ends on their floors
+     * @param {string} kind - 'stairs' or 'bridge'
+     * @param {Object} top - Upper end { layer, x, y }
+     * @param {Object} bottom - Lower end { layer, x, y }
+     */
+    addLink(kind, top, bottom) {
+        this.layers[top.layer].setTile(top.x, top.y, { type: kind, direction: 'down' });
+        this.layers[bottom.layer].setTile(bottom.x, bottom.y, { type: kind, direction: 'up' });
+        this.links.push({ kind, from: top, to: bottom }, { kind, from: bottom, to: top });
+    }
+
+    /**
+     * Get free floor cells for bridge ends, in random order
+     * @param {Maze} maze - Floor to search
+     * @returns {Array} - Cells {x, y} clear of entities, tiles, doors and boulders
+     */
+    getBridgeCandidates(maze) {
+        const distances = maze.getDistancesFrom(maze.getStartPosition());
+        const exit = maze.getExitPosition();
+        const occupied = new Set(maze.entities.map(entity => `${entity.x},${entity.y}`));
+        return maze.random.shuffle(maze.getWalkablePositions().filter(pos => {
+            const key = `${pos.x},${pos.y}`;
+            return maze.getCellType(pos.x, pos.y) === maze.PATH && !occupied.has(key) && !maze.tiles.has(key) &&
+                !maze.doors.has(key) && !maze.boulders.has(key) && !(pos.x === exit.x && pos.y === exit.y) &&
+                distances.get(key) >= FloorBalance.BRIDGE_MIN_DISTANCE_FROM_START;
+        }));
+    }
+
+    /**
+     * Get the crossing that starts at a cell of a floor
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} layer - Floor index (defaults to the active floor)
+     * @returns {Object|null} - Link { kind, from, to } or null
+     */
+    getLinkAt(x, y, layer = this.activeLayer) {
+        return this.links.find(link => link.from.layer === layer && link.from.x === x && link.from.y === y) || null;
+    }
+
+    /**
+     * Make another floor the one being played
+     * @param {number} index - Floor index
+     * @returns {Maze|null} - The new active floor, or null if there is no such floor
+     */
+    setActiveLayer(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.layers.length) {
+            console.warn(`No floor ${index} in a ${this.layers.length}-floor maze`);
+            return null;
+        }
+
+        this.activeLayer = index;
+        return this.layers[index];
+    }
+
+    /**
+     * Get the floor being played
+     * @returns {Maze} - Active floor
+     */
+    getActiveLayer() {
+        return this.layers[this.activeLayer];
+    }
+
+    /**
+     * Get the index of the floor being played
+     * @returns {number} - 0 for the top floor
+     */
+    getActiveLayerIndex() {
+        return this.activeLayer;
+    }
+
+    /**
+     * Get the number of floors
+     * @returns {number} - Floor count
+     */
+    getLayerCount() {
+        return this.layers.length;
+    }
+
+    /**
+     * Check whether a floor is the bottom one, the only one with an exit
+     * @param {Maze} maze - Floor to check
+     * @returns {boolean} - True for the bottom floor
+     */
+    isFinalLayer(maze) {
+        return maze === this.layers[this.layers.length - 1];
+    }
+
+    /**
+     * Count the fragments on every floor
+     * @returns {number} - Fragments in the whole structure
+     */
+    getTotalFragmentsCount() {
+        return this.layers.reduce((total, layer) => total + layer.getTotalFragmentsCount(), 0);
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * Maze Generators
+ * Registry of maze generation algorithms that carve paths into a Maze grid
+ *
+ * Every generator receives the maze (already filled with walls) and a seeded random source,
+ * and carves a perfect maze over the odd-coordinate cells so every cell is reachable.
+ */
+
+const DIRECTIONS = [
+    { x: 0, y: -2 }, // Up
+    { x: 2, y: 0 },  // Right
+    { x: 0, y: 2 },  // Down
+    { x: -2, y: 0 }  // Left
+];
+
+/**
+ * Build a string key for a cell
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {string} - Cell key
+ */
+function cellKey(x, y) {
+    return `${x},${y}`;
+}
+
+/**
+ * Get all generation cells (odd coordinates inside the border)
+ * @param {Maze} maze - Maze instance
+ * @returns {Array} - Array of cell positions {x, y}
+ */
+function getGridCells(maze) {
+    const cells = [];
+    for (let y = 1; y < maze.height - 1; y += 2) {
+        for (let x = 1; x < maze.width - 1; x += 2) {
+            cells.push({ x, y });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Get neighboring generation cells two steps away
+ * @param {Maze} maze - Maze instance
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Array} - Array of neighbor positions {x, y}
+ */
+function getGridNeighbors(maze, x, y) {
+    const neighbors = [];
+    for (const dir of DIRECTIONS) {
+        const newX = x + dir.x;
+        const newY = y + dir.y;
+        if (maze.isValidPosition(newX, newY)) {
+            neighbors.push({ x: newX, y: newY });
+        }
+    }
+    return neighbors;
+}
+
+/**
+ * Open both cells and the wall between them
+ * @param {Maze} maze - Maze instance
+ * @param {Object} from - First cell {x, y}
+ * @param {Object} to - Adjacent cell {x, y}
+ */
+function carvePassage(maze, from, to) {
+    maze.cells[from.y][from.x] = maze.PATH;
+    maze.cells[(from.y + to.y) / 2][(from.x + to.x) / 2] = maze.PATH;
+    maze.cells[to.y][to.x] = maze.PATH;
+}
+
+/**
+ * Recursive backtracking (depth-first search)
+ * Long winding corridors with few, long dead ends
+ * @param {Maze} maze - Maze instance
+ * @param {SeededRandom} random - Random source
+ */
+export function generateBacktracker(maze, random) {
+    const stack = [];
+    const visited = new Set();
+
+    // Start from position (1,1) to ensure odd coordinates
+    const start = { x: 1, y: 1 };
+    maze.cells[start.y][start.x] = maze.PATH;
+    stack.push(start);
+    visited.add(cellKey(start.x, start.y));
+
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const neighbors = maze.getUnvisitedNeighbors(current.x, current.y, visited);
+
+        if (neighbors.length > 0) {
+            const next = random.pick(neighbors);
+            carvePassage(maze, current, next);
+            visited.add(cellKey(next.x, next.y));
+            stack.push(next);
+        } else {
+            stack.pop();
+        }
+    }
+}
+
+/**
+ * Randomized Prim's algorithm
+ * Many short dead ends branching off a central area
+ * @param {Maze} maze - Maze instance
+ * @param {SeededRandom} random - Random source
+ */
+export function generatePrim(maze, random) {
+    const visited = new Set();
+    const frontier = [];
+    const inFrontier = new Set();
+
+    const addFrontier = (x, y) => {
+        for (const neighbor of getGridNeighbors(maze, x, y)) {
+            const key = cellKey(neighbor.x, neighbor.y);
+            if (!visited.has(key) && !inFrontier.has(key)) {
+                inFrontier.add(key);
+                frontier.push(neighbor);
+            }
+        }
+    };
+
+    const start = { x: 1, y: 1 };
+    maze.cells[start.y][start.x] = maze.PATH;
+    visited.add(cellKey(start.x, start.y));
+    addFrontier(start.x, start.y);
+
+    while (frontier.length > 0) {
+        const index = random.nextInt(frontier.length);
+        const cell = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        const connections = getGridNeighbors(maze, cell.x, cell.y)
+            .filter(neighbor => visited.has(cellKey(neighbor.x, neighbor.y)));
+        carvePassage(maze, random.pick(connections), cell);
+
+        visited.add(cellKey(cell.x, cell.y));
+        addFrontier(cell.x, cell.y);
+    }
+}
+
+/**
+ * Randomized Kruskal's algorithm
+ * Uniformly scattered short dead ends with no directional bias
+ * @param {Maze} maze - Maze instance
+ * @param {SeededRandom} random - Random source
+ */
+export function generateKruskal(maze, random) {
+    const cells = getGridCells(maze);
+    const parent = new Map();
+
+    const find = (key) => {
+        let root = key;
+        while (parent.get(root) !== root) {
+            root = parent.get(root);
+        }
+        // Path compression
+        while (parent.get(key) !== root) {
+            const next = parent.get(key);
+            parent.set(key, root);
+            key = next;
+        }
+        return root;
+    };
+
+    const edges = [];
+    for (const cell of cells) {
+        parent.set(cellKey(cell.x, cell.y), cellKey(cell.x, cell.y));
+        maze.cells[cell.y][cell.x] = maze.PATH;
+
+        // Only right and down edges so each wall is listed once
+        if (maze.isValidPosition(cell.x + 2, cell.y)) {
+            edges.push({ from: cell, to: { x: cell.x + 2, y: cell.y } });
+        }
+        if (maze.isValidPosition(cell.x, cell.y + 2)) {
+            edges.push({ from: cell, to: { x: cell.x, y: cell.y + 2 } });
+        }
+    }
+
+    random.shuffle(edges);
+
+    for (const edge of edges) {
+        const rootA = find(cellKey(edge.from.x, edge.from.y));
+        const rootB = find(cellKey(edge.to.x, edge.to.y));
+        if (rootA !== rootB) {
+            parent.set(rootA, rootB);
+            carvePassage(maze, edge.from, edge.to);
+        }
+    }
+}
+
+/**
+ * Eller's algorithm
+ * Builds the maze row by row, producing wide horizontal passages
+ * @param {Maze} maze - Maze instance
+ * @param {SeededRandom} random - Random source
+ */
+export function generateEller(maze, random) {
+    const columns = [];
+    for (let x = 1; x < maze.width - 1; x += 2) {
+        columns.push(x);
+    }
+    const rows = [];
+    for (let y = 1; y < maze.height - 1; y += 2) {
+        rows.push(y);
+    }
+
+    let nextSetId = 1;
+    let rowSets = columns.map(() => 0);
+
+    rows.forEach((y, rowIndex) => {
+        const isLastRow = rowIndex === rows.length - 1;
+
+        // Give every cell without a set its own set
+        rowSets = rowSets.map(setId => setId || nextSetId++);
+        columns.forEach(x => {
+            maze.cells[y][x] = maze.PATH;
+        });
+
+        // Randomly join adjacent cells from different sets (always on the last row)
+        for (let i = 0; i < columns.length - 1; i++) {
+            if (rowSets[i] !== rowSets[i + 1] && (isLastRow || random.next() < 0.5)) {
+                const mergedSet = rowSets[i + 1];
+                const keptSet = rowSets[i];
+                rowSets = rowSets.map(setId => setId === mergedSet ? keptSet : setId);
+                carvePassage(maze, { x: columns[i], y }, { x: columns[i + 1], y });
+            }
+        }
+
+        if (isLastRow) {
+            return;
+        }
+
+        // Each set must extend down at least once
+        const nextRowSets = columns.map(() => 0);
+        const setMembers = new Map();
+        rowSets.forEach((setId, i) => {
+            if (!setMembers.has(setId)) {
+                setMembers.set(setId, []);
+            }
+            setMembers.get(setId).push(i);
+        });
+
+        for (const members of setMembers.values()) {
+            random.shuffle(members);
+            members.forEach((i, order) => {
+                if (order === 0 || random.next() < 0.3) {
+                    carvePassage(maze, { x: columns[i], y }, { x: columns[i], y: rows[rowIndex + 1] });
+                    nextRowSets[i] = rowSets[i];
+                }
+            });
+        }
+
+        rowSets = nextRowSets;
+    });
+}
+
+/**
+ * Wilson's algorithm (loop-erased random walks)
+ * Produces an unbiased uniform spanning tree
+ * @param {Maze} maze - Maze instance
+ * @param {SeededRandom} random - Random source
+ */
+export function generateWilson(maze, random) {
+    const cells = getGridCells(maze);
+    const inMaze = new Set();
+
+    const first = cells[0];
+    maze.cells[first.y][first.x] = maze.PATH;
+    inMaze.add(cellKey(first.x, first.y));
+
+    const remaining = random.shuffle(cells.slice(1));
+
+    for (const startCell of remaining) {
+        if (inMaze.has(cellKey(startCell.x, startCell.y))) {
+            continue;
+        }
+
+        // Random walk until the maze is hit, remembering only the last exit from each cell
+        const nextStep = new Map();
+        let current = startCell;
+        while (!inMaze.has(cellKey(current.x, current.y))) {
+            const next = random.pick(getGridNeighbors(maze, current.x, current.y));
+            nextStep.set(cellKey(current.x, current.y), next);
+            current = next;
+        }
+
+        // Carve the loop-erased path
+        current = startCell;
+        while (!inMaze.has(cellKey(current.x, current.y))) {
+            const next = nextStep.get(cellKey(current.x, current.y));
+            carvePassage(maze, current, next);
+            inMaze.add(cellKey(current.x, current.y));
+            current = next;
+        }
+    }
+}
+
+/**
+ * Growing tree algorithm
+ * Mixes newest-cell (backtracker) and random-cell (Prim) selection
+ * @param {Maze} maze - Maze instance
+ * @param {SeededRandom} random - Random source
+ * @param {number} newestBias - Probability of continuing from the newest cell
+ */
+export function generateGrowingTree(maze, random, newestBias = 0.75) {
+    const visited = new Set();
+    const active = [];
+
+    const start = { x: 1, y: 1 };
+    maze.cells[start.y][start.x] = maze.PATH;
+    visited.add(cellKey(start.x, start.y));
+    active.push(start);
+
+    while (active.length > 0) {
+        const index = random.next() < newestBias ? active.length - 1 : random.nextInt(active.length);
+        const current = active[index];
+        const neighbors = maze.getUnvisitedNeighbors(current.x, current.y, visited);
+
+        if (neighbors.length > 0) {
+            const next = random.pick(neighbors);
+            carvePassage(maze, current, next);
+            visited.add(cellKey(next.x, next.y));
+            active.push(next);
+        } else {
+            active.splice(index, 1);
+        }
+    }
+}
+
+/**
+ * Registered maze generation algorithms by name
+ */
+export const MazeGenerators = {
+    backtracker: generateBacktracker,
+    prim: generatePrim,
+    kruskal: generateKruskal,
+    eller: generateEller,
+    wilson: generateWilson,
+    growingTree: generateGrowingTree
+};
+
+export const DEFAULT_GENERATOR = 'backtracker';
+
+/**
+ * Get generator function by name
+ * @param {string} name - Generator name
+ * @returns {Function} - Generator function (falls back to the default generator)
+ */
+export function getMazeGenerator(name = DEFAULT_GENERATOR) {
+    if (!MazeGenerators.hasOwnProperty(name)) {
+        console.warn(`Unknown maze generator "${name}", using ${DEFAULT_GENERATOR}`);
+        return MazeGenerators[DEFAULT_GENERATOR];
+    }
+    return MazeGenerators[name];
+}
+
+/**
+ * Register a custom maze generator
+ * @param {string} name - Generator name
+ * @param {Function} generator - Function (maze, random) that carves paths into maze.cells
+ */
+export function registerMazeGenerator(name, generator) {
+    if (typeof generator !== 'function') {
+        throw new Error(`Maze generator "${name}" must be a function`);
+    }
+    MazeGenerators[name] = generator;
+}
+
+/**
+ * Get names of all registered generators
+ * @returns {Array} - Array of generator names
+ */
+export function getAvailableGenerators() {
+    return Object.keys(MazeGenerators);
+}
@@ -0,0 +1,468 @@
+/**
+ * Maze Layout
+ * Parses hand-authored level layouts (ASCII rows or JSON grids) into Maze instances, and serializes mazes back to ASCII
+ *
+ * ASCII layout: an array of equal-length strings, or { rows: [...] }
+ *   #  wall          .  path (a space also counts as path)
+ *   S  start         E  exit
+ *   V  Virgilio      F  fragment
+ *   ^ > v <  wind current blowing up, right, down or left (chain them into wind loops)
+ *   ~  ice (Dante slides across it)
+ *   %  mud           :  sleet (both slow Dante down, see TerrainBalance)
+ *   r b g y  red, blue, green or yellow key    R B G Y  locked door of that color
+ *   *  pressure switch   =  gate raised and lowered by the switches
+ *   O  boulder (Dante pushes it one cell when the cell behind it is free)
+ *   T  burning tomb (burns on the circle's rhythm, see BurningTombs)
+ *   0-9  teleport portal; the two cells with the same digit lead to each other
+ *
+ * JSON layout: { grid: [[0, 1, ...], ...], start: {x, y}, exit: {x, y},
+ *                entities: [{ type, x, y } | { type: 'key', x, y, color } | { type: 'switch', x, y, id }],
+ *                tiles: [{ type: 'wind', x, y, direction, strength } | { type: 'ice' | 'mud' | 'sleet', x, y } |
+ *                        { type: 'tomb', x, y, phase } | { type: 'portal', x, y, pair }],
+ *                doors: [{ type: 'door', x, y, color, open } | { type: 'gate', x, y, switchId, open }],
+ *                boulders: [{ x, y }] }
+ *   grid uses the Maze cell codes (0 wall, 1 path, 2 start, 3 exit)
+ */
+
+import { Maze, DIRECTION_VECTORS } from './maze.js';
+import { DoorBalance } from '../data/gameBalance.js';
+
+export const LAYOUT_SYMBOLS = {
+    WALL: '#',
+    PATH: '.',
+    START: 'S',
+    EXIT: 'E',
+    VIRGILIO: 'V',
+    FRAGMENT: 'F',
+    WIND: { up: '^', right: '>', down: 'v', left: '<' },
+    ICE: '~',
+    MUD: '%',
+    SLEET: ':',
+    KEY: { red: 'r', blue: 'b', green: 'g', yellow: 'y' },
+    DOOR: { red: 'R', blue: 'B', green: 'G', yellow: 'Y' },
+    SWITCH: '*',
+    GATE: '=',
+    BOULDER: 'O',
+    TOMB: 'T',
+    PORTAL: '0123456789'
+};
+
+const WIND_DIRECTIONS = Object.fromEntries(
+    Object.entries(LAYOUT_SYMBOLS.WIND).map(([direction, symbol]) => [symbol, direction])
+);
+const KEY_COLORS = Object.fromEntries(
+    Object.entries(LAYOUT_SYMBOLS.KEY).map(([color, symbol]) => [symbol, color])
+);
+const DOOR_COLORS = Object.fromEntries(
+    Object.entries(LAYOUT_SYMBOLS.DOOR).map(([color, symbol]) => [symbol, color])
+);
+
+const WALL = 0;
+const PATH = 1;
+const START = 2;
+const EXIT = 3;
+
+/**
+ * Check if a layout uses the ASCII format
+ * @param {Array|Object} layout - Layout definition
+ * @returns {boolean} - True for ASCII layouts
+ */
+function isAsciiLayout(layout) {
+    return Array.isArray(layout) || Array.isArray(layout?.rows);
+}
+
+/**
+ * Convert an ASCII layout into the normalized form
+ * @param {Array} rows - Layout rows
+ * @param {Array} errors - Error list to append to
+ * @returns {Object} - Normalized layout
+ */
+function normalizeAsciiLayout(rows, errors) {
+    const normalized = { cells: [], starts: [], exits: [], entities: [], tiles: [], doors: [], boulders: [] };
+
+    rows.forEach((row, y) => {
+        if (typeof row !== 'string') {
+            errors.push(`Row ${y} must be a string`);
+            normalized.cells.push([]);
+            return;
+        }
+
+        normalized.cells.push([...row].map((symbol, x) => {
+            switch (symbol) {
+                case LAYOUT_SYMBOLS.WALL:
+                    return WALL;
+                case LAYOUT_SYMBOLS.PATH:
+                case ' ':
+                    return PATH;
+                case LAYOUT_SYMBOLS.START:
+                    normalized.starts.push({ x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.EXIT:
+                    normalized.exits.push({ x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.VIRGILIO:
+                    normalized.entities.push({ type: 'virgilio', x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.FRAGMENT:
+                    normalized.entities.push({ type: 'fragment', x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.ICE:
+                    normalized.tiles.push({ type: 'ice', x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.MUD:
+                    normalized.tiles.push({ type: 'mud', x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.SLEET:
+                    normalized.tiles.push({ type: 'sleet', x, y });
+                    return PATH;
+                case LAYOUT_SYMBOLS.TOMB:
+                    normalized.tiles.push({ type: 'tomb', x, y, phase: 0 });
+                    return PATH;
+                case LAYOUT_SYMBOLS.SWITCH:
+                    normalized.entities.push({ type: 'switch', x, y, id: 0 });
+                    return PATH;
+                case LAYOUT_SYMBOLS.GATE:
+                    normalized.doors.push({ type: 'gate', x, y, switchId: 0, open: false });
+                    return PATH;
+                case LAYOUT_SYMBOLS.BOULDER:
+                    normalized.boulders.push({ x, y });
+                    return PATH;
+                default:
+                    if (WIND_DIRECTIONS[symbol]) {
+                        normalized.tiles.push({ type: 'wind', x, y, direction: WIND_DIRECTIONS[symbol], strength: 1 });
+                        return PATH;
+                    }
+                    if (KEY_COLORS[symbol]) {
+                        normalized.entities.push({ type: 'key', x, y, color: KEY_COLORS[symbol] });
+                        return PATH;
+                    }
+                    if (DOOR_COLORS[symbol]) {
+                        normalized.doors.push({ type: 'door', x, y, color: DOOR_COLORS[symbol], open: false });
+                        return PATH;
+                    }
+                    if (LAYOUT_SYMBOLS.PORTAL.includes(symbol)) {
+                        normalized.tiles.push({ type: 'portal', x, y, pair: Number(symbol) });
+                        return PATH;
+                    }
+                    errors.push(`Unknown symbol '${symbol}' at (${x}, ${y})`);
+                    return WALL;
+            }
+        }));
+    });
+
+    return normalized;
+}
+
+/**
+ * Convert a JSON grid layout into the normalized form
+ * @param {Object} layout - JSON layout
+ * @param {Array} errors - Error list to append to
+ * @returns {Object} - Normalized layout
+ */
+function normalizeGridLayout(layout, errors) {
+    const normalized = { cells: [], starts: [], exits: [], entities: [], tiles: [], doors: [], boulders: [] };
+
+    layout.grid.forEach((row, y) => {
+        if (!Array.isArray(row)) {
+            errors.push(`Row ${y} must be an array`);
+            normalized.cells.push([]);
+            return;
+        }
+
+        normalized.cells.push(row.map((code, x) => {
+            switch (code) {
+                case WALL:
+                case PATH:
+                    return code;
+                case START:
+                    normalized.starts.push({ x, y });
+                    return PATH;
+                case EXIT:
+                    normalized.exits.push({ x, y });
+                    return PATH;
+                default:
+                    errors.push(`Unknown cell code ${JSON.stringify(code)} at (${x}, ${y})`);
+                    return WALL;
+            }
+        }));
+    });
+
+    if (layout.start) {
+        normalized.starts.push({ x: layout.start.x, y: layout.start.y });
+    }
+    if (layout.exit) {
+        normalized.exits.push({ x: layout.exit.x, y: layout.exit.y });
+    }
+
+    for (const entity of layout.entities || []) {
+        if (entity.type === 'key' && DoorBalance.COLORS.includes(entity.color)) {
+            normalized.entities.push({ type: 'key', x: entity.x, y: entity.y, color: entity.color });
+        } else if (entity.type === 'switch') {
+            normalized.entities.push({ type: 'switch', x: entity.x, y: entity.y, id: entity.id ?? 0 });
+        } else if (entity.type === 'virgilio' || entity.type === 'fragment') {
+            normalized.entities.push({ type: entity.type, x: entity.x, y: entity.y });
+        } else {
+            errors.push(`Unknown entity type '${entity.type}' at (${entity.x}, ${entity.y})`);
+        }
+    }
+
+    for (const tile of layout.tiles || []) {
+        if (tile.type === 'ice' || tile.type === 'mud' || tile.type === 'sleet') {
+            normalized.tiles.push({ type: tile.type, x: tile.x, y: tile.y });
+        } else if (tile.type === 'tomb') {
+            normalized.tiles.push({ type: 'tomb', x: tile.x, y: tile.y, phase: tile.phase ?? 0 });
+        } else if (tile.type === 'portal') {
+            normalized.tiles.push({ type: 'portal', x: tile.x, y: tile.y, pair: tile.pair ?? 0 });
+        } else if (tile.type === 'wind' && DIRECTION_VECTORS[tile.direction]) {
+            normalized.tiles.push({ type: 'wind', x: tile.x, y: tile.y, direction: tile.direction, strength: tile.strength ?? 1 });
+        } else {
+            errors.push(`Unknown tile '${tile.type}' (${tile.direction}) at (${tile.x}, ${tile.y})`);
+        }
+    }
+
+    for (const door of layout.doors || []) {
+        if (door.type === 'door' && DoorBalance.COLORS.includes(door.color)) {
+            normalized.doors.push({ type: 'door', x: door.x, y: door.y, color: door.color, open: Boolean(door.open) });
+        } else if (door.type === 'gate') {
+            normalized.doors.push({ type: 'gate', x: door.x, y: door.y, switchId: door.switchId ?? 0, open: Boolean(door.open) });
+        } else {
+            errors.push(`Unknown door '${door.type}' (${door.color}) at (${door.x}, ${door.y})`);
+        }
+    }
+
+    for (const boulder of layout.boulders || []) {
+        normalized.boulders.push({ x: boulder.x, y: boulder.y });
+    }
+
+    return normalized;
+}
+
+/**
+ * Parse and validate a layout without building a maze
+ * @param {Array|Object} layout - ASCII or JSON layout
+ * @returns {Object} - { isValid, errors, layout } where layout is the normalized form
+ */
+export function validateMazeLayout(layout) {
+    const errors = [];
+
+    let normalized;
+    if (isAsciiLayout(layout)) {
+        normalized = normalizeAsciiLayout(Array.isArray(layout) ? layout : layout.rows, errors);
+    } else if (Array.isArray(layout?.grid)) {
+        normalized = normalizeGridLayout(layout, errors);
+    } else {
+        return {
+            isValid: false,
+            errors: ['Layout must be an array of rows, { rows: [...] } or { grid: [[...]] }'],
+            layout: null
+        };
+    }
+
+    const height = normalized.cells.length;
+    const width = height > 0 ? normalized.cells[0].length : 0;
+    normalized.width = width;
+    normalized.height = height;
+
+    if (width < 3 || height < 3) {
+        errors.push(`Layout must be at least 3x3, got ${width}x${height}`);
+        return { isValid: false, errors, layout: normalized };
+    }
+
+    normalized.cells.forEach((row, y) => {
+        if (row.length !== width) {
+            errors.push(`Row ${y} has width ${row.length}, expected ${width}`);
+        }
+    });
+
+    if (normalized.starts.length !== 1) {
+        errors.push(`Layout needs exactly one start, found ${normalized.starts.length}`);
+    }
+    if (normalized.exits.length !== 1) {
+        errors.push(`Layout needs exactly one exit, found ${normalized.exits.length}`);
+    }
+    if (normalized.entities.filter(entity => entity.type === 'virgilio').length > 1) {
+        errors.push('Layout can contain at most one Virgilio');
+    }
+    for (const door of normalized.doors) {
+        const hasOpener = normalized.entities.some(entity => door.type === 'door'
+            ? entity.type === 'key' && entity.color === door.color
+            : entity.type === 'switch' && entity.id === door.switchId);
+        if (!hasOpener) {
+            errors.push(door.type === 'door'
+                ? `Door at (${door.x}, ${door.y}) has no ${door.color} key`
+                : `Gate at (${door.x}, ${door.y}) has no switch ${door.switchId}`);
+        }
+    }
+
+    // Portals come in pairs, each end leading to the other
+    const portalEnds = new Map();
+    normalized.tiles.filter(tile => tile.type === 'portal').forEach(tile => {
+        portalEnds.set(tile.pair, [...(portalEnds.get(tile.pair) || []), tile]);
+    });
+    for (const [pair, ends] of portalEnds) {
+        if (ends.length !== 2) {
+            errors.push(`Portal ${pair} needs exactly two ends, found ${ends.length}`);
+            continue;
+        }
+        ends[0].target = { x: ends[1].x, y: ends[1].y };
+        ends[1].target = { x: ends[0].x, y: ends[0].y };
+    }
+
+    const isOpen = (x, y) => y >= 0 && y < height && x >= 0 && x < width && normalized.cells[y][x] === PATH;
+    const entityLabels = { virgilio: 'Virgilio', fragment: 'Fragment', key: 'Key', switch: 'Switch' };
+    const tileLabels = { wind: 'Wind', ice: 'Ice', mud: 'Mud', sleet: 'Sleet', tomb: 'Tomb', portal: 'Portal' };
+    const markers = [
+        ...normalized.starts.map(pos => ({ ...pos, label: 'Start' })),
+        ...normalized.exits.map(pos => ({ ...pos, label: 'Exit' })),
+        ...normalized.entities.map(entity => ({ ...entity, label: entityLabels[entity.type] })),
+        ...normalized.tiles.map(tile => ({ ...tile, label: tileLabels[tile.type] })),
+        ...normalized.doors.map(door => ({ ...door, label: door.type === 'door' ? 'Door' : 'Gate' })),
+        ...normalized.boulders.map(boulder => ({ ...boulder, label: 'Boulder' }))
+    ];
+    for (const marker of markers) {
+        if (!isOpen(marker.x, marker.y)) {
+            errors.push(`${marker.label} at (${marker.x}, ${marker.y}) is not on a walkable cell`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { isValid: false, errors, layout: normalized };
+    }
+
+    // Solvability: exit and every entity must be reachable from the start, portals included;
+    // authored objectives that only a portal leads to are there on purpose
+    const portalExits = new Map(normalized.tiles.filter(tile => tile.type === 'portal').map(tile => [`${tile.x},${tile.y}`, tile.target]));
+    const start = normalized.starts[0];
+    const reached = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const moves = [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }]
+            .map(dir => ({ x: current.x + dir.x, y: current.y + dir.y }));
+        const portalExit = portalExits.get(`${current.x},${current.y}`);
+        for (const next of portalExit ? [...moves, portalExit] : moves) {
+            const key = `${next.x},${next.y}`;
+            if (isOpen(next.x, next.y) && !reached.has(key)) {
+                reached.add(key);
+                queue.push(next);
+            }
+        }
+    }
+
+    for (const marker of markers.slice(1)) {
+        if (!reached.has(`${marker.x},${marker.y}`)) {
+            errors.push(`${marker.label} at (${marker.x}, ${marker.y}) is not reachable from the start`);
+        }
+    }
+
+    // Ice makes some moves one-way, doors need their keys first and boulders must be pushed aside,
+    // so check again with those rules
+    const hasIce = normalized.tiles.some(tile => tile.type === 'ice');
+    if (errors.length === 0 && (hasIce || normalized.doors.length > 0 || normalized.boulders.length > 0)) {
+        const maze = new Maze(width, height);
+        maze.loadLayout({
+            cells: normalized.cells,
+            startPosition: start,
+            exitPosition: normalized.exits[0],
+            entities: normalized.entities,
+            tiles: normalized.tiles,
+            doors: normalized.doors,
+            boulders: normalized.boulders
+        });
+        if (hasIce && !maze.isSolvableBySliding()) {
+            errors.push('Ice can strand Dante: the exit and every objective must stay reachable from anywhere he slides to');
+        }
+        if (normalized.doors.length > 0 && !maze.isSolvableWithLocks()) {
+            errors.push('Doors shut Dante out: every key and switch must be reachable before the door or gate it opens');
+        }
+        if (normalized.boulders.length > 0 && !maze.isSolvableWithBoulders()) {
+            errors.push('Boulders block the way: the exit and every objective must be reachable by pushing them aside');
+        }
+    }
+
+    return { isValid: errors.length === 0, errors, layout: normalized };
+}
+
+/**
+ * Build a Maze from a hand-authored layout
+ * @param {Array|Object} layout - ASCII or JSON layout
+ * @param {number} difficulty - Difficulty level (1-9)
+ * @param {number|string|null} seed - Seed used if entities still need procedural placement
+ * @returns {Maze} - Maze with cells, start, exit and any authored entities
+ * @throws {Error} - When the layout is invalid, listing every problem found
+ */
+export function buildMazeFromLayout(layout, difficulty = 1, seed = null) {
+    const validation = validateMazeLayout(layout);
+    if (!validation.isValid) {
+        throw new Error(`Invalid maze layout: ${validation.errors.join('; ')}`);
+    }
+
+    const { width, height, cells, starts, exits, entities, tiles, doors, boulders } = validation.layout;
+    const maze = new Maze(width, height, difficulty, seed);
+    maze.loadLayout({
+        cells,
+        startPosition: starts[0],
+        exitPosition: exits[0],
+        entities,
+        tiles,
+        doors,
+        boulders
+    });
+
+    return maze;
+}
+
+/**
+ * Convert a maze back into an ASCII layout (the inverse of buildMazeFromLayout)
+ * @param {Maze} maze - Maze instance
+ * @returns {Array} - Layout rows usable as a LevelData layout
+ */
+export function serializeMazeLayout(maze) {
+    const markers = new Map();
+    const entitySymbols = {
+        virgilio: () => LAYOUT_SYMBOLS.VIRGILIO,
+        fragment: () => LAYOUT_SYMBOLS.FRAGMENT,
+        key: entity => LAYOUT_SYMBOLS.KEY[entity.color],
+        switch: () => LAYOUT_SYMBOLS.SWITCH
+    };
+    for (const entity of maze.entities) {
+        if (entitySymbols[entity.type]) {
+            markers.set(`${entity.x},${entity.y}`, entitySymbols[entity.type](entity));
+        }
+    }
+    for (const door of [...maze.getDoorsByType('door'), ...maze.getDoorsByType('gate')]) {
+        markers.set(`${door.x},${door.y}`, door.type === 'door' ? LAYOUT_SYMBOLS.DOOR[door.color] : LAYOUT_SYMBOLS.GATE);
+    }
+    for (const boulder of maze.getBoulders()) {
+        markers.set(`${boulder.x},${boulder.y}`, LAYOUT_SYMBOLS.BOULDER);
+    }
+    for (const tile of maze.getTilesByType('wind')) {
+        if (!markers.has(`${tile.x},${tile.y}`)) {
+            markers.set(`${tile.x},${tile.y}`, LAYOUT_SYMBOLS.WIND[tile.direction]);
+        }
+    }
+    for (const tile of maze.getTilesByType('portal')) {
+        markers.set(`${tile.x},${tile.y}`, String(tile.pair));
+    }
+    for (const [type, symbol] of [['ice', LAYOUT_SYMBOLS.ICE], ['mud', LAYOUT_SYMBOLS.MUD], ['sleet', LAYOUT_SYMBOLS.SLEET],
+        ['tomb', LAYOUT_SYMBOLS.TOMB]]) {
+        for (const tile of maze.getTilesByType(type)) {
+            if (!markers.has(`${tile.x},${tile.y}`)) {
+                markers.set(`${tile.x},${tile.y}`, symbol);
+            }
+        }
+    }
+
+    return maze.cells.map((row, y) => row.map((cell, x) => {
+        switch (cell) {
+            case WALL:
+                return LAYOUT_SYMBOLS.WALL;
+            case START:
+                return LAYOUT_SYMBOLS.START;
+            case EXIT:
+                return LAYOUT_SYMBOLS.EXIT;
+            default:
+                return markers.get(`${x},${y}`) || LAYOUT_SYMBOLS.PATH;
+        }
+    }).join(''));
+}
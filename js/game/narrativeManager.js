@@ -199,14 +199,15 @@ export class NarrativeManager {
     /**
      * Show game completion narrative
      * @param {Function} onComplete - Callback when narrative completes
+     * @param {string|null} difficultyLabel - Label of the difficulty preset the game was played on
      */
-    showGameCompletion(onComplete = null) {
+    showGameCompletion(onComplete = null, difficultyLabel = null) {
         if (!this.dialogSystem) {
             if (onComplete) onComplete();
             return;
         }
 
-        const completionDialogues = this.createGameCompletionDialogue();
+        const completionDialogues = this.createGameCompletionDialogue(difficultyLabel);
         
         this.isNarrativeActive = true;
         this.dialogSystem.showDialog(completionDialogues, () => {
@@ -380,10 +381,11 @@ export class NarrativeManager {
 
     /**
      * Create game completion dialogue sequence
+     * @param {string|null} difficultyLabel - Label of the difficulty preset the game was played on
      * @returns {Array} - Array of dialogue objects
      */
-    createGameCompletionDialogue() {
-        return [
+    createGameCompletionDialogue(difficultyLabel = null) {
+        const dialogues = [
             {
                 type: 'completion',
                 speaker: 'Narrador',
@@ -405,6 +407,16 @@ export class NarrativeManager {
                 text: '¡Felicidades por completar Inferno Pixelado: La Redención de Dante!'
             }
         ];
+
+        if (difficultyLabel) {
+            dialogues.push({
+                type: 'completion',
+                speaker: 'Narrador',
+                text: `Dificultad: ${difficultyLabel}`
+            });
+        }
+
+        return dialogues;
     }
 
     /**
@@ -1,17 +1,23 @@
 /**
  * Objective Manager
- * Tracks completion of Virgilio encounter, fragment collection, and exit unlock
+ * Tracks completion of Virgilio encounter, fragment collection, and exit unlock,
+ * plus the keys picked up and switches pressed to open the maze's doors and gates,
+ * and the hourglasses that add time on timed circles
+ * On multi-floor circles the objectives of every floor count together
  * Requirements: 2.1, 2.2, 2.4, 2.5
  */
 
 export class ObjectiveManager {
     constructor(maze = null, audioService = null) {
         this.maze = maze;
+        this.floors = null; // MazeFloors the maze belongs to on multi-floor circles
         this.virgilioFound = false;
         this.fragmentsCollected = 0;
         this.totalFragments = 3;
         this.exitUnlocked = false;
         this.collectedFragmentIds = new Set();
+        this.collectedKeys = new Set(); // Key colors picked up on this level (see getKeyId)
+        this.collectedHourglassIds = new Set();
         
         // Audio service for sound effects
         this.audioService = audioService;
@@ -21,22 +27,28 @@ export class ObjectiveManager {
         this.onVirgiliofound = null;
         this.onFragmentCollected = null;
         this.onExitUnlocked = null;
+        this.onDoorsChanged = null;
+        this.onTimeBonus = null;
     }
 
     /**
      * Set the maze reference for objective checking
-     * @param {Maze} maze - The current maze instance
+     * @param {Maze} maze - The current maze instance (the active floor on multi-floor circles)
+     * @param {MazeFloors|null} floors - Floors the maze belongs to, or null on single-floor circles
      */
-    setMaze(maze) {
+    setMaze(maze, floors = null) {
         this.maze = maze;
+        this.floors = floors;
         this.updateTotalFragments();
     }
 
     /**
-     * Update total fragments based on current maze
+     * Update total fragments based on current maze, or on every floor of a multi-floor circle
      */
     updateTotalFragments() {
-        if (this.maze) {
+        if (this.floors) {
+            this.totalFragments = this.floors.getTotalFragmentsCount();
+        } else if (this.maze) {
             this.totalFragments = this.maze.getTotalFragmentsCount();
         }
     }
@@ -57,10 +69,14 @@ export class ObjectiveManager {
             statusChanged: false
         };
 
-        // Check for entity at player position
+        // Check for entity at player position (hazards are handled by the game engine)
         const entity = this.maze.getEntityAt(playerPosition.x, playerPosition.y);
         
-        if (entity) {
+        if (entity && entity.type === 'switch') {
+            // Switches stay in place: every step onto one works its gates again
+            this.pressSwitch(entity.id);
+            result.statusChanged = true;
+        } else if (entity && entity.type !== 'hazard') {
             // Collect the entity from maze
             const collectedEntity = this.maze.collectEntity(playerPosition.x, playerPosition.y);
             
@@ -80,6 +96,14 @@ export class ObjectiveManager {
                     if (this.fragmentsCollected > previousCount) {
                         result.statusChanged = true;
                     }
+                } else if (collectedEntity.type === 'key') {
+                    if (this.collectKey(collectedEntity.color)) {
+                        result.statusChanged = true;
+                    }
+                } else if (collectedEntity.type === 'hourglass') {
+                    if (this.collectHourglass(collectedEntity)) {
+                        result.statusChanged = true;
+                    }
                 }
             }
         }
@@ -124,6 +148,84 @@ export class ObjectiveManager {
         return true;
     }
 
+    /**
+     * Identify a collected key: its color, prefixed with its floor on multi-floor circles,
+     * where each floor's keys only open that floor's doors
+     * @param {string} color - Key color
+     * @param {number} floorIndex - Floor the key lies on (defaults to the current maze's floor)
+     * @returns {string} - Key id stored in collectedKeys
+     */
+    getKeyId(color, floorIndex = this.floors ? this.floors.layers.indexOf(this.maze) : 0) {
+        return this.floors ? `${floorIndex}:${color}` : color;
+    }
+
+    /**
+     * Pick up a key and open every door of its color on the current floor
+     * @param {string} color - Key color
+     * @returns {boolean} - True if the key was newly collected
+     */
+    collectKey(color) {
+        const keyId = this.getKeyId(color);
+        if (this.collectedKeys.has(keyId)) {
+            return false;
+        }
+
+        this.collectedKeys.add(keyId);
+        const opened = this.maze ? this.maze.unlockDoors(color) : 0;
+
+        if (this.audioService) {
+            this.audioService.playObjectiveSound('key');
+        }
+
+        if (this.onDoorsChanged) {
+            this.onDoorsChanged({ type: 'key', color, opened });
+        }
+
+        return true;
+    }
+
+    /**
+     * Collect an hourglass; its time goes to the countdown through onTimeBonus
+     * @param {Object} hourglass - Hourglass entity { id, bonus }
+     * @returns {boolean} - True if the hourglass was newly collected
+     */
+    collectHourglass(hourglass) {
+        if (this.collectedHourglassIds.has(hourglass.id)) {
+            return false;
+        }
+
+        this.collectedHourglassIds.add(hourglass.id);
+
+        if (this.audioService) {
+            this.audioService.playObjectiveSound('hourglass');
+        }
+
+        if (this.onTimeBonus) {
+            this.onTimeBonus(hourglass.bonus);
+        }
+
+        return true;
+    }
+
+    /**
+     * Press a switch, raising or lowering the gates it works
+     * @param {number} switchId - Switch id
+     * @returns {boolean|null} - True if its gates are now open, null if it works no gate
+     */
+    pressSwitch(switchId) {
+        const open = this.maze ? this.maze.toggleSwitch(switchId) : null;
+
+        if (this.audioService) {
+            this.audioService.playObjectiveSound('switch');
+        }
+
+        if (this.onDoorsChanged) {
+            this.onDoorsChanged({ type: 'switch', switchId, open });
+        }
+
+        return open;
+    }
+
     /**
      * Handle Virgilio encounter
      * Requirements: 2.1
@@ -230,6 +332,10 @@ export class ObjectiveManager {
         if (!this.maze || !this.exitUnlocked) {
             return false;
         }
+        // Only the bottom floor has a way out
+        if (this.floors && !this.floors.isFinalLayer(this.maze)) {
+            return false;
+        }
 
         const exitPosition = this.maze.getExitPosition();
         return playerPosition.x === exitPosition.x && playerPosition.y === exitPosition.y;
@@ -245,6 +351,8 @@ export class ObjectiveManager {
         this.totalFragments = totalFragments;
         this.exitUnlocked = false;
         this.collectedFragmentIds.clear();
+        this.collectedKeys.clear();
+        this.collectedHourglassIds.clear();
     }
 
     /**
@@ -256,6 +364,8 @@ export class ObjectiveManager {
         this.onVirgiliofound = callbacks.onVirgiliofound || null;
         this.onFragmentCollected = callbacks.onFragmentCollected || null;
         this.onExitUnlocked = callbacks.onExitUnlocked || null;
+        this.onDoorsChanged = callbacks.onDoorsChanged || null;
+        this.onTimeBonus = callbacks.onTimeBonus || null;
     }
 
     /**
@@ -268,12 +378,21 @@ export class ObjectiveManager {
             fragmentsCollected: this.fragmentsCollected,
             totalFragments: this.totalFragments,
             exitUnlocked: this.exitUnlocked,
-            collectedFragmentIds: Array.from(this.collectedFragmentIds)
+            collectedFragmentIds: Array.from(this.collectedFragmentIds),
+            collectedKeys: Array.from(this.collectedKeys),
+            collectedHourglassIds: Array.from(this.collectedHourglassIds),
+            doors: this.maze ? this.maze.getDoorState() : [],
+            boulders: this.maze ? this.maze.getBoulderState() : null,
+            floors: this.floors
+                ? this.floors.layers.map(layer => ({ doors: layer.getDoorState(), boulders: layer.getBoulderState() }))
+                : null
         };
     }
 
     /**
      * Load state from serialized data
+     * Fragments, keys, hourglasses, doors and boulders are applied to the current maze
+     * (or to every floor of a multi-floor circle), so set the maze first
      * @param {Object} state - Serialized objective state
      */
     loadState(state) {
@@ -282,6 +401,25 @@ export class ObjectiveManager {
         this.totalFragments = state.totalFragments || 3;
         this.exitUnlocked = state.exitUnlocked || false;
         this.collectedFragmentIds = new Set(state.collectedFragmentIds || []);
+        this.collectedKeys = new Set(state.collectedKeys || []);
+        this.collectedHourglassIds = new Set(state.collectedHourglassIds || []);
+
+        const mazes = this.floors ? this.floors.layers : [this.maze].filter(Boolean);
+        mazes.forEach((maze, index) => {
+            maze.getEntitiesByType('fragment')
+                .filter(fragment => this.collectedFragmentIds.has(fragment.id))
+                .forEach(fragment => { fragment.collected = true; });
+            maze.getEntitiesByType('hourglass')
+                .filter(hourglass => this.collectedHourglassIds.has(hourglass.id))
+                .forEach(hourglass => { hourglass.collected = true; });
+            maze.getEntitiesByType('key')
+                .filter(key => this.collectedKeys.has(this.getKeyId(key.color, index)))
+                .forEach(key => { key.collected = true; });
+
+            const mazeState = this.floors ? (state.floors || [])[index] || {} : state;
+            maze.loadDoorState(mazeState.doors);
+            maze.loadBoulderState(mazeState.boulders);
+        });
     }
 
     /**
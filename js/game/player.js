@@ -1,8 +1,10 @@
 /**
  * Player Class
- * Manages Dante's position, movement, and interactions
+ * Manages Dante's position, movement, health and interactions
  */
 
+import { PlayerSettings } from '../data/gameBalance.js';
+
 export class Player {
     constructor(startX = 0, startY = 0, audioService = null) {
         this.x = startX;
@@ -16,25 +18,44 @@ export class Player {
         this.isMoving = false;
         this.moveSpeed = 0.15; // Animation speed (0-1, higher = faster)
         this.animationProgress = 0;
+        this.moveDistance = 1; // Cells covered by the current move (more when sliding on ice)
+        this.terrainCost = 1; // Step cost of the cell moved onto (more in mud and sleet, see TerrainBalance)
+        this.pushedBoulder = false; // The current move pushed a boulder ahead
         
         // Movement cooldown to prevent rapid movement
         this.lastMoveTime = 0;
         this.moveCooldown = 150; // milliseconds
         
+        // Per-level movement statistics for dynamic difficulty
+        this.movementStats = { movesMade: 0, blockedMoves: 0, visitedCells: new Set([`${startX},${startY}`]) };
+        
+        // Health; hazards deal damage and Dante dies at zero
+        this.maxHealth = PlayerSettings.MAX_HEALTH;
+        this.health = this.maxHealth;
+        this.invulnerableUntil = 0;
+        
         // Audio service for sound effects
         this.audioService = audioService;
     }
 
     /**
      * Handle player movement with collision detection
+     * On ice Dante keeps sliding in the same direction until a wall or plain floor stops him;
+     * slow terrain stretches both the step animation and the cooldown before the next move by its cost.
+     * Walking into a boulder pushes it one cell onward if the cell behind it is free
      * @param {string} direction - Movement direction ('up', 'down', 'left', 'right')
      * @param {Maze} maze - Maze instance for collision detection
+     * @param {Object} options - Movement options
+     * @param {boolean} options.forced - Dante is being pushed (wind): skips the input cooldown,
+     *                                   movement statistics and footstep sounds
      * @returns {boolean} - True if movement was successful
      */
-    move(direction, maze) {
+    move(direction, maze, options = {}) {
+        const forced = options.forced === true;
+
         // Check movement cooldown to prevent rapid movement
         const currentTime = Date.now();
-        if (currentTime - this.lastMoveTime < this.moveCooldown) {
+        if (!forced && currentTime - this.lastMoveTime < this.moveCooldown * this.terrainCost) {
             return false;
         }
 
@@ -64,8 +85,17 @@ export class Player {
                 return false; // Invalid direction
         }
 
+        // Push a boulder out of the way; if it cannot move, it blocks like a wall
+        this.pushedBoulder = Boolean(!forced && maze && typeof maze.getBoulderAt === 'function' &&
+            maze.getBoulderAt(targetX, targetY) && maze.pushBoulder(targetX, targetY, direction));
+
         // Validate movement with boundary and collision checks
         if (!this.isValidMove(targetX, targetY, maze)) {
+            if (forced) {
+                return false;
+            }
+            this.movementStats.blockedMoves++;
+
             // Play blocked movement sound
             if (this.audioService) {
                 this.audioService.playMovementSound(false);
@@ -73,6 +103,16 @@ export class Player {
             return false;
         }
 
+        this.movementStats.visitedCells.add(`${targetX},${targetY}`);
+
+        // Follow the ice to where the slide ends
+        const slide = maze && typeof maze.getSlidePath === 'function' ? maze.getSlidePath(targetX, targetY, direction) : [];
+        slide.forEach(cell => this.movementStats.visitedCells.add(`${cell.x},${cell.y}`));
+        if (slide.length > 0) {
+            targetX = slide[slide.length - 1].x;
+            targetY = slide[slide.length - 1].y;
+        }
+
         // Store previous position for animation
         this.previousX = this.x;
         this.previousY = this.y;
@@ -82,11 +122,20 @@ export class Player {
         this.targetY = targetY;
         this.isMoving = true;
         this.animationProgress = 0;
+        this.moveDistance = 1 + slide.length;
+        const terrain = maze && typeof maze.getTile === 'function' ? maze.getTile(targetX, targetY)?.type : undefined;
+        this.terrainCost = maze && typeof maze.getMoveCost === 'function' ? maze.getMoveCost(targetX, targetY) : 1;
+
+        if (forced) {
+            return true;
+        }
+
         this.lastMoveTime = currentTime;
+        this.movementStats.movesMade++;
 
-        // Play successful movement sound
+        // Play successful movement sound, muffled or crisp on slow terrain
         if (this.audioService) {
-            this.audioService.playMovementSound(true);
+            this.audioService.playMovementSound(true, this.terrainCost > 1 ? terrain : null);
         }
 
         return true;
@@ -132,8 +181,8 @@ export class Player {
             return;
         }
 
-        // Update animation progress
-        this.animationProgress += this.moveSpeed * (deltaTime / 16.67); // Normalize to 60fps
+        // Update animation progress; long slides take as long per cell as a single step, slow terrain longer
+        this.animationProgress += this.moveSpeed * (deltaTime / 16.67) / (this.moveDistance * this.terrainCost); // Normalize to 60fps
 
         // Clamp progress to 0-1 range
         this.animationProgress = Math.min(this.animationProgress, 1);
@@ -231,6 +280,7 @@ export class Player {
         this.isMoving = false;
         this.animationProgress = 0;
         this.lastMoveTime = 0;
+        this.terrainCost = 1;
     }
 
     /**
@@ -265,6 +315,76 @@ export class Player {
         }
     }
 
+    /**
+     * Get movement statistics since the last resetMovementStats()
+     * @returns {Object} - { movesMade, blockedMoves, uniqueCellsVisited, explorationEfficiency }
+     */
+    getMovementStats() {
+        const { movesMade, blockedMoves, visitedCells } = this.movementStats;
+        return {
+            movesMade,
+            blockedMoves,
+            uniqueCellsVisited: visitedCells.size,
+            // Share of steps that reached a new cell; backtracking lowers it
+            explorationEfficiency: movesMade > 0 ? Math.min(1, (visitedCells.size - 1) / movesMade) : 1
+        };
+    }
+
+    /**
+     * Get the cells Dante has stepped on or slid through since the last resetMovementStats()
+     * @returns {Set} - Set of "x,y" keys
+     */
+    getVisitedCells() {
+        return this.movementStats.visitedCells;
+    }
+
+    /**
+     * Clear movement statistics, typically when a new level starts
+     */
+    resetMovementStats() {
+        this.movementStats = { movesMade: 0, blockedMoves: 0, visitedCells: new Set([`${this.x},${this.y}`]) };
+    }
+
+    /**
+     * Take damage unless still recovering from the previous hit
+     * @param {number} amount - Health to lose
+     * @returns {boolean} - True if damage was applied
+     */
+    takeDamage(amount = 1) {
+        const currentTime = Date.now();
+        if (this.health <= 0 || currentTime < this.invulnerableUntil) {
+            return false;
+        }
+
+        this.health = Math.max(0, this.health - amount);
+        this.invulnerableUntil = currentTime + PlayerSettings.DAMAGE_INVULNERABILITY;
+        return true;
+    }
+
+    /**
+     * Restore full health, e.g. on respawn or when a new level starts
+     */
+    restoreHealth() {
+        this.health = this.maxHealth;
+        this.invulnerableUntil = 0;
+    }
+
+    /**
+     * Get current health
+     * @returns {Object} - { health, maxHealth }
+     */
+    getHealth() {
+        return { health: this.health, maxHealth: this.maxHealth };
+    }
+
+    /**
+     * Check if Dante has run out of health
+     * @returns {boolean} - True if health is zero
+     */
+    isDead() {
+        return this.health <= 0;
+    }
+
     /**
      * Set audio service for sound effects
      * @param {AudioService} audioService - Audio service instance
@@ -0,0 +1,110 @@
+/**
+ * Score Keeper
+ * Scores each circle from ObjectiveBalance rewards: objectives as they are met,
+ * then completion, speed, deaths and exploration when the circle is finished
+ */
+
+import { ObjectiveBalance } from '../data/gameBalance.js';
+
+export class ScoreKeeper {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear the score for a new game
+     */
+    reset() {
+        this.totalScore = 0; // Sum of finished circles
+        this.startLevel(1);
+    }
+
+    /**
+     * Start scoring a circle; objective points are kept apart until it is finished
+     * @param {number} levelNumber - Circle being played
+     */
+    startLevel(levelNumber) {
+        this.levelNumber = levelNumber;
+        this.objectivePoints = 0;
+    }
+
+    /**
+     * Score a met objective
+     * @param {string} type - 'fragment' or 'virgilio'
+     * @returns {number} - Points awarded
+     */
+    addObjective(type) {
+        const points = {
+            fragment: ObjectiveBalance.FRAGMENT_COLLECTION_SCORE,
+            virgilio: ObjectiveBalance.VIRGILIO_ENCOUNTER_SCORE
+        }[type] || 0;
+
+        this.objectivePoints += points;
+        return points;
+    }
+
+    /**
+     * Get the running score, including the objectives of the circle in progress
+     * @returns {number} - Current score
+     */
+    getScore() {
+        return this.totalScore + this.objectivePoints;
+    }
+
+    /**
+     * Finish the circle and add its score to the total
+     * @param {Object} performance - How the circle went
+     * @param {number} performance.completionTime - Playing time spent on the circle in milliseconds
+     * @param {number} performance.deaths - Deaths on the circle
+     * @param {number} performance.explorationRatio - Share of the maze explored (0-1)
+     * @returns {Object} - Breakdown { level, objectives, completion, timeBonus, deathPenalty, explorationBonus, total, completionTime, deaths, explorationRatio }
+     */
+    completeLevel({ completionTime = 0, deaths = 0, explorationRatio = 0 } = {}) {
+        const completion = ObjectiveBalance.LEVEL_COMPLETION_SCORE;
+        const timeBonus = completionTime <= ObjectiveBalance.SPEED_BONUS_THRESHOLD
+            ? Math.round(completion * (ObjectiveBalance.SPEED_BONUS_MULTIPLIER - 1))
+            : 0;
+        const deathPenalty = deaths * ObjectiveBalance.DEATH_PENALTY;
+        const explorationBonus = Math.round(Math.min(1, explorationRatio) * ObjectiveBalance.EXPLORATION_BONUS);
+
+        const breakdown = {
+            level: this.levelNumber,
+            objectives: this.objectivePoints,
+            completion,
+            timeBonus,
+            deathPenalty,
+            explorationBonus,
+            // Deaths can wipe out a circle's score but never eat into earlier circles
+            total: Math.max(0, this.objectivePoints + completion + timeBonus + explorationBonus - deathPenalty),
+            completionTime,
+            deaths,
+            explorationRatio
+        };
+
+        this.totalScore += breakdown.total;
+        this.objectivePoints = 0;
+        return breakdown;
+    }
+
+    /**
+     * Get serializable state for saving
+     * @returns {Object} - Score state
+     */
+    getSerializableState() {
+        return {
+            totalScore: this.totalScore,
+            levelNumber: this.levelNumber,
+            objectivePoints: this.objectivePoints
+        };
+    }
+
+    /**
+     * Load state from serialized data
+     * @param {Object} state - State from getSerializableState()
+     */
+    loadState(state) {
+        this.totalScore = state.totalScore || 0;
+        this.levelNumber = state.levelNumber || 1;
+        this.objectivePoints = state.objectivePoints || 0;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Wind Currents
+ * The eternal winds of the lustful: every gust pushes Dante along the wind tiles he stands on
+ */
+
+import { WindBalance } from '../data/gameBalance.js';
+
+export class WindCurrents {
+    /**
+     * @param {number} gustInterval - Milliseconds between gusts
+     */
+    constructor(gustInterval = WindBalance.GUST_INTERVAL) {
+        this.gustInterval = gustInterval;
+        this.reset();
+    }
+
+    /**
+     * Restart the gust rhythm and drop any push in progress
+     */
+    reset() {
+        this.gustTimer = 0;
+        this.pushesLeft = 0;
+        this.pushDirection = null;
+    }
+
+    /**
+     * Advance the gust timer and push Dante one cell at a time while a gust lasts
+     * Pushes go through Player.move, so walls stop the wind like they stop Dante
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     * @param {Player} player - Player to push
+     * @param {Maze} maze - Current maze
+     * @returns {boolean} - True if Dante was pushed this update
+     */
+    update(deltaTime, player, maze) {
+        if (maze.getTilesByType('wind').length === 0) {
+            return false;
+        }
+
+        // A gust waits for Dante to finish his step, then catches him wherever he lands
+        this.gustTimer += deltaTime;
+        if (this.gustTimer >= this.gustInterval && !player.getIsMoving()) {
+            this.gustTimer %= this.gustInterval;
+            this.startGust(player, maze);
+        }
+
+        if (player.getIsMoving()) {
+            return false;
+        }
+        if (this.pushesLeft === 0) {
+            this.pushDirection = null;
+            return false;
+        }
+
+        // The current steers the push: every wind tile on the way sets the next direction
+        const pos = player.getGridPosition();
+        const tile = maze.getTile(pos.x, pos.y);
+        if (tile && tile.type === 'wind') {
+            this.pushDirection = tile.direction;
+        }
+
+        this.pushesLeft--;
+        if (!player.move(this.pushDirection, maze, { forced: true })) {
+            this.pushesLeft = 0;
+            this.pushDirection = null;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Start a gust if Dante is standing on a wind tile
+     * @param {Player} player - Player to push
+     * @param {Maze} maze - Current maze
+     */
+    startGust(player, maze) {
+        const pos = player.getGridPosition();
+        const tile = maze.getTile(pos.x, pos.y);
+        if (!tile || tile.type !== 'wind') {
+            return;
+        }
+
+        this.pushesLeft = tile.strength || WindBalance.DEFAULT_STRENGTH;
+        this.pushDirection = tile.direction;
+    }
+
+    /**
+     * How close the next gust is, for telegraphing it in the renderer
+     * @returns {number} - 0 right after a gust, 1 when the next one is due
+     */
+    getGustProgress() {
+        return Math.min(1, this.gustTimer / this.gustInterval);
+    }
+
+    /**
+     * Get the direction Dante is being pushed in
+     * @returns {string|null} - Direction while a gust is carrying Dante, otherwise null
+     */
+    getPushDirection() {
+        return this.pushDirection;
+    }
+}
@@ -197,7 +197,11 @@ export class HelpSystem {
                         </div>
                         <div class="control-item">
                             <kbd>M</kbd>
-                            <span>Silenciar/activar audio</span>
+                            <span>Mostrar/ocultar el mapa</span>
+                        </div>
+                        <div class="control-item">
+                            <kbd>Z</kbd>
+                            <span>Deshacer el último empujón de una roca</span>
                         </div>
                         <div class="control-item">
                             <kbd>ENTER</kbd>
@@ -0,0 +1,504 @@
+/**
+ * Level Editor
+ * In-game editor for painting maze layouts and placing start, exit, Virgilio and fragments.
+ * Layouts are exported as JSON that can be pasted into a LevelData entry ({ layout: [...] }),
+ * shown in an in-game panel that also takes pasted JSON to import.
+ */
+
+import { Maze } from '../game/maze.js';
+import { buildMazeFromLayout, serializeMazeLayout, validateMazeLayout } from '../game/mazeLayout.js';
+
+export const EDITOR_TOOLS = [
+    { id: 'wall', label: 'Muro' },
+    { id: 'path', label: 'Camino' },
+    { id: 'start', label: 'Inicio' },
+    { id: 'exit', label: 'Salida' },
+    { id: 'virgilio', label: 'Virgilio' },
+    { id: 'fragment', label: 'Fragmento' }
+];
+
+const TOOL_KEYS = {
+    'Digit1': 'wall',
+    'Digit2': 'path',
+    'Digit3': 'start',
+    'Digit4': 'exit',
+    'Digit5': 'virgilio',
+    'Digit6': 'fragment'
+};
+
+const CURSOR_MOVES = {
+    'ArrowUp': { x: 0, y: -1 },
+    'KeyW': { x: 0, y: -1 },
+    'ArrowDown': { x: 0, y: 1 },
+    'KeyS': { x: 0, y: 1 },
+    'ArrowLeft': { x: -1, y: 0 },
+    'KeyA': { x: -1, y: 0 },
+    'ArrowRight': { x: 1, y: 0 },
+    'KeyD': { x: 1, y: 0 }
+};
+
+export class LevelEditor {
+    /**
+     * @param {number} width - Initial maze width
+     * @param {number} height - Initial maze height
+     */
+    constructor(width = 15, height = 15) {
+        this.maze = null;
+        this.cursor = { x: 1, y: 1 };
+        this.currentTool = 'wall';
+        this.validation = { isValid: false, isSolvable: false, errors: [] };
+
+        // Export/import panel (created on first use)
+        this.layoutPanel = null;
+        this.layoutAction = null;
+
+        // Event callbacks
+        this.onExport = null;
+        this.onImport = null;
+        this.onClose = null;
+
+        this.createBlankMaze(width, height);
+    }
+
+    /**
+     * Start a new layout: walled border, open interior, start and exit in opposite corners
+     * @param {number} width - Maze width
+     * @param {number} height - Maze height
+     */
+    createBlankMaze(width, height) {
+        const maze = new Maze(width, height);
+        maze.initializeMaze();
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                maze.cells[y][x] = maze.PATH;
+            }
+        }
+
+        maze.isAuthored = true;
+        maze.startPosition = { x: 1, y: 1 };
+        maze.exitPosition = { x: width - 2, y: height - 2 };
+        maze.cells[maze.startPosition.y][maze.startPosition.x] = maze.START;
+        maze.cells[maze.exitPosition.y][maze.exitPosition.x] = maze.EXIT;
+
+        this.setMaze(maze);
+    }
+
+    /**
+     * Edit an existing maze
+     * @param {Maze} maze - Maze to edit
+     */
+    setMaze(maze) {
+        this.maze = maze;
+        this.cursor = { ...maze.getStartPosition() };
+        this.validate();
+    }
+
+    /**
+     * Get the maze being edited
+     * @returns {Maze} - Maze instance
+     */
+    getMaze() {
+        return this.maze;
+    }
+
+    /**
+     * Select the active tool
+     * @param {string} toolId - Tool id from EDITOR_TOOLS
+     * @returns {boolean} - True if the tool exists
+     */
+    selectTool(toolId) {
+        if (!EDITOR_TOOLS.some(tool => tool.id === toolId)) {
+            console.warn(`Unknown editor tool: ${toolId}`);
+            return false;
+        }
+        this.currentTool = toolId;
+        return true;
+    }
+
+    /**
+     * Move the cursor, staying inside the outer border
+     * @param {number} dx - Horizontal step
+     * @param {number} dy - Vertical step
+     */
+    moveCursor(dx, dy) {
+        this.cursor = {
+            x: Math.max(1, Math.min(this.maze.width - 2, this.cursor.x + dx)),
+            y: Math.max(1, Math.min(this.maze.height - 2, this.cursor.y + dy))
+        };
+    }
+
+    /**
+     * Apply a tool to a cell. The outer border always stays wall.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} toolId - Tool to apply (defaults to the current tool)
+     * @returns {boolean} - True if the maze changed
+     */
+    applyTool(x, y, toolId = this.currentTool) {
+        const maze = this.maze;
+        if (!maze.isValidPosition(x, y)) {
+            return false;
+        }
+
+        const isStart = x === maze.startPosition.x && y === maze.startPosition.y;
+        const isExit = x === maze.exitPosition.x && y === maze.exitPosition.y;
+        const entity = maze.entities.find(item => item.x === x && item.y === y);
+
+        switch (toolId) {
+            case 'wall':
+                // Start and exit must stay on walkable cells; move them first
+                if (isStart || isExit || maze.cells[y][x] === maze.WALL) {
+                    return false;
+                }
+                this.removeEntity(entity);
+                maze.cells[y][x] = maze.WALL;
+                break;
+            case 'path':
+                if (maze.cells[y][x] !== maze.WALL) {
+                    return false;
+                }
+                maze.cells[y][x] = maze.PATH;
+                break;
+            case 'start':
+            case 'exit': {
+                if (isStart || isExit) {
+                    return false;
+                }
+                const key = toolId === 'start' ? 'startPosition' : 'exitPosition';
+                const previous = maze[key];
+                maze.cells[previous.y][previous.x] = maze.PATH;
+                this.removeEntity(entity);
+                maze[key] = { x, y };
+                maze.cells[y][x] = toolId === 'start' ? maze.START : maze.EXIT;
+                break;
+            }
+            case 'virgilio':
+            case 'fragment':
+                if (isStart || isExit) {
+                    return false;
+                }
+                if (entity && entity.type === toolId) {
+                    // Placing the same entity again removes it
+                    this.removeEntity(entity);
+                    break;
+                }
+                this.removeEntity(entity);
+                if (toolId === 'virgilio') {
+                    this.removeEntity(maze.getEntitiesByType('virgilio')[0]);
+                }
+                maze.cells[y][x] = maze.PATH;
+                maze.entities.push({ type: toolId, x, y, collected: false });
+                this.renumberFragments();
+                break;
+            default:
+                console.warn(`Unknown editor tool: ${toolId}`);
+                return false;
+        }
+
+        this.validate();
+        return true;
+    }
+
+    /**
+     * Remove an entity from the maze
+     * @param {Object|undefined} entity - Entity to remove
+     */
+    removeEntity(entity) {
+        if (!entity) return;
+        this.maze.entities = this.maze.entities.filter(item => item !== entity);
+        this.renumberFragments();
+    }
+
+    /**
+     * Keep fragment ids sequential, matching layouts built by Maze.loadLayout
+     */
+    renumberFragments() {
+        this.maze.getEntitiesByType('fragment').forEach((fragment, index) => {
+            fragment.id = index;
+        });
+    }
+
+    /**
+     * Re-check the layout: the exit must be reachable and every entity reachable from the start
+     * @returns {Object} - { isValid, isSolvable, errors }
+     */
+    validate() {
+        const result = validateMazeLayout(serializeMazeLayout(this.maze));
+        this.validation = {
+            isValid: result.isValid,
+            isSolvable: this.maze.isSolvable(),
+            errors: result.errors
+        };
+        return this.validation;
+    }
+
+    /**
+     * Export the layout as a LevelData-compatible JSON string
+     * @returns {string} - JSON of the form { "layout": [rows] }
+     */
+    exportLayout() {
+        const json = JSON.stringify({ layout: serializeMazeLayout(this.maze) }, null, 2);
+
+        if (this.onExport) {
+            this.onExport(json, this.validation);
+        }
+
+        return json;
+    }
+
+    /**
+     * Import a layout from JSON: a LevelData entry with a layout, or a bare ASCII/grid layout
+     * @param {string|Object} source - JSON string or parsed object
+     * @returns {Object} - { isValid, errors }; the current maze is kept when invalid
+     */
+    importLayout(source) {
+        let data = source;
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                return { isValid: false, errors: [`Invalid JSON: ${error.message}`] };
+            }
+        }
+
+        const layout = data && !Array.isArray(data) && data.layout ? data.layout : data;
+        const result = validateMazeLayout(layout);
+        if (!result.isValid) {
+            return { isValid: false, errors: result.errors };
+        }
+
+        this.setMaze(buildMazeFromLayout(layout));
+
+        if (this.onImport) {
+            this.onImport(this.maze);
+        }
+
+        return { isValid: true, errors: [] };
+    }
+
+    /**
+     * Create the export/import panel DOM elements
+     */
+    createLayoutPanel() {
+        this.layoutPanel = document.createElement('div');
+        this.layoutPanel.className = 'dialog-overlay editor-layout-panel';
+        this.layoutPanel.style.display = 'none';
+        this.layoutPanel.innerHTML = `
+            <div class="dialog-content">
+                <h2 class="editor-layout-title"></h2>
+                <textarea class="editor-layout-json" rows="16" spellcheck="false"></textarea>
+                <ul class="editor-layout-errors"></ul>
+                <button class="menu-button editor-layout-action"></button>
+                <button class="menu-button editor-layout-close">Cerrar</button>
+            </div>
+        `;
+
+        this.layoutTitle = this.layoutPanel.querySelector('.editor-layout-title');
+        this.layoutText = this.layoutPanel.querySelector('.editor-layout-json');
+        this.layoutErrors = this.layoutPanel.querySelector('.editor-layout-errors');
+        this.layoutActionBtn = this.layoutPanel.querySelector('.editor-layout-action');
+
+        this.layoutActionBtn.addEventListener('click', () => {
+            if (this.layoutAction) {
+                this.layoutAction();
+            }
+        });
+        this.layoutPanel.querySelector('.editor-layout-close').addEventListener('click', () => this.hideLayoutPanel());
+
+        // Typing in the panel must not reach the game's key bindings
+        this.layoutPanel.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.code === 'Escape') {
+                this.hideLayoutPanel();
+            }
+        });
+
+        document.body.appendChild(this.layoutPanel);
+    }
+
+    /**
+     * Open the panel with a title, JSON text and one action button
+     * @param {string} title - Panel title
+     * @param {string} text - Initial textarea content
+     * @param {string} actionLabel - Action button label
+     * @param {Function} action - Called when the action button is clicked
+     */
+    showLayoutPanel(title, text, actionLabel, action) {
+        if (!this.layoutPanel) {
+            this.createLayoutPanel();
+        }
+
+        this.layoutTitle.textContent = title;
+        this.layoutText.value = text;
+        this.layoutActionBtn.textContent = actionLabel;
+        this.layoutAction = action;
+        this.showLayoutErrors([]);
+        this.layoutPanel.style.display = 'flex';
+        this.layoutText.focus();
+    }
+
+    /**
+     * Show the exported JSON, with any validation problems listed below it
+     * @param {string} json - Exported layout JSON
+     * @param {Object} validation - Validation result of the exported layout
+     */
+    showExportPanel(json, validation = this.validation) {
+        this.showLayoutPanel('Exportar nivel', json, 'Copiar', () => this.copyLayoutText());
+        this.layoutText.readOnly = true;
+        this.showLayoutErrors(validation.errors);
+    }
+
+    /**
+     * Show an empty textarea for pasting layout JSON to import
+     */
+    showImportPanel() {
+        this.showLayoutPanel('Importar nivel', '', 'Importar', () => {
+            const result = this.importLayout(this.layoutText.value);
+            if (result.isValid) {
+                this.hideLayoutPanel();
+            } else {
+                this.showLayoutErrors(result.errors);
+            }
+        });
+        this.layoutText.readOnly = false;
+    }
+
+    /**
+     * List problems under the textarea
+     * @param {Array} errors - Error messages
+     */
+    showLayoutErrors(errors) {
+        this.layoutErrors.replaceChildren(...errors.map(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            return item;
+        }));
+    }
+
+    /**
+     * Copy the panel text to the clipboard, leaving it selected for a manual copy
+     */
+    copyLayoutText() {
+        this.layoutText.select();
+        if (typeof navigator !== 'undefined' && navigator.clipboard) {
+            navigator.clipboard.writeText(this.layoutText.value).catch(error => {
+                console.warn('Could not copy layout to clipboard:', error);
+            });
+        }
+    }
+
+    /**
+     * Close the export/import panel
+     */
+    hideLayoutPanel() {
+        if (this.layoutPanel) {
+            this.layoutPanel.style.display = 'none';
+        }
+        this.layoutAction = null;
+    }
+
+    /**
+     * Check whether the export/import panel is open
+     * @returns {boolean} - True if the panel is showing
+     */
+    isLayoutPanelOpen() {
+        return Boolean(this.layoutPanel) && this.layoutPanel.style.display !== 'none';
+    }
+
+    /**
+     * Handle a key press from the InputManager buffer
+     * @param {string} keyCode - KeyboardEvent code
+     * @returns {boolean} - True if the key was handled
+     */
+    handleKey(keyCode) {
+        if (CURSOR_MOVES[keyCode]) {
+            this.moveCursor(CURSOR_MOVES[keyCode].x, CURSOR_MOVES[keyCode].y);
+            return true;
+        }
+
+        if (TOOL_KEYS[keyCode]) {
+            return this.selectTool(TOOL_KEYS[keyCode]);
+        }
+
+        switch (keyCode) {
+            case 'Space':
+            case 'Enter':
+                this.applyTool(this.cursor.x, this.cursor.y);
+                return true;
+            case 'KeyE':
+                this.showExportPanel(this.exportLayout(), this.validation);
+                return true;
+            case 'KeyI':
+                this.showImportPanel();
+                return true;
+            case 'Escape':
+                if (this.onClose) {
+                    this.onClose();
+                }
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Apply the current tool at a canvas position (mouse painting)
+     * @param {Renderer} renderer - Renderer used to convert screen to world coordinates
+     * @param {number} screenX - X position on the canvas
+     * @param {number} screenY - Y position on the canvas
+     * @returns {boolean} - True if the maze changed
+     */
+    applyToolAtScreen(renderer, screenX, screenY) {
+        const world = renderer.screenToWorld(screenX, screenY);
+        const x = Math.floor(world.x);
+        const y = Math.floor(world.y);
+        if (!this.maze.isValidPosition(x, y)) {
+            return false;
+        }
+
+        this.cursor = { x, y };
+        return this.applyTool(x, y);
+    }
+
+    /**
+     * Get the label of the active tool
+     * @returns {string} - Tool label in Spanish
+     */
+    getToolLabel() {
+        return EDITOR_TOOLS.find(tool => tool.id === this.currentTool).label;
+    }
+
+    /**
+     * Render the editor using the game renderer
+     * @param {Renderer} renderer - Renderer instance
+     */
+    render(renderer) {
+        const maze = this.maze;
+
+        renderer.clear();
+        renderer.setCamera(maze.width / 2, maze.height / 2);
+        renderer.updateCamera();
+        renderer.forceFullRedraw();
+        renderer.drawMaze(maze);
+        renderer.drawMazeEntities(maze);
+
+        // Cursor outline
+        const cursorPos = renderer.worldToScreen(this.cursor.x, this.cursor.y);
+        renderer.ctx.strokeStyle = '#FFD700';
+        renderer.ctx.lineWidth = 2;
+        renderer.ctx.strokeRect(cursorPos.x + 1, cursorPos.y + 1, renderer.gridSize - 2, renderer.gridSize - 2);
+
+        // Status bar
+        const status = this.validation.isValid
+            ? 'Resoluble'
+            : (this.validation.isSolvable ? 'Objetivos inalcanzables' : 'Sin solución');
+        const statusColor = this.validation.isValid ? '#7CFC00' : '#FF4500';
+        const tools = EDITOR_TOOLS.map((tool, index) => `${index + 1}:${tool.label}`).join('  ');
+
+        renderer.drawUIText('Editor de Niveles', 10, 20, '#FFD700', 16);
+        renderer.drawUIText(`Herramienta: ${this.getToolLabel()}`, 10, 40, '#DEB887', 14);
+        renderer.drawUIText(status, renderer.canvas.width - 10, 20, statusColor, 14, 'monospace', 'right');
+        renderer.drawUIText(tools, 10, renderer.canvas.height - 30, '#DEB887', 12);
+        renderer.drawUIText('ESPACIO: aplicar  E: exportar  I: importar  ESC: salir', 10, renderer.canvas.height - 12, '#DEB887', 12);
+    }
+}
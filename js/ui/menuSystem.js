@@ -4,6 +4,8 @@
  * Requirements: 5.1, 5.2, 5.3, 5.4
  */
 
+import { DifficultyScaling } from '../data/gameBalance.js';
+
 export class MenuSystem {
     constructor(gameEngine = null) {
         this.gameEngine = gameEngine;
@@ -16,10 +18,16 @@ export class MenuSystem {
         this.continueBtn = document.getElementById('continueBtn');
         this.settingsBtn = document.getElementById('settingsBtn');
         this.resetBtn = document.getElementById('resetBtn');
+        this.editorBtn = document.getElementById('editorBtn');
+        
+        // Optional seed for a new game, to replay or share a maze layout
+        this.seedInput = document.getElementById('seedInput');
         
         // Settings elements (will be created dynamically)
         this.settingsMenu = null;
         this.volumeSlider = null;
+        this.difficultySelect = null;
+        this.fogOfWarToggle = null;
         this.backBtn = null;
         
         // Audio service for UI sounds
@@ -30,6 +38,7 @@ export class MenuSystem {
         this.onContinueGame = null;
         this.onResetGame = null;
         this.onSettingsChange = null;
+        this.onOpenEditor = null;
         
         // Validate DOM elements
         this.validateElements();
@@ -78,6 +87,9 @@ export class MenuSystem {
         this.settingsMenu = document.createElement('div');
         this.settingsMenu.className = 'menu-content settings-menu';
         this.settingsMenu.style.display = 'none';
+        const difficultyOptions = Object.entries(DifficultyScaling.PRESETS)
+            .map(([name, preset]) => `<option value="${name}"${name === DifficultyScaling.DEFAULT_PRESET ? ' selected' : ''}>${preset.label}</option>`)
+            .join('');
         this.settingsMenu.innerHTML = `
             <h2>Configuración</h2>
             <div class="settings-item">
@@ -85,6 +97,14 @@ export class MenuSystem {
                 <input type="range" id="volumeSlider" min="0" max="100" value="70" class="volume-slider">
                 <span id="volumeValue">70%</span>
             </div>
+            <div class="settings-item">
+                <label for="difficultySelect">Dificultad:</label>
+                <select id="difficultySelect" class="difficulty-select">${difficultyOptions}</select>
+            </div>
+            <div class="settings-item">
+                <label for="fogOfWarToggle">Niebla de guerra:</label>
+                <input type="checkbox" id="fogOfWarToggle" class="fog-toggle" checked>
+            </div>
             <button id="backToMainBtn" class="menu-button">Volver al Menú</button>
         `;
 
@@ -97,6 +117,8 @@ export class MenuSystem {
         // Get references to settings elements
         this.volumeSlider = this.settingsMenu.querySelector('#volumeSlider');
         this.volumeValue = this.settingsMenu.querySelector('#volumeValue');
+        this.difficultySelect = this.settingsMenu.querySelector('#difficultySelect');
+        this.fogOfWarToggle = this.settingsMenu.querySelector('#fogOfWarToggle');
         this.backBtn = this.settingsMenu.querySelector('#backToMainBtn');
     }
 
@@ -122,11 +144,28 @@ export class MenuSystem {
             this.resetBtn.addEventListener('click', () => this.handleResetGame());
         }
 
+        if (this.editorBtn) {
+            this.editorBtn.addEventListener('click', () => this.handleOpenEditor());
+        }
+
+        if (this.seedInput) {
+            // Typing a seed must not reach the game's key bindings
+            this.seedInput.addEventListener('keydown', (event) => event.stopPropagation());
+        }
+
         // Settings menu events
         if (this.volumeSlider) {
             this.volumeSlider.addEventListener('input', (e) => this.handleVolumeChange(e));
         }
 
+        if (this.difficultySelect) {
+            this.difficultySelect.addEventListener('change', (e) => this.handleDifficultyChange(e));
+        }
+
+        if (this.fogOfWarToggle) {
+            this.fogOfWarToggle.addEventListener('change', (e) => this.handleFogOfWarChange(e));
+        }
+
         if (this.backBtn) {
             this.backBtn.addEventListener('click', () => this.showMainMenu());
         }
@@ -292,6 +331,47 @@ export class MenuSystem {
         }
     }
 
+    /**
+     * Handle difficulty preset change; applies from the next new game
+     * @param {Event} event - Change event from the difficulty select
+     */
+    handleDifficultyChange(event) {
+        const difficulty = event.target.value;
+        if (!DifficultyScaling.PRESETS[difficulty]) {
+            console.warn('Unknown difficulty preset:', difficulty);
+            return;
+        }
+
+        if (this.onSettingsChange) {
+            this.onSettingsChange({
+                type: 'difficulty',
+                value: difficulty
+            });
+        }
+    }
+
+    /**
+     * Handle fog of war toggle; applies immediately
+     * @param {Event} event - Change event from the fog of war checkbox
+     */
+    handleFogOfWarChange(event) {
+        if (this.onSettingsChange) {
+            this.onSettingsChange({
+                type: 'fogOfWar',
+                value: event.target.checked
+            });
+        }
+    }
+
+    /**
+     * Get the seed typed in the main menu
+     * @returns {string|null} - Seed text, or null to play a random maze
+     */
+    getSeedInput() {
+        const seed = this.seedInput ? this.seedInput.value.trim() : '';
+        return seed || null;
+    }
+
     /**
      * Handle new game button
      * Requirements: 5.1, 5.3
@@ -304,10 +384,28 @@ export class MenuSystem {
         
         this.hideMenu();
         
+        const seed = this.getSeedInput();
         if (this.onNewGame) {
-            this.onNewGame();
+            this.onNewGame(seed);
+        } else if (this.gameEngine) {
+            this.gameEngine.startNewGame(seed);
+        }
+    }
+
+    /**
+     * Handle level editor button
+     */
+    handleOpenEditor() {
+        if (this.audioService) {
+            this.audioService.playUISound('select');
+        }
+
+        this.hideMenu();
+
+        if (this.onOpenEditor) {
+            this.onOpenEditor();
         } else if (this.gameEngine) {
-            this.gameEngine.startNewGame();
+            this.gameEngine.openLevelEditor();
         }
     }
 
@@ -482,6 +580,7 @@ export class MenuSystem {
         this.onContinueGame = callbacks.onContinueGame || null;
         this.onResetGame = callbacks.onResetGame || null;
         this.onSettingsChange = callbacks.onSettingsChange || null;
+        this.onOpenEditor = callbacks.onOpenEditor || null;
     }
 
     /**
@@ -519,6 +618,37 @@ export class MenuSystem {
         }
     }
 
+    /**
+     * Get selected difficulty preset
+     * @returns {string} - Preset name
+     */
+    getDifficulty() {
+        if (this.difficultySelect) {
+            return this.difficultySelect.value;
+        }
+        return DifficultyScaling.DEFAULT_PRESET;
+    }
+
+    /**
+     * Set selected difficulty preset
+     * @param {string} difficulty - Preset name
+     */
+    setDifficulty(difficulty) {
+        if (this.difficultySelect && DifficultyScaling.PRESETS[difficulty]) {
+            this.difficultySelect.value = difficulty;
+        }
+    }
+
+    /**
+     * Set the fog of war toggle
+     * @param {boolean} enabled - True if fog of war is on
+     */
+    setFogOfWar(enabled) {
+        if (this.fogOfWarToggle) {
+            this.fogOfWarToggle.checked = enabled;
+        }
+    }
+
     /**
      * Set audio service for UI sounds
      * @param {AudioService} audioService - Audio service instance
@@ -12,6 +12,13 @@ export class ProgressPanel {
         this.currentLevelElement = document.getElementById('currentLevel');
         this.levelNameElement = document.getElementById('levelName');
         
+        this.scoreElement = document.getElementById('scoreStatus');
+        this.seedElement = document.getElementById('levelSeed');
+        
+        // Countdown row, only shown on timed circles
+        this.timerItemElement = document.getElementById('timerItem');
+        this.timerElement = document.getElementById('levelTimer');
+        
         // Track current state to avoid unnecessary DOM updates
         this.currentState = {
             virgilioFound: false,
@@ -22,6 +29,10 @@ export class ProgressPanel {
             levelName: 'Bosque Oscuro'
         };
         
+        // Running score and countdown (whole seconds, null on untimed circles), refreshed every frame
+        this.shownScore = null;
+        this.shownTime = { seconds: null, runningOut: false };
+        
         // Validate DOM elements
         this.validateElements();
     }
@@ -56,6 +67,9 @@ export class ProgressPanel {
         this.updateFragments(0, 3);
         this.updateExit(false);
         this.updateLevel(1, 'Bosque Oscuro');
+        this.updateScore(0);
+        this.updateSeed(null);
+        this.updateTimer(null);
         console.log('ProgressPanel initialized');
     }
 
@@ -145,6 +159,56 @@ export class ProgressPanel {
         }
     }
 
+    /**
+     * Update the running score
+     * @param {number} score - Current score
+     */
+    updateScore(score) {
+        if (score === this.shownScore) {
+            return;
+        }
+
+        this.shownScore = score;
+
+        if (this.scoreElement) {
+            this.scoreElement.textContent = String(score);
+        }
+    }
+
+    /**
+     * Show the seed of the current maze so players can share it
+     * @param {number|null} seed - Maze seed, or null before a maze is loaded
+     */
+    updateSeed(seed) {
+        if (this.seedElement) {
+            this.seedElement.textContent = seed === null || seed === undefined ? '-' : String(seed);
+        }
+    }
+
+    /**
+     * Update the countdown in mm:ss, hiding it on circles without a time limit
+     * The DOM is only touched when the shown second changes
+     * @param {number|null} remaining - Milliseconds left, or null for no countdown
+     * @param {boolean} runningOut - Whether to show the time in the warning color
+     */
+    updateTimer(remaining, runningOut = false) {
+        const seconds = typeof remaining === 'number' ? Math.max(0, Math.ceil(remaining / 1000)) : null;
+        if (seconds === this.shownTime.seconds && runningOut === this.shownTime.runningOut) {
+            return;
+        }
+
+        this.shownTime = { seconds, runningOut };
+
+        if (this.timerItemElement) {
+            this.timerItemElement.style.display = seconds === null ? 'none' : '';
+        }
+        if (this.timerElement && seconds !== null) {
+            const minutes = Math.floor(seconds / 60);
+            this.timerElement.textContent = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+            this.timerElement.className = runningOut ? 'status-tiempo-agotandose' : '';
+        }
+    }
+
     /**
      * Update all progress information at once
      * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
@@ -178,6 +242,18 @@ export class ProgressPanel {
                 progressData.levelName
             );
         }
+
+        if (typeof progressData.score === 'number') {
+            this.updateScore(progressData.score);
+        }
+
+        if ('seed' in progressData) {
+            this.updateSeed(progressData.seed);
+        }
+
+        if ('timeRemaining' in progressData) {
+            this.updateTimer(progressData.timeRemaining, progressData.timeRunningOut);
+        }
     }
 
     /**
@@ -197,6 +273,9 @@ export class ProgressPanel {
         this.updateFragments(0, 3);
         this.updateExit(false);
         this.updateLevel(1, 'Bosque Oscuro');
+        this.updateScore(0);
+        this.updateSeed(null);
+        this.updateTimer(null);
     }
 
     /**
@@ -0,0 +1,98 @@
+/**
+ * Seeded Random
+ * Deterministic pseudo-random number generator (mulberry32) so mazes can be reproduced from a seed
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Numeric seed or any string (hashed into a 32-bit seed)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Get next random float in the range [0, 1), equivalent to Math.random()
+     * @returns {number} - Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get random integer in the range [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} - Random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} - Random element or undefined if the array is empty
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} - The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Generate a new random seed
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Convert a user-provided seed into an unsigned 32-bit integer
+     * @param {number|string} seed - Numeric or text seed
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash so text seeds like "dite" are shareable
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+export default SeededRandom;
@@ -81,6 +81,7 @@ describe('SaveManager', () => {
             levelProgress: [
                 { level: 1, completed: false, startTime: Date.now() }
             ],
+            levelManagerState: { currentLevel: 1, levelHistory: [], seed: 12345 },
             currentMaze: null
         };
     });
@@ -271,6 +272,35 @@ describe('SaveManager', () => {
         });
     });
 
+    describe('Best scores', () => {
+        it('should keep the best score of each circle', () => {
+            expect(saveManager.getBestScores()).toEqual({});
+
+            expect(saveManager.saveBestScore(1, 1500)).toBe(true);
+            expect(saveManager.saveBestScore(1, 1200)).toBe(false);
+            expect(saveManager.saveBestScore(2, 900)).toBe(true);
+            expect(saveManager.saveBestScore(1, 1800)).toBe(true);
+
+            expect(saveManager.getBestScores()).toEqual({ 1: 1800, 2: 900 });
+        });
+
+        it('should clear best scores along with the save', () => {
+            saveManager.saveBestScore(1, 1500);
+
+            saveManager.clearSave();
+
+            expect(localStorageMock.removeItem).toHaveBeenCalledWith('danteInfernoBestScores');
+            expect(saveManager.getBestScores()).toEqual({});
+        });
+
+        it('should fall back to no best scores when they cannot be read', () => {
+            localStorageMock.setItem('danteInfernoBestScores', '{broken');
+
+            expect(saveManager.getBestScores()).toEqual({});
+            expect(consoleMock.error).toHaveBeenCalledWith('Failed to load best scores:', expect.any(Error));
+        });
+    });
+
     describe('hasSave', () => {
         it('should return true for valid save', () => {
             const saveData = {
@@ -389,12 +419,46 @@ describe('SaveManager', () => {
                 },
                 levelProgress: [
                     { level: 1, completed: false, startTime: expect.any(Number) }
-                ]
+                ],
+                levelManagerState: { currentLevel: 1, levelHistory: [], seed: 12345 }
             });
 
             // Should not include currentMaze
             expect(serialized.currentMaze).toBeUndefined();
         });
+
+        it('should keep the running score', () => {
+            const scoreState = { totalScore: 2100, levelNumber: 2, objectivePoints: 100 };
+            const serialized = saveManager.serializeGameState({ ...mockGameState, scoreState });
+
+            expect(saveManager.deserializeGameState(serialized).scoreState).toEqual(scoreState);
+        });
+
+        it('should keep the floor of a multi-floor circle', () => {
+            const serialized = saveManager.serializeGameState({ ...mockGameState, currentLayer: 2 });
+
+            expect(serialized.currentLayer).toBe(2);
+            expect(saveManager.deserializeGameState(serialized).currentLayer).toBe(2);
+        });
+
+        it('should keep the countdown of a timed circle', () => {
+            const countdownState = { limit: 300000, remaining: 120000, elapsed: 180000 };
+            const serialized = saveManager.serializeGameState({ ...mockGameState, countdownState });
+
+            expect(serialized.countdownState).toEqual(countdownState);
+            expect(saveManager.deserializeGameState(serialized).countdownState).toEqual(countdownState);
+        });
+
+        it('should keep collected keys and door states', () => {
+            const objectiveManagerState = {
+                collectedKeys: ['red'],
+                doors: [{ x: 3, y: 1, open: true }]
+            };
+            const serialized = saveManager.serializeGameState({ ...mockGameState, objectiveManagerState });
+
+            expect(serialized.objectiveManagerState).toEqual(objectiveManagerState);
+            expect(saveManager.deserializeGameState(serialized).objectiveManagerState).toEqual(objectiveManagerState);
+        });
     });
 
     describe('deserializeGameState', () => {
@@ -417,7 +481,8 @@ describe('SaveManager', () => {
                     deathCount: 1,
                     dialoguesSeen: ['intro']
                 },
-                levelProgress: []
+                levelProgress: [],
+                levelManagerState: { currentLevel: 2, levelHistory: [], seed: 12345 }
             };
 
             const deserialized = saveManager.deserializeGameState(serialized);
@@ -189,6 +189,15 @@ describe('AudioService', () => {
             expect(mockAudioManager.playSound).toHaveBeenCalledWith('move_blocked', expect.any(Object));
         });
 
+        it('should play a footstep variant on slow terrain', () => {
+            audioService.playMovementSound(true, 'mud');
+
+            expect(mockAudioManager.playSound).toHaveBeenCalledWith('move_step', expect.objectContaining({
+                playbackRate: 0.6,
+                volume: 0.45
+            }));
+        });
+
         it('should play objective completion sounds', () => {
             audioService.playObjectiveSound('virgilio');
             expect(mockAudioManager.playSound).toHaveBeenCalledWith('virgilio_found', expect.any(Object));
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for GameEngine gameplay flow
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { GameEngine, GAME_STATES } from '../../js/engine/gameEngine.js';
+import { DIRECTION_VECTORS } from '../../js/game/maze.js';
+
+const createCanvas = () => ({
+    getContext: () => new Proxy({}, {
+        get: (target, prop) => (prop in target ? target[prop] : () => ({ addColorStop: () => {} })),
+        set: (target, prop, value) => { target[prop] = value; return true; }
+    }),
+    width: 800,
+    height: 600,
+    style: {}
+});
+
+async function startGame(seed = 42, difficulty = 'normal') {
+    const engine = new GameEngine(createCanvas());
+    engine.gameState.gameSettings.difficulty = difficulty;
+    await engine.startNewGame(seed);
+    return engine;
+}
+
+/**
+ * Put Dante next to a cell and let the fixed timestep carry him onto it
+ */
+function walkOnto(engine, target) {
+    const maze = engine.gameState.currentMaze;
+    const [direction, step] = Object.entries(DIRECTION_VECTORS)
+        .find(([, step]) => maze.isWalkable(target.x - step.x, target.y - step.y));
+
+    engine.player.reset({ x: target.x - step.x, y: target.y - step.y });
+    engine.player.move(direction, maze);
+    for (let i = 0; i < 30; i++) {
+        engine.updateGameplay(16.67);
+    }
+}
+
+describe('GameEngine', () => {
+    describe('Seeds', () => {
+        test('should rebuild the same first circle from a typed seed and show it', async () => {
+            const first = await startGame('dite');
+            const second = await startGame('dite');
+            const seed = first.levelManager.getCurrentSeed();
+
+            expect(second.gameState.currentMaze.cells).toEqual(first.gameState.currentMaze.cells);
+            expect((await startGame(String(seed))).gameState.currentMaze.cells).toEqual(first.gameState.currentMaze.cells);
+
+            first.progressPanel = { updateAll: vi.fn() };
+            first.updateProgressPanel();
+            expect(first.progressPanel.updateAll).toHaveBeenCalledWith(expect.objectContaining({ seed }));
+        });
+    });
+
+    describe('Level Completion', () => {
+        test('should complete the level once Dante reaches the unlocked exit', async () => {
+            const engine = await startGame();
+            const maze = engine.gameState.currentMaze;
+
+            maze.entities.filter(entity => entity.type === 'virgilio' || entity.type === 'fragment')
+                .forEach(entity => walkOnto(engine, entity));
+            expect(engine.getState()).toBe(GAME_STATES.PLAYING);
+
+            walkOnto(engine, maze.getExitPosition());
+
+            expect(engine.getState()).toBe(GAME_STATES.LEVEL_COMPLETE);
+            expect(engine.levelSummary.score.total).toBeGreaterThan(0);
+        });
+
+        test('should keep the exit shut while objectives are missing', async () => {
+            const engine = await startGame();
+
+            walkOnto(engine, engine.gameState.currentMaze.getExitPosition());
+
+            expect(engine.getState()).toBe(GAME_STATES.PLAYING);
+        });
+
+        test.each([
+            ['easy', 2],
+            ['hard', 4]
+        ])('should ask for the fragments the %s preset requires', async (difficulty, fragments) => {
+            const engine = await startGame(42, difficulty);
+            const maze = engine.gameState.currentMaze;
+            expect(engine.levelManager.getRequiredFragments()).toBe(fragments);
+            expect(engine.objectiveManager.getObjectiveStatus().totalFragments).toBe(fragments);
+
+            const virgilio = maze.entities.find(entity => entity.type === 'virgilio');
+            const pieces = maze.entities.filter(entity => entity.type === 'fragment');
+            expect(pieces).toHaveLength(fragments);
+            [virgilio, ...pieces.slice(0, -1)].forEach(entity => walkOnto(engine, entity));
+            walkOnto(engine, maze.getExitPosition());
+            expect(engine.getState()).toBe(GAME_STATES.PLAYING);
+
+            walkOnto(engine, pieces[pieces.length - 1]);
+            walkOnto(engine, maze.getExitPosition());
+            expect(engine.getState()).toBe(GAME_STATES.LEVEL_COMPLETE);
+        });
+    });
+
+    describe('Portals', () => {
+        /**
+         * Open a portal pair from a free cell next to the start to the given cell
+         */
+        function openPortalTo(engine, target) {
+            const maze = engine.gameState.currentMaze;
+            const start = maze.getStartPosition();
+            const from = maze.getWalkableNeighbors(start.x, start.y)[0];
+            maze.setTile(from.x, from.y, { type: 'portal', pair: 0, target: { ...target } });
+            maze.setTile(target.x, target.y, { type: 'portal', pair: 0, target: { ...from } });
+            return from;
+        }
+
+        test('should collect an objective at the far end of a portal', async () => {
+            const engine = await startGame();
+            const fragment = engine.gameState.currentMaze.entities.find(entity => entity.type === 'fragment');
+
+            walkOnto(engine, openPortalTo(engine, fragment));
+
+            expect(engine.player.getGridPosition()).toEqual({ x: fragment.x, y: fragment.y });
+            expect(engine.objectiveManager.getObjectiveStatus().fragmentsCollected).toBe(1);
+        });
+
+        test('should hurt Dante when a portal drops him on a hazard', async () => {
+            const engine = await startGame();
+            const maze = engine.gameState.currentMaze;
+            const exit = maze.getExitPosition();
+            const landing = maze.getWalkableNeighbors(exit.x, exit.y)[0];
+            maze.entities.push({ type: 'hazard', kind: 'fire_pit', damage: 1, x: landing.x, y: landing.y });
+            const health = engine.player.health;
+
+            walkOnto(engine, openPortalTo(engine, landing));
+
+            expect(engine.player.getGridPosition()).toEqual(landing);
+            expect(engine.player.health).toBe(health - 1);
+        });
+    });
+
+    describe('Retries', () => {
+        test('should count respawns and timeouts as retries of the circle', async () => {
+            const engine = await startGame();
+
+            engine.gameOverReason = 'death';
+            engine.respawnPlayer();
+            engine.handleTimeUp();
+            await engine.restartLevel();
+
+            expect(engine.collectLevelPerformance(0).retryCount).toBe(2);
+        });
+    });
+
+    describe('Next Circle', () => {
+        test('should set up the next circle before saving it', async () => {
+            const engine = await startGame();
+            engine.handleLevelCompletion();
+            let countdownReady = false;
+            vi.spyOn(engine, 'setupCountdown').mockImplementation(async () => {
+                await Promise.resolve();
+                countdownReady = true;
+            });
+            const savedWhenReady = [];
+            vi.spyOn(engine, 'triggerAutoSave').mockImplementation(() => savedWhenReady.push(countdownReady));
+
+            await engine.continueToNextLevel();
+
+            expect(savedWhenReady).toEqual([true]);
+            expect(engine.getState()).toBe(GAME_STATES.PLAYING);
+            expect(engine.gameState.currentLevel).toBe(2);
+        });
+
+        test('should ignore a second request while the next circle loads', async () => {
+            const engine = await startGame();
+            engine.handleLevelCompletion();
+
+            await Promise.all([engine.continueToNextLevel(), engine.continueToNextLevel()]);
+
+            expect(engine.gameState.currentLevel).toBe(2);
+        });
+    });
+
+    describe('Game Completion', () => {
+        test('should show the victory narrative with the difficulty preset after the last circle', async () => {
+            const engine = await startGame(42, 'hard');
+            engine.narrativeManager = { showGameCompletion: vi.fn() };
+            vi.spyOn(engine.levelManager, 'progressToNext').mockReturnValue(false);
+
+            engine.handleLevelCompletion();
+            await engine.continueToNextLevel();
+
+            expect(engine.getState()).toBe(GAME_STATES.GAME_OVER);
+            expect(engine.gameOverReason).toBe('complete');
+            expect(engine.narrativeManager.showGameCompletion).toHaveBeenCalledWith(null, 'Difícil');
+        });
+    });
+});
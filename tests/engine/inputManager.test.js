@@ -42,6 +42,8 @@ describe('InputManager', () => {
             expect(inputManager.keyBindings['ArrowLeft']).toBe('left');
             expect(inputManager.keyBindings['ArrowDown']).toBe('down');
             expect(inputManager.keyBindings['ArrowRight']).toBe('right');
+            expect(inputManager.keyBindings['KeyM']).toBe('map');
+            expect(inputManager.keyBindings['KeyZ']).toBe('undo');
         });
 
         test('should bind event listeners on init', () => {
@@ -101,6 +103,21 @@ describe('InputManager', () => {
             expect(inputManager.keys['KeyW']).toBe(true);
             expect(inputManager.inputBuffer).toHaveLength(1);
         });
+
+        test('should only accept editor keys while the editor is active', () => {
+            inputManager.handleKeyDown({ code: 'KeyE' });
+            expect(inputManager.isValidGameKey('Digit1')).toBe(false);
+            expect(inputManager.inputBuffer).toHaveLength(0);
+
+            inputManager.setActiveState('editor');
+            inputManager.handleKeyDown({ code: 'KeyE' });
+            expect(inputManager.isValidGameKey('Digit1')).toBe(true);
+            expect(inputManager.isValidGameKey('KeyW')).toBe(true);
+            expect(inputManager.inputBuffer[0].action).toBe('export');
+
+            inputManager.setActiveState('playing');
+            expect(inputManager.isValidGameKey('KeyI')).toBe(false);
+        });
     });
 
     describe('Input Buffering', () => {
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the burning tombs of the City of Dis
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { BurningTombs, validateTombTiming } from '../../js/game/burningTombs.js';
+import { Player } from '../../js/game/player.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { PlayerSettings, TombBalance } from '../../js/data/gameBalance.js';
+import { LevelData } from '../../js/data/levelData.js';
+
+const CRYPT = ['#######', '#S.T.E#', '#######'];
+
+describe('Burning Tombs', () => {
+    test('should burn Dante only while the tomb under him is burning', () => {
+        const maze = buildMazeFromLayout(CRYPT);
+        const player = new Player(3, 1);
+        const tombs = new BurningTombs();
+        tombs.configure({ period: 3000, burnTime: 1200 });
+
+        expect(tombs.update(1799, player, maze)).toBe(null);
+        expect(tombs.update(1, player, maze)).toMatchObject({ x: 3, y: 1, kind: 'burning_tomb', damage: TombBalance.DAMAGE });
+        expect(tombs.update(1200, player, maze)).toBe(null); // cold again at the start of the next period
+        expect(tombs.update(1800, new Player(2, 1), maze)).toBe(null);
+    });
+
+    test('should let Dante step through a tomb while it burns', () => {
+        const maze = buildMazeFromLayout(CRYPT);
+        const player = new Player(2, 1);
+        const tombs = new BurningTombs();
+        tombs.update(TombBalance.DEFAULT_PERIOD - 1, player, maze);
+
+        player.move('right', maze);
+        expect(tombs.update(0, player, maze)).toBe(null);
+    });
+
+    test('should offset each tomb by its phase', () => {
+        const tombs = new BurningTombs();
+        tombs.configure({ period: 2000, burnTime: 500 });
+
+        expect(tombs.isBurning({ phase: 0 })).toBe(false);
+        expect(tombs.isBurning({ phase: 0.75 })).toBe(true);
+        expect(tombs.getWarning({ phase: 0.25 })).toBe(0);
+        expect(tombs.getWarning({ phase: 0.74 })).toBeGreaterThan(0.9);
+    });
+
+    test('should report every tomb for the renderer', () => {
+        const maze = buildMazeFromLayout(CRYPT);
+        const tombs = new BurningTombs();
+
+        expect(tombs.getTombStates(maze)).toEqual(new Map([['3,1', { burning: false, warning: 0 }]]));
+    });
+
+    test('should only accept rhythms that leave time to cross at the movement duration', () => {
+        const crossing = PlayerSettings.MOVEMENT_DURATION * TombBalance.CROSSING_STEPS;
+
+        expect(validateTombTiming({ period: 3000, burnTime: 3000 - crossing })).toEqual({ isValid: true, errors: [] });
+        expect(validateTombTiming({ period: 3000, burnTime: 3001 - crossing }).isValid).toBe(false);
+        expect(validateTombTiming({ period: 1000, burnTime: 500 }, 300).isValid).toBe(false);
+        expect(validateTombTiming({ period: 0, burnTime: 500 }).isValid).toBe(false);
+    });
+
+    test('should shorten a burn that leaves no time to cross', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const tombs = new BurningTombs();
+
+        tombs.configure({ period: 1000, burnTime: 900 });
+
+        expect(warnSpy).toHaveBeenCalled();
+        expect(tombs.burnTime).toBe(1000 - PlayerSettings.MOVEMENT_DURATION * TombBalance.CROSSING_STEPS);
+        expect(validateTombTiming(tombs).isValid).toBe(true);
+        warnSpy.mockRestore();
+    });
+
+    test('should keep the City of Dis rhythm crossable', () => {
+        Object.values(LevelData).filter(level => level.tombs).forEach(level => {
+            expect(validateTombTiming(level.tombs).errors).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the countdown of timed circles
+ */
+
+import { describe, test, expect } from 'vitest';
+import { Countdown } from '../../js/game/countdown.js';
+import { ProgressionSettings } from '../../js/data/gameBalance.js';
+
+describe('Countdown', () => {
+    test('should stay off on untimed circles', () => {
+        const countdown = new Countdown();
+
+        expect(countdown.update(1000)).toBe(false);
+        expect(countdown.getRemaining()).toBe(null);
+        expect(countdown.isExpired()).toBe(false);
+        expect(countdown.getSerializableState()).toBe(null);
+    });
+
+    test('should run down and report the update the time runs out', () => {
+        const countdown = new Countdown();
+        countdown.configure({ limit: 5000 });
+
+        expect(countdown.update(3000)).toBe(false);
+        expect(countdown.getRemaining()).toBe(2000);
+        expect(countdown.update(2500)).toBe(true);
+        expect(countdown.getRemaining()).toBe(0);
+        expect(countdown.isExpired()).toBe(true);
+        expect(countdown.update(1000)).toBe(false);
+    });
+
+    test('should default and cap limits with the progression thresholds', () => {
+        const countdown = new Countdown();
+
+        countdown.configure({});
+        expect(countdown.getRemaining()).toBe(ProgressionSettings.TIME_BONUS_THRESHOLD);
+
+        countdown.configure({ limit: ProgressionSettings.TIME_PENALTY_THRESHOLD * 2 });
+        expect(countdown.getRemaining()).toBe(ProgressionSettings.TIME_PENALTY_THRESHOLD);
+    });
+
+    test('should hold still while paused', () => {
+        const countdown = new Countdown();
+        countdown.configure({ limit: 5000 });
+
+        countdown.pause();
+        countdown.update(4000);
+        expect(countdown.getRemaining()).toBe(5000);
+
+        countdown.resume();
+        countdown.update(4000);
+        expect(countdown.getRemaining()).toBe(1000);
+    });
+
+    test('should add hourglass time until the clock has run out', () => {
+        const countdown = new Countdown();
+        countdown.configure({ limit: 5000 });
+
+        countdown.addTime(2000);
+        expect(countdown.getRemaining()).toBe(7000);
+
+        countdown.update(7000);
+        countdown.addTime(2000);
+        expect(countdown.isExpired()).toBe(true);
+    });
+
+    test('should rank the time spent against the speed-run thresholds', () => {
+        const [fastest, , slowest] = ProgressionSettings.SPEED_RUN_THRESHOLDS;
+        const countdown = new Countdown();
+        countdown.configure({ limit: ProgressionSettings.TIME_PENALTY_THRESHOLD });
+
+        countdown.update(fastest);
+        expect(countdown.getSpeedRunRank()).toBe(0);
+
+        countdown.update(slowest);
+        expect(countdown.getSpeedRunRank()).toBe(null);
+    });
+
+    test('should continue a saved countdown', () => {
+        const countdown = new Countdown();
+        countdown.configure({ limit: 60000 });
+        countdown.update(15000);
+        const state = JSON.parse(JSON.stringify(countdown.getSerializableState()));
+
+        const restored = new Countdown();
+        restored.configure({ limit: 60000 });
+        restored.loadState(state);
+
+        expect(restored.getRemaining()).toBe(45000);
+        expect(restored.update(45000)).toBe(true);
+    });
+});
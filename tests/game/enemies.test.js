@@ -0,0 +1,188 @@
+/**
+ * Unit tests for wandering damned-soul enemies
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { Enemy, EnemyManager, ENEMY_STATES } from '../../js/game/enemies.js';
+import { Maze } from '../../js/game/maze.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { EnemyBalance } from '../../js/data/gameBalance.js';
+import { SeededRandom } from '../../js/utils/random.js';
+
+const corridor = () => buildMazeFromLayout([
+    '###########',
+    '#S.......E#',
+    '#.#######.#',
+    '#.........#',
+    '###########'
+]);
+
+describe('Enemies', () => {
+    describe('Enemy', () => {
+        test('should chase Dante along the shortest path once he is in sight', () => {
+            const maze = corridor();
+            const enemy = new Enemy(6, 1, 2, new SeededRandom(1));
+
+            enemy.step(maze, { x: 2, y: 1 });
+
+            expect(enemy.state).toBe(ENEMY_STATES.CHASE);
+            expect(enemy.isChasing()).toBe(true);
+            expect({ x: enemy.x, y: enemy.y }).toEqual({ x: 5, y: 1 });
+        });
+
+        test('should not see through walls or beyond its sight range', () => {
+            const maze = corridor();
+            const enemy = new Enemy(5, 3, 2, new SeededRandom(1));
+
+            expect(enemy.canSee(maze, { x: 5, y: 1 })).toBe(false);
+            expect(enemy.canSee(maze, { x: 5 - EnemyBalance.SIGHT_RANGE - 1, y: 3 })).toBe(false);
+            expect(enemy.canSee(maze, { x: 1, y: 3 })).toBe(true);
+        });
+
+        test('should patrol down corridors without turning back', () => {
+            const maze = corridor();
+            const enemy = new Enemy(3, 3, 2, new SeededRandom(1));
+            enemy.direction = { x: 1, y: 0 };
+
+            for (let i = 0; i < 5; i++) {
+                enemy.step(maze, null);
+            }
+
+            expect(enemy.state).toBe(ENEMY_STATES.PATROL);
+            expect({ x: enemy.x, y: enemy.y }).toEqual({ x: 8, y: 3 });
+        });
+
+        test('should return to patrolling after reaching the last sighting', () => {
+            const maze = corridor();
+            const enemy = new Enemy(4, 1, 2, new SeededRandom(1));
+
+            enemy.step(maze, { x: 2, y: 1 });
+            enemy.step(maze, { x: 1, y: 3 }); // Dante slipped around the corner
+            enemy.step(maze, { x: 1, y: 3 });
+
+            expect(enemy.state).toBe(ENEMY_STATES.PATROL);
+        });
+
+        test('should step on the fixed timestep according to its speed', () => {
+            const maze = corridor();
+            const enemy = new Enemy(3, 3, 2, new SeededRandom(1));
+            enemy.direction = { x: 1, y: 0 };
+
+            enemy.update(250, maze, null);
+            expect(enemy.x).toBe(3);
+            expect(enemy.getRenderPosition().x).toBe(3);
+
+            enemy.update(250, maze, null);
+            expect(enemy.x).toBe(4);
+
+            // Rendering glides from the previous cell over the next interval
+            enemy.update(250, maze, null);
+            expect(enemy.getRenderPosition().x).toBeCloseTo(3.5);
+        });
+
+        test('should chase around mud when the detour is quicker', () => {
+            const maze = buildMazeFromLayout([
+                '#########',
+                '#.%%%%%.#',
+                '#.#####.#',
+                '#S.....E#',
+                '#########'
+            ]);
+            const enemy = new Enemy(1, 1, 2, new SeededRandom(1));
+
+            enemy.step(maze, { x: 7, y: 1 });
+
+            expect({ x: enemy.x, y: enemy.y }).toEqual({ x: 1, y: 2 });
+        });
+
+        test('should wade through mud as slowly as Dante', () => {
+            const maze = buildMazeFromLayout(['########', '#S.%..E#', '########']);
+            const enemy = new Enemy(2, 1, 2, new SeededRandom(1));
+            enemy.direction = { x: 1, y: 0 };
+
+            enemy.update(500, maze, null);
+            expect(enemy.x).toBe(3);
+
+            enemy.update(500, maze, null);
+            expect(enemy.x).toBe(3);
+            expect(enemy.getRenderPosition().x).toBeCloseTo(2.5);
+
+            enemy.update(500, maze, null);
+            expect(enemy.x).toBe(4);
+        });
+
+        test('should pop out of the far end of a portal instead of gliding across', () => {
+            const maze = buildMazeFromLayout(['########', '#1#1..E#', '#S######', '########']);
+            const enemy = new Enemy(4, 1, 2, new SeededRandom(1));
+            enemy.direction = { x: -1, y: 0 };
+
+            enemy.step(maze, null);
+            enemy.step(maze, null);
+
+            expect({ x: enemy.x, y: enemy.y }).toEqual({ x: 1, y: 1 });
+            expect(enemy.getRenderPosition()).toEqual({ x: 1, y: 1 });
+            expect(enemy.direction).toEqual({ x: -1, y: 0 });
+        });
+
+        test('should return to its spawn on reset', () => {
+            const maze = corridor();
+            const enemy = new Enemy(6, 1, 2, new SeededRandom(1));
+            enemy.step(maze, { x: 2, y: 1 });
+
+            enemy.reset();
+
+            expect({ x: enemy.x, y: enemy.y }).toEqual({ x: 6, y: 1 });
+            expect(enemy.state).toBe(ENEMY_STATES.PATROL);
+        });
+    });
+
+    describe('EnemyManager', () => {
+        const buildMaze = () => {
+            const maze = new Maze(27, 27, 5, 99);
+            maze.generate();
+            return maze;
+        };
+
+        test('should spawn spaced enemies far from the start', () => {
+            const maze = buildMaze();
+            const manager = new EnemyManager();
+
+            const enemies = manager.spawn(maze, { count: 3, speed: 2 });
+
+            expect(enemies).toHaveLength(3);
+            const distances = maze.getDistancesFrom(maze.getStartPosition());
+            enemies.forEach((enemy, index) => {
+                expect(enemy.speed).toBe(2);
+                expect(distances.get(`${enemy.x},${enemy.y}`)).toBeGreaterThanOrEqual(EnemyBalance.MIN_DISTANCE_FROM_START);
+                enemies.slice(index + 1).forEach(other => {
+                    expect(Math.abs(enemy.x - other.x) + Math.abs(enemy.y - other.y)).toBeGreaterThanOrEqual(EnemyBalance.MIN_SPACING);
+                });
+            });
+        });
+
+        test('should spawn the same enemies for the same maze seed', () => {
+            const first = new EnemyManager().spawn(buildMaze(), { count: 3, speed: 2 });
+            const second = new EnemyManager().spawn(buildMaze(), { count: 3, speed: 2 });
+
+            expect(second.map(enemy => enemy.spawn)).toEqual(first.map(enemy => enemy.spawn));
+        });
+
+        test('should warn when the maze is too small for every enemy', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const enemies = new EnemyManager().spawn(corridor(), { count: 4, speed: 2 });
+
+            expect(enemies.length).toBeLessThan(4);
+            expect(warnSpy).toHaveBeenCalled();
+            warnSpy.mockRestore();
+        });
+
+        test('should detect contact with the player', () => {
+            const manager = new EnemyManager();
+            manager.enemies = [new Enemy(4, 3, 2, new SeededRandom(1))];
+
+            expect(manager.checkContact({ x: 4, y: 3 })).toBe(manager.enemies[0]);
+            expect(manager.checkContact({ x: 4.8, y: 3 })).toBe(null);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the fog of war and explored-map memory
+ */
+
+import { describe, test, expect } from 'vitest';
+import { FogOfWar } from '../../js/game/fogOfWar.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { FeedbackBalance } from '../../js/data/gameBalance.js';
+
+const corridor = () => buildMazeFromLayout([
+    '############',
+    '#S.........#',
+    '#.########.#',
+    '#.........E#',
+    '############'
+]);
+
+describe('Fog of War', () => {
+    test('should use the lighting radius by default', () => {
+        expect(new FogOfWar().radius).toBe(FeedbackBalance.LIGHTING_RADIUS);
+    });
+
+    test('should reveal the cells within the sight radius', () => {
+        const maze = corridor();
+        const fog = new FogOfWar(2);
+
+        expect(fog.reveal({ x: 1, y: 1 }, maze)).toBe(true);
+
+        expect(fog.isVisible(3, 1)).toBe(true);
+        expect(fog.isVisible(4, 1)).toBe(false);
+        expect(fog.isVisible(2, 2)).toBe(true);
+        expect(fog.isVisible(3, 3)).toBe(false); // sqrt(8) is beyond 2
+        expect(fog.isExplored(3, 1)).toBe(true);
+    });
+
+    test('should not see through walls', () => {
+        const maze = corridor();
+        const fog = new FogOfWar(3);
+
+        fog.reveal({ x: 1, y: 1 }, maze);
+
+        expect(fog.isVisible(1, 3)).toBe(true); // straight down the side corridor
+        expect(fog.isVisible(2, 2)).toBe(true); // the wall itself is lit
+        expect(fog.isVisible(3, 3)).toBe(false); // behind the wall
+        expect(fog.isExplored(3, 3)).toBe(false);
+    });
+
+    test('should remember explored cells once they are out of sight', () => {
+        const maze = corridor();
+        const fog = new FogOfWar(2);
+
+        fog.reveal({ x: 1, y: 1 }, maze);
+        fog.reveal({ x: 8, y: 1 }, maze);
+
+        expect(fog.isVisible(1, 1)).toBe(false);
+        expect(fog.isExplored(1, 1)).toBe(true);
+        expect(fog.isExplored(5, 1)).toBe(false);
+        expect(fog.reveal({ x: 8, y: 1 }, maze)).toBe(false);
+    });
+
+    test('should measure exploration against the thresholds', () => {
+        const maze = corridor();
+        const fog = new FogOfWar(2);
+        expect(fog.getExploredRatio(maze)).toBe(0);
+        expect(fog.getExplorationRank(maze)).toBe(0);
+
+        maze.getWalkablePositions().forEach(pos => fog.reveal(pos, maze));
+
+        expect(fog.getExploredRatio(maze)).toBe(1);
+        expect(fog.getExplorationRank(maze)).toBe(3);
+    });
+
+    test('should save and restore the explored cells', () => {
+        const maze = corridor();
+        const fog = new FogOfWar(2);
+        fog.reveal({ x: 1, y: 1 }, maze);
+
+        const restored = new FogOfWar(2);
+        restored.loadState(JSON.parse(JSON.stringify(fog.getSerializableState())));
+
+        expect(restored.isExplored(3, 1)).toBe(true);
+        expect(restored.isVisible(3, 1)).toBe(false);
+        expect(restored.getExploredRatio(maze)).toBe(fog.getExploredRatio(maze));
+    });
+});
@@ -6,6 +6,7 @@
 import { describe, test, expect, beforeEach, vi } from 'vitest';
 import { LevelManager } from '../../js/game/levelManager.js';
 import { ObjectiveManager } from '../../js/game/objectives.js';
+import { getLevelConfig } from '../../js/data/levelData.js';
 
 describe('LevelManager', () => {
     let levelManager;
@@ -72,6 +73,27 @@ describe('LevelManager', () => {
             expect(maze.height).toBe(15);
         });
 
+        test('should generate the maze with the level algorithm', () => {
+            levelManager.loadLevel(2);
+            expect(levelManager.getCurrentMaze().algorithm).toBe('prim');
+
+            levelManager.loadLevel(9);
+            expect(levelManager.getCurrentMaze().algorithm).toBe('wilson');
+            expect(levelManager.getCurrentMaze().isSolvable()).toBe(true);
+        });
+
+        test('should vary the start position on later circles', () => {
+            const starts = new Set();
+            for (let seed = 0; seed < 10; seed++) {
+                levelManager.loadLevel(4, seed);
+                const maze = levelManager.getCurrentMaze();
+                starts.add(`${maze.getStartPosition().x},${maze.getStartPosition().y}`);
+                expect(maze.isSolvable()).toBe(true);
+            }
+
+            expect(starts.size).toBeGreaterThan(1);
+        });
+
         test('should trigger onLevelLoad callback', () => {
             const callback = vi.fn();
             levelManager.setCallbacks({ onLevelLoad: callback });
@@ -252,6 +274,18 @@ describe('LevelManager', () => {
             expect(stats.levelsRemaining).toBe(7);
         });
 
+        test('should include difficulty metrics for the current maze', () => {
+            expect(levelManager.getProgressionStats().mazeMetrics).toBe(null);
+
+            levelManager.loadLevel(1, 77);
+            const metrics = levelManager.getProgressionStats().mazeMetrics;
+
+            expect(metrics.isSolvable).toBe(true);
+            expect(metrics.solutionLength).toBeGreaterThan(0);
+            expect(metrics.fragmentDistances).toHaveLength(3);
+            expect(metrics.virgilioDistance).toBeGreaterThan(0);
+        });
+
         test('should indicate game completion', () => {
             // Simulate completing all levels
             for (let i = 1; i <= 9; i++) {
@@ -307,6 +341,23 @@ describe('LevelManager', () => {
             expect(levelManager.getLevelHistory()).toHaveLength(0);
         });
 
+        test('should rebuild the same maze when a level is restarted', () => {
+            levelManager.loadLevel(2, 4242);
+            const before = levelManager.getCurrentMaze();
+            levelManager.revealAround(before.getStartPosition());
+            expect(levelManager.getExploration().ratio).toBeGreaterThan(0);
+
+            expect(levelManager.restartLevel()).toBe(true);
+
+            const after = levelManager.getCurrentMaze();
+            expect(after).not.toBe(before);
+            expect(after.cells).toEqual(before.cells);
+            expect(after.entities).toEqual(before.entities);
+            expect(levelManager.getCurrentLevelNumber()).toBe(2);
+            expect(levelManager.getLevelHistory()).toHaveLength(0);
+            expect(levelManager.getExploration().ratio).toBe(0);
+        });
+
         test('should serialize and load state correctly', () => {
             levelManager.loadLevel(3);
             levelManager.progressToNext();
@@ -321,6 +372,60 @@ describe('LevelManager', () => {
             expect(newManager.getLevelHistory()).toHaveLength(2);
         });
 
+        test('should store the maze seed in serializable state', () => {
+            levelManager.loadLevel(2, 98765);
+            const state = levelManager.getSerializableState();
+
+            expect(state.seed).toBe(98765);
+            expect(levelManager.getCurrentSeed()).toBe(98765);
+        });
+
+        test('should rebuild the same maze and entities from saved state', () => {
+            levelManager.loadLevel(3);
+            const originalMaze = levelManager.getCurrentMaze();
+            const state = JSON.parse(JSON.stringify(levelManager.getSerializableState()));
+
+            const newManager = new LevelManager();
+            newManager.loadState(state);
+            const restoredMaze = newManager.getCurrentMaze();
+
+            expect(restoredMaze.cells).toEqual(originalMaze.cells);
+            expect(restoredMaze.entities).toEqual(originalMaze.entities);
+        });
+
+        test('should save the explored map with the level', () => {
+            levelManager.loadLevel(2, 7);
+            const start = levelManager.getCurrentMaze().getStartPosition();
+            expect(levelManager.revealAround(start)).toBe(true);
+            const state = JSON.parse(JSON.stringify(levelManager.getSerializableState()));
+
+            const newManager = new LevelManager();
+            newManager.loadState(state);
+
+            expect(newManager.getFogOfWar().isExplored(start.x, start.y)).toBe(true);
+            expect(newManager.getExploration()).toEqual(levelManager.getExploration());
+        });
+
+        test('should record exploration when leaving a level', () => {
+            levelManager.loadLevel(1, 7);
+            const maze = levelManager.getCurrentMaze();
+            maze.getWalkablePositions().forEach(pos => levelManager.revealAround(pos));
+
+            expect(levelManager.getProgressionStats().exploration).toEqual({ ratio: 1, rank: 3 });
+            levelManager.progressToNext();
+
+            expect(levelManager.getLevelHistory()[0].exploration).toEqual({ ratio: 1, rank: 3 });
+            expect(levelManager.getExploration().ratio).toBe(0);
+        });
+
+        test('should shrink the sight radius with darker presets', () => {
+            const normalRadius = levelManager.getSightRadius();
+            levelManager.setDifficultyPreset('infernal');
+
+            expect(levelManager.getSightRadius()).toBeLessThan(normalRadius);
+            expect(levelManager.getFogOfWar().radius).toBe(levelManager.getSightRadius());
+        });
+
         test('should handle invalid state gracefully', () => {
             const invalidState = { currentLevel: 99, levelHistory: [] };
             const result = levelManager.loadState(invalidState);
@@ -329,6 +434,296 @@ describe('LevelManager', () => {
         });
     });
 
+    describe('Dynamic Difficulty', () => {
+        const skilledRun = {
+            completionTime: 30000,
+            deathCount: 0,
+            retryCount: 0,
+            blockedMoves: 0,
+            movesMade: 100,
+            explorationEfficiency: 0.95
+        };
+        const strugglingRun = {
+            completionTime: 3600000,
+            deathCount: 8,
+            retryCount: 9,
+            blockedMoves: 60,
+            movesMade: 100,
+            explorationEfficiency: 0.3
+        };
+
+        test('should not adjust the next maze without performance data', () => {
+            levelManager.loadLevel(1);
+            levelManager.progressToNext();
+
+            expect(levelManager.getCurrentMaze().width).toBe(18);
+            expect(levelManager.getAdjustmentHistory()).toHaveLength(0);
+        });
+
+        test('should grow the next maze for skilled players', () => {
+            levelManager.loadLevel(1);
+            levelManager.progressToNext(skilledRun);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.width).toBeGreaterThan(18);
+            expect(levelManager.getRequiredFragments()).toBeGreaterThanOrEqual(4);
+            expect(levelManager.getDifficultyScaling().mazeSize).toEqual({ width: maze.width, height: maze.height });
+        });
+
+        test('should shrink the next maze and fragment count for struggling players', () => {
+            levelManager.loadLevel(4);
+            levelManager.progressToNext(strugglingRun);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.width).toBeLessThan(27);
+            expect(levelManager.getRequiredFragments()).toBeLessThan(7);
+            expect(maze.getTotalFragmentsCount()).toBe(levelManager.getRequiredFragments());
+            expect(levelManager.getCurrentLevel().requiredFragments).toBe(7);
+        });
+
+        test('should count retries against the player\'s skill', () => {
+            levelManager.loadLevel(1);
+            levelManager.progressToNext(skilledRun);
+            const steady = levelManager.getAdjustmentHistory()[0].skillAdjustment;
+
+            levelManager.resetToLevel(1);
+            levelManager.progressToNext({ ...skilledRun, retryCount: 4 });
+
+            const [retried] = levelManager.getAdjustmentHistory();
+            expect(retried.performance.retryCount).toBe(4);
+            expect(retried.skillAdjustment).toBeLessThan(steady);
+        });
+
+        test('should record adjustment history with the level played', () => {
+            levelManager.loadLevel(1);
+            levelManager.progressToNext(strugglingRun);
+
+            const history = levelManager.getAdjustmentHistory();
+            expect(history).toHaveLength(1);
+            expect(history[0].level).toBe(1);
+            expect(history[0].performance.blockedMoves).toBe(60);
+            expect(history[0].skillAdjustment).toBeLessThan(0);
+            expect(history[0].adjustments).toEqual(levelManager.difficultyAdjustments);
+        });
+
+        test('should persist adjustments and rebuild the same adjusted maze', () => {
+            levelManager.loadLevel(1);
+            levelManager.progressToNext(skilledRun);
+            const state = JSON.parse(JSON.stringify(levelManager.getSerializableState()));
+
+            const restored = new LevelManager();
+            expect(restored.loadState(state)).toBe(true);
+
+            expect(restored.getAdjustmentHistory()).toHaveLength(1);
+            expect(restored.dynamicDifficulty.getSkillLevel()).toBe(levelManager.dynamicDifficulty.getSkillLevel());
+            expect(restored.getCurrentMaze().cells).toEqual(levelManager.getCurrentMaze().cells);
+        });
+
+        test('should clear adjustments when starting over', () => {
+            levelManager.loadLevel(1);
+            levelManager.progressToNext(skilledRun);
+            levelManager.resetToLevel(1);
+
+            expect(levelManager.difficultyAdjustments).toBe(null);
+            expect(levelManager.getAdjustmentHistory()).toHaveLength(0);
+            expect(levelManager.getCurrentMaze().width).toBe(15);
+        });
+    });
+
+    describe('Hazards', () => {
+        test('should place the hazards configured for the level', () => {
+            levelManager.loadLevel(3, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            const hazards = maze.getEntitiesByType('hazard');
+            expect(hazards.filter(hazard => hazard.kind === 'fire_pit')).toHaveLength(2);
+            expect(hazards.filter(hazard => hazard.kind === 'lost_soul')).toHaveLength(1);
+            expect(maze.getTotalFragmentsCount()).toBe(5);
+        });
+
+        test('should lay the wind currents of the circle of the lustful', () => {
+            levelManager.loadLevel(3, 42);
+
+            const winds = levelManager.getCurrentMaze().getTilesByType('wind');
+            expect(winds.length).toBeGreaterThanOrEqual(levelManager.getCurrentLevel().wind.currents * 2);
+            expect(levelManager.getCurrentMaze().isSolvable()).toBe(true);
+        });
+
+        test('should bog down the circle of the gluttons with mud and sleet', () => {
+            levelManager.loadLevel(4, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.getTilesByType('mud').length).toBeGreaterThan(0);
+            expect(maze.getTilesByType('sleet').length).toBeGreaterThan(0);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should roll boulders through the circle of the greedy without blocking it', () => {
+            levelManager.loadLevel(5, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.getBoulders().length).toBeGreaterThan(0);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should freeze the floor of Cocytus without stranding Dante', () => {
+            levelManager.loadLevel(9, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.getTilesByType('ice').length).toBeGreaterThan(0);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should lock the City of Dis behind keys and a switch gate', () => {
+            levelManager.loadLevel(6, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.getDoorsByType('door').length).toBeGreaterThan(0);
+            expect(maze.getEntitiesByType('key').length).toBeGreaterThan(0);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should raise burning tombs in the City of Dis, apart from each other', () => {
+            levelManager.loadLevel(6, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            const tombs = maze.getTilesByType('tomb');
+            expect(tombs.length).toBe(levelManager.getCurrentLevel().tombs.count);
+            tombs.forEach(tomb => {
+                expect(maze.getEntityAt(tomb.x, tomb.y)).toBe(null);
+                expect(maze.getWalkableNeighbors(tomb.x, tomb.y).some(cell => maze.getTile(cell.x, cell.y)?.type === 'tomb')).toBe(false);
+            });
+        });
+
+        test('should stack the ditches of Malebolge into floors joined by stairs', () => {
+            levelManager.loadLevel(8, 42);
+
+            const floors = levelManager.getCurrentFloors();
+            expect(floors.getLayerCount()).toBe(levelManager.getCurrentLevel().floors.count);
+            expect(levelManager.getCurrentMaze()).toBe(floors.layers[0]);
+            expect(floors.getTotalFragmentsCount()).toBe(levelManager.getCurrentLevel().requiredFragments);
+            floors.layers.forEach(layer => expect(layer.isSolvable()).toBe(true));
+            expect(floors.links.filter(link => link.kind === 'stairs')).toHaveLength(4);
+        });
+
+        test('should share the area of the circle out between the floors of Malebolge', () => {
+            const sizes = [7, 8, 9].map(level => getLevelConfig(level).mazeSize.width);
+            expect(sizes[0]).toBeLessThan(sizes[1]);
+            expect(sizes[1]).toBeLessThan(sizes[2]);
+
+            levelManager.loadLevel(8, 42);
+
+            const { mazeSize: { width, height }, floors } = levelManager.getCurrentLevel();
+            expect(levelManager.getDifficultyScaling().mazeSize).toEqual({ width, height });
+            levelManager.getCurrentFloors().layers.forEach(layer => {
+                expect(layer.width).toBe(Math.round(width / Math.sqrt(floors.count)));
+                expect(layer.height).toBe(Math.round(height / Math.sqrt(floors.count)));
+            });
+        });
+
+        test('should come back to the same floor of Malebolge from a saved state', () => {
+            levelManager.loadLevel(8, 42);
+            const stairs = levelManager.getCurrentFloors().links[0];
+            expect(levelManager.getFloorLinkAt(stairs.from)).toBe(stairs);
+            levelManager.changeFloor(1);
+            const state = JSON.parse(JSON.stringify(levelManager.getSerializableState()));
+
+            const restored = new LevelManager();
+            restored.loadState(state);
+
+            expect(restored.getCurrentFloorIndex()).toBe(1);
+            expect(restored.getCurrentMaze().cells).toEqual(levelManager.getCurrentMaze().cells);
+        });
+
+        test('should open portal pairs in the circle of the violent', () => {
+            levelManager.loadLevel(7, 42);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.getTilesByType('portal')).toHaveLength(levelManager.getCurrentLevel().portals.pairs * 2);
+            expect(maze.getPortalOnlyCells().size).toBe(0);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should scatter hourglasses in the timed circle of the greedy', () => {
+            levelManager.loadLevel(5, 42);
+
+            const hourglasses = levelManager.getCurrentMaze().getEntitiesByType('hourglass');
+            expect(hourglasses).toHaveLength(levelManager.getCurrentLevel().timer.pickups);
+            expect(hourglasses[0].bonus).toBe(levelManager.getCurrentLevel().timer.bonus);
+        });
+
+        test('should keep the opening level free of hazards', () => {
+            levelManager.loadLevel(1, 42);
+
+            expect(levelManager.getCurrentMaze().getEntitiesByType('hazard')).toHaveLength(0);
+        });
+    });
+
+    describe('Difficulty Presets', () => {
+        test('should default to the normal preset', () => {
+            levelManager.loadLevel(1);
+
+            expect(levelManager.getDifficultyPreset().name).toBe('normal');
+            expect(levelManager.getCurrentMaze().width).toBe(15);
+            expect(levelManager.getRequiredFragments()).toBe(3);
+            expect(levelManager.getLightRadius()).toBe(4);
+            expect(levelManager.getMoveCooldown()).toBe(150);
+        });
+
+        test('should scale maze, fragments, light and movement for harder presets', () => {
+            levelManager.setDifficultyPreset('infernal');
+            levelManager.loadLevel(1);
+
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.width).toBe(21);
+            expect(levelManager.getRequiredFragments()).toBe(5);
+            expect(maze.getTotalFragmentsCount()).toBe(5);
+            expect(levelManager.getLightRadius()).toBe(2);
+            expect(levelManager.getMoveCooldown()).toBeGreaterThan(150);
+            expect(levelManager.getDifficultyScaling().preset).toBe('infernal');
+        });
+
+        test('should ease the level on the easy preset', () => {
+            levelManager.setDifficultyPreset('easy');
+            levelManager.loadLevel(1);
+
+            expect(levelManager.getCurrentMaze().width).toBe(12);
+            expect(levelManager.getRequiredFragments()).toBe(2);
+            expect(levelManager.getLightRadius()).toBeGreaterThan(4);
+            expect(levelManager.getMoveCooldown()).toBeLessThan(150);
+        });
+
+        test('should combine the preset with dynamic adjustments', () => {
+            levelManager.setDifficultyPreset('hard');
+            levelManager.loadLevel(1);
+            levelManager.applyPerformance({ completionTime: 30000, deathCount: 0, explorationEfficiency: 0.95 });
+
+            expect(levelManager.getAdjustedMazeSize().width).toBeGreaterThan(18);
+        });
+
+        test('should fall back to normal for unknown presets', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(levelManager.setDifficultyPreset('imposible').name).toBe('normal');
+            expect(warnSpy).toHaveBeenCalled();
+
+            warnSpy.mockRestore();
+        });
+
+        test('should persist the preset and keep it across resets', () => {
+            levelManager.setDifficultyPreset('hard');
+            levelManager.resetToLevel(1, 42);
+            const state = JSON.parse(JSON.stringify(levelManager.getSerializableState()));
+
+            const restored = new LevelManager();
+            expect(restored.loadState(state)).toBe(true);
+
+            expect(state.difficultyPreset).toBe('hard');
+            expect(restored.getDifficultyPreset().label).toBe('Difícil');
+            expect(restored.getCurrentMaze().cells).toEqual(levelManager.getCurrentMaze().cells);
+        });
+    });
+
     describe('Narrative and Theme Access', () => {
         test('should provide level narrative content', () => {
             levelManager.loadLevel(1);
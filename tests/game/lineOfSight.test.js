@@ -0,0 +1,89 @@
+/**
+ * Unit tests for wall-aware line of sight
+ */
+
+import { describe, test, expect } from 'vitest';
+import { computeVisibleCells, computeVisibilityPolygon, castRay } from '../../js/game/lineOfSight.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+
+// An open room with a pillar in the middle and a side corridor
+const room = () => buildMazeFromLayout([
+    '#########',
+    '#S......#',
+    '#.......#',
+    '#...#...#',
+    '#.......#',
+    '#......E#',
+    '#########'
+]);
+
+/**
+ * Check if a point lies inside a polygon (ray crossing test)
+ */
+const contains = (polygon, point) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+describe('Line of Sight', () => {
+    test('should hide the cells behind a wall', () => {
+        const maze = room();
+        const visible = computeVisibleCells(maze, { x: 2, y: 3 }, 10);
+
+        expect(visible.has('2,3')).toBe(true);
+        expect(visible.has('4,3')).toBe(true); // the pillar itself
+        expect(visible.has('5,3')).toBe(false);
+        expect(visible.has('6,3')).toBe(false);
+        expect(visible.has('6,1')).toBe(true); // past the pillar's corner
+    });
+
+    test('should respect the sight radius and the maze bounds', () => {
+        const maze = room();
+        const visible = computeVisibleCells(maze, { x: 1, y: 1 }, 2);
+
+        expect(visible.has('3,1')).toBe(true);
+        expect(visible.has('4,1')).toBe(false);
+        expect([...visible].every(key => {
+            const [x, y] = key.split(',').map(Number);
+            return x >= 0 && y >= 0 && x < maze.width && y < maze.height;
+        })).toBe(true);
+    });
+
+    test('should stop rays at the first wall edge', () => {
+        const maze = room();
+        const origin = { x: 2.5, y: 3.5 };
+
+        expect(castRay(maze, origin, 0, 10)).toBeCloseTo(1.5);
+        expect(castRay(maze, origin, 0, 10, true)).toBeCloseTo(2.5);
+        expect(castRay(maze, origin, 0, 1)).toBe(1);
+        expect(castRay(maze, origin, Math.PI, 10)).toBeCloseTo(1.5);
+    });
+
+    test('should build a polygon that covers what is in sight and nothing behind walls', () => {
+        const maze = room();
+        const origin = { x: 2.5, y: 3.5 };
+        const polygon = computeVisibilityPolygon(maze, origin, 10);
+
+        expect(contains(polygon, { x: 3.5, y: 3.5 })).toBe(true);
+        expect(contains(polygon, { x: 6.5, y: 1.5 })).toBe(true);
+        expect(contains(polygon, { x: 4.5, y: 3.5 })).toBe(false); // inside the pillar
+        expect(contains(polygon, { x: 6.5, y: 3.5 })).toBe(false); // in its shadow
+        expect(polygon.every(point => Math.hypot(point.x - origin.x, point.y - origin.y) <= 10 + 1e-9)).toBe(true);
+    });
+
+    test('should let the light cover the walls it falls on when asked', () => {
+        const maze = room();
+        const polygon = computeVisibilityPolygon(maze, { x: 2.5, y: 3.5 }, 10, true);
+
+        expect(contains(polygon, { x: 4.5, y: 3.5 })).toBe(true);
+        expect(contains(polygon, { x: 6.5, y: 3.5 })).toBe(false);
+    });
+});
@@ -2,8 +2,10 @@
  * Unit tests for Maze class
  */
 
-import { describe, test, expect, beforeEach } from 'vitest';
-import { Maze } from '../../js/game/maze.js';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { Maze, MOVEMENT_MODELS } from '../../js/game/maze.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { getMazeBalance, HazardBalance, MazeBalance, ObjectiveBalance, PortalBalance, TerrainBalance, TimerBalance, WindBalance } from '../../js/data/gameBalance.js';
 
 describe('Maze', () => {
     let maze;
@@ -79,6 +81,58 @@ describe('Maze', () => {
         });
     });
 
+    describe('Start and Exit Selection', () => {
+        test('should place the exit at the farthest reachable cell by default', () => {
+            maze.generate();
+            const distances = maze.getDistancesFrom(maze.getStartPosition());
+            const exit = maze.getExitPosition();
+
+            expect(distances.get(`${exit.x},${exit.y}`)).toBe(Math.max(...distances.values()));
+        });
+
+        test('should honor a configurable exit percentile', () => {
+            const nearMaze = new Maze(21, 21, 1, 4, { exitPercentile: 0.5 });
+            const farMaze = new Maze(21, 21, 1, 4);
+            nearMaze.generate();
+            farMaze.generate();
+
+            const nearDistances = nearMaze.getDistancesFrom(nearMaze.getStartPosition());
+            const farDistances = farMaze.getDistancesFrom(farMaze.getStartPosition());
+            const nearExit = nearMaze.getExitPosition();
+            const farExit = farMaze.getExitPosition();
+
+            expect(nearDistances.get(`${nearExit.x},${nearExit.y}`))
+                .toBeLessThan(farDistances.get(`${farExit.x},${farExit.y}`));
+            expect(nearDistances.get(`${nearExit.x},${nearExit.y}`))
+                .toBeGreaterThanOrEqual(ObjectiveBalance.EXIT_MIN_DISTANCE_FROM_START);
+        });
+
+        test('should vary the start position when requested', () => {
+            const starts = new Set();
+            for (let seed = 0; seed < 10; seed++) {
+                const randomStartMaze = new Maze(21, 21, 1, seed, { start: 'random' });
+                randomStartMaze.generate();
+                const start = randomStartMaze.getStartPosition();
+
+                expect(start.x % 2).toBe(1);
+                expect(start.y % 2).toBe(1);
+                expect(randomStartMaze.getCellType(start.x, start.y)).toBe(randomStartMaze.START);
+                expect(randomStartMaze.isSolvable()).toBe(true);
+                starts.add(`${start.x},${start.y}`);
+            }
+
+            expect(starts.size).toBeGreaterThan(1);
+        });
+
+        test('should accept a fixed start position', () => {
+            const fixedMaze = new Maze(15, 15, 1, 2, { start: { x: 7, y: 7 } });
+            fixedMaze.generate();
+
+            expect(fixedMaze.getStartPosition()).toEqual({ x: 7, y: 7 });
+            expect(fixedMaze.isSolvable()).toBe(true);
+        });
+    });
+
     describe('Walkability Checks', () => {
         beforeEach(() => {
             maze.generate();
@@ -179,19 +233,23 @@ describe('Maze', () => {
             expect(maze.isSolvable()).toBe(true);
         });
 
-        test('should handle unsolvable maze by creating guaranteed path', () => {
+        test('should detect unsolvable maze', () => {
             // Create an unsolvable maze manually
             maze.initializeMaze();
             maze.setSpecialPositions();
             
-            // Should be unsolvable initially
             expect(maze.isSolvable()).toBe(false);
-            
-            // Create guaranteed path
-            maze.createGuaranteedPath();
-            
-            // Should now be solvable
-            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should generate solvable even-sized mazes without carving extra corridors', () => {
+            const evenMaze = new Maze(18, 18, 2, 11, {
+                balance: { wallDensity: 1, deadEndReduction: 0, loopCreation: 0 }
+            });
+            evenMaze.generate();
+
+            expect(evenMaze.isSolvable()).toBe(true);
+            // Perfect maze over 8x8 generation cells: 64 cells and 63 passages
+            expect(evenMaze.getWalkablePositions()).toHaveLength(127);
         });
     });
 
@@ -264,6 +322,121 @@ describe('Maze', () => {
         });
     });
 
+    describe('Seeded Generation', () => {
+        test('should rebuild identical layout and entities from the same seed', () => {
+            const first = new Maze(21, 21, 3, 424242);
+            first.generate();
+            first.placeEntities({ hasVirgilio: true, fragmentCount: 5 });
+
+            const second = new Maze(21, 21, 3, 424242);
+            second.generate();
+            second.placeEntities({ hasVirgilio: true, fragmentCount: 5 });
+
+            expect(second.cells).toEqual(first.cells);
+            expect(second.entities).toEqual(first.entities);
+        });
+
+        test('should produce different layouts for different seeds', () => {
+            const first = new Maze(21, 21, 1, 1);
+            const second = new Maze(21, 21, 1, 2);
+            first.generate();
+            second.generate();
+
+            expect(second.cells).not.toEqual(first.cells);
+        });
+
+        test('should expose a seed even when none is provided', () => {
+            expect(Number.isInteger(maze.getSeed())).toBe(true);
+
+            const copy = new Maze(15, 15, 1, maze.getSeed());
+            maze.generate();
+            copy.generate();
+            expect(copy.cells).toEqual(maze.cells);
+        });
+
+        test('should accept text seeds', () => {
+            const first = new Maze(15, 15, 1, 'dite');
+            const second = new Maze(15, 15, 1, 'dite');
+            first.generate();
+            second.generate();
+
+            expect(first.getSeed()).toBe(second.getSeed());
+            expect(second.cells).toEqual(first.cells);
+        });
+    });
+
+    describe('Maze Balance Post-Processing', () => {
+        const perfect = { wallDensity: 1, deadEndReduction: 0, loopCreation: 0 };
+
+        test('should scale balance parameters with difficulty', () => {
+            const easy = getMazeBalance(1);
+            const hard = getMazeBalance(9);
+
+            expect(easy.wallDensity).toBe(MazeBalance.WALL_DENSITY);
+            expect(easy.deadEndReduction).toBe(MazeBalance.DEAD_END_REDUCTION);
+            expect(easy.loopCreation).toBe(MazeBalance.LOOP_CREATION);
+            expect(hard.wallDensity).toBeGreaterThan(easy.wallDensity);
+            expect(hard.deadEndReduction).toBeLessThan(easy.deadEndReduction);
+            expect(hard.loopCreation).toBeLessThan(easy.loopCreation);
+        });
+
+        test('should produce a perfect maze when post-processing is disabled', () => {
+            const perfectMaze = new Maze(21, 21, 1, 5, { balance: perfect });
+            perfectMaze.generate();
+
+            // 10x10 generation cells joined by 99 passages
+            expect(perfectMaze.getWalkablePositions()).toHaveLength(199);
+        });
+
+        test('should braid dead ends and open loops at low difficulty', () => {
+            const perfectMaze = new Maze(21, 21, 1, 5, { balance: perfect });
+            const braidedMaze = new Maze(21, 21, 1, 5);
+            perfectMaze.generate();
+            braidedMaze.generate();
+
+            expect(braidedMaze.getWalkablePositions().length).toBeGreaterThan(199);
+            expect(braidedMaze.getDeadEnds().length).toBeLessThan(perfectMaze.getDeadEnds().length);
+        });
+
+        test('should keep more dead ends at higher difficulty', () => {
+            let easyDeadEnds = 0;
+            let hardDeadEnds = 0;
+            for (let seed = 0; seed < 10; seed++) {
+                const easy = new Maze(21, 21, 1, seed);
+                const hard = new Maze(21, 21, 9, seed);
+                easy.generate();
+                hard.generate();
+                easyDeadEnds += easy.getDeadEnds().length;
+                hardDeadEnds += hard.getDeadEnds().length;
+            }
+
+            expect(hardDeadEnds).toBeGreaterThan(easyDeadEnds);
+        });
+
+        test('should never remove more walls than wall density allows', () => {
+            const denseMaze = new Maze(21, 21, 1, 5, {
+                balance: { wallDensity: 1, deadEndReduction: 1, loopCreation: 1 }
+            });
+            denseMaze.generate();
+
+            expect(denseMaze.getWalkablePositions()).toHaveLength(199);
+        });
+
+        test('should keep the maze solvable with the border intact', () => {
+            const openMaze = new Maze(21, 21, 1, 8, {
+                balance: { wallDensity: 0, deadEndReduction: 1, loopCreation: 1 }
+            });
+            openMaze.generate();
+
+            expect(openMaze.isSolvable()).toBe(true);
+            expect(openMaze.getDeadEnds()).toHaveLength(0);
+            for (let i = 0; i < openMaze.width; i++) {
+                expect(openMaze.getCellType(i, 0)).toBe(openMaze.WALL);
+                expect(openMaze.getCellType(0, i)).toBe(openMaze.WALL);
+            }
+        });
+    });
+
     describe('Entity Placement System', () => {
         beforeEach(() => {
             maze.generate();
@@ -357,6 +530,657 @@ describe('Maze', () => {
         });
     });
 
+    describe('Strategic Entity Placement', () => {
+        const distanceFromStart = (target, pos) => target.getDistancesFrom(target.getStartPosition()).get(`${pos.x},${pos.y}`);
+
+        test('should compute BFS distances from a position', () => {
+            maze.generate();
+            const distances = maze.getDistancesFrom(maze.getStartPosition());
+
+            expect(distances.get('1,1')).toBe(0);
+            for (const neighbor of maze.getWalkableNeighbors(1, 1)) {
+                expect(distances.get(`${neighbor.x},${neighbor.y}`)).toBe(1);
+            }
+        });
+
+        test('should place Virgilio within the allowed distance from start', () => {
+            for (let seed = 0; seed < 10; seed++) {
+                const seededMaze = new Maze(21, 21, 1, seed);
+                seededMaze.generate();
+                seededMaze.placeEntities({ hasVirgilio: true, fragmentCount: 3 });
+
+                const distance = distanceFromStart(seededMaze, seededMaze.getEntitiesByType('virgilio')[0]);
+                expect(distance).toBeGreaterThanOrEqual(ObjectiveBalance.VIRGILIO_MIN_DISTANCE_FROM_START);
+                expect(distance).toBeLessThanOrEqual(ObjectiveBalance.VIRGILIO_MAX_DISTANCE_FROM_START);
+            }
+        });
+
+        test('should keep fragments away from the start and from each other', () => {
+            const minDistance = ObjectiveBalance.FRAGMENT_MIN_DISTANCE;
+            for (let seed = 0; seed < 10; seed++) {
+                const seededMaze = new Maze(27, 27, 5, seed);
+                seededMaze.generate();
+                const report = seededMaze.placeEntities({ hasVirgilio: true, fragmentCount: 7 });
+
+                expect(report.fallbacks).toHaveLength(0);
+                const fragments = seededMaze.getEntitiesByType('fragment');
+                fragments.forEach((fragment, i) => {
+                    expect(distanceFromStart(seededMaze, fragment)).toBeGreaterThanOrEqual(minDistance);
+                    fragments.slice(i + 1).forEach(other => {
+                        expect(Math.abs(fragment.x - other.x) + Math.abs(fragment.y - other.y)).toBeGreaterThanOrEqual(minDistance);
+                    });
+                });
+            }
+        });
+
+        test('should favor dead ends and corners for fragments', () => {
+            let biased = 0;
+            let total = 0;
+            for (let seed = 0; seed < 10; seed++) {
+                const seededMaze = new Maze(27, 27, 5, seed);
+                seededMaze.generate();
+                const deadEnds = new Set(seededMaze.getDeadEnds().map(pos => `${pos.x},${pos.y}`));
+                seededMaze.placeEntities({ hasVirgilio: false, fragmentCount: 7 });
+
+                for (const fragment of seededMaze.getEntitiesByType('fragment')) {
+                    total++;
+                    if (deadEnds.has(`${fragment.x},${fragment.y}`) || seededMaze.isCornerPosition(fragment.x, fragment.y)) {
+                        biased++;
+                    }
+                }
+            }
+
+            expect(biased / total).toBeGreaterThan(0.5);
+        });
+
+        test('should move the exit when it is too close to the start', () => {
+            maze.generate();
+            const oldExit = maze.getExitPosition();
+            const nextToStart = maze.getWalkableNeighbors(1, 1)[0];
+            maze.cells[oldExit.y][oldExit.x] = maze.PATH;
+            maze.cells[nextToStart.y][nextToStart.x] = maze.EXIT;
+            maze.exitPosition = nextToStart;
+            maze.placeEntities({ hasVirgilio: false, fragmentCount: 1 });
+
+            const exit = maze.getExitPosition();
+            expect(distanceFromStart(maze, exit)).toBeGreaterThanOrEqual(ObjectiveBalance.EXIT_MIN_DISTANCE_FROM_START);
+            expect(maze.getCellType(exit.x, exit.y)).toBe(maze.EXIT);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should report fallbacks when the maze is too small for the rules', () => {
+            const smallMaze = new Maze(5, 5, 1, 3);
+            smallMaze.generate();
+            const report = smallMaze.placeEntities({ hasVirgilio: true, fragmentCount: 20 });
+
+            const reasons = report.fallbacks.map(fallback => fallback.reason);
+            expect(reasons).toContain('distanceFromStart');
+            expect(reasons).toContain('notEnoughSpace');
+            expect(smallMaze.getPlacementReport()).toBe(report);
+            report.fallbacks.forEach(fallback => {
+                expect(typeof fallback.message).toBe('string');
+            });
+        });
+
+        test('should place the same entities for the same seed', () => {
+            const first = new Maze(21, 21, 3, 77);
+            const second = new Maze(21, 21, 3, 77);
+            [first, second].forEach(target => {
+                target.generate();
+                target.placeEntities({ hasVirgilio: true, fragmentCount: 5 });
+            });
+
+            expect(second.entities).toEqual(first.entities);
+            expect(second.getExitPosition()).toEqual(first.getExitPosition());
+        });
+    });
+
+    describe('Pathfinding', () => {
+        test('should find the shortest walking path', () => {
+            maze.generate();
+            const start = maze.getStartPosition();
+            const exit = maze.getExitPosition();
+
+            const path = maze.findPath(start, exit);
+
+            expect(path.length).toBe(maze.getDistancesFrom(start).get(`${exit.x},${exit.y}`));
+            expect(path[path.length - 1]).toEqual(exit);
+            path.forEach(step => expect(maze.isWalkable(step.x, step.y)).toBe(true));
+        });
+
+        test('should return an empty path to the same cell and null when unreachable', () => {
+            maze.generate();
+            const start = maze.getStartPosition();
+
+            expect(maze.findPath(start, start)).toEqual([]);
+            expect(maze.findPath(start, { x: 0, y: 0 })).toBe(null);
+        });
+    });
+
+    describe('Hazard Placement', () => {
+        const buildMaze = () => {
+            const target = new Maze(21, 21, 3, 77);
+            target.generate();
+            target.placeEntities({ hasVirgilio: true, fragmentCount: 3 });
+            return target;
+        };
+
+        test('should place hazards away from the start and off the routes to every objective', () => {
+            const target = buildMaze();
+            const hazards = target.placeHazards({ fire_pit: 3, lost_soul: 2 });
+
+            expect(hazards).toHaveLength(5);
+            expect(hazards.filter(hazard => hazard.kind === 'lost_soul')).toHaveLength(2);
+
+            const distances = target.getDistancesFrom(target.getStartPosition());
+            const objectives = target.entities.filter(entity => entity.type !== 'hazard');
+            const route = target.getRouteCells([target.getExitPosition(), ...objectives]);
+            hazards.forEach(hazard => {
+                expect(distances.get(`${hazard.x},${hazard.y}`)).toBeGreaterThanOrEqual(HazardBalance.MIN_DISTANCE_FROM_START);
+                expect(route.has(`${hazard.x},${hazard.y}`)).toBe(false);
+                expect(hazard.damage).toBe(HazardBalance.KINDS[hazard.kind].damage);
+                expect(target.getHazardAt(hazard.x, hazard.y)).toBe(hazard);
+            });
+        });
+
+        test('should place the same hazards for the same seed', () => {
+            const first = buildMaze();
+            const second = buildMaze();
+            first.placeHazards({ fire_pit: 2, lost_soul: 1 });
+            second.placeHazards({ fire_pit: 2, lost_soul: 1 });
+
+            expect(second.entities).toEqual(first.entities);
+        });
+
+        test('should report when hazards do not fit and skip unknown kinds', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const target = buildMaze();
+
+            const hazards = target.placeHazards({ fire_pit: 500, geyser: 1 });
+
+            expect(hazards.length).toBeLessThan(500);
+            expect(target.getPlacementReport().fallbacks.some(fallback => fallback.entity === 'hazard')).toBe(true);
+            expect(warnSpy).toHaveBeenCalledWith('Unknown hazard kind: geyser');
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('Hourglass Placement', () => {
+        test('should scatter hourglasses on free floor away from the start', () => {
+            const target = new Maze(21, 21, 3, 77);
+            target.generate();
+            target.placeEntities({ hasVirgilio: true, fragmentCount: 3 });
+            const occupied = new Set(target.entities.map(entity => `${entity.x},${entity.y}`));
+
+            const hourglasses = target.placeHourglasses({ pickups: 3, bonus: 15000 });
+
+            expect(hourglasses).toHaveLength(3);
+            const distances = target.getDistancesFrom(target.getStartPosition());
+            hourglasses.forEach((hourglass, index) => {
+                expect(hourglass).toMatchObject({ type: 'hourglass', bonus: 15000, collected: false, id: index });
+                expect(distances.get(`${hourglass.x},${hourglass.y}`)).toBeGreaterThanOrEqual(TimerBalance.MIN_DISTANCE_FROM_START);
+                expect(occupied.has(`${hourglass.x},${hourglass.y}`)).toBe(false);
+            });
+        });
+
+        test('should default to the balance bonus and replace earlier hourglasses', () => {
+            const target = new Maze(21, 21, 3, 77);
+            target.generate();
+            target.placeHourglasses({ pickups: 2 });
+            target.placeHourglasses({ pickups: 1 });
+
+            expect(target.getEntitiesByType('hourglass')).toHaveLength(1);
+            expect(target.getEntitiesByType('hourglass')[0].bonus).toBe(TimerBalance.HOURGLASS_BONUS);
+        });
+    });
+
+    describe('Wind Currents', () => {
+        const buildMaze = () => {
+            const target = new Maze(21, 21, 3, 77);
+            target.generate();
+            target.placeEntities({ hasVirgilio: true, fragmentCount: 3 });
+            return target;
+        };
+
+        test('should lay straight currents on free path cells away from the start', () => {
+            const target = buildMaze();
+            const currents = target.placeWindCurrents({ currents: 4, length: 3, strength: 2 });
+
+            expect(currents).toHaveLength(4);
+            const distances = target.getDistancesFrom(target.getStartPosition());
+            currents.forEach(({ direction, cells }) => {
+                expect(cells.length).toBeGreaterThanOrEqual(WindBalance.MIN_LENGTH);
+                expect(cells.length).toBeLessThanOrEqual(3);
+                cells.forEach(cell => {
+                    expect(target.getCellType(cell.x, cell.y)).toBe(target.PATH);
+                    expect(target.getEntityAt(cell.x, cell.y)).toBe(null);
+                    expect(distances.get(`${cell.x},${cell.y}`)).toBeGreaterThanOrEqual(WindBalance.MIN_DISTANCE_FROM_START);
+                    expect(target.getTile(cell.x, cell.y)).toEqual({ type: 'wind', direction, strength: 2 });
+                });
+            });
+            expect(target.getTilesByType('wind')).toHaveLength(currents.reduce((sum, current) => sum + current.cells.length, 0));
+        });
+
+        test('should lay the same currents for the same seed', () => {
+            const first = buildMaze();
+            const second = buildMaze();
+
+            expect(second.placeWindCurrents({ currents: 3, length: 4 })).toEqual(first.placeWindCurrents({ currents: 3, length: 4 }));
+        });
+
+        test('should report when currents do not fit', () => {
+            const target = buildMaze();
+
+            const currents = target.placeWindCurrents({ currents: 500, length: 4 });
+
+            expect(currents.length).toBeLessThan(500);
+            expect(target.getPlacementReport().fallbacks.some(fallback => fallback.entity === 'wind')).toBe(true);
+        });
+
+        test('should clear tiles', () => {
+            maze.setTile(3, 3, { type: 'wind', direction: 'up', strength: 1 });
+            maze.setTile(3, 3, null);
+
+            expect(maze.getTile(3, 3)).toBe(null);
+        });
+    });
+
+    describe('Ice', () => {
+        // The side passage to the exit is walkable, but once frozen the ice slides Dante straight past it
+        const corridor = () => buildMazeFromLayout(['#######', '#S...##', '###.###', '###E###', '#######']);
+        const freeze = target => [2, 3, 4].forEach(x => target.setTile(x, 1, { type: 'ice' }));
+
+        test('should follow the ice to where the slide ends', () => {
+            const target = corridor();
+            target.cells[1][5] = target.PATH;
+            freeze(target);
+
+            expect(target.getSlidePath(2, 1, 'right')).toEqual([{ x: 3, y: 1 }, { x: 4, y: 1 }, { x: 5, y: 1 }]);
+            expect(target.getSlidePath(5, 1, 'right')).toEqual([]);
+            expect(target.getMoveTargets(5, 1)).toEqual([{ x: 1, y: 1 }]);
+            expect(target.getMoveTargets(5, 1, MOVEMENT_MODELS.WALK)).toEqual([{ x: 4, y: 1 }]);
+        });
+
+        test('should check solvability under sliding physics', () => {
+            const target = corridor();
+            expect(target.getMovementModel()).toBe(MOVEMENT_MODELS.WALK);
+            expect(target.isSolvable()).toBe(true);
+
+            freeze(target);
+
+            expect(target.getMovementModel()).toBe(MOVEMENT_MODELS.SLIDE);
+            expect(target.isSolvable()).toBe(false);
+            expect(target.isSolvable(MOVEMENT_MODELS.WALK)).toBe(true);
+        });
+
+        test('should only keep ice patches that leave the maze solvable', () => {
+            const target = new Maze(21, 21, 9, 77);
+            target.generate();
+            target.placeEntities({ hasVirgilio: false, fragmentCount: 4 });
+            target.placeHazards({ fire_pit: 2 });
+
+            const patches = target.placeIce({ patches: 6, size: 5 });
+
+            expect(patches.length).toBeGreaterThan(0);
+            expect(target.isSolvable()).toBe(true);
+            const hazards = target.getEntitiesByType('hazard');
+            target.getTilesByType('ice').forEach(tile => {
+                expect(target.getCellType(tile.x, tile.y)).toBe(target.PATH);
+                expect(target.getEntityAt(tile.x, tile.y)).toBe(null);
+                hazards.forEach(hazard => {
+                    expect(Math.abs(hazard.x - tile.x) + Math.abs(hazard.y - tile.y)).toBeGreaterThan(1);
+                });
+            });
+        });
+
+        test('should keep every feature placed afterwards off the ice, so slides only cross bare ice', () => {
+            [77, 78, 79].forEach(seed => {
+                const target = new Maze(21, 21, 9, seed);
+                target.generate();
+                target.placeEntities({ hasVirgilio: true, fragmentCount: 4 });
+                target.placeHazards({ fire_pit: 2, lost_soul: 1 });
+                target.placeHourglasses({ pickups: 2 });
+                target.placeIce({ patches: 6, size: 5 });
+                target.placeDoors({ keys: 2, switches: 1 });
+                target.placeTombs({ count: 2 });
+                target.placePortals({ pairs: 1 });
+
+                // Only the cell a slide stops on is resolved for pickups and hazards (see GameEngine.resolveArrival)
+                target.getTilesByType('ice').forEach(tile => {
+                    ['up', 'down', 'left', 'right'].forEach(direction => {
+                        const crossed = [{ x: tile.x, y: tile.y }, ...target.getSlidePath(tile.x, tile.y, direction)].slice(0, -1);
+                        crossed.forEach(cell => {
+                            expect(target.getTile(cell.x, cell.y)?.type).toBe('ice');
+                            expect(target.getEntityAt(cell.x, cell.y)).toBe(null);
+                            expect(target.doors.has(`${cell.x},${cell.y}`)).toBe(false);
+                        });
+                    });
+                });
+            });
+        });
+
+        test('should freeze the same patches for the same seed', () => {
+            const build = () => {
+                const target = new Maze(21, 21, 9, 77);
+                target.generate();
+                target.placeEntities({ hasVirgilio: false, fragmentCount: 4 });
+                return target;
+            };
+
+            expect(build().placeIce({ patches: 4, size: 5 })).toEqual(build().placeIce({ patches: 4, size: 5 }));
+        });
+    });
+
+    describe('Slow Terrain', () => {
+        // Two routes to the exit: straight through the mud, or a detour two steps longer beside it
+        const bog = () => buildMazeFromLayout([
+            '#######',
+            '#S%%%E#',
+            '#.....#',
+            '#######'
+        ]);
+
+        test('should weight steps by the terrain they land on', () => {
+            const target = bog();
+
+            expect(target.getMoveCost(2, 1)).toBe(TerrainBalance.COSTS.mud);
+            expect(target.getMoveCost(1, 2)).toBe(1);
+            expect(target.getTravelCosts(target.startPosition).get('5,1')).toBe(6);
+            expect(target.getDistancesFrom(target.startPosition).get('5,1')).toBe(4);
+        });
+
+        test('should path around mud when the detour is cheaper', () => {
+            const target = bog();
+
+            expect(target.findPath(target.startPosition, target.exitPosition)).toHaveLength(6);
+
+            [2, 3, 4].forEach(x => target.setTile(x, 1, { type: 'sleet' }));
+            expect(target.findPath(target.startPosition, target.exitPosition)).toHaveLength(4);
+        });
+
+        test('should stay solvable with every corridor bogged down', () => {
+            const target = buildMazeFromLayout(['######', '#S%:E#', '######']);
+
+            expect(target.isSolvable()).toBe(true);
+            expect(target.getMovementModel()).toBe(MOVEMENT_MODELS.WALK);
+        });
+
+        test('should spread mud and sleet patches on free floor only', () => {
+            const target = new Maze(21, 21, 4, 42);
+            target.generate();
+            target.placeEntities({ hasVirgilio: false, fragmentCount: 4 });
+
+            const patches = target.placeSlowTerrain({ mud: 3, sleet: 2, size: 4 });
+
+            expect(patches.filter(patch => patch.type === 'mud')).toHaveLength(3);
+            expect(patches.filter(patch => patch.type === 'sleet')).toHaveLength(2);
+            expect(target.isSolvable()).toBe(true);
+            [...target.getTilesByType('mud'), ...target.getTilesByType('sleet')].forEach(tile => {
+                expect(target.getCellType(tile.x, tile.y)).toBe(target.PATH);
+                expect(target.getEntityAt(tile.x, tile.y)).toBe(null);
+            });
+        });
+
+        test('should spread the same patches for the same seed', () => {
+            const build = () => {
+                const target = new Maze(21, 21, 4, 42);
+                target.generate();
+                return target.placeSlowTerrain({ mud: 3, sleet: 2 });
+            };
+
+            expect(build()).toEqual(build());
+        });
+    });
+
+    describe('Doors and Switches', () => {
+        // Red key in the first room, red door into the second, whose switch lifts the gate before the exit
+        const LOCKED = [
+            '#########',
+            '#S.r#.*.#',
+            '#...R...#',
+            '#####=###',
+            '#####E###',
+            '#########'
+        ];
+
+        test('should block closed doors and gates until they open', () => {
+            const target = buildMazeFromLayout(['#######', '#S.R.E#', '#.r.=*#', '#######']);
+
+            expect(target.isWalkable(3, 1)).toBe(false);
+            expect(target.isWalkable(4, 2)).toBe(false);
+
+            expect(target.unlockDoors('red')).toBe(1);
+            expect(target.toggleSwitch(0)).toBe(true);
+            expect(target.isWalkable(3, 1)).toBe(true);
+            expect(target.isWalkable(4, 2)).toBe(true);
+
+            expect(target.toggleSwitch(0)).toBe(false);
+            expect(target.isWalkable(4, 2)).toBe(false);
+            expect(target.toggleSwitch(5)).toBe(null);
+        });
+
+        test('should only be solvable when every key comes before its door', () => {
+            const open = ['#######', '#S.R.E#', '#.r####', '#######'];
+            const behind = ['#######', '#S.R.E#', '###r###', '#######'];
+
+            expect(buildMazeFromLayout(open).isSolvable()).toBe(true);
+
+            // The same maze with the key moved behind its own door
+            const target = buildMazeFromLayout(open);
+            target.getEntitiesByType('key')[0].x = 4;
+            target.getEntitiesByType('key')[0].y = 1;
+            expect(target.isSolvable()).toBe(false);
+            expect(target.isSolvable(MOVEMENT_MODELS.WALK)).toBe(false);
+            expect(() => buildMazeFromLayout(behind)).toThrow();
+        });
+
+        test('should unlock chains of doors and gates when checking reachability', () => {
+            const target = buildMazeFromLayout({ rows: LOCKED });
+
+            expect(target.isSolvable()).toBe(true);
+            expect(target.getReachableWithLocks().has('5,4')).toBe(true);
+
+            // Without the switch the gate never lifts
+            target.entities = target.entities.filter(entity => entity.type !== 'switch');
+            expect(target.getReachableWithLocks().has('6,1')).toBe(true);
+            expect(target.getReachableWithLocks().has('5,4')).toBe(false);
+            expect(target.isSolvable()).toBe(false);
+        });
+
+        test('should place every key and switch where Dante reaches it before its lock', () => {
+            for (const seed of [3, 14, 15]) {
+                const target = new Maze(25, 25, 6, seed);
+                target.generate();
+                target.placeEntities({ hasVirgilio: false, fragmentCount: 5 });
+
+                const locks = target.placeDoors({ keys: 2, switches: 1 });
+
+                expect(locks.length).toBeGreaterThan(0);
+                expect(target.isSolvable()).toBe(true);
+                for (const lock of locks) {
+                    // With only this lock closed, its opener must still be on Dante's side
+                    const others = target.getDoorState();
+                    target.loadDoorState(others.map(door => ({ ...door, open: true })));
+                    lock.cells.forEach(cell => { target.getDoor(cell.x, cell.y).open = false; });
+                    const reachable = target.getDistancesFrom(target.startPosition);
+                    expect(reachable.has(`${lock.opener.x},${lock.opener.y}`)).toBe(true);
+                    target.loadDoorState(others);
+                }
+            }
+        });
+
+        test('should save and restore door and gate states', () => {
+            const target = buildMazeFromLayout(['#######', '#S.R.E#', '#.r.=*#', '#######']);
+            target.unlockDoors('red');
+            const state = JSON.parse(JSON.stringify(target.getDoorState()));
+
+            const restored = buildMazeFromLayout(['#######', '#S.R.E#', '#.r.=*#', '#######']);
+            restored.loadDoorState(state);
+
+            expect(restored.getDoor(3, 1).open).toBe(true);
+            expect(restored.getDoor(4, 2).open).toBe(false);
+        });
+    });
+
+    describe('Boulders', () => {
+        // The boulder has to be pushed past the turn into the stub beyond it to clear the way down
+        const PUZZLE = [
+            '########',
+            '#S.O...#',
+            '#####.##',
+            '#####E##',
+            '########'
+        ];
+
+        test('should push a boulder onto free floor only', () => {
+            const target = buildMazeFromLayout(PUZZLE);
+
+            expect(target.isWalkable(3, 1)).toBe(false);
+            expect(target.pushBoulder(3, 1, 'left')).toBe(true);
+            expect(target.getBoulderAt(2, 1)).toEqual({ id: 0, x: 2, y: 1 });
+            expect(target.pushBoulder(2, 1, 'left')).toBe(false); // not onto the start
+            expect(target.pushBoulder(2, 1, 'up')).toBe(false); // not into a wall
+            expect(target.pushBoulder(4, 1, 'right')).toBe(false); // no boulder there
+        });
+
+        test('should undo pushes back to where Dante pushed from', () => {
+            const target = buildMazeFromLayout(PUZZLE);
+            target.pushBoulder(3, 1, 'right');
+            target.pushBoulder(4, 1, 'right');
+
+            expect(target.undoBoulderPush()).toEqual({ id: 0, from: { x: 4, y: 1 }, to: { x: 5, y: 1 }, pusher: { x: 3, y: 1 } });
+            expect(target.undoBoulderPush().pusher).toEqual({ x: 2, y: 1 });
+            expect(target.getBoulderAt(3, 1)).not.toBe(null);
+            expect(target.undoBoulderPush()).toBe(null);
+        });
+
+        test('should be solvable only if the boulders can be pushed aside', () => {
+            const target = buildMazeFromLayout(PUZZLE);
+            expect(target.isSolvable()).toBe(true);
+
+            // Wedged in the last corridor: it cannot be pushed onto the exit
+            target.loadBoulderState({ positions: [{ id: 0, x: 5, y: 2 }] });
+            expect(target.isSolvable()).toBe(false);
+        });
+
+        test('should roll boulders into corridors without blocking the way for good', () => {
+            for (const seed of [5, 8]) {
+                const target = new Maze(21, 21, 5, seed);
+                target.generate();
+                target.placeEntities({ hasVirgilio: false, fragmentCount: 4 });
+
+                const boulders = target.placeBoulders({ count: 3 });
+
+                expect(boulders.length).toBeGreaterThan(0);
+                expect(target.isSolvable()).toBe(true);
+                boulders.forEach(boulder => {
+                    expect(target.getCellType(boulder.x, boulder.y)).toBe(target.PATH);
+                    expect(target.getEntityAt(boulder.x, boulder.y)).toBe(null);
+                });
+            }
+        });
+
+        test('should save and restore boulders with their push history', () => {
+            const target = buildMazeFromLayout(PUZZLE);
+            target.pushBoulder(3, 1, 'right');
+            const state = JSON.parse(JSON.stringify(target.getBoulderState()));
+
+            const restored = buildMazeFromLayout(PUZZLE);
+            restored.loadBoulderState(state);
+
+            expect(restored.getBoulders()).toEqual([{ id: 0, x: 4, y: 1 }]);
+            expect(restored.undoBoulderPush().pusher).toEqual({ x: 2, y: 1 });
+        });
+    });
+
+    describe('Tombs', () => {
+        test('should raise tombs apart from each other, clear of objectives', () => {
+            const target = new Maze(21, 21, 6, 42);
+            target.generate();
+            target.placeEntities({ hasVirgilio: false, fragmentCount: 4 });
+
+            const tombs = target.placeTombs({ count: 5 });
+
+            expect(tombs).toHaveLength(5);
+            tombs.forEach(tomb => {
+                expect(target.getTile(tomb.x, tomb.y)).toEqual({ type: 'tomb', phase: tomb.phase });
+                expect(target.getEntityAt(tomb.x, tomb.y)).toBe(null);
+                expect(target.getWalkableNeighbors(tomb.x, tomb.y)
+                    .some(cell => target.getTile(cell.x, cell.y)?.type === 'tomb')).toBe(false);
+            });
+            expect(target.isSolvable()).toBe(true);
+        });
+
+        test('should report tombs that do not fit', () => {
+            const target = buildMazeFromLayout(['#######', '#S...E#', '#######']);
+
+            expect(target.placeTombs({ count: 3 })).toHaveLength(1); // only (4, 1) is far enough from the start
+            expect(target.getPlacementReport().fallbacks[0]).toMatchObject({ entity: 'tomb', reason: 'notEnoughSpace' });
+        });
+    });
+
+    describe('Portals', () => {
+        const VAULT = ['#########', '#S..#...#', '#..1#.1.#', '#..E#...#', '#########'];
+
+        test('should pair distant cells with portals that keep clear of objectives', () => {
+            const target = new Maze(21, 21, 7, 42);
+            target.generate();
+            target.placeEntities({ hasVirgilio: false, fragmentCount: 4 });
+
+            const portals = target.placePortals({ pairs: 2 });
+
+            expect(portals).toHaveLength(4);
+            portals.forEach(portal => {
+                expect(target.getPortalExit(portal.target.x, portal.target.y)).toEqual({ x: portal.x, y: portal.y });
+                expect(target.getEntityAt(portal.x, portal.y)).toBe(null);
+                expect(target.getDistancesFrom(portal, false).get(`${portal.target.x},${portal.target.y}`))
+                    .toBeGreaterThanOrEqual(PortalBalance.MIN_PAIR_DISTANCE);
+            });
+            expect(target.isSolvable()).toBe(true);
+        });
+
+        test('should treat a portal as an edge to the other end of its pair', () => {
+            const target = buildMazeFromLayout(VAULT);
+
+            expect(target.getWalkableNeighbors(3, 2)).toContainEqual({ x: 6, y: 2 });
+            expect(target.getWalkableNeighbors(3, 2, false)).not.toContainEqual({ x: 6, y: 2 });
+            expect(target.getDistancesFrom(target.getStartPosition()).get('7,3')).toBe(6);
+            expect(target.getDistancesFrom(target.getStartPosition(), false).has('7,3')).toBe(false);
+            expect(target.getPortalOnlyCells().size).toBe(9);
+        });
+
+        test('should keep fragments out of reach of portals only unless the level asks for it', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const walled = buildMazeFromLayout(VAULT);
+            walled.placeEntities({ hasVirgilio: false, fragmentCount: 8 });
+            const hidden = buildMazeFromLayout(VAULT);
+            hidden.placeEntities({ hasVirgilio: false, fragmentCount: 8, fragmentsBehindPortals: true });
+
+            expect(walled.getTotalFragmentsCount()).toBe(6);
+            expect(walled.entities.every(entity => entity.x < 4)).toBe(true);
+            expect(hidden.getTotalFragmentsCount()).toBe(8);
+            expect(hidden.entities.some(entity => entity.x > 4)).toBe(true);
+            expect(hidden.entities.some(entity => entity.x === 3 && entity.y === 2)).toBe(false);
+            warnSpy.mockRestore();
+        });
+
+        test('should find a way to the exit through a portal when walking is not enough', () => {
+            const target = buildMazeFromLayout(['#######', '#S1#1E#', '#######']);
+
+            expect(target.isSolvable()).toBe(true);
+            expect(target.findPath({ x: 1, y: 1 }, { x: 5, y: 1 })).toEqual([{ x: 2, y: 1 }, { x: 4, y: 1 }, { x: 5, y: 1 }]);
+        });
+
+        test('should report portal pairs that do not fit', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const target = buildMazeFromLayout(['#######', '#S...E#', '#######']);
+
+            expect(target.placePortals({ pairs: 1 })).toEqual([]);
+            expect(target.getPlacementReport().fallbacks[0]).toMatchObject({ entity: 'portal', reason: 'notEnoughSpace' });
+            warnSpy.mockRestore();
+        });
+    });
+
     describe('Entity Interaction', () => {
         beforeEach(() => {
             maze.generate();
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for maze difficulty analysis
+ */
+
+import { describe, test, expect } from 'vitest';
+import { analyzeMaze, summarizeMazeMetrics } from '../../js/game/mazeAnalyzer.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { LevelManager } from '../../js/game/levelManager.js';
+
+describe('Maze Analyzer', () => {
+    describe('analyzeMaze', () => {
+        test('should measure a hand-authored layout', () => {
+            const maze = buildMazeFromLayout([
+                '#######',
+                '#S...F#',
+                '#.###.#',
+                '#.#V..#',
+                '#.###E#',
+                '#######'
+            ]);
+
+            const metrics = analyzeMaze(maze);
+
+            expect(metrics.isSolvable).toBe(true);
+            expect(metrics.solutionLength).toBe(7);
+            expect(metrics.tortuosity).toBeCloseTo(7 / 7);
+            expect(metrics.deadEnds).toBe(3);
+            expect(metrics.junctions).toBe(1);
+            expect(metrics.branchingFactor).toBe(2);
+            expect(metrics.fragmentDistances).toEqual([4]);
+            expect(metrics.virgilioDistance).toBe(8);
+            expect(metrics.maxObjectiveDistance).toBe(8);
+            expect(metrics.averageObjectiveDistance).toBe(6);
+            expect(metrics.unreachableObjectives).toBe(0);
+        });
+
+        test('should measure detours with tortuosity', () => {
+            const maze = buildMazeFromLayout([
+                '#####',
+                '#S#E#',
+                '#.#.#',
+                '#...#',
+                '#####'
+            ]);
+
+            const metrics = analyzeMaze(maze);
+
+            expect(metrics.solutionLength).toBe(6);
+            expect(metrics.tortuosity).toBe(3);
+            expect(metrics.junctions).toBe(0);
+            expect(metrics.branchingFactor).toBe(0);
+        });
+
+        test('should weight the solution by slow terrain', () => {
+            const maze = buildMazeFromLayout(['######', '#S%:E#', '######']);
+
+            const metrics = analyzeMaze(maze);
+
+            expect(metrics.solutionLength).toBe(3);
+            expect(metrics.solutionCost).toBe(4.5);
+        });
+
+        test('should report unsolvable mazes and unreachable objectives', () => {
+            const maze = buildMazeFromLayout(['#####', '#S.E#', '#####']);
+            maze.cells[1][2] = maze.WALL;
+            maze.entities.push({ type: 'fragment', x: 3, y: 1, collected: false, id: 0 });
+
+            const metrics = analyzeMaze(maze);
+
+            expect(metrics.isSolvable).toBe(false);
+            expect(metrics.solutionLength).toBe(null);
+            expect(metrics.tortuosity).toBe(null);
+            expect(metrics.fragmentDistances).toEqual([null]);
+            expect(metrics.unreachableObjectives).toBe(1);
+        });
+
+        test('should score larger mazes as harder', () => {
+            const small = analyzeMaze(buildMazeFromLayout(['#####', '#S.E#', '#####']));
+            const large = analyzeMaze(buildMazeFromLayout(['#######', '#S....#', '#####.#', '#E....#', '#######']));
+
+            expect(large.difficultyScore).toBeGreaterThan(small.difficultyScore);
+        });
+    });
+
+    describe('summarizeMazeMetrics', () => {
+        test('should average metrics and ignore missing values', () => {
+            const summary = summarizeMazeMetrics([
+                { isSolvable: true, solutionLength: 10, deadEnds: 2, tortuosity: 2 },
+                { isSolvable: false, solutionLength: null, deadEnds: 4, tortuosity: null }
+            ]);
+
+            expect(summary.samples).toBe(2);
+            expect(summary.solvableRatio).toBe(0.5);
+            expect(summary.solutionLength).toBe(10);
+            expect(summary.deadEnds).toBe(3);
+            expect(summary.tortuosity).toBe(2);
+        });
+
+        test('should handle an empty list', () => {
+            expect(summarizeMazeMetrics([])).toEqual({ samples: 0 });
+        });
+    });
+
+    describe('Level progression', () => {
+        test('circle 7 should be harder than circle 3', () => {
+            const circle3 = LevelManager.analyzeLevel(3, [1, 2, 3]);
+            const circle7 = LevelManager.analyzeLevel(7, [1, 2, 3]);
+
+            expect(circle3.solvableRatio).toBe(1);
+            expect(circle7.solvableRatio).toBe(1);
+            expect(circle7.solutionLength).toBeGreaterThan(circle3.solutionLength);
+            expect(circle7.difficultyScore).toBeGreaterThan(circle3.difficultyScore);
+        });
+
+        test('should return null for levels that do not exist', () => {
+            expect(LevelManager.analyzeLevel(42, [1])).toBe(null);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the stacked floors of Malebolge
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { MazeFloors } from '../../js/game/mazeFloors.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+
+const DITCH = ['##########', '#S......E#', '##########'];
+
+function buildFloors(count) {
+    return new MazeFloors(Array.from({ length: count }, (_, i) => buildMazeFromLayout(DITCH, 8, i + 1)));
+}
+
+describe('Maze Floors', () => {
+    test('should lead the stairs from the exit of each floor to the start of the next', () => {
+        const floors = buildFloors(3);
+        floors.connect();
+
+        expect(floors.getLinkAt(8, 1, 0)).toMatchObject({ kind: 'stairs', to: { layer: 1, x: 1, y: 1 } });
+        expect(floors.getLinkAt(1, 1, 1)).toMatchObject({ kind: 'stairs', to: { layer: 0, x: 8, y: 1 } });
+        expect(floors.getLinkAt(8, 1, 1)).toMatchObject({ kind: 'stairs', to: { layer: 2, x: 1, y: 1 } });
+        expect(floors.layers[0].getTile(8, 1)).toEqual({ type: 'stairs', direction: 'down' });
+        expect(floors.layers[1].getTile(1, 1)).toEqual({ type: 'stairs', direction: 'up' });
+    });
+
+    test('should leave the only exit on the bottom floor', () => {
+        const floors = buildFloors(3);
+        floors.connect();
+
+        const exits = floors.layers.map(layer => layer.getCellType(8, 1) === layer.EXIT);
+        expect(exits).toEqual([false, false, true]);
+        expect(floors.isFinalLayer(floors.layers[1])).toBe(false);
+        expect(floors.isFinalLayer(floors.layers[2])).toBe(true);
+        expect(floors.getLinkAt(8, 1, 2)).toBe(null);
+    });
+
+    test('should lay bridges on free cells away from the start', () => {
+        const floors = buildFloors(2);
+        floors.layers[0].entities.push({ type: 'fragment', id: 0, x: 5, y: 1, collected: false });
+        floors.connect(1);
+
+        const bridges = floors.links.filter(link => link.kind === 'bridge');
+        expect(bridges).toHaveLength(2);
+        const [down] = bridges;
+        expect([6, 7]).toContain(down.from.x);
+        expect(down.to.x).toBeGreaterThanOrEqual(5);
+        expect(floors.getLinkAt(down.to.x, down.to.y, 1).to).toEqual(down.from);
+    });
+
+    test('should report bridges that do not fit', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const floors = buildFloors(2);
+
+        floors.connect(4);
+
+        expect(floors.links.filter(link => link.kind === 'bridge')).toHaveLength(6);
+        expect(floors.layers[0].getPlacementReport().fallbacks).toContainEqual(expect.objectContaining({ entity: 'bridge' }));
+        warnSpy.mockRestore();
+    });
+
+    test('should switch the active floor and refuse floors that do not exist', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const floors = buildFloors(2);
+
+        expect(floors.setActiveLayer(1)).toBe(floors.layers[1]);
+        expect(floors.getActiveLayer()).toBe(floors.layers[1]);
+        expect(floors.setActiveLayer(2)).toBe(null);
+        expect(floors.getActiveLayerIndex()).toBe(1);
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    test('should count the fragments of every floor', () => {
+        const floors = buildFloors(2);
+        floors.layers[0].entities.push({ type: 'fragment', id: 0, x: 3, y: 1, collected: false });
+        floors.layers[1].entities.push({ type: 'fragment', id: 1, x: 3, y: 1, collected: false });
+
+        expect(floors.getTotalFragmentsCount()).toBe(2);
+        expect(floors.getLayerCount()).toBe(2);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for maze generation algorithms
+ */
+
+import { describe, test, expect } from 'vitest';
+import { Maze } from '../../js/game/maze.js';
+import { SeededRandom } from '../../js/utils/random.js';
+import {
+    MazeGenerators,
+    getMazeGenerator,
+    registerMazeGenerator,
+    getAvailableGenerators
+} from '../../js/game/mazeGenerators.js';
+
+/**
+ * Carve a maze with a single generator, without start/exit post-processing
+ */
+function carve(name, width, height, seed) {
+    const maze = new Maze(width, height, 1, seed);
+    maze.initializeMaze();
+    MazeGenerators[name](maze, new SeededRandom(seed));
+    return maze;
+}
+
+/**
+ * Count reachable open cells from (1,1)
+ */
+function countReachable(maze) {
+    const queue = [{ x: 1, y: 1 }];
+    const visited = new Set(['1,1']);
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const neighbor of maze.getWalkableNeighbors(current.x, current.y)) {
+            const key = `${neighbor.x},${neighbor.y}`;
+            if (!visited.has(key)) {
+                visited.add(key);
+                queue.push(neighbor);
+            }
+        }
+    }
+    return visited.size;
+}
+
+describe('Maze Generators', () => {
+    const generatorNames = ['backtracker', 'prim', 'kruskal', 'eller', 'wilson', 'growingTree'];
+
+    test('should register all built-in generators', () => {
+        expect(getAvailableGenerators()).toEqual(expect.arrayContaining(generatorNames));
+    });
+
+    describe.each(generatorNames)('%s', (name) => {
+        test('should carve every grid cell', () => {
+            const maze = carve(name, 21, 21, 1234);
+
+            for (let y = 1; y < maze.height - 1; y += 2) {
+                for (let x = 1; x < maze.width - 1; x += 2) {
+                    expect(maze.getCellType(x, y)).toBe(maze.PATH);
+                }
+            }
+        });
+
+        test('should produce a perfect maze (connected, no loops)', () => {
+            const maze = carve(name, 21, 21, 99);
+            const openCells = maze.getWalkablePositions().length;
+            const gridCells = 10 * 10;
+
+            // A spanning tree over N cells opens exactly N - 1 walls
+            expect(openCells).toBe(gridCells + gridCells - 1);
+            expect(countReachable(maze)).toBe(openCells);
+        });
+
+        test('should keep the outer border intact', () => {
+            const maze = carve(name, 18, 18, 7);
+
+            for (let i = 0; i < maze.width; i++) {
+                expect(maze.getCellType(i, 0)).toBe(maze.WALL);
+                expect(maze.getCellType(i, maze.height - 1)).toBe(maze.WALL);
+                expect(maze.getCellType(0, i)).toBe(maze.WALL);
+                expect(maze.getCellType(maze.width - 1, i)).toBe(maze.WALL);
+            }
+        });
+
+        test('should be deterministic for a given seed', () => {
+            expect(carve(name, 15, 15, 42).cells).toEqual(carve(name, 15, 15, 42).cells);
+        });
+
+        test('should generate solvable mazes through Maze.generate', () => {
+            for (const seed of [1, 2, 3]) {
+                const maze = new Maze(21, 21, 1, seed, { algorithm: name });
+                maze.generate();
+                expect(maze.isSolvable()).toBe(true);
+            }
+        });
+    });
+
+    describe('Registry', () => {
+        test('should fall back to the default generator for unknown names', () => {
+            expect(getMazeGenerator('unknown')).toBe(MazeGenerators.backtracker);
+        });
+
+        test('should register custom generators', () => {
+            const custom = (maze) => {
+                for (let x = 1; x < maze.width - 1; x++) {
+                    for (let y = 1; y < maze.height - 1; y++) {
+                        maze.cells[y][x] = maze.PATH;
+                    }
+                }
+            };
+            registerMazeGenerator('openField', custom);
+
+            const maze = new Maze(9, 9, 1, 1, { algorithm: 'openField' });
+            maze.generate();
+
+            expect(getMazeGenerator('openField')).toBe(custom);
+            expect(maze.getWalkablePositions()).toHaveLength(49);
+            delete MazeGenerators.openField;
+        });
+
+        test('should reject non-function generators', () => {
+            expect(() => registerMazeGenerator('broken', null)).toThrow();
+        });
+    });
+});
@@ -0,0 +1,361 @@
+/**
+ * Unit tests for hand-authored maze layouts
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import { buildMazeFromLayout, serializeMazeLayout, validateMazeLayout } from '../../js/game/mazeLayout.js';
+import { Maze } from '../../js/game/maze.js';
+import { LevelManager } from '../../js/game/levelManager.js';
+import { LevelData } from '../../js/data/levelData.js';
+
+const GATES_OF_DITE = [
+    '#########',
+    '#S..#..F#',
+    '#.#.#.#.#',
+    '#.#...#.#',
+    '#.#####.#',
+    '#V..F..E#',
+    '#########'
+];
+
+describe('Maze Layout', () => {
+    describe('ASCII layouts', () => {
+        test('should build a maze with walls, start, exit and entities', () => {
+            const maze = buildMazeFromLayout(GATES_OF_DITE, 6);
+
+            expect(maze.width).toBe(9);
+            expect(maze.height).toBe(7);
+            expect(maze.difficulty).toBe(6);
+            expect(maze.getStartPosition()).toEqual({ x: 1, y: 1 });
+            expect(maze.getExitPosition()).toEqual({ x: 7, y: 5 });
+            expect(maze.getCellType(1, 1)).toBe(maze.START);
+            expect(maze.getCellType(7, 5)).toBe(maze.EXIT);
+            expect(maze.getCellType(0, 0)).toBe(maze.WALL);
+            expect(maze.isSolvable()).toBe(true);
+            expect(maze.isAuthored).toBe(true);
+        });
+
+        test('should create entities from markers', () => {
+            const maze = buildMazeFromLayout({ rows: GATES_OF_DITE });
+
+            expect(maze.getEntitiesByType('virgilio')).toEqual([
+                { type: 'virgilio', x: 1, y: 5, collected: false }
+            ]);
+            expect(maze.getEntitiesByType('fragment')).toEqual([
+                { type: 'fragment', x: 7, y: 1, collected: false, id: 0 },
+                { type: 'fragment', x: 4, y: 5, collected: false, id: 1 }
+            ]);
+        });
+    });
+
+    describe('Wind currents', () => {
+        test('should turn arrow symbols into wind tiles', () => {
+            const maze = buildMazeFromLayout(['#######', '#S>>.E#', '#.^#v.#', '#.<<<.#', '#######']);
+
+            expect(maze.getTile(2, 1)).toEqual({ type: 'wind', direction: 'right', strength: 1 });
+            expect(maze.getTile(4, 2)).toEqual({ type: 'wind', direction: 'down', strength: 1 });
+            expect(maze.getTile(2, 3)).toEqual({ type: 'wind', direction: 'left', strength: 1 });
+            expect(maze.getTile(4, 1)).toBe(null);
+            expect(maze.getTilesByType('wind')).toHaveLength(7);
+        });
+
+        test('should read wind tiles from JSON layouts and reject unknown ones', () => {
+            const grid = [[0, 0, 0, 0, 0], [0, 2, 1, 3, 0], [0, 0, 0, 0, 0]];
+            const maze = buildMazeFromLayout({ grid, tiles: [{ type: 'wind', x: 2, y: 1, direction: 'left', strength: 2 }] });
+
+            expect(maze.getTile(2, 1)).toEqual({ type: 'wind', direction: 'left', strength: 2 });
+            expect(validateMazeLayout({ grid, tiles: [{ type: 'wind', x: 2, y: 1, direction: 'north' }] }).isValid).toBe(false);
+        });
+    });
+
+    describe('Ice', () => {
+        test('should turn ~ into ice and round-trip it', () => {
+            const layout = ['#######', '#S~~~.#', '#.###.#', '#..~..#', '#E#####', '#######'];
+            const maze = buildMazeFromLayout(layout);
+
+            expect(maze.getTile(2, 1)).toEqual({ type: 'ice' });
+            expect(maze.getTilesByType('ice')).toHaveLength(4);
+            expect(serializeMazeLayout(maze)).toEqual(layout);
+        });
+
+        test('should reject ice that slides Dante past the only way to the exit', () => {
+            const result = validateMazeLayout(['#######', '#S~~~.#', '###.###', '###E###', '#######']);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0]).toMatch(/Ice can strand Dante/);
+        });
+    });
+
+    describe('Slow terrain', () => {
+        test('should turn % into mud and : into sleet and round-trip them', () => {
+            const layout = ['#######', '#S%%:.#', '#.###.#', '#..:.E#', '#######'];
+            const maze = buildMazeFromLayout(layout);
+
+            expect(maze.getTile(2, 1)).toEqual({ type: 'mud' });
+            expect(maze.getTile(4, 1)).toEqual({ type: 'sleet' });
+            expect(maze.getTilesByType('sleet')).toHaveLength(2);
+            expect(serializeMazeLayout(maze)).toEqual(layout);
+        });
+    });
+
+    describe('Tombs', () => {
+        test('should turn T into a tomb and round-trip it', () => {
+            const layout = ['#######', '#S.T.E#', '#######'];
+            const maze = buildMazeFromLayout(layout);
+
+            expect(maze.getTile(3, 1)).toEqual({ type: 'tomb', phase: 0 });
+            expect(serializeMazeLayout(maze)).toEqual(layout);
+        });
+
+        test('should keep the phase of JSON tombs', () => {
+            const maze = buildMazeFromLayout({
+                grid: [[0, 0, 0, 0, 0], [0, 2, 1, 3, 0], [0, 0, 0, 0, 0]],
+                tiles: [{ type: 'tomb', x: 2, y: 1, phase: 0.5 }]
+            });
+
+            expect(maze.getTile(2, 1)).toEqual({ type: 'tomb', phase: 0.5 });
+        });
+    });
+
+    describe('Portals', () => {
+        test('should pair the two cells with the same digit and round-trip them', () => {
+            const layout = ['#########', '#S..#.F.#', '#..1#...#', '#...#.1.#', '#..E#####', '#########'];
+            const maze = buildMazeFromLayout(layout);
+
+            expect(maze.getTile(3, 2)).toEqual({ type: 'portal', pair: 1, target: { x: 6, y: 3 } });
+            expect(maze.getPortalExit(6, 3)).toEqual({ x: 3, y: 2 });
+            expect(serializeMazeLayout(maze)).toEqual(layout);
+        });
+
+        test('should accept an authored fragment that only a portal leads to', () => {
+            expect(validateMazeLayout(['#########', '#S.0#0F.#', '#..E#####', '#########']).isValid).toBe(true);
+        });
+
+        test('should reject a portal without its other end', () => {
+            const result = validateMazeLayout(['######', '#S2.E#', '######']);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('Portal 2 needs exactly two ends, found 1');
+        });
+
+        test('should pair JSON portals by their pair number', () => {
+            const maze = buildMazeFromLayout({
+                grid: [[0, 0, 0, 0, 0, 0], [0, 2, 1, 1, 3, 0], [0, 0, 0, 0, 0, 0]],
+                tiles: [{ type: 'portal', x: 2, y: 1, pair: 4 }, { type: 'portal', x: 4, y: 1, pair: 4 }]
+            });
+
+            expect(maze.getTile(2, 1)).toEqual({ type: 'portal', pair: 4, target: { x: 4, y: 1 } });
+        });
+    });
+
+    describe('Boulders', () => {
+        test('should turn O into a boulder and round-trip it', () => {
+            const layout = ['########', '#S.O...#', '#####.##', '#####E##', '########'];
+            const maze = buildMazeFromLayout(layout);
+
+            expect(maze.getBoulders()).toEqual([{ id: 0, x: 3, y: 1 }]);
+            expect(serializeMazeLayout(maze)).toEqual(layout);
+        });
+
+        test('should reject a boulder that can never be pushed out of the way', () => {
+            const result = validateMazeLayout(['######', '#S.OE#', '######']);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0]).toMatch(/Boulders block the way/);
+        });
+    });
+
+    describe('Doors and switches', () => {
+        const LOCKED = ['#######', '#S.R.E#', '#.r.=*#', '#######'];
+
+        test('should read keys, doors, switches and gates and round-trip them', () => {
+            const maze = buildMazeFromLayout(LOCKED);
+
+            expect(maze.getDoor(3, 1)).toEqual({ type: 'door', color: 'red', open: false });
+            expect(maze.getDoor(4, 2)).toEqual({ type: 'gate', switchId: 0, open: false });
+            expect(maze.getEntitiesByType('key')[0]).toMatchObject({ x: 2, y: 2, color: 'red' });
+            expect(maze.getEntitiesByType('switch')[0]).toMatchObject({ x: 5, y: 2, id: 0 });
+            expect(serializeMazeLayout(maze)).toEqual(LOCKED);
+        });
+
+        test('should reject a door without its key', () => {
+            const result = validateMazeLayout(['#######', '#S.B.E#', '#######']);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors.some(error => /blue/.test(error))).toBe(true);
+        });
+
+        test('should reject a key locked behind its own door', () => {
+            const result = validateMazeLayout(['#######', '#S.R.E#', '####r##', '#######']);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors.some(error => /Doors shut Dante out/.test(error))).toBe(true);
+        });
+    });
+
+    describe('JSON layouts', () => {
+        test('should build a maze from a cell grid', () => {
+            const maze = buildMazeFromLayout({
+                grid: [
+                    [0, 0, 0, 0, 0],
+                    [0, 2, 1, 1, 0],
+                    [0, 0, 0, 1, 0],
+                    [0, 1, 1, 3, 0],
+                    [0, 0, 0, 0, 0]
+                ],
+                entities: [{ type: 'fragment', x: 1, y: 3 }]
+            });
+
+            expect(maze.getStartPosition()).toEqual({ x: 1, y: 1 });
+            expect(maze.getExitPosition()).toEqual({ x: 3, y: 3 });
+            expect(maze.getTotalFragmentsCount()).toBe(1);
+            expect(maze.isSolvable()).toBe(true);
+        });
+
+        test('should accept explicit start and exit positions', () => {
+            const maze = buildMazeFromLayout({
+                grid: [
+                    [0, 0, 0, 0],
+                    [0, 1, 1, 0],
+                    [0, 0, 0, 0]
+                ],
+                start: { x: 1, y: 1 },
+                exit: { x: 2, y: 1 }
+            });
+
+            expect(maze.getCellType(1, 1)).toBe(maze.START);
+            expect(maze.getCellType(2, 1)).toBe(maze.EXIT);
+        });
+    });
+
+    describe('Validation', () => {
+        test('should report unreachable exits and entities', () => {
+            const result = validateMazeLayout([
+                '#######',
+                '#S.#.E#',
+                '#..#F.#',
+                '#######'
+            ]);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('Exit at (5, 1) is not reachable from the start');
+            expect(result.errors).toContain('Fragment at (4, 2) is not reachable from the start');
+        });
+
+        test('should report missing or duplicate start and exit', () => {
+            const result = validateMazeLayout([
+                '#####',
+                '#S.S#',
+                '#####'
+            ]);
+
+            expect(result.errors).toContain('Layout needs exactly one start, found 2');
+            expect(result.errors).toContain('Layout needs exactly one exit, found 0');
+        });
+
+        test('should report ragged rows and unknown symbols', () => {
+            const result = validateMazeLayout([
+                '#####',
+                '#S?E#',
+                '####'
+            ]);
+
+            expect(result.errors).toContain("Unknown symbol '?' at (2, 1)");
+            expect(result.errors).toContain('Row 2 has width 4, expected 5');
+        });
+
+        test('should report markers placed on walls', () => {
+            const result = validateMazeLayout({
+                grid: [
+                    [0, 0, 0, 0],
+                    [0, 2, 3, 0],
+                    [0, 0, 0, 0]
+                ],
+                entities: [{ type: 'virgilio', x: 0, y: 0 }]
+            });
+
+            expect(result.errors).toContain('Virgilio at (0, 0) is not on a walkable cell');
+        });
+
+        test('should reject unsupported layout shapes', () => {
+            expect(validateMazeLayout({ cells: [] }).isValid).toBe(false);
+            expect(() => buildMazeFromLayout(null)).toThrow('Invalid maze layout');
+        });
+    });
+
+    describe('Serialization', () => {
+        test('should leave hazards out of the layout', () => {
+            const maze = buildMazeFromLayout(['#######', '#S...E#', '#.###.#', '#.....#', '#######']);
+            maze.entities.push({ type: 'hazard', kind: 'fire_pit', x: 3, y: 3, damage: 1, collected: false });
+
+            expect(serializeMazeLayout(maze)[3]).toBe('#.....#');
+        });
+
+        test('should round-trip a layout through a maze', () => {
+            expect(serializeMazeLayout(buildMazeFromLayout(GATES_OF_DITE))).toEqual(GATES_OF_DITE);
+        });
+
+        test('should round-trip wind loops', () => {
+            const loop = ['#######', '#S>>v.#', '#.^#v.#', '#.^<<E#', '#######'];
+
+            expect(serializeMazeLayout(buildMazeFromLayout(loop))).toEqual(loop);
+        });
+
+        test('should serialize generated mazes into valid layouts', () => {
+            const maze = new Maze(11, 11, 1, 5);
+            maze.generate();
+            maze.placeEntities({ hasVirgilio: true, fragmentCount: 2 });
+
+            expect(validateMazeLayout(serializeMazeLayout(maze)).isValid).toBe(true);
+        });
+    });
+
+    describe('LevelManager integration', () => {
+        const originalLevel = { ...LevelData[6] };
+
+        afterEach(() => {
+            LevelData[6] = { ...originalLevel };
+        });
+
+        test('should load a level defined by a layout', () => {
+            const { mazeSize, ...rest } = originalLevel;
+            LevelData[6] = { ...rest, layout: GATES_OF_DITE };
+            const levelManager = new LevelManager();
+
+            expect(levelManager.loadLevel(6)).toBe(true);
+            const maze = levelManager.getCurrentMaze();
+            expect(maze.width).toBe(9);
+            expect(maze.getTotalFragmentsCount()).toBe(2);
+            expect(levelManager.getDifficultyScaling().mazeSize).toEqual({ width: 9, height: 7 });
+        });
+
+        test('should place objectives procedurally when the layout has no markers', () => {
+            LevelData[6] = {
+                ...originalLevel,
+                requiredFragments: 2,
+                layout: [
+                    '###########',
+                    '#S........#',
+                    '#.#######.#',
+                    '#........E#',
+                    '###########'
+                ]
+            };
+            const levelManager = new LevelManager();
+
+            expect(levelManager.loadLevel(6)).toBe(true);
+            expect(levelManager.getCurrentMaze().getTotalFragmentsCount()).toBe(2);
+            expect(levelManager.getCurrentMaze().getExitPosition()).toEqual({ x: 9, y: 3 });
+        });
+
+        test('should refuse invalid layouts and keep the current level', () => {
+            LevelData[6] = { ...originalLevel, layout: ['#####', '#S#E#', '#####'] };
+            const levelManager = new LevelManager();
+            levelManager.loadLevel(2);
+
+            expect(levelManager.loadLevel(6)).toBe(false);
+            expect(levelManager.getCurrentLevelNumber()).toBe(2);
+            expect(levelManager.layoutErrors).toContain('Exit at (3, 1) is not reachable from the start');
+        });
+    });
+});
@@ -301,6 +301,13 @@ describe('NarrativeManager', () => {
             expect(dialogues[2].text).toContain('Purgatorio');
             expect(dialogues[3].text).toContain('Felicidades');
         });
+
+        test('should mention the difficulty preset in the game completion dialogue', () => {
+            const dialogues = narrativeManager.createGameCompletionDialogue('Infernal');
+
+            expect(dialogues).toHaveLength(5);
+            expect(dialogues[4].text).toBe('Dificultad: Infernal');
+        });
     });
 
     describe('Virgilio Guidance', () => {
@@ -6,6 +6,8 @@
 import { describe, test, expect, beforeEach, vi } from 'vitest';
 import { ObjectiveManager } from '../../js/game/objectives.js';
 import { Maze } from '../../js/game/maze.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { MazeFloors } from '../../js/game/mazeFloors.js';
 
 describe('ObjectiveManager', () => {
     let objectiveManager;
@@ -281,6 +283,151 @@ describe('ObjectiveManager', () => {
         });
     });
 
+    describe('Keys and Switches', () => {
+        let lockedMaze;
+
+        beforeEach(() => {
+            lockedMaze = buildMazeFromLayout(['#######', '#S.R.E#', '#.r.=*#', '#######']);
+            objectiveManager = new ObjectiveManager(lockedMaze);
+        });
+
+        test('should open the doors of a key once it is picked up', () => {
+            const onDoorsChanged = vi.fn();
+            objectiveManager.setCallbacks({ onDoorsChanged });
+
+            const result = objectiveManager.checkObjectives({ x: 2, y: 2 });
+
+            expect(result.statusChanged).toBe(true);
+            expect(objectiveManager.collectedKeys.has('red')).toBe(true);
+            expect(lockedMaze.getDoor(3, 1).open).toBe(true);
+            expect(onDoorsChanged).toHaveBeenCalledWith({ type: 'key', color: 'red', opened: 1 });
+        });
+
+        test('should work the gates every time Dante steps on a switch', () => {
+            objectiveManager.checkObjectives({ x: 5, y: 2 });
+            expect(lockedMaze.getDoor(4, 2).open).toBe(true);
+            expect(lockedMaze.getEntityAt(5, 2)).toBeTruthy();
+
+            objectiveManager.checkObjectives({ x: 5, y: 2 });
+            expect(lockedMaze.getDoor(4, 2).open).toBe(false);
+        });
+
+        test('should restore keys and doors from a saved state', () => {
+            objectiveManager.checkObjectives({ x: 2, y: 2 });
+            objectiveManager.checkObjectives({ x: 5, y: 2 });
+            const state = JSON.parse(JSON.stringify(objectiveManager.getSerializableState()));
+
+            const freshMaze = buildMazeFromLayout(['#######', '#S.R.E#', '#.r.=*#', '#######']);
+            const newManager = new ObjectiveManager(freshMaze);
+            newManager.loadState(state);
+
+            expect(newManager.collectedKeys.has('red')).toBe(true);
+            expect(freshMaze.getEntitiesByType('key')[0].collected).toBe(true);
+            expect(freshMaze.getDoor(3, 1).open).toBe(true);
+            expect(freshMaze.getDoor(4, 2).open).toBe(true);
+        });
+    });
+
+    describe('Boulders', () => {
+        test('should restore pushed boulders from a saved state', () => {
+            const layout = ['########', '#S.O...#', '#####.##', '#####E##', '########'];
+            const boulderMaze = buildMazeFromLayout(layout);
+            objectiveManager = new ObjectiveManager(boulderMaze);
+            boulderMaze.pushBoulder(3, 1, 'right');
+            const state = JSON.parse(JSON.stringify(objectiveManager.getSerializableState()));
+
+            const freshMaze = buildMazeFromLayout(layout);
+            new ObjectiveManager(freshMaze).loadState(state);
+
+            expect(freshMaze.getBoulders()).toEqual([{ id: 0, x: 4, y: 1 }]);
+            expect(freshMaze.boulderHistory).toHaveLength(1);
+        });
+    });
+
+    describe('Floors', () => {
+        test('should only open the exit on the bottom floor, counting fragments on every floor', () => {
+            const layers = [1, 2].map(seed => buildMazeFromLayout(['#######', '#S.F.E#', '#######'], 8, seed));
+            layers[1].entities[0].id = 1;
+            const floors = new MazeFloors(layers);
+            floors.connect();
+            objectiveManager.setMaze(layers[0], floors);
+            objectiveManager.virgilioFound = true;
+
+            expect(objectiveManager.totalFragments).toBe(2);
+            objectiveManager.checkObjectives({ x: 3, y: 1 });
+            objectiveManager.setMaze(layers[1], floors);
+            objectiveManager.checkObjectives({ x: 3, y: 1 });
+
+            expect(objectiveManager.fragmentsCollected).toBe(2);
+            expect(objectiveManager.canExitLevel({ x: 5, y: 1 })).toBe(true);
+            objectiveManager.setMaze(layers[0], floors);
+            expect(objectiveManager.canExitLevel({ x: 5, y: 1 })).toBe(false);
+        });
+
+        test('should open each floor\'s doors with the keys found on that floor', () => {
+            const layers = [1, 2].map(seed => buildMazeFromLayout(['#######', '#S.R.E#', '#.r...#', '#######'], 8, seed));
+            const floors = new MazeFloors(layers);
+            floors.connect();
+            objectiveManager.setMaze(layers[0], floors);
+            objectiveManager.checkObjectives({ x: 2, y: 2 });
+            objectiveManager.setMaze(layers[1], floors);
+
+            expect(layers[1].getDoor(3, 1).open).toBe(false);
+            expect(objectiveManager.checkObjectives({ x: 2, y: 2 }).statusChanged).toBe(true);
+            expect(layers[1].getDoor(3, 1).open).toBe(true);
+        });
+
+        test('should only restore the keys picked up on each floor', () => {
+            const build = () => {
+                const layers = [1, 2].map(seed => buildMazeFromLayout(['#######', '#S.R.E#', '#.r...#', '#######'], 8, seed));
+                const floors = new MazeFloors(layers);
+                floors.connect();
+                return floors;
+            };
+            const floors = build();
+            objectiveManager.setMaze(floors.layers[0], floors);
+            objectiveManager.checkObjectives({ x: 2, y: 2 });
+            const state = JSON.parse(JSON.stringify(objectiveManager.getSerializableState()));
+
+            const restored = build();
+            const newManager = new ObjectiveManager();
+            newManager.setMaze(restored.layers[0], restored);
+            newManager.loadState(state);
+
+            expect(restored.layers[0].getEntitiesByType('key')[0].collected).toBe(true);
+            expect(restored.layers[1].getEntitiesByType('key')[0].collected).toBe(false);
+        });
+    });
+
+    describe('Hourglasses', () => {
+        test('should hand an hourglass bonus to the countdown once', () => {
+            const onTimeBonus = vi.fn();
+            objectiveManager.setCallbacks({ onTimeBonus });
+            const [hourglass] = mockMaze.placeHourglasses({ pickups: 1, bonus: 15000 });
+
+            const result = objectiveManager.checkObjectives(hourglass);
+            objectiveManager.checkObjectives(hourglass);
+
+            expect(result.statusChanged).toBe(true);
+            expect(result.collected[0].type).toBe('hourglass');
+            expect(onTimeBonus).toHaveBeenCalledTimes(1);
+            expect(onTimeBonus).toHaveBeenCalledWith(15000);
+        });
+
+        test('should keep collected hourglasses gone after loading a save', () => {
+            const [first, second] = mockMaze.placeHourglasses({ pickups: 2 });
+            objectiveManager.checkObjectives(first);
+            const state = JSON.parse(JSON.stringify(objectiveManager.getSerializableState()));
+
+            const freshMaze = new Maze(10, 10);
+            freshMaze.entities = [{ ...first, collected: false }, { ...second }];
+            const newManager = new ObjectiveManager(freshMaze);
+            newManager.loadState(state);
+
+            expect(freshMaze.getEntitiesByType('hourglass').map(hourglass => hourglass.collected)).toEqual([true, false]);
+        });
+    });
+
     describe('Edge Cases and Error Handling', () => {
         test('should handle checkObjectives without maze', () => {
             const manager = new ObjectiveManager();
@@ -309,6 +456,19 @@ describe('ObjectiveManager', () => {
             expect(result.statusChanged).toBe(false);
         });
 
+        test('should not collect hazards', () => {
+            const hazardMaze = new Maze(21, 21, 3, 77);
+            hazardMaze.generate();
+            hazardMaze.placeEntities({ hasVirgilio: true, fragmentCount: 3 });
+            const [hazard] = hazardMaze.placeHazards({ fire_pit: 1 });
+
+            const manager = new ObjectiveManager(hazardMaze);
+            const result = manager.checkObjectives({ x: hazard.x, y: hazard.y });
+
+            expect(result.collected).toHaveLength(0);
+            expect(hazard.collected).toBe(false);
+        });
+
         test('should handle fragment progress with zero total fragments', () => {
             const manager = new ObjectiveManager();
             manager.totalFragments = 0;
@@ -4,6 +4,7 @@
 
 import { describe, test, expect, beforeEach, vi } from 'vitest';
 import { Player } from '../../js/game/player.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
 
 // Mock Maze class for testing
 class MockMaze {
@@ -176,6 +177,208 @@ describe('Player', () => {
         });
     });
 
+    describe('Health', () => {
+        test('should start at full health', () => {
+            expect(player.getHealth()).toEqual({ health: 3, maxHealth: 3 });
+            expect(player.isDead()).toBe(false);
+        });
+
+        test('should ignore damage while recovering from a hit', () => {
+            expect(player.takeDamage(1)).toBe(true);
+            expect(player.takeDamage(1)).toBe(false);
+            expect(player.getHealth().health).toBe(2);
+
+            Date.now.mockReturnValue(2500);
+            expect(player.takeDamage(2)).toBe(true);
+            expect(player.isDead()).toBe(true);
+        });
+
+        test('should restore full health', () => {
+            player.takeDamage(3);
+            player.restoreHealth();
+
+            expect(player.getHealth().health).toBe(3);
+            expect(player.takeDamage(1)).toBe(true);
+        });
+    });
+
+    describe('Movement Statistics', () => {
+        test('should count moves, blocked moves and revisits', () => {
+            mockMaze.setWalkable(6, 5, false);
+
+            player.move('right', mockMaze); // Blocked
+            player.move('up', mockMaze);
+            player.completeMovement();
+            Date.now.mockReturnValue(2000);
+            player.move('down', mockMaze); // Back to the start cell
+
+            const stats = player.getMovementStats();
+            expect(stats.movesMade).toBe(2);
+            expect(stats.blockedMoves).toBe(1);
+            expect(stats.uniqueCellsVisited).toBe(2);
+            expect(stats.explorationEfficiency).toBe(0.5);
+        });
+
+        test('should not count forced pushes as moves or wait for the cooldown', () => {
+            mockMaze.setWalkable(5, 3, false);
+
+            player.move('up', mockMaze);
+            player.completeMovement();
+            const pushed = player.move('down', mockMaze, { forced: true }); // Same millisecond
+            player.completeMovement();
+            const pushedBack = player.move('up', mockMaze, { forced: true });
+            const whileMoving = player.move('up', mockMaze, { forced: true });
+            player.completeMovement();
+            const intoWall = player.move('up', mockMaze, { forced: true });
+
+            expect(pushed).toBe(true);
+            expect(pushedBack).toBe(true);
+            expect(whileMoving).toBe(false);
+            expect(intoWall).toBe(false);
+            expect(player.getGridPosition()).toEqual({ x: 5, y: 4 });
+            expect(player.getMovementStats().movesMade).toBe(1);
+            expect(player.getMovementStats().blockedMoves).toBe(0);
+        });
+
+        test('should list the cells walked for the map', () => {
+            player.move('up', mockMaze);
+            player.completeMovement();
+
+            expect([...player.getVisitedCells()].sort()).toEqual(['5,4', '5,5']);
+        });
+
+        test('should reset statistics from the current position', () => {
+            player.move('up', mockMaze);
+            player.completeMovement();
+            player.resetMovementStats();
+
+            expect(player.getMovementStats()).toEqual({
+                movesMade: 0,
+                blockedMoves: 0,
+                uniqueCellsVisited: 1,
+                explorationEfficiency: 1
+            });
+        });
+    });
+
+    describe('Ice', () => {
+        const frozen = () => buildMazeFromLayout(['#######', '#S~~~.#', '#####.#', '#####E#', '#######']);
+
+        test('should slide across ice until plain floor stops him', () => {
+            const maze = frozen();
+            player.reset({ x: 1, y: 1 });
+            player.resetMovementStats();
+
+            expect(player.move('right', maze)).toBe(true);
+            expect(player.getGridPosition()).toEqual({ x: 5, y: 1 });
+            expect(player.getMovementStats().movesMade).toBe(1);
+            expect(player.getMovementStats().uniqueCellsVisited).toBe(5);
+        });
+
+        test('should stop against a wall while still on ice', () => {
+            const maze = buildMazeFromLayout(['######', '#S.~~#', '#...E#', '######']);
+            player.reset({ x: 2, y: 1 });
+
+            player.move('right', maze);
+
+            expect(player.getGridPosition()).toEqual({ x: 4, y: 1 });
+        });
+
+        test('should take as long per cell when sliding as when walking', () => {
+            const maze = frozen();
+            player.reset({ x: 1, y: 1 });
+            player.move('right', maze);
+
+            for (let frame = 0; frame < 7; frame++) {
+                player.update(16.67);
+            }
+            expect(player.isMoving).toBe(true);
+
+            for (let frame = 0; frame < 21; frame++) {
+                player.update(16.67);
+            }
+            expect(player.isMoving).toBe(false);
+            expect(player.x).toBe(5);
+        });
+    });
+
+    describe('Slow Terrain', () => {
+        const bog = () => buildMazeFromLayout(['######', '#S%:E#', '######']);
+
+        test('should take longer to wade into mud', () => {
+            const maze = bog();
+            player.reset({ x: 1, y: 1 });
+            player.move('right', maze);
+
+            for (let frame = 0; frame < 7; frame++) {
+                player.update(16.67);
+            }
+            expect(player.isMoving).toBe(true);
+
+            for (let frame = 0; frame < 7; frame++) {
+                player.update(16.67);
+            }
+            expect(player.isMoving).toBe(false);
+            expect(player.x).toBe(2);
+        });
+
+        test('should stretch the cooldown before the next move by the terrain cost', () => {
+            const maze = bog();
+            player.reset({ x: 1, y: 1 });
+            player.move('right', maze);
+            player.completeMovement();
+
+            Date.now.mockReturnValue(1000 + player.moveCooldown + 50);
+            expect(player.move('right', maze)).toBe(false);
+
+            Date.now.mockReturnValue(1000 + player.moveCooldown * 2);
+            expect(player.move('right', maze)).toBe(true);
+            expect(player.terrainCost).toBe(1.5);
+        });
+
+        test('should play the footstep variant of the terrain', () => {
+            const audioService = { playMovementSound: vi.fn() };
+            const maze = bog();
+            player = new Player(1, 1, audioService);
+
+            player.move('right', maze);
+
+            expect(audioService.playMovementSound).toHaveBeenCalledWith(true, 'mud');
+        });
+    });
+
+    describe('Boulders', () => {
+        const puzzle = () => buildMazeFromLayout(['########', '#S.O...#', '#####.##', '#####E##', '########']);
+
+        test('should push a boulder ahead while walking into it', () => {
+            const maze = puzzle();
+            player.reset({ x: 2, y: 1 });
+
+            expect(player.move('right', maze)).toBe(true);
+            expect(player.pushedBoulder).toBe(true);
+            expect(player.getGridPosition()).toEqual({ x: 3, y: 1 });
+            expect(maze.getBoulderAt(4, 1)).not.toBe(null);
+        });
+
+        test('should be blocked by a boulder that cannot move', () => {
+            const maze = puzzle();
+            maze.loadBoulderState({ positions: [{ id: 0, x: 5, y: 2 }] });
+            player.reset({ x: 5, y: 1 });
+
+            expect(player.move('down', maze)).toBe(false);
+            expect(player.pushedBoulder).toBe(false);
+            expect(maze.getBoulderAt(5, 2)).not.toBe(null);
+        });
+
+        test('should not push boulders when the wind carries him', () => {
+            const maze = puzzle();
+            player.reset({ x: 2, y: 1 });
+
+            expect(player.move('right', maze, { forced: true })).toBe(false);
+            expect(maze.getBoulderAt(3, 1)).not.toBe(null);
+        });
+    });
+
     describe('Input Validation', () => {
         test('should validate move parameters', () => {
             expect(player.isValidMove(5, 4, mockMaze)).toBe(true);
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for circle scoring
+ */
+
+import { describe, test, expect } from 'vitest';
+import { ScoreKeeper } from '../../js/game/scoring.js';
+import { ObjectiveBalance } from '../../js/data/gameBalance.js';
+
+describe('ScoreKeeper', () => {
+    test('should score objectives as they are met', () => {
+        const scoreKeeper = new ScoreKeeper();
+
+        expect(scoreKeeper.addObjective('virgilio')).toBe(ObjectiveBalance.VIRGILIO_ENCOUNTER_SCORE);
+        expect(scoreKeeper.addObjective('fragment')).toBe(ObjectiveBalance.FRAGMENT_COLLECTION_SCORE);
+        expect(scoreKeeper.addObjective('exit')).toBe(0);
+        expect(scoreKeeper.getScore()).toBe(ObjectiveBalance.VIRGILIO_ENCOUNTER_SCORE + ObjectiveBalance.FRAGMENT_COLLECTION_SCORE);
+    });
+
+    test('should break down a finished circle', () => {
+        const scoreKeeper = new ScoreKeeper();
+        scoreKeeper.startLevel(3);
+        scoreKeeper.addObjective('fragment');
+
+        const breakdown = scoreKeeper.completeLevel({ completionTime: 60000, deaths: 1, explorationRatio: 0.5 });
+
+        expect(breakdown).toEqual({
+            level: 3,
+            objectives: ObjectiveBalance.FRAGMENT_COLLECTION_SCORE,
+            completion: ObjectiveBalance.LEVEL_COMPLETION_SCORE,
+            timeBonus: Math.round(ObjectiveBalance.LEVEL_COMPLETION_SCORE * (ObjectiveBalance.SPEED_BONUS_MULTIPLIER - 1)),
+            deathPenalty: ObjectiveBalance.DEATH_PENALTY,
+            explorationBonus: Math.round(ObjectiveBalance.EXPLORATION_BONUS / 2),
+            total: breakdown.objectives + breakdown.completion + breakdown.timeBonus + breakdown.explorationBonus - breakdown.deathPenalty,
+            completionTime: 60000,
+            deaths: 1,
+            explorationRatio: 0.5
+        });
+        expect(scoreKeeper.getScore()).toBe(breakdown.total);
+    });
+
+    test('should only give the time bonus under the speed threshold', () => {
+        const scoreKeeper = new ScoreKeeper();
+
+        const slow = scoreKeeper.completeLevel({ completionTime: ObjectiveBalance.SPEED_BONUS_THRESHOLD + 1 });
+
+        expect(slow.timeBonus).toBe(0);
+    });
+
+    test('should never let deaths take away earlier circles', () => {
+        const scoreKeeper = new ScoreKeeper();
+        const first = scoreKeeper.completeLevel({ completionTime: 60000 });
+
+        scoreKeeper.startLevel(2);
+        const second = scoreKeeper.completeLevel({ completionTime: 600000, deaths: 50 });
+
+        expect(second.total).toBe(0);
+        expect(scoreKeeper.getScore()).toBe(first.total);
+    });
+
+    test('should save and restore the running score', () => {
+        const scoreKeeper = new ScoreKeeper();
+        scoreKeeper.completeLevel({ completionTime: 60000 });
+        scoreKeeper.startLevel(2);
+        scoreKeeper.addObjective('fragment');
+
+        const restored = new ScoreKeeper();
+        restored.loadState(JSON.parse(JSON.stringify(scoreKeeper.getSerializableState())));
+
+        expect(restored.getScore()).toBe(scoreKeeper.getScore());
+        expect(restored.completeLevel().level).toBe(2);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the wind currents of the circle of the lustful
+ */
+
+import { describe, test, expect } from 'vitest';
+import { WindCurrents } from '../../js/game/windCurrents.js';
+import { Player } from '../../js/game/player.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+import { WindBalance } from '../../js/data/gameBalance.js';
+
+// A wind loop around the central wall
+const WIND_LOOP = [
+    '#######',
+    '#S>>v.#',
+    '#.^#v.#',
+    '#.^<<E#',
+    '#######'
+];
+
+/**
+ * Let the wind act until Dante has come to rest
+ */
+const settle = (wind, player, maze) => {
+    for (let i = 0; i < 20; i++) {
+        player.completeMovement();
+        wind.update(0, player, maze);
+    }
+};
+
+describe('Wind Currents', () => {
+    test('should push Dante along the current on every gust', () => {
+        const maze = buildMazeFromLayout(WIND_LOOP);
+        const player = new Player(2, 1);
+        const wind = new WindCurrents();
+
+        expect(wind.update(WindBalance.GUST_INTERVAL - 1, player, maze)).toBe(false);
+        expect(wind.update(1, player, maze)).toBe(true);
+        expect(wind.getPushDirection()).toBe('right');
+        settle(wind, player, maze);
+
+        expect(player.getGridPosition()).toEqual({ x: 3, y: 1 });
+        expect(wind.getPushDirection()).toBe(null);
+        expect(wind.getGustProgress()).toBe(0);
+    });
+
+    test('should carry Dante around a wind loop without ever leaving it', () => {
+        const maze = buildMazeFromLayout(WIND_LOOP);
+        const player = new Player(2, 1);
+        const wind = new WindCurrents();
+        const visited = [];
+
+        for (let gust = 0; gust < 8; gust++) {
+            wind.update(WindBalance.GUST_INTERVAL, player, maze);
+            settle(wind, player, maze);
+            visited.push(player.getGridPosition());
+        }
+
+        expect(visited).toEqual([
+            { x: 3, y: 1 }, { x: 4, y: 1 }, { x: 4, y: 2 }, { x: 4, y: 3 },
+            { x: 3, y: 3 }, { x: 2, y: 3 }, { x: 2, y: 2 }, { x: 2, y: 1 }
+        ]);
+    });
+
+    test('should follow the current for the whole strength of a gust', () => {
+        const maze = buildMazeFromLayout({
+            grid: [
+                [0, 0, 0, 0, 0, 0],
+                [0, 2, 1, 1, 1, 0],
+                [0, 0, 0, 0, 1, 0],
+                [0, 3, 1, 1, 1, 0],
+                [0, 0, 0, 0, 0, 0]
+            ],
+            tiles: [
+                { type: 'wind', x: 2, y: 1, direction: 'right', strength: 3 },
+                { type: 'wind', x: 4, y: 1, direction: 'down', strength: 3 }
+            ]
+        });
+        const player = new Player(2, 1);
+        const wind = new WindCurrents();
+
+        wind.update(WindBalance.GUST_INTERVAL, player, maze);
+        settle(wind, player, maze);
+
+        expect(player.getGridPosition()).toEqual({ x: 4, y: 2 });
+    });
+
+    test('should stop at walls instead of pushing Dante into them', () => {
+        const maze = buildMazeFromLayout(['######', '#S..>#', '#...E#', '######']);
+        const player = new Player(4, 1);
+        const wind = new WindCurrents();
+
+        for (let gust = 0; gust < 3; gust++) {
+            wind.update(WindBalance.GUST_INTERVAL, player, maze);
+            settle(wind, player, maze);
+        }
+
+        expect(player.getGridPosition()).toEqual({ x: 4, y: 1 });
+    });
+
+    test('should leave Dante alone off the currents and wait for him to land', () => {
+        const maze = buildMazeFromLayout(WIND_LOOP);
+        const player = new Player(1, 1);
+        const wind = new WindCurrents();
+
+        expect(wind.update(WindBalance.GUST_INTERVAL, player, maze)).toBe(false);
+        expect(player.getGridPosition()).toEqual({ x: 1, y: 1 });
+
+        // Stepping onto the current just as a gust is due: it waits for the step, then blows
+        player.move('right', maze);
+        expect(wind.update(WindBalance.GUST_INTERVAL, player, maze)).toBe(false);
+        player.completeMovement();
+        expect(wind.update(0, player, maze)).toBe(true);
+        settle(wind, player, maze);
+        expect(player.getGridPosition()).toEqual({ x: 3, y: 1 });
+    });
+
+    test('should restart the rhythm on reset', () => {
+        const maze = buildMazeFromLayout(WIND_LOOP);
+        const wind = new WindCurrents();
+        wind.update(WindBalance.GUST_INTERVAL / 2, new Player(1, 1), maze);
+
+        wind.reset();
+
+        expect(wind.getGustProgress()).toBe(0);
+        expect(wind.getPushDirection()).toBe(null);
+    });
+});
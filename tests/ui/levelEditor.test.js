@@ -0,0 +1,225 @@
+/**
+ * Tests for the LevelEditor
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { LevelEditor } from '../../js/ui/levelEditor.js';
+import { buildMazeFromLayout } from '../../js/game/mazeLayout.js';
+
+describe('LevelEditor', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new LevelEditor(7, 5);
+    });
+
+    describe('Blank layout', () => {
+        test('should start with an open, solvable interior', () => {
+            const maze = editor.getMaze();
+
+            expect(maze.getStartPosition()).toEqual({ x: 1, y: 1 });
+            expect(maze.getExitPosition()).toEqual({ x: 5, y: 3 });
+            expect(maze.getCellType(0, 0)).toBe(maze.WALL);
+            expect(maze.getCellType(3, 2)).toBe(maze.PATH);
+            expect(editor.validation.isValid).toBe(true);
+            expect(editor.validation.isSolvable).toBe(true);
+        });
+    });
+
+    describe('Painting', () => {
+        test('should paint walls and paths inside the border only', () => {
+            const maze = editor.getMaze();
+
+            expect(editor.applyTool(3, 2, 'wall')).toBe(true);
+            expect(maze.getCellType(3, 2)).toBe(maze.WALL);
+            expect(editor.applyTool(3, 2, 'path')).toBe(true);
+            expect(maze.getCellType(3, 2)).toBe(maze.PATH);
+            expect(editor.applyTool(0, 2, 'path')).toBe(false);
+            expect(maze.getCellType(0, 2)).toBe(maze.WALL);
+        });
+
+        test('should not wall over the start or exit', () => {
+            expect(editor.applyTool(1, 1, 'wall')).toBe(false);
+            expect(editor.applyTool(5, 3, 'wall')).toBe(false);
+        });
+
+        test('should move the start and exit', () => {
+            const maze = editor.getMaze();
+
+            editor.applyTool(3, 1, 'start');
+            editor.applyTool(3, 3, 'exit');
+
+            expect(maze.getStartPosition()).toEqual({ x: 3, y: 1 });
+            expect(maze.getExitPosition()).toEqual({ x: 3, y: 3 });
+            expect(maze.getCellType(1, 1)).toBe(maze.PATH);
+            expect(maze.getCellType(5, 3)).toBe(maze.PATH);
+            expect(maze.getCellType(3, 1)).toBe(maze.START);
+        });
+
+        test('should keep a single Virgilio and toggle fragments', () => {
+            const maze = editor.getMaze();
+
+            editor.applyTool(2, 1, 'virgilio');
+            editor.applyTool(4, 1, 'virgilio');
+            editor.applyTool(2, 3, 'fragment');
+            editor.applyTool(4, 3, 'fragment');
+
+            expect(maze.getEntitiesByType('virgilio')).toEqual([
+                { type: 'virgilio', x: 4, y: 1, collected: false }
+            ]);
+            expect(maze.getTotalFragmentsCount()).toBe(2);
+
+            editor.applyTool(2, 3, 'fragment');
+            expect(maze.getEntitiesByType('fragment')).toEqual([
+                { type: 'fragment', x: 4, y: 3, collected: false, id: 0 }
+            ]);
+        });
+
+        test('should remove entities covered by a wall', () => {
+            editor.applyTool(3, 2, 'fragment');
+            editor.applyTool(3, 2, 'wall');
+
+            expect(editor.getMaze().getTotalFragmentsCount()).toBe(0);
+        });
+    });
+
+    describe('Live validation', () => {
+        test('should flag an unreachable exit', () => {
+            editor.applyTool(4, 1, 'wall');
+            editor.applyTool(4, 2, 'wall');
+            editor.applyTool(4, 3, 'wall');
+
+            expect(editor.validation.isSolvable).toBe(false);
+            expect(editor.validation.isValid).toBe(false);
+            expect(editor.validation.errors).toContain('Exit at (5, 3) is not reachable from the start');
+        });
+
+        test('should flag unreachable entities while the exit is still solvable', () => {
+            editor.applyTool(5, 1, 'fragment');
+            editor.applyTool(4, 1, 'wall');
+            editor.applyTool(5, 2, 'wall');
+
+            expect(editor.validation.isSolvable).toBe(true);
+            expect(editor.validation.isValid).toBe(false);
+        });
+    });
+
+    describe('Export and import', () => {
+        test('should export LevelData-compatible JSON', () => {
+            editor.applyTool(3, 2, 'virgilio');
+            const data = JSON.parse(editor.exportLayout());
+
+            expect(data.layout).toEqual([
+                '#######',
+                '#S....#',
+                '#..V..#',
+                '#....E#',
+                '#######'
+            ]);
+            expect(buildMazeFromLayout(data.layout).isSolvable()).toBe(true);
+        });
+
+        test('should notify the export callback with the validation result', () => {
+            editor.onExport = vi.fn();
+            const json = editor.exportLayout();
+
+            expect(editor.onExport).toHaveBeenCalledWith(json, editor.validation);
+        });
+
+        test('should import a LevelData entry or a bare layout', () => {
+            const rows = ['#####', '#S.F#', '#.#.#', '#..E#', '#####'];
+
+            expect(editor.importLayout(JSON.stringify({ name: 'Prueba', layout: rows })).isValid).toBe(true);
+            expect(editor.getMaze().width).toBe(5);
+            expect(editor.getMaze().getTotalFragmentsCount()).toBe(1);
+
+            expect(editor.importLayout({ grid: [[0, 0, 0, 0], [0, 2, 3, 0], [0, 0, 0, 0]] }).isValid).toBe(true);
+            expect(editor.getMaze().getExitPosition()).toEqual({ x: 2, y: 1 });
+        });
+
+        test('should keep the current maze when the import is invalid', () => {
+            const maze = editor.getMaze();
+
+            expect(editor.importLayout('{ not json').isValid).toBe(false);
+            const result = editor.importLayout({ layout: ['#####', '#S#E#', '#####'] });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('Exit at (3, 1) is not reachable from the start');
+            expect(editor.getMaze()).toBe(maze);
+        });
+
+        test('should show the exported JSON and its problems in the panel', () => {
+            editor.applyTool(3, 2, 'wall');
+            editor.applyTool(3, 1, 'wall');
+            editor.applyTool(3, 3, 'wall');
+            editor.handleKey('KeyE');
+
+            expect(editor.isLayoutPanelOpen()).toBe(true);
+            expect(JSON.parse(editor.layoutText.value).layout[2]).toBe('#..#..#');
+            expect(editor.layoutText.readOnly).toBe(true);
+            expect(editor.layoutErrors.children.length).toBeGreaterThan(0);
+        });
+
+        test('should import pasted JSON from the panel and list errors inline', () => {
+            const maze = editor.getMaze();
+            editor.handleKey('KeyI');
+            const importButton = editor.layoutPanel.querySelector('.editor-layout-action');
+
+            editor.layoutText.value = '{ not json';
+            importButton.click();
+            expect(editor.isLayoutPanelOpen()).toBe(true);
+            expect(editor.layoutErrors.textContent).toContain('Invalid JSON');
+            expect(editor.getMaze()).toBe(maze);
+
+            editor.layoutText.value = JSON.stringify({ layout: ['#####', '#S.E#', '#####'] });
+            importButton.click();
+            expect(editor.isLayoutPanelOpen()).toBe(false);
+            expect(editor.getMaze().width).toBe(5);
+        });
+
+        test('should keep keys typed in the panel away from the game', () => {
+            const gameKeys = vi.fn();
+            document.addEventListener('keydown', gameKeys);
+            editor.handleKey('KeyI');
+
+            editor.layoutText.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyW', bubbles: true }));
+            expect(gameKeys).not.toHaveBeenCalled();
+
+            editor.layoutText.dispatchEvent(new KeyboardEvent('keydown', { code: 'Escape', bubbles: true }));
+            expect(editor.isLayoutPanelOpen()).toBe(false);
+            document.removeEventListener('keydown', gameKeys);
+        });
+    });
+
+    describe('Keyboard controls', () => {
+        test('should move the cursor within the border and apply the selected tool', () => {
+            editor.handleKey('ArrowLeft');
+            expect(editor.cursor).toEqual({ x: 1, y: 1 });
+
+            editor.handleKey('ArrowRight');
+            editor.handleKey('KeyS');
+            editor.handleKey('Digit1');
+            editor.handleKey('Space');
+
+            expect(editor.currentTool).toBe('wall');
+            expect(editor.getMaze().getCellType(2, 2)).toBe(editor.getMaze().WALL);
+        });
+
+        test('should close on Escape', () => {
+            editor.onClose = vi.fn();
+            editor.handleKey('Escape');
+
+            expect(editor.onClose).toHaveBeenCalled();
+        });
+    });
+
+    describe('Mouse painting', () => {
+        test('should convert canvas positions to cells', () => {
+            const renderer = { screenToWorld: () => ({ x: 3.4, y: 2.9 }) };
+
+            expect(editor.applyToolAtScreen(renderer, 100, 100)).toBe(true);
+            expect(editor.cursor).toEqual({ x: 3, y: 2 });
+            expect(editor.getMaze().getCellType(3, 2)).toBe(editor.getMaze().WALL);
+        });
+    });
+});
@@ -209,6 +209,19 @@ describe('MenuSystem', () => {
             expect(menuSystem.isMenuVisible).toBe(false);
         });
 
+        test('should start a new game with the seed typed in the menu', () => {
+            const callback = vi.fn();
+            menuSystem.setCallbacks({ onNewGame: callback });
+
+            menuSystem.seedInput = { value: '  dite ' };
+            menuSystem.handleNewGame();
+            menuSystem.seedInput.value = '';
+            menuSystem.handleNewGame();
+
+            expect(callback).toHaveBeenNthCalledWith(1, 'dite');
+            expect(callback).toHaveBeenNthCalledWith(2, null);
+        });
+
         test('should handle continue game when save exists', () => {
             mockLocalStorage.getItem.mockReturnValue('{"level": 1}');
             const callback = vi.fn();
@@ -275,6 +288,50 @@ describe('MenuSystem', () => {
                 value: 0.6
             });
         });
+
+        test('should offer every difficulty preset in the settings menu', () => {
+            const createdElement = document.createElement.mock.results.at(-1).value;
+
+            expect(createdElement.innerHTML).toContain('id="difficultySelect"');
+            ['Fácil', 'Normal', 'Difícil', 'Infernal'].forEach(label => {
+                expect(createdElement.innerHTML).toContain(label);
+            });
+        });
+
+        test('should trigger settings callback on difficulty change', () => {
+            const callback = vi.fn();
+            menuSystem.setCallbacks({ onSettingsChange: callback });
+
+            menuSystem.handleDifficultyChange({ target: { value: 'infernal' } });
+
+            expect(callback).toHaveBeenCalledWith({
+                type: 'difficulty',
+                value: 'infernal'
+            });
+        });
+
+        test('should ignore unknown difficulty presets', () => {
+            const callback = vi.fn();
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            menuSystem.setCallbacks({ onSettingsChange: callback });
+
+            menuSystem.handleDifficultyChange({ target: { value: 'imposible' } });
+
+            expect(callback).not.toHaveBeenCalled();
+            warnSpy.mockRestore();
+        });
+
+        test('should trigger settings callback on fog of war toggle', () => {
+            const callback = vi.fn();
+            menuSystem.setCallbacks({ onSettingsChange: callback });
+
+            menuSystem.handleFogOfWarChange({ target: { checked: false } });
+
+            expect(callback).toHaveBeenCalledWith({
+                type: 'fogOfWar',
+                value: false
+            });
+        });
     });
 
     describe('Game Reset', () => {
@@ -36,7 +36,11 @@ const mockElements = {
         }
     },
     currentLevel: { textContent: '' },
-    levelName: { textContent: '' }
+    levelName: { textContent: '' },
+    scoreStatus: { textContent: '' },
+    levelSeed: { textContent: '' },
+    timerItem: { style: { display: '' } },
+    levelTimer: { textContent: '', className: '' }
 };
 
 // Mock document.getElementById
@@ -47,7 +51,11 @@ global.document = {
             'fragmentStatus': mockElements.fragmentStatus,
             'exitStatus': mockElements.exitStatus,
             'currentLevel': mockElements.currentLevel,
-            'levelName': mockElements.levelName
+            'levelName': mockElements.levelName,
+            'scoreStatus': mockElements.scoreStatus,
+            'levelSeed': mockElements.levelSeed,
+            'timerItem': mockElements.timerItem,
+            'levelTimer': mockElements.levelTimer
         };
         return elementMap[id] || null;
     })
@@ -77,7 +85,11 @@ describe('ProgressPanel', () => {
                 'fragmentStatus': mockElements.fragmentStatus,
                 'exitStatus': mockElements.exitStatus,
                 'currentLevel': mockElements.currentLevel,
-                'levelName': mockElements.levelName
+                'levelName': mockElements.levelName,
+                'scoreStatus': mockElements.scoreStatus,
+                'levelSeed': mockElements.levelSeed,
+                'timerItem': mockElements.timerItem,
+                'levelTimer': mockElements.levelTimer
             };
             return elementMap[id] || null;
         });
@@ -204,6 +216,61 @@ describe('ProgressPanel', () => {
         });
     });
 
+    describe('Score', () => {
+        test('should show the running score and reset it with the panel', () => {
+            progressPanel.updateAll({ currentLevel: 2, levelName: 'Limbo', score: 2100 });
+            expect(mockElements.scoreStatus.textContent).toBe('2100');
+
+            progressPanel.reset();
+            expect(mockElements.scoreStatus.textContent).toBe('0');
+        });
+    });
+
+    describe('Seed', () => {
+        test('should show the maze seed and clear it with the panel', () => {
+            progressPanel.updateAll({ currentLevel: 1, levelName: 'Bosque Oscuro', seed: 1234 });
+            expect(mockElements.levelSeed.textContent).toBe('1234');
+
+            progressPanel.reset();
+            expect(mockElements.levelSeed.textContent).toBe('-');
+        });
+    });
+
+    describe('Countdown Timer', () => {
+        test('should show the time left in minutes and seconds', () => {
+            progressPanel.updateTimer(125400);
+
+            expect(mockElements.timerItem.style.display).toBe('');
+            expect(mockElements.levelTimer.textContent).toBe('2:06');
+            expect(mockElements.levelTimer.className).toBe('');
+        });
+
+        test('should warn when time is running out', () => {
+            progressPanel.updateTimer(9000, true);
+
+            expect(mockElements.levelTimer.textContent).toBe('0:09');
+            expect(mockElements.levelTimer.className).toBe('status-tiempo-agotandose');
+        });
+
+        test('should hide the timer on untimed circles', () => {
+            progressPanel.updateTimer(60000);
+            progressPanel.updateAll({ currentLevel: 2, levelName: 'Limbo', timeRemaining: null });
+
+            expect(mockElements.timerItem.style.display).toBe('none');
+        });
+
+        test('should only touch the DOM when the shown second changes', () => {
+            progressPanel.updateTimer(60000);
+            mockElements.levelTimer.textContent = 'untouched';
+
+            progressPanel.updateTimer(59500);
+            expect(mockElements.levelTimer.textContent).toBe('untouched');
+
+            progressPanel.updateTimer(58900);
+            expect(mockElements.levelTimer.textContent).toBe('0:59');
+        });
+    });
+
     describe('Bulk Updates', () => {
         test('should update all progress information at once', () => {
             const progressData = {
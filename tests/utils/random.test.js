@@ -0,0 +1,58 @@
+/**
+ * Unit tests for SeededRandom
+ */
+
+import { describe, test, expect } from 'vitest';
+import { SeededRandom } from '../../js/utils/random.js';
+
+describe('SeededRandom', () => {
+    test('should produce the same sequence for the same seed', () => {
+        const first = new SeededRandom(1234);
+        const second = new SeededRandom(1234);
+
+        for (let i = 0; i < 20; i++) {
+            expect(second.next()).toBe(first.next());
+        }
+    });
+
+    test('should return floats in the range [0, 1)', () => {
+        const random = new SeededRandom(7);
+
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('should restart the sequence on reset', () => {
+        const random = new SeededRandom(99);
+        const firstValues = [random.next(), random.next(), random.next()];
+
+        random.reset();
+        expect([random.next(), random.next(), random.next()]).toEqual(firstValues);
+    });
+
+    test('should return integers below the bound', () => {
+        const random = new SeededRandom(5);
+
+        for (let i = 0; i < 100; i++) {
+            const value = random.nextInt(4);
+            expect(Number.isInteger(value)).toBe(true);
+            expect(value).toBeLessThan(4);
+        }
+    });
+
+    test('should shuffle without losing elements', () => {
+        const random = new SeededRandom(42);
+        const shuffled = random.shuffle([1, 2, 3, 4, 5, 6]);
+
+        expect([...shuffled].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('should normalize numeric strings and hash text seeds', () => {
+        expect(SeededRandom.normalizeSeed('1234')).toBe(1234);
+        expect(SeededRandom.normalizeSeed('dite')).toBe(SeededRandom.normalizeSeed('dite'));
+        expect(SeededRandom.normalizeSeed('dite')).not.toBe(SeededRandom.normalizeSeed('cocito'));
+    });
+});